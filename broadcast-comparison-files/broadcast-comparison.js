@@ -0,0 +1,186 @@
+// broadcast-comparison-files/broadcast-comparison.js
+// Version: 1.0
+// Script for broadcast-comparison.html. Shows the answers every tab gave to one Danger broadcast side by side.
+// The service worker opens this page with ?id=<broadcastId> after a broadcast and stores the answers that the
+// tabs report (modules/broadcast-answer-collector.js); the page re-renders whenever that storage key changes,
+// so pending cards fill in as the answers finish.
+
+'use strict';
+
+const BROADCASTS_STORAGE_KEY = 'crossChat.broadcasts';
+
+const STATUS_LABELS = {
+    pending: 'Waiting for answer…',
+    done: 'Finished',
+    timeout: 'Still changing after 10 minutes',
+    no_answer: 'No answer detected'
+};
+
+let broadcasts = [];
+let selectedBroadcastId = new URLSearchParams(window.location.search).get('id') || '';
+
+// Formats a duration in milliseconds as "42s" or "3m 05s".
+function formatDuration(ms) {
+    const totalSec = Math.max(0, Math.round(ms / 1000));
+    const minutes = Math.floor(totalSec / 60);
+    const seconds = totalSec % 60;
+    return minutes > 0 ? `${minutes}m ${String(seconds).padStart(2, '0')}s` : `${seconds}s`;
+}
+
+function applyThemeFromSettings() {
+    chrome.runtime.sendMessage({ type: 'getTheme' }, (response) => {
+        if (response && response.theme === 'dark') {
+            document.body.classList.add('dark-theme');
+        }
+    });
+}
+
+function getSelectedBroadcast() {
+    return broadcasts.find(entry => entry.id === selectedBroadcastId) || broadcasts[broadcasts.length - 1] || null;
+}
+
+function renderBroadcastOptions() {
+    const select = document.getElementById('broadcastSelect');
+    select.innerHTML = '';
+    // Newest first
+    broadcasts.slice().reverse().forEach(entry => {
+        const option = document.createElement('option');
+        option.value = entry.id;
+        const preview = entry.promptText.length > 60 ? `${entry.promptText.slice(0, 60)}…` : entry.promptText;
+        option.textContent = `${new Date(entry.startedAt).toLocaleString()} – ${preview}`;
+        select.appendChild(option);
+    });
+    const current = getSelectedBroadcast();
+    select.value = current ? current.id : '';
+}
+
+function createAnswerCard(answer) {
+    const card = document.createElement('article');
+    card.className = `answer-card status-${answer.status}`;
+
+    const header = document.createElement('div');
+    header.className = 'answer-header';
+    const siteName = document.createElement('strong');
+    siteName.textContent = answer.site || 'Unknown site';
+    const hostname = document.createElement('small');
+    hostname.textContent = answer.hostname;
+    header.append(siteName, hostname);
+
+    const meta = document.createElement('div');
+    meta.className = 'answer-meta';
+    const status = document.createElement('span');
+    status.textContent = STATUS_LABELS[answer.status] || answer.status;
+    const timing = document.createElement('span');
+    timing.className = 'answer-timing';
+    timing.dataset.sentAt = String(answer.sentAt);
+    if (answer.status === 'pending') {
+        timing.dataset.pending = 'true';
+        timing.textContent = formatDuration(Date.now() - answer.sentAt);
+    } else {
+        timing.textContent = formatDuration(answer.finishedAt - answer.sentAt);
+        timing.title = 'Time from sending the prompt until the answer stopped changing';
+    }
+    meta.append(status, timing);
+    if (answer.status !== 'pending') {
+        const tokens = document.createElement('span');
+        tokens.textContent = `≈ ${answer.tokens} tokens`;
+        tokens.title = `${answer.text.length} characters`;
+        meta.appendChild(tokens);
+    }
+
+    const body = document.createElement('div');
+    body.className = 'answer-text';
+    body.textContent = answer.text;
+
+    const actions = document.createElement('div');
+    actions.className = 'answer-actions';
+    const copyButton = document.createElement('button');
+    copyButton.textContent = 'Copy';
+    copyButton.disabled = !answer.text;
+    copyButton.addEventListener('click', async () => {
+        try {
+            await navigator.clipboard.writeText(answer.text);
+            copyButton.textContent = 'Copied!';
+            setTimeout(() => { copyButton.textContent = 'Copy'; }, 1500);
+        } catch (error) {
+            console.error('Copying the answer failed:', error);
+        }
+    });
+    const openButton = document.createElement('button');
+    openButton.textContent = 'Go to tab';
+    openButton.addEventListener('click', () => {
+        chrome.tabs.update(answer.tabId, { active: true }).catch(() => {
+            openButton.textContent = 'Tab closed';
+            openButton.disabled = true;
+        });
+    });
+    actions.append(copyButton, openButton);
+
+    card.append(header, meta, body, actions);
+    return card;
+}
+
+function render() {
+    const grid = document.getElementById('answersGrid');
+    const emptyMessage = document.getElementById('emptyMessage');
+    const promptLabel = document.getElementById('broadcastPrompt');
+    grid.innerHTML = '';
+
+    const current = getSelectedBroadcast();
+    emptyMessage.classList.toggle('is-hidden', !!current);
+    if (!current) {
+        promptLabel.textContent = '';
+        return;
+    }
+    promptLabel.textContent = current.promptText;
+    current.answers.forEach(answer => grid.appendChild(createAnswerCard(answer)));
+}
+
+async function loadBroadcasts() {
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'getBroadcastComparisons' });
+        if (response && response.error) {
+            throw new Error(response.error);
+        }
+        broadcasts = Array.isArray(response?.entries) ? response.entries : [];
+    } catch (error) {
+        console.error('Error loading broadcast comparisons:', error);
+        broadcasts = [];
+    }
+    renderBroadcastOptions();
+    render();
+}
+
+// Keeps the elapsed time of pending answers running between re-renders.
+function tickPendingTimers() {
+    document.querySelectorAll('.answer-timing[data-pending="true"]').forEach(label => {
+        label.textContent = formatDuration(Date.now() - Number(label.dataset.sentAt));
+    });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    applyThemeFromSettings();
+    loadBroadcasts();
+
+    document.getElementById('broadcastSelect').addEventListener('change', (event) => {
+        selectedBroadcastId = event.target.value;
+        history.replaceState(null, '', `?id=${encodeURIComponent(selectedBroadcastId)}`);
+        render();
+    });
+
+    document.getElementById('clearBroadcastsButton').addEventListener('click', async () => {
+        if (!confirm('Delete all stored broadcast answers?')) {
+            return;
+        }
+        await chrome.runtime.sendMessage({ type: 'clearBroadcastComparisons' });
+        await loadBroadcasts();
+    });
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[BROADCASTS_STORAGE_KEY]) {
+            loadBroadcasts();
+        }
+    });
+
+    setInterval(tickPendingTimers, 1000);
+});
@@ -10,7 +10,7 @@
 //  2) Inline Profile Selector — optional, position configurable ("before" or "after")
 //  3) A unified list of buttons:
 //     - Cross-Chat buttons ("Copy", "Paste") placed "before" or "after" based on globalCrossChatConfig
-//     - Custom buttons from globalMaxExtensionConfig.customButtons (honors separators)
+//     - Custom buttons from globalMaxExtensionConfig.customButtons (honors separators; macro buttons enqueue their steps)
 //     - Numeric shortcuts (1–10) assigned to the first 10 non-separator buttons when enabled
 //  4) Global toggles appended last: "Auto-send" and "Hotkeys"
 //
@@ -182,6 +182,18 @@ window.MaxExtensionButtonsInit = {
                         chrome.runtime.sendMessage({ type: 'openSettingsPage' });
                     };
                     buttonElement = MaxExtensionButtons.createCustomSendButton(settingsButtonConfig, index, settingsClickHandler, shortcutKey);
+                } else if (def.config.macro) {
+                    // Macro buttons enqueue their steps instead of sending; the tooltip lists the sequence.
+                    const macroSteps = (Array.isArray(def.config.steps) ? def.config.steps : [])
+                        .map(step => (step && typeof step.text === 'string' ? step.text.trim() : ''))
+                        .filter(text => text)
+                        .map(text => (text.length > 60 ? `${text.substring(0, 57)}...` : text));
+                    const macroButtonConfig = {
+                        ...def.config,
+                        tooltip: `${def.config.text} (macro, ${macroSteps.length} steps): ${macroSteps.join(' → ')}`
+                    };
+                    const macroClickHandler = (event) => processMacroButtonClick(event, def.config);
+                    buttonElement = MaxExtensionButtons.createCustomSendButton(macroButtonConfig, index, macroClickHandler, shortcutKey);
                 } else {
                     buttonElement = MaxExtensionButtons.createCustomSendButton(def.config, index, processCustomSendButtonClick, shortcutKey);
                 }
@@ -490,7 +502,10 @@ window.MaxExtensionButtonsInit.createUnifiedProfileSelector = function (containe
 
     const trigger = document.createElement('button');
     trigger.type = 'button';
-    trigger.title = 'Switch active profile';
+    const siteRule = window.__OCP_profileRule;
+    trigger.title = siteRule && siteRule.profileName === activeProfile
+        ? `Switch active profile (picked by the site rule "${siteRule.pattern}")`
+        : 'Switch active profile';
     trigger.id = `ocp-profile-trigger-${uniqueSuffix}`;
     trigger.style.cssText = `
         display: inline-flex;
@@ -829,7 +844,9 @@ window.MaxExtensionButtonsInit.createInlineProfileSelector = async function () {
         container.style.marginRight = '8px';
         // Load profiles and current profile
         const profilesResponse = await chrome.runtime.sendMessage({ type: 'listProfiles' });
-        const { currentProfile } = await chrome.storage.local.get('currentProfile');
+        // Ask the service worker: with per-tab profiles this tab may differ from the global currentProfile.
+        const activeResponse = await chrome.runtime.sendMessage({ type: 'getActiveProfileName' });
+        const currentProfile = activeResponse?.profileName;
         const profileNames = Array.isArray(profilesResponse?.profiles) ? profilesResponse.profiles : [];
         if (!profileNames.length) {
             return null;
@@ -842,6 +859,8 @@ window.MaxExtensionButtonsInit.createInlineProfileSelector = async function () {
 
         const handleProfileSwitch = (selected) => {
             if (!selected) return;
+            // A hand-picked profile is kept on this page even if a site rule says otherwise (see init.js).
+            window.__OCP_profileRuleOverrideUrl = window.location.href;
             chrome.runtime.sendMessage({ type: 'switchProfile', profileName: selected, origin: 'inline' }, (response) => {
                 if (response && response.config) {
                     if (typeof window.__OCP_partialRefreshUI === 'function') {
@@ -13,18 +13,30 @@
      - MaxExtensionButtons.createCustomSendButton(buttonConfig, index, onClickHandler, overrideShortcutKey?)
      - MaxExtensionButtons.createCrossChatButton(type: 'copy'|'paste', shortcutKey?)
      - MaxExtensionButtons.determineShortcutKeyForButtonIndex(buttonIndex, offset?)
+     - MaxExtensionButtons.refreshBroadcastButtons()  Re-draws every broadcast button after the shield changed
 
      Click flow:
      - processCustomSendButtonClick(event, customText, autoSend)
          * Shift inverts autoSend at click time.
          * If the floating panel is visible and queue mode is enabled, the button is enqueued instead of sending immediately.
+         * Template variables ({{selection}}, {{clipboard}}, {{date}}, {{pageTitle}}, {{url}}, {{editor}}, {{lastResponse}}) are expanded
+           via modules/prompt-template-variables.js before routing (also for queue dispatches and cross-chat paste).
+         * Ask placeholders ({{name:?}}, {{name:?|a,b}}) open an in-page fill-in form first; cancelling aborts the click.
+         * buttonConfig.insertMode (append | prepend | replace | wrap) is passed to the site handlers, which apply it
+           through ButtonsClickingShared.applyInsertMode. Wrap puts the editor draft into the {{editor}} slot.
          * Routes to site-specific handlers based on InjectionTargetsOnWebsite.activeSite:
              - ChatGPT, Claude, Copilot, DeepSeek, AIStudio, Grok, Gemini
+    - processMacroButtonClick(event, macroConfig)
+        * Macro buttons ({ macro: true, steps: [{ text }] }) push every step into the floating panel queue via
+          MaxExtensionFloatingPanel.enqueueMacroSteps, opening the panel and enabling queue mode when needed.
+        * autoStartQueue starts the queue right away; Shift inverts it at click time.
 
      Cross-Chat notes:
      - "Copy": reads from the active editor, saves via service worker, briefly shows "Copied!" in tooltip,
          and triggers autosend with the existing text when configured.
      - "Paste": fetches stored prompt; tooltip shows a debounced preview on hover.
+         Right-click or long-press opens the cross-chat clipboard menu (slots + recent copies,
+         modules/cross-chat-clipboard.js); picking an entry pastes it with the Paste auto-send setting.
 
      Usage:
      Load order should ensure `utils.js` and any site-specific clicking modules are present before use.
@@ -54,6 +66,26 @@ const escapeTooltipHtml = (text) => {
  * Namespace object containing functions related to creating and managing custom buttons.
  */
 window.MaxExtensionButtons = {
+    /**
+     * Updates icon and tooltip of the broadcast buttons (toolbar and floating panel) to the current shield.
+     * The shield state is owned by init.js (window.__OCP_broadcastShield, persisted by the service worker).
+     * @param {HTMLButtonElement[]} [buttons] - Defaults to every broadcast button on the page.
+     */
+    refreshBroadcastButtons: function (buttons) {
+        const shield = window.__OCP_broadcastShield || { tab: false, hostname: false };
+        const intro = 'Broadcast stored prompt to every supported tab - resulting in the other tabs will autosend messages.';
+        let shieldInfo = ' • This tab will receive and auto-send broadcasts. Shift+Click to shield this tab.';
+        if (shield.hostname) {
+            shieldInfo = ` • ${window.location.hostname} never receives broadcasts (change it in the 🎯 menu or the popup).`;
+        } else if (shield.tab) {
+            shieldInfo = ' • This tab is shielding itself from incoming broadcasts. Shift+Click to remove the shield.';
+        }
+        (buttons || document.querySelectorAll('button[data-ocp-broadcast-button]')).forEach((button) => {
+            button.innerHTML = (shield.tab || shield.hostname) ? '😷' : '⬆️';
+            button.setAttribute('title', `${intro}. Danger: this .${shieldInfo}`);
+        });
+    },
+
     /**
      * Creates a cross-chat prompt sharing button ('Copy' or 'Paste').
      * @param {string} type - The type of button, either 'copy' or 'paste'.
@@ -75,41 +107,52 @@ window.MaxExtensionButtons = {
         `;
 
         if (type === 'broadcast') {
-            const ICON_ACTIVE = '⬆️';
-            const ICON_SHIELD = '😷';
-
-            const isShielded = () => window.__OCP_dangerReceiveBlocked === true;
-            const setShielded = (value) => {
-                window.__OCP_dangerReceiveBlocked = !!value;
-            };
-
-            const buildTooltip = () => {
-                const intro = 'Broadcast stored prompt to every supported tab - resulting in the other tabs will autosend messages.';
-                const shieldInfo = isShielded()
-                    ? ' • This tab is shielding itself from incoming broadcasts.'
-                    : ' • This tab will receive and auto-send broadcasts.';
-                return `${intro}. Danger: this .${shieldInfo} Shift+Click to toggle the shield.`;
-            };
-
-            const updateBroadcastVisuals = () => {
-                buttonElement.innerHTML = isShielded() ? ICON_SHIELD : ICON_ACTIVE;
-                buttonElement.setAttribute('title', buildTooltip());
+            buttonElement.dataset.ocpBroadcastButton = 'true';
+            this.refreshBroadcastButtons([buttonElement]);
+
+            // Lists the tabs that would receive the broadcast now (recipient selection + accepting state)
+            // and asks for confirmation. Resolves true when the broadcast should go ahead.
+            const confirmBroadcast = async (promptText) => {
+                let recipients = [];
+                let refusingCount = 0;
+                try {
+                    const { tabs, targetTabIds } = await window.OCPBroadcastRecipients.load();
+                    const selectedTabs = tabs.filter(tab => !targetTabIds || targetTabIds.includes(tab.tabId));
+                    recipients = selectedTabs.filter(tab => tab.accepting);
+                    refusingCount = selectedTabs.length - recipients.length;
+                } catch (err) {
+                    logConCgp('[buttons-cross-chat] Could not list broadcast recipients for the confirmation:', err?.message || err);
+                }
+                return window.OCPBroadcastConfirm.open({ promptText, recipients, refusingCount });
             };
 
-            updateBroadcastVisuals();
-
-            buttonElement.addEventListener('click', (event) => {
+            buttonElement.addEventListener('click', async (event) => {
                 event.preventDefault();
 
                 if (event.shiftKey) {
-                    const nextState = !isShielded();
-                    setShielded(nextState);
-                    updateBroadcastVisuals();
-                    if (typeof window.showToast === 'function') {
-                        window.showToast(nextState
-                            ? 'Incoming danger broadcasts are blocked in this tab.'
-                            : 'This tab will accept danger broadcasts again.', 'info');
+                    const shield = window.__OCP_broadcastShield || { tab: false, hostname: false };
+                    if (shield.hostname) {
+                        if (typeof window.showToast === 'function') {
+                            window.showToast(`${window.location.hostname} is shielded. Remove it in the 🎯 menu or the popup.`, 'info');
+                        }
+                        return;
                     }
+                    const nextState = !shield.tab;
+                    // The service worker stores the shield and tells every tab to reload it.
+                    chrome.runtime.sendMessage({ type: 'setBroadcastShield', scope: 'tab', enabled: nextState }, (response) => {
+                        if (chrome.runtime.lastError || !response?.success) {
+                            logConCgp('[buttons-cross-chat] Could not change the broadcast shield:', chrome.runtime.lastError?.message || response?.error);
+                            if (typeof window.showToast === 'function') {
+                                window.showToast('Could not change the broadcast shield.', 'error');
+                            }
+                            return;
+                        }
+                        if (typeof window.showToast === 'function') {
+                            window.showToast(nextState
+                                ? 'Incoming danger broadcasts are blocked in this tab.'
+                                : 'This tab will accept danger broadcasts again.', 'info');
+                        }
+                    });
                     return;
                 }
 
@@ -142,6 +185,16 @@ window.MaxExtensionButtons = {
                     return;
                 }
 
+                if (window.globalCrossChatConfig?.dangerConfirmBroadcast !== false && window.OCPBroadcastConfirm && window.OCPBroadcastRecipients) {
+                    const confirmed = await confirmBroadcast(trimmed);
+                    if (!confirmed) {
+                        if (typeof window.showToast === 'function') {
+                            window.showToast('Broadcast cancelled.', 'info');
+                        }
+                        return;
+                    }
+                }
+
                 chrome.runtime.sendMessage({ type: 'saveStoredPrompt', promptText: rawText }, () => {
                     logConCgp('[buttons-cross-chat] Prompt saved for broadcast.');
                 });
@@ -153,15 +206,31 @@ window.MaxExtensionButtons = {
                     __fromQueue: true,
                     shiftKey: false,
                 };
+                // This tab's answer joins the comparison page too; the watch starts before sending.
+                const answerCollector = window.globalCrossChatConfig?.dangerCompareAnswers !== false
+                    ? window.OCPBroadcastAnswers
+                    : null;
+                const broadcastId = answerCollector ? answerCollector.createBroadcastId() : null;
+                if (answerCollector) {
+                    answerCollector.collect(broadcastId);
+                }
                 processCustomSendButtonClick(localDispatchEvent, '', true);
 
                 chrome.runtime.sendMessage({
                     type: 'triggerDangerCrossChatSend',
-                    promptText: trimmed
+                    promptText: trimmed,
+                    broadcastId,
+                    site: window.InjectionTargetsOnWebsite?.activeSite || 'Unknown',
+                    hostname: window.location.hostname
                 }, (response) => {
+                    if (answerCollector && !response?.broadcastId) {
+                        // Nothing is tracked (broadcast rejected or comparison disabled in the service worker).
+                        answerCollector.cancel(broadcastId);
+                    }
                     const dispatched = response?.dispatched || 0;
                     const failed = response?.failed || 0;
                     const skipped = response?.skipped || 0;
+                    const shieldedCount = Array.isArray(response?.skippedTabs) ? response.skippedTabs.length : 0;
                     if (!response?.success) {
                         logConCgp('[buttons-cross-chat] Danger broadcast request failed or was rejected.', {
                             reason: response?.reason || response?.error || '',
@@ -174,6 +243,10 @@ window.MaxExtensionButtons = {
                             let failMessage;
                             if (failed > 0) {
                                 failMessage = `Broadcast rejected by all ${failed} tab${failed === 1 ? '' : 's'}.`;
+                            } else if (response?.reason === 'noRecipientsSelected') {
+                                failMessage = 'None of the selected recipient tabs is open. Pick recipients with 🎯 in the floating panel or the popup.';
+                            } else if ((response?.reason === 'noRecipientsReachable') && shieldedCount > 0 && shieldedCount === skipped) {
+                                failMessage = `All ${shieldedCount} other tab${shieldedCount === 1 ? ' is' : 's are'} shielded.`;
                             } else if ((response?.reason === 'noRecipientsReachable') && skipped > 0) {
                                 failMessage = 'No other tabs are ready to receive this broadcast.';
                             } else {
@@ -190,6 +263,12 @@ window.MaxExtensionButtons = {
                         if (failed > 0) {
                             message += ` ${failed} tab${failed === 1 ? '' : 's'} declined.`;
                         }
+                        if (shieldedCount > 0) {
+                            message += ` ${shieldedCount} shielded tab${shieldedCount === 1 ? '' : 's'} skipped.`;
+                        }
+                        if (response.broadcastId) {
+                            message += ' Answers are collected on the comparison page.';
+                        }
                         const toastType = failed > 0 ? 'warning' : 'success';
                         window.showToast(message, toastType);
                     }
@@ -200,7 +279,7 @@ window.MaxExtensionButtons = {
         }
 
         const icons = { copy: '📋', paste: '📥' };
-        const baseTooltips = { copy: 'Copy prompt from input area', paste: 'Paste stored prompt' };
+        const baseTooltips = { copy: 'Copy prompt from input area', paste: 'Paste stored prompt (right-click or long-press for slots and recent copies)' };
 
         buttonElement.innerHTML = icons[type];
 
@@ -225,19 +304,30 @@ window.MaxExtensionButtons = {
 
         updateTooltip(baseTooltips[type]);
 
+        const findEditor = () => {
+            const editorSelectors = window?.InjectionTargetsOnWebsite?.selectors?.editors;
+            return (Array.isArray(editorSelectors) ? editorSelectors : [])
+                .map((selector) => {
+                    try {
+                        return document.querySelector(selector);
+                    } catch (_) {
+                        return null;
+                    }
+                })
+                .find((el) => el);
+        };
+
+        // Set when a long-press opened the clipboard menu, so the click that follows does not paste as well.
+        let suppressNextClick = false;
+
         buttonElement.addEventListener('click', (event) => {
             event.preventDefault();
+            if (suppressNextClick) {
+                suppressNextClick = false;
+                return;
+            }
             if (type === 'copy') {
-                const editorSelectors = window?.InjectionTargetsOnWebsite?.selectors?.editors;
-                const editor = (Array.isArray(editorSelectors) ? editorSelectors : [])
-                    .map((selector) => {
-                        try {
-                            return document.querySelector(selector);
-                        } catch (_) {
-                            return null;
-                        }
-                    })
-                    .find((el) => el);
+                const editor = findEditor();
 
                 if (!editor) {
                     logConCgp('[buttons-cross-chat] Editor area not found for copy.');
@@ -268,6 +358,49 @@ window.MaxExtensionButtons = {
             }
         });
 
+        if (type === 'paste' && window.OCPCrossChatClipboard) {
+            const LONG_PRESS_MS = 500;
+            const openClipboardMenu = () => {
+                window.OCPCrossChatClipboard.openPasteMenu(buttonElement, {
+                    readEditorText: () => {
+                        const editor = findEditor();
+                        return editor ? (editor.value || editor.innerText || '') : '';
+                    },
+                    onPick: (text) => {
+                        const pickEvent = {
+                            preventDefault() { },
+                            stopPropagation() { },
+                            target: buttonElement,
+                            shiftKey: false,
+                        };
+                        processCustomSendButtonClick(pickEvent, text, window.globalCrossChatConfig?.autosendPaste);
+                    }
+                });
+            };
+            buttonElement.addEventListener('contextmenu', (event) => {
+                event.preventDefault();
+                openClipboardMenu();
+            });
+            let longPressTimer = null;
+            const cancelLongPress = () => {
+                clearTimeout(longPressTimer);
+                longPressTimer = null;
+            };
+            buttonElement.addEventListener('pointerdown', (event) => {
+                if (event.button !== 0) return;
+                cancelLongPress();
+                suppressNextClick = false;
+                longPressTimer = setTimeout(() => {
+                    longPressTimer = null;
+                    suppressNextClick = true;
+                    openClipboardMenu();
+                }, LONG_PRESS_MS);
+            });
+            ['pointerup', 'pointerleave', 'pointercancel'].forEach((eventName) => {
+                buttonElement.addEventListener(eventName, cancelLongPress);
+            });
+        }
+
         if (type === 'paste') {
             let tooltipFetchTimeout;
             buttonElement.addEventListener('mouseover', () => {
@@ -343,7 +476,7 @@ window.MaxExtensionButtons = {
         `;
 
         // Attach the click event listener to handle custom send actions
-        customButtonElement.addEventListener('click', (event) => onClickHandler(event, buttonConfig.text, buttonConfig.autoSend));
+        customButtonElement.addEventListener('click', (event) => onClickHandler(event, buttonConfig.text, buttonConfig.autoSend, buttonConfig.insertMode));
 
         return customButtonElement;
     },
@@ -381,11 +514,27 @@ window.MaxExtensionButtons = {
  * @param {Event|Object} event - The click event object. May be a synthetic object with { __fromQueue: true }.
  * @param {string} customText - The custom text to be inserted
  * @param {boolean} autoSend - Flag indicating whether to automatically send the message
+ * @param {string} [insertMode='append'] - How the prompt combines with the editor draft: append | prepend | replace | wrap
  */
-async function processCustomSendButtonClick(event, customText, autoSend) {
+async function processCustomSendButtonClick(event, customText, autoSend, insertMode = 'append') {
     // Detect if this invocation originates from the queue engine.
     const invokedByQueue = !!(event && event.__fromQueue);
 
+    // Ask placeholders ({{name:?}}) open the fill-in form first, before the queue-mode check,
+    // so enqueued items carry the values captured at click time.
+    let templateOverrides = null;
+    const promptTemplates = window.OCPPromptTemplates;
+    if (promptTemplates && typeof promptTemplates.hasAskFields === 'function' && promptTemplates.hasAskFields(customText)) {
+        // The form takes focus, so remember the page selection for {{selection}} beforehand.
+        templateOverrides = { selection: promptTemplates.readSelection() };
+        const filledText = await promptTemplates.fillAskFields(customText);
+        if (filledText === null) {
+            logConCgp('[buttons] Fill-in form cancelled. Nothing inserted.');
+            return { status: 'failed', reason: 'cancelled_by_user' };
+        }
+        customText = filledText;
+    }
+
     // Check if we are in queue mode in the floating panel.
     // IMPORTANT: When invoked by the queue itself, do NOT re-enqueue.
     if (!invokedByQueue &&
@@ -396,7 +545,8 @@ async function processCustomSendButtonClick(event, customText, autoSend) {
         const buttonConfig = {
             icon: (event && event.target) ? event.target.innerHTML : '',
             text: customText,
-            autoSend: autoSend
+            autoSend: autoSend,
+            insertMode: insertMode
         };
         // Add to queue and stop further processing. The engine handles the rest.
         window.MaxExtensionFloatingPanel.addToQueue(buttonConfig);
@@ -414,6 +564,16 @@ async function processCustomSendButtonClick(event, customText, autoSend) {
         logConCgp('[buttons] Shift key detected. autoSend inverted to:', autoSend);
     }
 
+    // Expand template variables ({{date}}, {{selection}}, ...) at send time.
+    // Queue items reach this point at dispatch time, so their values are fresh for each item.
+    if (promptTemplates && typeof promptTemplates.expand === 'function') {
+        // In wrap mode {{editor}} is the slot for the draft; the site handler fills it from its own editor.
+        if (insertMode === 'wrap') {
+            templateOverrides = { ...(templateOverrides || {}), editor: '{{editor}}' };
+        }
+        customText = await promptTemplates.expand(customText, templateOverrides);
+    }
+
     // Get the active site from the injection targets
     const activeSite = window.InjectionTargetsOnWebsite.activeSite;
     logConCgp('[buttons] Active site:', activeSite);
@@ -422,25 +582,83 @@ async function processCustomSendButtonClick(event, customText, autoSend) {
     // Route to site-specific handlers (unchanged)
     switch (activeSite) {
         case 'ChatGPT':
-            return await processChatGPTCustomSendButtonClick(event, customText, autoSend);
+            return await processChatGPTCustomSendButtonClick(event, customText, autoSend, insertMode);
         case 'Claude':
-            return await processClaudeCustomSendButtonClick(event, customText, autoSend);
+            return await processClaudeCustomSendButtonClick(event, customText, autoSend, insertMode);
         case 'Copilot':
-            return await processCopilotCustomSendButtonClick(event, customText, autoSend);
+            return await processCopilotCustomSendButtonClick(event, customText, autoSend, insertMode);
         case 'DeepSeek':
-            return await processDeepSeekCustomSendButtonClick(event, customText, autoSend);
+            return await processDeepSeekCustomSendButtonClick(event, customText, autoSend, insertMode);
         case 'AIStudio':
-            return await processAIStudioCustomSendButtonClick(event, customText, autoSend);
+            return await processAIStudioCustomSendButtonClick(event, customText, autoSend, insertMode);
         case 'Grok':
-            return await processGrokCustomSendButtonClick(event, customText, autoSend);
+            return await processGrokCustomSendButtonClick(event, customText, autoSend, insertMode);
         case 'Gemini': // Added Gemini case
-            return await processGeminiCustomSendButtonClick(event, customText, autoSend);
+            return await processGeminiCustomSendButtonClick(event, customText, autoSend, insertMode);
         case 'Perplexity':
-            return await processPerplexityCustomSendButtonClick(event, customText, autoSend);
+            return await processPerplexityCustomSendButtonClick(event, customText, autoSend, insertMode);
         default:
             logConCgp('[buttons] Unsupported site:', activeSite);
             return { status: 'failed', reason: 'unsupported_site' };
     }
 }
 
+/**
+ * Handles clicks on macro buttons (buttonConfig.macro === true).
+ * All steps go into the floating panel queue in order; the queue engine then sends them one by one.
+ * Ask placeholders in the steps are filled now, one form per step, and cancelling any form drops the whole macro.
+ * @param {Event} event - The click event (Shift inverts macroConfig.autoStartQueue).
+ * @param {object} macroConfig - The macro button config: { icon, text, macro: true, steps: [{ text }], autoStartQueue }.
+ * @returns {Promise<{status: string, reason?: string, count?: number}>}
+ */
+async function processMacroButtonClick(event, macroConfig) {
+    if (event && typeof event.preventDefault === 'function') {
+        event.preventDefault();
+    }
+    logConCgp('[buttons] Macro button clicked:', macroConfig?.text);
+
+    const stepTexts = (Array.isArray(macroConfig?.steps) ? macroConfig.steps : [])
+        .map(step => (typeof step === 'string' ? step : step?.text))
+        .filter(text => typeof text === 'string' && text.trim());
+    if (!stepTexts.length) {
+        if (typeof showToast === 'function') {
+            showToast('This macro has no steps yet. Add them in the extension settings.', 'error', 3000);
+        }
+        return { status: 'failed', reason: 'empty_macro' };
+    }
+
+    const floatingPanel = window.MaxExtensionFloatingPanel;
+    if (!floatingPanel || typeof floatingPanel.enqueueMacroSteps !== 'function') {
+        logConCgp('[buttons] Floating panel not available. Macro cannot be enqueued.');
+        return { status: 'failed', reason: 'panel_unavailable' };
+    }
+
+    const promptTemplates = window.OCPPromptTemplates;
+    const filledSteps = [];
+    for (const stepText of stepTexts) {
+        if (promptTemplates && typeof promptTemplates.fillAskFields === 'function') {
+            const filledText = await promptTemplates.fillAskFields(stepText);
+            if (filledText === null) {
+                logConCgp('[buttons] Fill-in form cancelled. Macro not enqueued.');
+                return { status: 'failed', reason: 'cancelled_by_user' };
+            }
+            filledSteps.push(filledText);
+        } else {
+            filledSteps.push(stepText);
+        }
+    }
+
+    let autoStart = Boolean(macroConfig.autoStartQueue);
+    if (event && event.shiftKey) {
+        autoStart = !autoStart;
+        logConCgp('[buttons] Shift key detected. Macro auto-start inverted to:', autoStart);
+    }
+
+    return await floatingPanel.enqueueMacroSteps({
+        icon: macroConfig.icon,
+        steps: filledSteps,
+        autoStart
+    });
+}
+
 // #endregion
@@ -0,0 +1,167 @@
+// common-ui-elements/ocp_broadcast_confirm.js
+// Version: 1.0
+// Confirmation shown before a Danger broadcast (buttons.js, broadcast button): prompt preview, the tabs that
+// will receive it, and a countdown after which it is sent unless cancelled. Opt-out via the cross-chat
+// setting dangerConfirmBroadcast. Reuses the fill-in form look (.toast.ocp-prompt-form).
+
+'use strict';
+
+window.OCPBroadcastConfirm = {
+    COUNTDOWN_SECONDS: 5,
+    PREVIEW_MAX_CHARS: 600,
+    activeDialog: null,
+
+    /**
+     * Opens the confirmation and resolves with true (send) or false (cancelled).
+     * Without any receiving tab there is no countdown; the user has to press "Send anyway".
+     *
+     * @param {Object} options
+     * @param {string} options.promptText - Trimmed prompt that will be broadcast.
+     * @param {Array<{site: string, title: string, hostname: string}>} options.recipients - Tabs that accept it.
+     * @param {number} [options.refusingCount] - Selected tabs that will refuse it (shield or broadcast off).
+     * @returns {Promise<boolean>}
+     */
+    open: function (options) {
+        if (this.activeDialog) {
+            this.activeDialog.cancel();
+        }
+        const recipients = Array.isArray(options?.recipients) ? options.recipients : [];
+        const refusingCount = options?.refusingCount || 0;
+        const promptText = options?.promptText || '';
+
+        return new Promise((resolve) => {
+            const wrapper = document.createElement('form');
+            wrapper.className = 'toast toast-info toast-sticky ocp-prompt-form ocp-broadcast-confirm';
+            wrapper.setAttribute('role', 'alertdialog');
+            wrapper.setAttribute('aria-label', 'Confirm broadcast');
+            wrapper.noValidate = true;
+
+            const heading = document.createElement('span');
+            heading.className = 'toast-message';
+            wrapper.appendChild(heading);
+
+            const closeButton = document.createElement('button');
+            closeButton.type = 'button';
+            closeButton.className = 'toast-close';
+            closeButton.setAttribute('aria-label', 'Cancel broadcast');
+            closeButton.textContent = '×';
+            wrapper.appendChild(closeButton);
+
+            const body = document.createElement('div');
+            body.className = 'ocp-prompt-form__fields';
+
+            const preview = document.createElement('div');
+            preview.className = 'ocp-broadcast-confirm__preview';
+            preview.textContent = promptText.length > this.PREVIEW_MAX_CHARS
+                ? `${promptText.slice(0, this.PREVIEW_MAX_CHARS)}…`
+                : promptText;
+            body.appendChild(preview);
+
+            const list = document.createElement('ul');
+            list.className = 'ocp-broadcast-confirm__recipients';
+            recipients.forEach((tab) => {
+                const item = document.createElement('li');
+                item.textContent = `${tab.site} – ${tab.title || tab.hostname}`;
+                item.title = tab.hostname;
+                list.appendChild(item);
+            });
+            if (recipients.length === 0) {
+                const item = document.createElement('li');
+                item.textContent = 'No open tab will receive this broadcast.';
+                list.appendChild(item);
+            }
+            body.appendChild(list);
+
+            if (refusingCount > 0) {
+                const note = document.createElement('small');
+                note.textContent = `${refusingCount} selected tab${refusingCount === 1 ? '' : 's'} will refuse it (shield on or broadcast disabled there).`;
+                body.appendChild(note);
+            }
+            wrapper.appendChild(body);
+
+            const buttonGroup = document.createElement('div');
+            buttonGroup.className = 'toast-button-group';
+            const sendButton = document.createElement('button');
+            sendButton.type = 'submit';
+            sendButton.className = 'toast-action';
+            sendButton.textContent = recipients.length ? 'Send now' : 'Send anyway';
+            sendButton.title = 'Broadcast without waiting for the countdown';
+            const cancelButton = document.createElement('button');
+            cancelButton.type = 'button';
+            cancelButton.className = 'toast-action';
+            cancelButton.textContent = 'Cancel';
+            cancelButton.title = 'Cancel the broadcast (Esc)';
+            buttonGroup.appendChild(sendButton);
+            buttonGroup.appendChild(cancelButton);
+            wrapper.appendChild(buttonGroup);
+
+            let secondsLeft = this.COUNTDOWN_SECONDS;
+            let countdownId = null;
+            const tabsLabel = `${recipients.length} tab${recipients.length === 1 ? '' : 's'}`;
+            const updateHeading = () => {
+                heading.textContent = recipients.length
+                    ? `Broadcasting to ${tabsLabel} in ${secondsLeft}s…`
+                    : 'Broadcast has no recipients';
+            };
+            updateHeading();
+
+            let settled = false;
+            const finish = (confirmed) => {
+                if (settled) return;
+                settled = true;
+                if (countdownId !== null) {
+                    clearInterval(countdownId);
+                }
+                if (this.activeDialog && this.activeDialog.element === wrapper) {
+                    this.activeDialog = null;
+                }
+                wrapper.classList.remove('show');
+                setTimeout(() => {
+                    if (wrapper.parentNode) {
+                        wrapper.parentNode.removeChild(wrapper);
+                    }
+                }, 300);
+                logConCgp(`[broadcast-confirm] Broadcast ${confirmed ? 'confirmed' : 'cancelled'}.`);
+                resolve(confirmed);
+            };
+
+            // Keep keystrokes inside the dialog: chat pages and our own Alt+digit shortcuts listen on window.
+            ['keydown', 'keyup', 'keypress'].forEach((eventName) => {
+                wrapper.addEventListener(eventName, (event) => {
+                    if (eventName === 'keydown' && event.key === 'Escape') {
+                        event.preventDefault();
+                        finish(false);
+                    }
+                    event.stopPropagation();
+                });
+            });
+            wrapper.addEventListener('submit', (event) => {
+                event.preventDefault();
+                event.stopPropagation();
+                finish(true);
+            });
+            cancelButton.addEventListener('click', () => finish(false));
+            closeButton.addEventListener('click', () => finish(false));
+
+            if (recipients.length > 0) {
+                countdownId = setInterval(() => {
+                    secondsLeft -= 1;
+                    if (secondsLeft <= 0) {
+                        finish(true);
+                        return;
+                    }
+                    updateHeading();
+                }, 1000);
+            }
+
+            this.activeDialog = { element: wrapper, cancel: () => finish(false) };
+            document.body.appendChild(wrapper);
+
+            // Trigger reflow to enable CSS transition
+            void wrapper.offsetWidth;
+            wrapper.classList.add('show');
+            // Focus Cancel, so a stray Enter meant for the chat editor does not send right away.
+            cancelButton.focus({ preventScroll: true });
+        });
+    }
+};
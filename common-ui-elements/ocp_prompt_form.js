@@ -0,0 +1,176 @@
+// common-ui-elements/ocp_prompt_form.js
+// Version: 1.1
+// Small in-page "fill-in-the-blank" form used by ask placeholders ({{name:?}} / {{name:?|a,b}}).
+// Also asks for names in content scripts and the popup (queue presets, recipient groups, clipboard slots),
+// where window.prompt would block the page.
+// Reuses the toast look (.toast, .toast-info, .toast-action) so it matches other extension feedback.
+
+'use strict';
+
+window.OCPPromptForm = {
+    activeForm: null,
+    // Remembers the last value per field name for this page session so repeated runs are quick.
+    lastValues: {},
+
+    /**
+     * Opens the form and resolves with the entered values, or null when cancelled.
+     * Only one form is shown at a time; opening a new one cancels the previous form.
+     *
+     * @param {Object} options
+     * @param {string} [options.title] - Heading shown above the fields.
+     * @param {string} [options.submitLabel] - Text of the submit button (default 'Insert').
+     * @param {Array<{name: string, options?: string[], value?: string}>} options.fields - Fields to ask for.
+     *   A given value is prefilled instead of the value remembered for that field name.
+     * @returns {Promise<Object<string, string>|null>}
+     */
+    open: function (options) {
+        const fields = Array.isArray(options?.fields) ? options.fields : [];
+        if (!fields.length) {
+            return Promise.resolve({});
+        }
+        if (this.activeForm) {
+            this.activeForm.cancel();
+        }
+
+        return new Promise((resolve) => {
+            const wrapper = document.createElement('form');
+            wrapper.className = 'toast toast-info toast-sticky ocp-prompt-form';
+            wrapper.setAttribute('role', 'dialog');
+            wrapper.setAttribute('aria-label', options?.title || 'Fill in prompt');
+            wrapper.noValidate = true;
+
+            const heading = document.createElement('span');
+            heading.className = 'toast-message';
+            heading.textContent = options?.title || 'Fill in prompt';
+            wrapper.appendChild(heading);
+
+            const closeButton = document.createElement('button');
+            closeButton.type = 'button';
+            closeButton.className = 'toast-close';
+            closeButton.setAttribute('aria-label', 'Close');
+            closeButton.textContent = '×';
+            wrapper.appendChild(closeButton);
+
+            const fieldsArea = document.createElement('div');
+            fieldsArea.className = 'ocp-prompt-form__fields';
+            const controls = [];
+
+            fields.forEach((field, index) => {
+                const row = document.createElement('label');
+                row.className = 'ocp-prompt-form__row';
+
+                const labelText = document.createElement('span');
+                labelText.className = 'ocp-prompt-form__label';
+                labelText.textContent = field.name;
+                row.appendChild(labelText);
+
+                const remembered = typeof field.value === 'string' ? field.value : this.lastValues[field.name];
+                let control;
+                if (Array.isArray(field.options) && field.options.length) {
+                    control = document.createElement('select');
+                    field.options.forEach((optionValue) => {
+                        const option = document.createElement('option');
+                        option.value = optionValue;
+                        option.textContent = optionValue;
+                        control.appendChild(option);
+                    });
+                    if (remembered && field.options.includes(remembered)) {
+                        control.value = remembered;
+                    }
+                } else {
+                    control = document.createElement('input');
+                    control.type = 'text';
+                    control.autocomplete = 'off';
+                    control.value = remembered || '';
+                }
+                control.className = 'ocp-prompt-form__input';
+                control.dataset.fieldName = field.name;
+                if (index === 0) {
+                    control.dataset.autofocus = 'true';
+                }
+                row.appendChild(control);
+                fieldsArea.appendChild(row);
+                controls.push(control);
+            });
+            wrapper.appendChild(fieldsArea);
+
+            const buttonGroup = document.createElement('div');
+            buttonGroup.className = 'toast-button-group';
+            const submitButton = document.createElement('button');
+            submitButton.type = 'submit';
+            submitButton.className = 'toast-action';
+            submitButton.textContent = options?.submitLabel || 'Insert';
+            submitButton.title = options?.submitLabel ? `${options.submitLabel} (Enter)` : 'Insert the completed prompt (Enter)';
+            const cancelButton = document.createElement('button');
+            cancelButton.type = 'button';
+            cancelButton.className = 'toast-action';
+            cancelButton.textContent = 'Cancel';
+            cancelButton.title = 'Cancel (Esc)';
+            buttonGroup.appendChild(submitButton);
+            buttonGroup.appendChild(cancelButton);
+            wrapper.appendChild(buttonGroup);
+
+            // Keep keystrokes inside the form: chat pages and our own Alt+digit shortcuts listen on window.
+            ['keydown', 'keyup', 'keypress'].forEach((eventName) => {
+                wrapper.addEventListener(eventName, (event) => {
+                    if (eventName === 'keydown' && event.key === 'Escape') {
+                        event.preventDefault();
+                        finish(null);
+                    }
+                    event.stopPropagation();
+                });
+            });
+
+            let settled = false;
+            const finish = (values) => {
+                if (settled) return;
+                settled = true;
+                if (this.activeForm && this.activeForm.element === wrapper) {
+                    this.activeForm = null;
+                }
+                wrapper.classList.remove('show');
+                setTimeout(() => {
+                    if (wrapper.parentNode) {
+                        wrapper.parentNode.removeChild(wrapper);
+                    }
+                }, 300);
+                resolve(values);
+            };
+
+            wrapper.addEventListener('submit', (event) => {
+                event.preventDefault();
+                event.stopPropagation();
+                const values = {};
+                controls.forEach((control) => {
+                    values[control.dataset.fieldName] = control.value;
+                    this.lastValues[control.dataset.fieldName] = control.value;
+                });
+                finish(values);
+            });
+            cancelButton.addEventListener('click', () => finish(null));
+            closeButton.addEventListener('click', () => finish(null));
+
+            this.activeForm = { element: wrapper, cancel: () => finish(null) };
+            document.body.appendChild(wrapper);
+
+            // Trigger reflow to enable CSS transition
+            void wrapper.offsetWidth;
+            wrapper.classList.add('show');
+
+            const firstControl = wrapper.querySelector('[data-autofocus="true"]');
+            if (firstControl) {
+                firstControl.focus({ preventScroll: true });
+                if (typeof firstControl.select === 'function') {
+                    firstControl.select();
+                }
+            }
+        });
+    },
+
+    /**
+     * @returns {boolean} True while a form is waiting for input.
+     */
+    isOpen: function () {
+        return !!this.activeForm;
+    }
+};
@@ -1,6 +1,6 @@
 // common-ui-elements/ocp_toast.js
-// Version: 1.2
-// Handles displaying toast notifications.
+// Version: 1.3
+// Handles displaying toast notifications, and yes/no questions as toasts (showConfirmToast).
 
 'use strict';
 
@@ -157,3 +157,39 @@ function showToast(message, type = 'info', options = 3000) {
         setTimeout(hideToast, duration);
     }
 }
+
+/**
+ * Asks a yes/no question in a sticky toast; the in-page replacement for window.confirm.
+ * Closing the toast counts as "no".
+ *
+ * @param {string} message - The question.
+ * @param {Object} [options] - { confirmText, cancelText, tooltip, type }.
+ * @returns {Promise<boolean>} true when the confirm button was clicked.
+ */
+function showConfirmToast(message, options = {}) {
+    return new Promise((resolve) => {
+        let answered = false;
+        const answer = (value) => {
+            if (answered) return;
+            answered = true;
+            resolve(value);
+        };
+        showToast(message, options.type || 'info', {
+            duration: 0,
+            tooltip: options.tooltip,
+            customButtons: [
+                {
+                    text: options.confirmText || 'OK',
+                    className: 'toast-action-primary',
+                    onClick: () => answer(true)
+                },
+                {
+                    text: options.cancelText || 'Cancel',
+                    className: 'toast-action-secondary',
+                    onClick: () => answer(false)
+                }
+            ],
+            onDismiss: () => answer(false)
+        });
+    });
+}
@@ -8,6 +8,9 @@ Service worker responsibilities (current):
 - Owns profile storage and related handlers (getConfig/saveConfig/switchProfile/etc.).
 - Delegates non‑profile storage (theme, custom selectors, floating panel, cross‑chat) to modules/service-worker-auxiliary-state-store.js.
 - Opens the welcome page on fresh install.
+- Runs the storage migrations on install, update and browser start (modules/service-worker-migrations.js).
+- Takes the periodic restore point snapshots (alarm, modules/service-worker-backup.js).
+- Forwards storage changes to the opt-in cross-device sync (modules/service-worker-sync.js).
 
 ARCHITECTURE NOTE:
 This file has been refactored to improve maintainability. Most functionality has been extracted
@@ -26,7 +29,8 @@ MODULE DEPENDENCIES:
    - Manages: themes, custom selectors, floating panel settings, cross-chat data,
      inline selector settings, token approximator settings
    - Provides broadcast mechanism for settings changes to all tabs
-   - Used by: message router for non-profile message types
+   - Used by: message router for non-profile message types, and the tab-close
+     listener below (drops persisted queue sessions of closed tabs)
 
 3. modules/service-worker-message-router.js (handleMessage)
    - Contains the large switch statement that was previously inline here
@@ -36,17 +40,29 @@ MODULE DEPENDENCIES:
      all floating panel operations, all cross-chat operations, module settings, etc.
    - Returns: async response handling (returns true for all async operations)
    - Dependencies: Uses StateStore and profile-manager functions internally
+     (and service-worker-backup.js, which combines both for the full backup)
 
 4. modules/service-worker-profile-manager.js (profile functions)
    - Exports: createDefaultProfile, getCurrentProfileConfig, saveProfileConfig,
      loadProfileConfig, switchProfile, broadcastProfileChange, listProfiles,
-     deleteProfile, areProfileConfigsEqual
+     deleteProfile, areProfileConfigsEqual, profile rules, profile scope and
+     profile inheritance helpers
+     (forgetProfileTab is used by the tab-close listener below)
    - Handles all profile CRUD operations
    - Manages profile normalization (adding default properties for backward compatibility)
    - Broadcasts profile changes to content scripts in all tabs
    - Dependencies: Uses config-helpers for logging and error handling
 
-5. modules/service-worker-config-helpers.js (utility functions)
+5. modules/service-worker-migrations.js (runMigrations)
+   - Ordered, idempotent storage migrations tracked by the StateStore schema version
+   - Moves legacy keys into the namespaced schema, migrates stored profiles, then removes the legacy keys
+   - Results are appended to the StateStore migration log
+
+6. modules/service-worker-sync.js (handleSyncStorageChange, scheduleSync)
+   - Opt-in mirror of profiles and selected settings in chrome.storage.sync (chunked, one item per profile)
+   - Conflicts between computers are resolved by modification time
+
+7. modules/service-worker-config-helpers.js (utility functions)
    - Exports: logConfigurationRelatedStuff, handleStorageError, loadDefaultConfig
    - Provides logging with [config] prefix
    - Handles storage quota errors
@@ -81,9 +97,13 @@ No changes required in any files that communicate with this service worker.
 
 // Module imports with clear documentation
 import './context-menu.js'; // Side-effect: registers extension icon right-click menu
-// Note: StateStore is imported and used by service-worker-message-router.js, not directly here
+// StateStore is mostly used by service-worker-message-router.js; here only for tab-close cleanup
+import { StateStore } from './modules/service-worker-auxiliary-state-store.js';
 import { handleMessage } from './modules/service-worker-message-router.js'; // Routes all message types
-import { createDefaultProfile } from './modules/service-worker-profile-manager.js'; // Used on install
+import { createDefaultProfile, forgetProfileTab } from './modules/service-worker-profile-manager.js'; // Used on install and tab close
+import { runMigrations } from './modules/service-worker-migrations.js'; // Storage schema upgrades
+import { SNAPSHOT_ALARM_NAME, ensureSnapshotAlarm, takeSnapshot } from './modules/service-worker-backup.js'; // Periodic restore points
+import { handleSyncStorageChange, scheduleSync } from './modules/service-worker-sync.js'; // Cross-device sync
 
 // ===== Service Worker Lifecycle =====
 
@@ -123,6 +143,58 @@ chrome.runtime.onInstalled.addListener(async (details) => {
         // Initialize default profile from default-config.json
         await createDefaultProfile();
     }
+    // A fresh install has nothing to migrate, but the runner still records the current schema version.
+    if (details.reason === 'install' || details.reason === 'update') {
+        const trigger = details.reason === 'update' ? `update from ${details.previousVersion || 'unknown'}` : 'install';
+        await runMigrations(trigger).catch((error) => {
+            console.warn('[config] Storage migrations failed:', error);
+        });
+    }
+});
+
+// Retries migrations that failed during the last update (no-op when the schema is current)
+chrome.runtime.onStartup.addListener(() => {
+    runMigrations('startup').catch((error) => {
+        console.warn('[config] Storage migrations failed:', error);
+    });
+});
+
+// ===== Periodic Restore Points =====
+
+// Checked on every service worker start, since Firefox does not keep alarms across browser restarts
+ensureSnapshotAlarm().catch((error) => {
+    console.warn('[config] Failed to schedule periodic snapshots:', error);
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name !== SNAPSHOT_ALARM_NAME) {
+        return;
+    }
+    takeSnapshot('Periodic snapshot', { trigger: 'periodic', skipIfUnchanged: true }).catch((error) => {
+        console.warn('[config] Periodic snapshot failed:', error);
+    });
+});
+
+// ===== Cross-Device Sync =====
+
+// Picks up changes made on other computers while this worker was not running (no-op while sync is off)
+scheduleSync('service worker start');
+
+chrome.storage.onChanged.addListener(handleSyncStorageChange);
+
+// ===== Tab Close Handler =====
+
+// Persisted queue sessions are per tab; once the tab is gone there is nothing to resume
+chrome.tabs.onRemoved.addListener((tabId) => {
+    StateStore.clearQueueSessionsForTab(tabId).catch((error) => {
+        console.warn('[config] Failed to clear queue sessions for closed tab:', error);
+    });
+    StateStore.forgetBroadcastTab(tabId).catch((error) => {
+        console.warn('[config] Failed to clear the broadcast shield for closed tab:', error);
+    });
+    forgetProfileTab(tabId).catch((error) => {
+        console.warn('[config] Failed to forget the profile of closed tab:', error);
+    });
 });
 
 // ===== Storage Change Listener (for debugging) =====
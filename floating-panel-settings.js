@@ -10,6 +10,7 @@
 // 2. Storage Integration - Communication with the config.js service worker
 // 3. Profile Management - Loading available profiles and handling profile switching
 // 4. Initialization - Setup of the floating panel system
+// 5. Queue Session Persistence - Saving the prompt queue per tab and offering to resume it after a reload
 //
 // Key Methods:
 // - loadPanelSettings(): Fetches settings from service worker for current hostname
@@ -19,6 +20,9 @@
 // - getCurrentProfile(): Fetches and sets current active profile
 // - switchToProfile(): Changes active profile and updates panel content
 // - initialize(): Sets up the floating panel by creating UI and loading settings
+// - persistQueueSession(): Saves the queue items, failed items and timer state for this tab + hostname (coalesced)
+// - offerQueueSessionRestore(): Shows a "Resume queue?" toast when a saved queue exists for this tab
+// - restoreQueueSession(session): Rebuilds the queue from a saved session and resumes or re-pauses it
 //
 // Implementation Details:
 // - All settings are stored with the prefix 'floating_panel_' followed by hostname
@@ -26,6 +30,8 @@
 // - The panel uses a debounce mechanism (150ms) to avoid excessive storage writes
 // - Each website has its own panel settings (position, size, visibility)
 // - Profile switching refreshes the buttons shown in the panel
+// - Queue sessions live in the service worker (StateStore 'queue.sessions'), keyed by tab id + hostname.
+//   The in-memory queue already survives SPA navigation, so the resume offer only matters after a real reload.
 //
 // Dependencies:
 // - floating-panel.js: Provides the namespace and shared properties
@@ -215,10 +221,10 @@ window.MaxExtensionFloatingPanel.getCurrentProfile = function () {
         { type: 'getConfig' },
         (response) => {
             if (response && response.config) {
-                // Retrieve current profile name from storage.
-                chrome.storage.local.get(['currentProfile'], (result) => {
-                    if (result.currentProfile) {
-                        this.currentProfileName = result.currentProfile;
+                // Retrieve the profile name of this tab (per-tab profiles may differ from the global one).
+                chrome.runtime.sendMessage({ type: 'getActiveProfileName' }, (result) => {
+                    if (result && result.profileName) {
+                        this.currentProfileName = result.profileName;
                         logConCgp('[floating-panel] Current profile:', this.currentProfileName);
                         // Update the profile switcher UI.
                         this.createProfileSwitcher();
@@ -235,6 +241,8 @@ window.MaxExtensionFloatingPanel.getCurrentProfile = function () {
 window.MaxExtensionFloatingPanel.switchToProfile = function (profileName) {
     // Prevent switching to the same profile.
     if (profileName === this.currentProfileName) return;
+    // A hand-picked profile is kept on this page even if a site rule says otherwise (see init.js).
+    window.__OCP_profileRuleOverrideUrl = window.location.href;
     chrome.runtime.sendMessage(
         // Pass origin so receivers (including our own content script)
         // can limit refresh scope to the floating panel only.
@@ -281,7 +289,210 @@ window.MaxExtensionFloatingPanel.initialize = function () {
             // Load available profiles (which will populate the switcher).
             this.loadAvailableProfiles();
         }
+        // A queue saved before the last reload can be picked up again.
+        this.offerQueueSessionRestore();
     });
 
     logConCgp('[floating-panel] Floating panel initialization process started.');
 };
+
+/**
+ * Saves the current queue (items, failed items, timer position, running/paused flag) for this tab and hostname.
+ * Calls made in the same burst (e.g. reset -> pause) are coalesced into one write.
+ * An empty queue with an empty failed list clears the saved session.
+ */
+window.MaxExtensionFloatingPanel.persistQueueSession = function () {
+    if (this.queueSessionSaveTimer) {
+        clearTimeout(this.queueSessionSaveTimer);
+    }
+    this.queueSessionSaveTimer = setTimeout(() => {
+        this.queueSessionSaveTimer = null;
+        const hostname = window.location.hostname;
+        const items = (Array.isArray(this.promptQueue) ? this.promptQueue : []).map((entry) => {
+            const { queueId, ...rest } = entry;
+            return rest;
+        });
+        const failedItems = Array.isArray(this.failedQueueItems) ? this.failedQueueItems : [];
+
+        if (items.length === 0 && failedItems.length === 0) {
+            chrome.runtime.sendMessage({ type: 'clearQueueSession', hostname }, () => {
+                if (chrome.runtime.lastError) {
+                    logConCgp('[floating-panel] Failed to clear queue session:', chrome.runtime.lastError.message);
+                }
+            });
+            return;
+        }
+
+        const session = {
+            url: window.location.href,
+            items,
+            failedItems,
+            state: this.isQueueRunning ? 'running' : 'paused',
+            timerStartTime: this.timerStartTime,
+            currentTimerDelay: this.currentTimerDelay,
+            remainingTimeOnPause: this.remainingTimeOnPause,
+            awaitingResponse: !!this.responseWatch || !!this.resumeWithResponseWatch,
+            // Running with neither a timer nor a reply watch: an item is being sent right now.
+            dispatchInFlight: this.isQueueRunning && !this.queueTimerId && !this.responseWatch,
+            scheduledStartAt: this.scheduledQueueStartAt || 0
+        };
+        chrome.runtime.sendMessage({ type: 'saveQueueSession', hostname, session }, (response) => {
+            if (chrome.runtime.lastError) {
+                logConCgp('[floating-panel] Failed to save queue session:', chrome.runtime.lastError.message);
+            } else if (response && response.error) {
+                logConCgp('[floating-panel] Failed to save queue session:', response.error);
+            }
+        });
+    }, 50);
+};
+
+/**
+ * Checks once per page load for a queue saved in this tab and offers to resume it.
+ */
+window.MaxExtensionFloatingPanel.offerQueueSessionRestore = function () {
+    if (this.queueSessionRestoreChecked) {
+        return;
+    }
+    this.queueSessionRestoreChecked = true;
+
+    // SPA navigation keeps the in-memory queue; only an empty queue can be restored into.
+    if (this.promptQueue.length > 0 || this.isQueueRunning) {
+        return;
+    }
+
+    const hostname = window.location.hostname;
+    chrome.runtime.sendMessage({ type: 'getQueueSession', hostname }, (response) => {
+        if (chrome.runtime.lastError) {
+            logConCgp('[floating-panel] Could not read saved queue session:', chrome.runtime.lastError.message);
+            return;
+        }
+        const session = response && response.session;
+        if (!session || !Array.isArray(session.items) || (session.items.length === 0 && session.failedItems.length === 0)) {
+            return;
+        }
+        if (typeof showToast !== 'function') {
+            return;
+        }
+
+        const count = session.items.length;
+        const failedCount = session.failedItems.length;
+        let stateLabel = session.state === 'running' ? 'was running' : 'was paused';
+        if (session.scheduledStartAt > 0) {
+            stateLabel = `scheduled for ${new Date(session.scheduledStartAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+        }
+        const failedLabel = failedCount > 0 ? `, ${failedCount} failed` : '';
+        logConCgp(`[floating-panel] Found saved queue session with ${count} item(s) and ${failedCount} failed item(s) for ${hostname}.`);
+        showToast(`Resume queue? ${count} prompt${count === 1 ? '' : 's'} left (${stateLabel}${failedLabel}).`, 'info', {
+            duration: 0,
+            tooltip: 'The prompt queue from before the page reload can be restored.',
+            customButtons: [
+                {
+                    text: '▶️ Resume',
+                    title: 'Restore the queue and continue where it stopped',
+                    className: 'toast-action-primary',
+                    onClick: () => this.restoreQueueSession(session)
+                },
+                {
+                    text: '✖ Discard',
+                    title: 'Forget the saved queue',
+                    className: 'toast-action-secondary',
+                    onClick: () => {
+                        chrome.runtime.sendMessage({ type: 'clearQueueSession', hostname }, () => {
+                            void chrome.runtime.lastError;
+                        });
+                    }
+                }
+            ]
+        });
+    });
+};
+
+/**
+ * Rebuilds the queue from a saved session.
+ * A running session continues with the time that was left (or watches the reply in response pacing);
+ * a scheduled one is re-armed (or started if its time has passed); a paused session comes back paused
+ * at the same position. The failed list comes back as it was.
+ * @param {object} session - Session object as returned by the 'getQueueSession' message.
+ * @returns {Promise<boolean>} true when the queue was restored.
+ */
+window.MaxExtensionFloatingPanel.restoreQueueSession = async function (session) {
+    if (this.promptQueue.length > 0 || this.isQueueRunning) {
+        showToast('The queue already has prompts. Saved queue was not restored.', 'error', 4000);
+        return false;
+    }
+
+    if (!this.isPanelVisible) {
+        await this.togglePanel();
+        if (!this.isPanelVisible) {
+            return false;
+        }
+    }
+    if (typeof this.ensureQueueModeEnabled !== 'function' || !this.ensureQueueModeEnabled()) {
+        showToast('Enable queue mode in the panel to resume the saved queue.', 'error', 4000);
+        return false;
+    }
+
+    session.items.slice(0, this.QUEUE_MAX_SIZE).forEach((item) => this.addToQueue(item));
+    this.failedQueueItems = session.failedItems.slice();
+    if (typeof this.renderFailedQueueItems === 'function') {
+        this.renderFailedQueueItems();
+    }
+    if (this.promptQueue.length === 0) {
+        // Only failed items were left: nothing to start, they wait in the failed list.
+        logConCgp(`[floating-panel] Restored ${this.failedQueueItems.length} failed queue item(s).`);
+        this.updateQueueControlsState();
+        this.persistQueueSession();
+        return true;
+    }
+
+    const responsePacing = this.isResponsePacingEnabled();
+    this.resumeWithResponseWatch = !!session.awaitingResponse && responsePacing;
+
+    if (session.state === 'running') {
+        let remaining = 0;
+        if (session.dispatchInFlight) {
+            // The reload may have been caused by that send: treat the item as sent and wait as usual.
+            if (responsePacing) {
+                this.resumeWithResponseWatch = true;
+            } else {
+                remaining = this.getQueueDelayWithRandomMs();
+                this.currentTimerDelay = remaining;
+            }
+        } else if (session.currentTimerDelay > 0 && session.timerStartTime > 0) {
+            remaining = session.currentTimerDelay - (Date.now() - session.timerStartTime);
+            this.currentTimerDelay = session.currentTimerDelay;
+        }
+        // A timer that already ran out while the page was gone sends the next item right away.
+        this.remainingTimeOnPause = Math.max(0, remaining);
+        logConCgp(`[floating-panel] Resuming saved queue (${this.promptQueue.length} items, ${this.remainingTimeOnPause}ms left).`);
+        this.startQueue();
+    } else if (session.scheduledStartAt > 0) {
+        this.currentTimerDelay = session.currentTimerDelay;
+        this.remainingTimeOnPause = session.remainingTimeOnPause;
+        if (session.scheduledStartAt > Date.now()) {
+            logConCgp('[floating-panel] Restored saved queue and re-armed its scheduled start.');
+            this.scheduleQueueStart(session.scheduledStartAt);
+        } else {
+            // The start time passed while the page was gone: start now.
+            logConCgp('[floating-panel] Scheduled start of the saved queue already passed. Starting now.');
+            this.startQueue();
+        }
+    } else {
+        this.currentTimerDelay = session.currentTimerDelay;
+        this.remainingTimeOnPause = session.remainingTimeOnPause;
+        if (this.remainingTimeOnPause > 0 && this.currentTimerDelay > 0) {
+            const elapsedRatio = 1 - (this.remainingTimeOnPause / this.currentTimerDelay);
+            if (this.queueProgressContainer) {
+                this.queueProgressContainer.style.display = 'block';
+            }
+            if (this.queueProgressBar) {
+                this.queueProgressBar.style.transition = 'none';
+                this.queueProgressBar.style.width = `${Math.max(0, elapsedRatio) * 100}%`;
+            }
+        }
+        logConCgp(`[floating-panel] Restored saved queue in paused state (${this.promptQueue.length} items).`);
+        this.updateQueueControlsState();
+        this.persistQueueSession();
+    }
+    return true;
+};
@@ -8,6 +8,11 @@
 // Methods included:
 // - createFloatingPanel(): Fetches floating-panel-files/floating-panel.html and injects it into the page.
 // - createProfileSwitcher(): Builds the profile dropdown in the panel footer.
+// - bindHeaderPopover(): Shared open/close handling for header popovers (outside click, ESC).
+// - initializeConversationExport(): Wires the ⤓ header button (Markdown/JSON transcript via modules/conversation-export.js).
+// - initializeBroadcastRecipients(): Wires the 🎯 header button (broadcast recipient picker, modules/broadcast-recipients.js).
+// - updateRecipientsButtonVisibility(): Shows the 🎯 button only while the Danger broadcast is enabled.
+// - syncShieldControls(): Mirrors the broadcast shield of this tab / hostname into the 🎯 popover checkboxes.
 // - makeDraggable(): Enables drag functionality on an element via a handle.
 // - positionPanelAtCursor(): Positions the panel relative to the mouse cursor.
 // - positionPanelBottomRight(): Positions the panel to the lower-right corner safely.
@@ -275,6 +280,9 @@ window.MaxExtensionFloatingPanel.createFloatingPanel = async function () {
             transparencySlider.addEventListener('click', (event) => event.stopPropagation());
         }
 
+        this.initializeConversationExport();
+        this.initializeBroadcastRecipients();
+
         this.makeDraggable(panel, panelHeader);
         this.makeDraggable(panel, profileSwitcherContainer);
 
@@ -304,6 +312,161 @@ window.MaxExtensionFloatingPanel.createFloatingPanel = async function () {
     }
 };
 
+/**
+ * Opens/closes a header popover from its button (outside click and ESC close it).
+ * @param {HTMLElement} button
+ * @param {HTMLElement} popover
+ * @param {Function} [onOpen] - Called each time the popover opens.
+ * @returns {Function} Closes the popover.
+ */
+window.MaxExtensionFloatingPanel.bindHeaderPopover = function (button, popover, onOpen) {
+    const closePopover = () => {
+        popover.style.display = 'none';
+        if (typeof this.restorePopoverToOriginalParent === 'function') {
+            this.restorePopoverToOriginalParent(popover);
+        }
+    };
+
+    button.addEventListener('click', (event) => {
+        event.stopPropagation();
+        if (popover.style.display === 'block') {
+            closePopover();
+            return;
+        }
+        popover.style.display = 'block';
+        if (typeof this.positionFloatingPopover === 'function') {
+            this.positionFloatingPopover(popover, button, { offsetY: 6, align: 'right' });
+        }
+        if (typeof onOpen === 'function') {
+            onOpen();
+        }
+    });
+    // Keep clicks inside the popover away from the panel's drag handling.
+    popover.addEventListener('mousedown', (event) => event.stopPropagation());
+
+    document.addEventListener('mousedown', (event) => {
+        if (popover.style.display !== 'block') return;
+        if (!popover.contains(event.target) && !button.contains(event.target)) {
+            closePopover();
+        }
+    }, true);
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape' && popover.style.display === 'block') {
+            closePopover();
+        }
+    }, true);
+
+    return closePopover;
+};
+
+/**
+ * Wires the ⤓ header button and its popover that download the current conversation.
+ */
+window.MaxExtensionFloatingPanel.initializeConversationExport = function () {
+    const exportButton = document.getElementById('max-extension-panel-export-btn');
+    const exportPopover = document.getElementById('max-extension-export-popover');
+    if (!exportButton || !exportPopover) {
+        logConCgp('[floating-panel] Conversation export elements not found.');
+        return;
+    }
+
+    const closeExportPopover = this.bindHeaderPopover(exportButton, exportPopover);
+
+    const runExport = (format) => {
+        closeExportPopover();
+        if (!window.OCPConversationExport) {
+            logConCgp('[floating-panel] Conversation export module not loaded.');
+            return;
+        }
+        const count = window.OCPConversationExport.download(format);
+        if (count === 0) {
+            showToast('No messages found on this page to export.', 'info', 3000);
+        } else {
+            showToast(`Exported ${count} messages.`, 'success', 2000);
+        }
+    };
+    document.getElementById('max-extension-export-markdown-btn')?.addEventListener('click', () => runExport('markdown'));
+    document.getElementById('max-extension-export-json-btn')?.addEventListener('click', () => runExport('json'));
+};
+
+/**
+ * Wires the 🎯 header button that picks the tabs receiving the Danger broadcast.
+ * The tab list is loaded each time the popover opens, since tabs come and go.
+ */
+window.MaxExtensionFloatingPanel.initializeBroadcastRecipients = function () {
+    const recipientsButton = document.getElementById('max-extension-panel-recipients-btn');
+    const recipientsPopover = document.getElementById('max-extension-recipients-popover');
+    const picker = document.getElementById('max-extension-recipients-picker');
+    if (!recipientsButton || !recipientsPopover || !picker) {
+        logConCgp('[floating-panel] Broadcast recipient elements not found.');
+        return;
+    }
+    this.bindHeaderPopover(recipientsButton, recipientsPopover, () => {
+        if (window.OCPBroadcastRecipients) {
+            window.OCPBroadcastRecipients.renderPicker(picker);
+        }
+        this.syncShieldControls();
+    });
+
+    // Shield checkboxes: the service worker stores the change and every tab reloads its shield (init.js).
+    const bindShieldCheckbox = (id, scope) => {
+        const checkbox = document.getElementById(id);
+        if (!checkbox) return;
+        checkbox.addEventListener('change', () => {
+            chrome.runtime.sendMessage({
+                type: 'setBroadcastShield',
+                scope,
+                enabled: checkbox.checked,
+                hostname: window.location.hostname
+            }, (response) => {
+                if (chrome.runtime.lastError || !response?.success) {
+                    logConCgp('[floating-panel] Could not change the broadcast shield:', chrome.runtime.lastError?.message || response?.error);
+                    showToast('Could not change the broadcast shield.', 'error', 2500);
+                    this.syncShieldControls();
+                }
+            });
+        });
+    };
+    bindShieldCheckbox('max-extension-shield-tab', 'tab');
+    bindShieldCheckbox('max-extension-shield-hostname', 'hostname');
+    this.syncShieldControls();
+    this.updateRecipientsButtonVisibility();
+};
+
+/**
+ * Sets the shield checkboxes of the 🎯 popover from window.__OCP_broadcastShield (kept by init.js).
+ */
+window.MaxExtensionFloatingPanel.syncShieldControls = function () {
+    const shield = window.__OCP_broadcastShield || { tab: false, hostname: false };
+    const tabCheckbox = document.getElementById('max-extension-shield-tab');
+    const hostnameCheckbox = document.getElementById('max-extension-shield-hostname');
+    const hostnameLabel = document.getElementById('max-extension-shield-hostname-label');
+    if (tabCheckbox) {
+        tabCheckbox.checked = shield.tab;
+    }
+    if (hostnameCheckbox) {
+        hostnameCheckbox.checked = shield.hostname;
+    }
+    if (hostnameLabel) {
+        hostnameLabel.textContent = window.location.hostname;
+    }
+};
+
+/**
+ * Shows the 🎯 button only while the Danger broadcast is enabled (and the header is expanded).
+ */
+window.MaxExtensionFloatingPanel.updateRecipientsButtonVisibility = function () {
+    const recipientsButton = document.getElementById('max-extension-panel-recipients-btn');
+    const recipientsPopover = document.getElementById('max-extension-recipients-popover');
+    if (!recipientsButton) return;
+    const config = window.globalCrossChatConfig;
+    const visible = !!(config?.enabled && config?.dangerAutoSendAll) && !this.currentPanelSettings?.isHeaderCollapsed;
+    recipientsButton.style.display = visible ? '' : 'none';
+    if (!visible && recipientsPopover) {
+        recipientsPopover.style.display = 'none';
+    }
+};
+
 /**
  * Creates the profile switcher UI inside the panel footer.
  */
@@ -350,6 +513,11 @@ window.MaxExtensionFloatingPanel.createProfileSwitcher = function () {
         profileSelector.appendChild(option);
     });
 
+    const siteRule = window.__OCP_profileRule;
+    if (siteRule && siteRule.profileName === this.currentProfileName) {
+        profileSelector.title = `Picked by the site rule "${siteRule.pattern}"`;
+    }
+
     // Add change event listener to the profile selector
     profileSelector.addEventListener('change', (event) => {
         const selectedProfileName = event.target.value;
@@ -8,16 +8,42 @@
 //
 // Methods included:
 // - addToQueue(buttonConfig): Adds a prompt to the queue.
+// - enqueueMacroSteps(macroConfig): Adds every step of a macro button (opens the panel / enables queue mode if needed).
 // - removeFromQueue(index): Removes a prompt from the queue by its index.
 // - startQueue(): Begins or resumes the sequential sending process.
 // - pauseQueue(): Pauses the sending process, remembering the elapsed time.
 // - resetQueue(): Stops and clears the entire queue and resets timer state.
+// - scheduleQueueStart(startAt): Arms the queue to start at a clock time (epoch ms); countdown shown in the progress area.
+// - cancelScheduledQueueStart(options): Disarms a scheduled start (also used by Play, reset and the popup).
+// - fireScheduledQueueStart(): Starts the queue once the scheduled time is reached.
 // - recalculateRunningTimer(): Adjusts the current timer and progress bar when the delay is changed.
 // - processNextQueueItem(): The core function that sends one item and sets a timer for the next.
+// - waitForResponseCompletion(baselineAnswerCount): Resolves once the AI has finished answering (OCPResponseWatcher;
+//   the baseline is the answer count taken before the send).
+// - scheduleNextItemAfterResponse(): "Wait for response" pacing: watches the reply, then waits the settle time.
+// - getQueueRetryPolicy(): Reads the per-profile retry settings (attempts, backoff, retryable reasons).
+// - getQueueRetryDelayMs(attempt): Backoff before the given retry attempt (fixed or doubling, capped at 1h).
+// - scheduleQueueItemRetry(item, attempt, failMsg, failTooltip): Puts a failed item back in front and waits the backoff.
+// - moveItemToFailedList(item, reasonKey): Keeps an item whose retries are exhausted in failedQueueItems.
+// - requeueFailedQueueItem(index) / requeueAllFailedQueueItems(): Moves failed items back into the queue.
+// - clearFailedQueueItems(): Empties the failed list.
+//
+// Every dispatch is recorded via recordQueueHistoryEntry() (floating-panel-ui-queue-history.js).
+//
+// Pacing modes (profile field queuePacingMode):
+// - 'delay' (default): the next item is sent after the fixed delay (queueDelayMinutes/Seconds, optional random offset).
+// - 'response': the next item is sent queueResponseSettleSeconds after the reply finished. The settle phase uses the
+//   regular timer, so pause/resume, skip and seek on the progress bar behave as in delay mode.
+//
+// Retry policy (profile fields queueRetryMaxAttempts/BackoffSeconds/BackoffMode/Reasons):
+// A 'not_found'/'failed' result whose reason (or status when there is none) is listed in queueRetryReasons is retried
+// up to queueRetryMaxAttempts times. The wait uses the regular timer, so pause, skip and seek work during it too.
+// Items that are not retryable or run out of attempts go to failedQueueItems (shown under the queue) and the queue pauses.
 //
 // Dependencies:
 // - floating-panel.js: Provides the namespace and shared properties.
 // - floating-panel-ui-queue.js: Provides UI update functions like renderQueueDisplay.
+// - modules/response-watcher.js: Shared stop-button/quiet watch for "wait for response" pacing.
 
 'use strict';
 
@@ -25,6 +51,18 @@ const queueSleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 const QUEUE_SCROLL_REPETITIONS = 3;
 const QUEUE_SCROLL_DELAY_MS = 250;
 const QUEUE_SCROLL_FINAL_SETTLE_MS = 400;
+// Response watching ("wait for response" pacing, modules/response-watcher.js)
+// If neither a stop button nor a new answer shows up in this window, the reply is treated as already finished.
+const RESPONSE_WATCH_START_TIMEOUT_MS = 20000;
+// The thread must stay unchanged this long (after the stop button is gone) to count as finished.
+const RESPONSE_WATCH_QUIET_MS = 2000;
+// Pages with live widgets never go fully quiet; stop waiting for quiet this long after the stop button disappeared.
+const RESPONSE_WATCH_MAX_TAIL_MS = 120000;
+// Scheduled start: countdown refresh interval and the furthest a start can be armed ahead.
+const QUEUE_SCHEDULE_TICK_MS = 1000;
+const QUEUE_SCHEDULE_MAX_AHEAD_MS = 24 * 60 * 60 * 1000;
+// Retry policy: longest wait between attempts.
+const QUEUE_RETRY_MAX_BACKOFF_MS = 60 * 60 * 1000;
 
 /**
  * Adds a prompt configuration to the queue.
@@ -65,6 +103,68 @@ window.MaxExtensionFloatingPanel.addToQueue = function (buttonConfig) {
     logConCgp('[queue-engine] Added to queue:', queueEntry.text);
     this.renderQueueDisplay();
     this.updateQueueControlsState();
+    if (typeof this.persistQueueSession === 'function') {
+        this.persistQueueSession();
+    }
+};
+
+/**
+ * Enqueues all steps of a macro button in order.
+ * Opens the panel and enables queue mode first when needed. A macro is added completely or not at all,
+ * so a nearly full queue never ends up holding only the first half of a workflow.
+ * @param {object} macroConfig
+ * @param {string} [macroConfig.icon] - Icon shown on every queued step.
+ * @param {string[]} macroConfig.steps - Step texts, already filled in (ask placeholders resolved).
+ * @param {boolean} [macroConfig.autoStart] - Start the queue after enqueuing.
+ * @returns {Promise<{status: string, reason?: string, count?: number}>}
+ */
+window.MaxExtensionFloatingPanel.enqueueMacroSteps = async function (macroConfig) {
+    const steps = Array.isArray(macroConfig?.steps) ? macroConfig.steps : [];
+    if (!steps.length) {
+        return { status: 'failed', reason: 'empty_macro' };
+    }
+
+    if (!this.isPanelVisible) {
+        logConCgp('[queue-engine] Macro clicked with the panel hidden. Opening the panel.');
+        await this.togglePanel();
+        if (!this.isPanelVisible) {
+            return { status: 'failed', reason: 'panel_unavailable' };
+        }
+    }
+
+    if (typeof this.ensureQueueModeEnabled !== 'function' || !this.ensureQueueModeEnabled()) {
+        logConCgp('[queue-engine] Queue mode could not be enabled. Macro not enqueued.');
+        if (typeof showToast === 'function') {
+            const message = window.globalMaxExtensionConfig?.queueHideActivationToggle
+                ? 'Macro needs the prompt queue, which is disabled in settings.'
+                : 'Enable queue mode in the panel, then click the macro again.';
+            showToast(message, 'error', 4000);
+        }
+        return { status: 'failed', reason: 'queue_disabled' };
+    }
+
+    const freeSlots = this.QUEUE_MAX_SIZE - this.promptQueue.length;
+    if (steps.length > freeSlots) {
+        logConCgp(`[queue-engine] Macro has ${steps.length} steps but only ${freeSlots} queue slots are free.`);
+        if (typeof showToast === 'function') {
+            showToast(`Macro has ${steps.length} steps, but only ${Math.max(0, freeSlots)} queue slots are free.`, 'error', 4000);
+        }
+        return { status: 'failed', reason: 'queue_full' };
+    }
+
+    steps.forEach((stepText) => {
+        this.addToQueue({
+            icon: macroConfig.icon || '',
+            text: stepText,
+            autoSend: true
+        });
+    });
+    logConCgp(`[queue-engine] Macro enqueued ${steps.length} steps.`);
+
+    if (macroConfig.autoStart && !this.isQueueRunning) {
+        this.startQueue();
+    }
+    return { status: 'queued', count: steps.length };
 };
 
 /**
@@ -80,6 +180,9 @@ window.MaxExtensionFloatingPanel.removeFromQueue = function (index) {
         }
         this.renderQueueDisplay();
         this.updateQueueControlsState();
+        if (typeof this.persistQueueSession === 'function') {
+            this.persistQueueSession();
+        }
     }
 };
 
@@ -186,6 +289,9 @@ window.MaxExtensionFloatingPanel.skipToNextQueueItem = function () {
         clearTimeout(this.queueTimerId);
         this.queueTimerId = null;
     }
+    // Skipping also ends any wait for the current reply.
+    this.cancelResponseWatch();
+    this.resumeWithResponseWatch = false;
 
     this.remainingTimeOnPause = 0;
     if (!this.isQueueRunning) {
@@ -267,6 +373,9 @@ window.MaxExtensionFloatingPanel.seekQueueTimerToRatio = function (ratio) {
         if (this.lastQueueDelaySample) {
             this.lastQueueDelaySample.timestamp = Date.now();
         }
+        if (typeof this.persistQueueSession === 'function') {
+            this.persistQueueSession();
+        }
     } else if (!this.isQueueRunning && this.remainingTimeOnPause > 0) {
         this.remainingTimeOnPause = remaining;
 
@@ -280,6 +389,9 @@ window.MaxExtensionFloatingPanel.seekQueueTimerToRatio = function (ratio) {
         if (this.lastQueueDelaySample) {
             this.lastQueueDelaySample.timestamp = Date.now();
         }
+        if (typeof this.persistQueueSession === 'function') {
+            this.persistQueueSession();
+        }
     } else {
         logConCgp('[queue-engine] Seek ignored because no timer is active.');
     }
@@ -303,6 +415,10 @@ window.MaxExtensionFloatingPanel.startQueue = function () {
     if (this.isQueueRunning || (this.promptQueue.length === 0 && this.remainingTimeOnPause <= 0)) {
         return;
     }
+    // Starting by hand (or by the schedule itself) replaces any armed start time.
+    if (this.scheduledQueueStartAt) {
+        this.cancelScheduledQueueStart({ silent: true });
+    }
     this.isQueueRunning = true;
     this.updateQueueControlsState();
 
@@ -334,11 +450,20 @@ window.MaxExtensionFloatingPanel.startQueue = function () {
             void this.processNextQueueItem();
         }, this.remainingTimeOnPause);
 
+    } else if (this.resumeWithResponseWatch && this.isResponsePacingEnabled()) {
+        // Paused while a reply was still being watched: keep watching instead of sending on top of it.
+        this.resumeWithResponseWatch = false;
+        logConCgp('[queue-engine] Queue resumed. Watching the current reply before the next item.');
+        void this.scheduleNextItemAfterResponse();
     } else {
         // Fresh start: send first item immediately.
+        this.resumeWithResponseWatch = false;
         logConCgp('[queue-engine] Queue started.');
         void this.processNextQueueItem();
     }
+    if (typeof this.persistQueueSession === 'function') {
+        this.persistQueueSession();
+    }
 };
 
 /**
@@ -347,6 +472,12 @@ window.MaxExtensionFloatingPanel.startQueue = function () {
 window.MaxExtensionFloatingPanel.pauseQueue = function () {
     this.isQueueRunning = false;
 
+    // Pausing while watching a reply: resume should go back to watching instead of sending right away.
+    if (this.cancelResponseWatch()) {
+        this.resumeWithResponseWatch = true;
+        logConCgp('[queue-engine] Response watch cancelled by pause.');
+    }
+
     if (this.queueTimerId) {
         clearTimeout(this.queueTimerId);
         this.queueTimerId = null;
@@ -369,14 +500,22 @@ window.MaxExtensionFloatingPanel.pauseQueue = function () {
     }
 
     this.updateQueueControlsState();
+    if (typeof this.persistQueueSession === 'function') {
+        this.persistQueueSession();
+    }
 };
 
 /**
  * Resets the queue, clearing all items and stopping the process.
  */
 window.MaxExtensionFloatingPanel.resetQueue = function () {
+    if (this.scheduledQueueStartAt) {
+        this.cancelScheduledQueueStart({ silent: true });
+    }
     this.pauseQueue(); // Stop any running timers and set isQueueRunning to false
     this.promptQueue = [];
+    this.resumeWithResponseWatch = false;
+    this.queueRetryPending = false;
     // Reset timer-related state.
     this.remainingTimeOnPause = 0;
     this.timerStartTime = 0;
@@ -397,6 +536,143 @@ window.MaxExtensionFloatingPanel.resetQueue = function () {
 
     this.renderQueueDisplay();
     this.updateQueueControlsState();
+    if (typeof this.persistQueueSession === 'function') {
+        this.persistQueueSession();
+    }
+};
+
+/**
+ * Arms the queue to start at a specific time. The countdown is shown in the progress area
+ * (status label + bar filling up until the start) and saved with the queue session.
+ * @param {number} startAt - Epoch milliseconds; must be in the next 24 hours.
+ * @returns {boolean} true when the start was armed.
+ */
+window.MaxExtensionFloatingPanel.scheduleQueueStart = function (startAt) {
+    if (!window.globalMaxExtensionConfig?.enableQueueMode) {
+        logConCgp('[queue-engine] Queue mode is disabled. Scheduled start not armed.');
+        return false;
+    }
+    if (this.isQueueRunning) {
+        logConCgp('[queue-engine] Queue is already running. Scheduled start not armed.');
+        return false;
+    }
+    if (this.promptQueue.length === 0 && this.remainingTimeOnPause <= 0) {
+        logConCgp('[queue-engine] Queue is empty. Scheduled start not armed.');
+        return false;
+    }
+    const now = Date.now();
+    if (!Number.isFinite(startAt) || startAt - now > QUEUE_SCHEDULE_MAX_AHEAD_MS) {
+        logConCgp('[queue-engine] Invalid scheduled start time:', startAt);
+        return false;
+    }
+
+    if (this.scheduledQueueStartAt) {
+        this.cancelScheduledQueueStart({ silent: true });
+    }
+
+    const delayMs = Math.max(0, startAt - now);
+    this.scheduledQueueStartAt = startAt;
+    this.scheduledQueueArmedAt = now;
+    this.scheduledQueueTimerId = setTimeout(() => this.fireScheduledQueueStart(), delayMs);
+    // Background tabs may delay timers; the tick also fires the start once the time has passed.
+    this.scheduledQueueTickId = setInterval(() => {
+        if (this.scheduledQueueStartAt && Date.now() >= this.scheduledQueueStartAt) {
+            this.fireScheduledQueueStart();
+            return;
+        }
+        if (typeof this.updateQueueScheduleDisplay === 'function') {
+            this.updateQueueScheduleDisplay();
+        }
+    }, QUEUE_SCHEDULE_TICK_MS);
+
+    if (this.queueProgressContainer) {
+        this.queueProgressContainer.style.display = 'block';
+    }
+    if (this.queueProgressBar) {
+        this.queueProgressBar.style.transition = 'none';
+        this.queueProgressBar.style.width = '0%';
+        void this.queueProgressBar.offsetWidth;
+        this.queueProgressBar.style.transition = `width ${delayMs / 1000}s linear`;
+        this.queueProgressBar.style.width = '100%';
+    }
+
+    logConCgp(`[queue-engine] Queue start scheduled for ${new Date(startAt).toLocaleString()} (in ${Math.round(delayMs / 1000)}s).`);
+    if (typeof this.updateQueueScheduleDisplay === 'function') {
+        this.updateQueueScheduleDisplay();
+    }
+    this.updateQueueControlsState();
+    if (typeof this.persistQueueSession === 'function') {
+        this.persistQueueSession();
+    }
+    return true;
+};
+
+/**
+ * Disarms a scheduled queue start.
+ * @param {object} [options]
+ * @param {boolean} [options.silent=false] - Skip the toast (used when Play/reset replace the schedule).
+ * @returns {boolean} true if a start was armed.
+ */
+window.MaxExtensionFloatingPanel.cancelScheduledQueueStart = function (options = {}) {
+    const { silent = false } = options;
+    if (!this.scheduledQueueStartAt) {
+        return false;
+    }
+    if (this.scheduledQueueTimerId) {
+        clearTimeout(this.scheduledQueueTimerId);
+    }
+    if (this.scheduledQueueTickId) {
+        clearInterval(this.scheduledQueueTickId);
+    }
+    this.scheduledQueueTimerId = null;
+    this.scheduledQueueTickId = null;
+    this.scheduledQueueStartAt = 0;
+    this.scheduledQueueArmedAt = 0;
+
+    if (typeof this.setQueueStatus === 'function') {
+        this.setQueueStatus(null);
+    }
+    if (this.queueProgressBar && !this.isQueueRunning && this.remainingTimeOnPause <= 0) {
+        this.queueProgressBar.style.transition = 'none';
+        this.queueProgressBar.style.width = '0%';
+    }
+
+    logConCgp('[queue-engine] Scheduled queue start cancelled.');
+    if (!silent && typeof showToast === 'function') {
+        showToast('Scheduled queue start cancelled.', 'info', 2500);
+    }
+    if (typeof this.updateQueueScheduleDisplay === 'function') {
+        this.updateQueueScheduleDisplay();
+    }
+    this.updateQueueControlsState();
+    if (typeof this.persistQueueSession === 'function') {
+        this.persistQueueSession();
+    }
+    return true;
+};
+
+/**
+ * Called by the schedule timer: clears the schedule and starts the queue.
+ */
+window.MaxExtensionFloatingPanel.fireScheduledQueueStart = function () {
+    if (!this.scheduledQueueStartAt) {
+        return;
+    }
+    this.cancelScheduledQueueStart({ silent: true });
+
+    if (!window.globalMaxExtensionConfig?.enableQueueMode) {
+        logConCgp('[queue-engine] Scheduled start reached, but queue mode is disabled.');
+        return;
+    }
+    if (this.promptQueue.length === 0 && this.remainingTimeOnPause <= 0) {
+        logConCgp('[queue-engine] Scheduled start reached, but the queue is empty.');
+        if (typeof showToast === 'function') {
+            showToast('Scheduled queue start reached, but the queue is empty.', 'info', 4000);
+        }
+        return;
+    }
+    logConCgp('[queue-engine] Scheduled start reached. Starting queue.');
+    this.startQueue();
 };
 
 /**
@@ -415,6 +691,16 @@ window.MaxExtensionFloatingPanel.recalculateRunningTimer = function () {
         return;
     }
 
+    // In response pacing the running timer is the settle time, which does not depend on the delay input.
+    if (this.isResponsePacingEnabled()) {
+        return;
+    }
+
+    // A retry backoff does not depend on the delay input either.
+    if (this.queueRetryPending) {
+        return;
+    }
+
     logConCgp('[queue-engine] Recalculating timer due to delay change.');
 
     clearTimeout(this.queueTimerId);
@@ -730,6 +1016,275 @@ window.MaxExtensionFloatingPanel.performQueuePreSendActions = async function ()
     }
 };
 
+/**
+ * Whether the queue paces items by watching the AI reply instead of a fixed delay.
+ * @returns {boolean}
+ */
+window.MaxExtensionFloatingPanel.isResponsePacingEnabled = function () {
+    return window.globalMaxExtensionConfig?.queuePacingMode === 'response';
+};
+
+/**
+ * Settle time after a finished reply, in milliseconds (profile field queueResponseSettleSeconds, 1–600s).
+ * @returns {number}
+ */
+window.MaxExtensionFloatingPanel.getQueueResponseSettleMs = function () {
+    const secondsValue = Number(window.globalMaxExtensionConfig?.queueResponseSettleSeconds);
+    const seconds = Number.isFinite(secondsValue) ? secondsValue : 5;
+    return Math.min(600, Math.max(1, seconds)) * 1000;
+};
+
+/**
+ * Stops an active response watch, if any.
+ * @returns {boolean} True when a watch was running.
+ */
+window.MaxExtensionFloatingPanel.cancelResponseWatch = function () {
+    if (!this.responseWatch) {
+        return false;
+    }
+    this.responseWatch.cancel();
+    this.responseWatch = null;
+    return true;
+};
+
+/**
+ * Reads the retry policy from the active profile.
+ * @returns {{maxAttempts: number, backoffMs: number, mode: 'exponential'|'fixed', reasons: string[]}}
+ */
+window.MaxExtensionFloatingPanel.getQueueRetryPolicy = function () {
+    const config = window.globalMaxExtensionConfig || {};
+    const attemptsValue = Number(config.queueRetryMaxAttempts);
+    const backoffValue = Number(config.queueRetryBackoffSeconds);
+    return {
+        maxAttempts: Number.isFinite(attemptsValue) ? Math.min(10, Math.max(0, Math.round(attemptsValue))) : 0,
+        backoffMs: (Number.isFinite(backoffValue) ? Math.min(3600, Math.max(1, backoffValue)) : 10) * 1000,
+        mode: config.queueRetryBackoffMode === 'fixed' ? 'fixed' : 'exponential',
+        // The service worker fills in the default reasons (normalizeProfileConfig) before a profile reaches the page.
+        reasons: Array.isArray(config.queueRetryReasons) ? config.queueRetryReasons : []
+    };
+};
+
+/**
+ * Wait before a retry attempt. Exponential mode doubles the base for every further attempt.
+ * @param {number} attempt - 1 for the first retry.
+ * @returns {number} Milliseconds, at most one hour.
+ */
+window.MaxExtensionFloatingPanel.getQueueRetryDelayMs = function (attempt) {
+    const policy = this.getQueueRetryPolicy();
+    const factor = policy.mode === 'exponential' ? Math.pow(2, Math.max(0, attempt - 1)) : 1;
+    return Math.min(QUEUE_RETRY_MAX_BACKOFF_MS, policy.backoffMs * factor);
+};
+
+/**
+ * Puts a failed item back at the front of the queue and sends it again after the backoff.
+ * @param {object} item - The item that just failed.
+ * @param {number} attempt - Retry number about to be made (1-based).
+ * @param {string} failMsg - Short failure label for the status line.
+ * @param {string} failTooltip - Longer explanation for the status tooltip.
+ */
+window.MaxExtensionFloatingPanel.scheduleQueueItemRetry = function (item, attempt, failMsg, failTooltip) {
+    const { maxAttempts } = this.getQueueRetryPolicy();
+    const delayMs = this.getQueueRetryDelayMs(attempt);
+
+    this.promptQueue.unshift({ ...item, retryCount: attempt });
+    this.queueRetryPending = true;
+    this.renderQueueDisplay();
+    this.updateQueueControlsState();
+    logConCgp(`[queue-engine] ${failMsg}. Retry ${attempt}/${maxAttempts} in ${Math.round(delayMs / 1000)}s.`);
+
+    if (typeof this.setQueueStatus === 'function') {
+        this.setQueueStatus(
+            `Retry ${attempt}/${maxAttempts} in ${this.formatQueueDelayForUnit(delayMs, 'sec')} (${failMsg})`,
+            'info',
+            `${failTooltip} The prompt is sent again automatically. Pause the queue to stop retrying, or skip to retry right away.`
+        );
+    }
+
+    if (this.queueProgressBar) {
+        this.queueProgressBar.style.transition = 'none';
+        this.queueProgressBar.style.width = '0%';
+        setTimeout(() => {
+            this.queueProgressBar.style.transition = `width ${delayMs / 1000}s linear`;
+            this.queueProgressBar.style.width = '100%';
+        }, 20);
+    }
+
+    this.timerStartTime = Date.now();
+    this.currentTimerDelay = delayMs;
+    this.remainingTimeOnPause = 0;
+    this.queueTimerId = setTimeout(() => {
+        void this.processNextQueueItem();
+    }, delayMs);
+    if (typeof this.persistQueueSession === 'function') {
+        this.persistQueueSession();
+    }
+};
+
+/**
+ * Keeps an item that could not be sent, so it can be re-queued from the failed list later.
+ * @param {object} item - The dequeued item.
+ * @param {string} reasonKey - Handler reason (or status) that ended the last attempt.
+ */
+window.MaxExtensionFloatingPanel.moveItemToFailedList = function (item, reasonKey) {
+    if (!Array.isArray(this.failedQueueItems)) {
+        this.failedQueueItems = [];
+    }
+    const { queueId, retryCount, ...rest } = item;
+    this.failedQueueItems.push({
+        ...rest,
+        failedAt: Date.now(),
+        failReason: reasonKey || 'failed',
+        attempts: (retryCount || 0) + 1
+    });
+    logConCgp(`[queue-engine] Moved item to the failed list (${reasonKey}):`, item.text);
+    if (typeof this.renderFailedQueueItems === 'function') {
+        this.renderFailedQueueItems();
+    }
+    if (typeof this.persistQueueSession === 'function') {
+        this.persistQueueSession();
+    }
+};
+
+/**
+ * Moves one failed item back to the end of the queue.
+ * @param {number} index - Index in failedQueueItems.
+ * @returns {boolean} True when the item was re-queued.
+ */
+window.MaxExtensionFloatingPanel.requeueFailedQueueItem = function (index) {
+    if (!Array.isArray(this.failedQueueItems) || index < 0 || index >= this.failedQueueItems.length) {
+        return false;
+    }
+    if (!window.globalMaxExtensionConfig?.enableQueueMode || this.promptQueue.length >= this.QUEUE_MAX_SIZE) {
+        logConCgp('[queue-engine] Cannot re-queue failed item: queue mode is off or the queue is full.');
+        return false;
+    }
+    const [entry] = this.failedQueueItems.splice(index, 1);
+    const { failedAt, failReason, attempts, ...buttonConfig } = entry;
+    // addToQueue saves the session, which now also has the shorter failed list.
+    this.addToQueue(buttonConfig);
+    if (typeof this.renderFailedQueueItems === 'function') {
+        this.renderFailedQueueItems();
+    }
+    return true;
+};
+
+/**
+ * Moves all failed items back into the queue (as many as fit).
+ * @returns {number} Number of items re-queued.
+ */
+window.MaxExtensionFloatingPanel.requeueAllFailedQueueItems = function () {
+    let count = 0;
+    while (Array.isArray(this.failedQueueItems) && this.failedQueueItems.length > 0 && this.requeueFailedQueueItem(0)) {
+        count++;
+    }
+    return count;
+};
+
+window.MaxExtensionFloatingPanel.clearFailedQueueItems = function () {
+    this.failedQueueItems = [];
+    if (typeof this.renderFailedQueueItems === 'function') {
+        this.renderFailedQueueItems();
+    }
+    if (typeof this.persistQueueSession === 'function') {
+        this.persistQueueSession();
+    }
+};
+
+/**
+ * Watches the page until the AI has finished answering (modules/response-watcher.js).
+ * A reply that has not started within RESPONSE_WATCH_START_TIMEOUT_MS is treated as already finished.
+ * @param {number} [baselineAnswerCount] - Answers on the page before the prompt was sent (OCPResponseWatcher.countAnswers).
+ *   Without it (resuming a watch), the count at the start of the watch is used and the stop button carries the start.
+ * @returns {Promise<'done'|'cancelled'>}
+ */
+window.MaxExtensionFloatingPanel.waitForResponseCompletion = function (baselineAnswerCount) {
+    this.cancelResponseWatch();
+
+    return new Promise((resolve) => {
+        const responseWatch = window.OCPResponseWatcher.watch({
+            baselineCount: baselineAnswerCount,
+            startTimeoutMs: RESPONSE_WATCH_START_TIMEOUT_MS,
+            quietMs: RESPONSE_WATCH_QUIET_MS,
+            maxTailMs: RESPONSE_WATCH_MAX_TAIL_MS,
+            onFinish: ({ outcome, elapsedMs, quiet }) => {
+                if (this.responseWatch === watch) {
+                    this.responseWatch = null;
+                }
+                const note = outcome === 'not_started' ? ' (no reply detected)' : (quiet ? '' : ' (thread never went quiet)');
+                logConCgp(`[queue-engine] Reply finished after ${Math.round(elapsedMs / 1000)}s${note}.`);
+                resolve('done');
+            }
+        });
+        const watch = {
+            cancel: () => {
+                responseWatch.cancel();
+                resolve('cancelled');
+            }
+        };
+        this.responseWatch = watch;
+    });
+};
+
+/**
+ * "Wait for response" pacing: waits until the reply to the last sent item is finished,
+ * then starts the settle timer for the next item.
+ * @param {number} [baselineAnswerCount] - Answers on the page before that item was sent.
+ */
+window.MaxExtensionFloatingPanel.scheduleNextItemAfterResponse = async function (baselineAnswerCount) {
+    if (typeof this.setQueueStatus === 'function') {
+        this.setQueueStatus(
+            'Waiting for reply...',
+            'info',
+            'The next prompt is sent once the AI has finished answering.'
+        );
+    }
+    // No known duration yet: keep the bar empty while the reply is being watched.
+    if (this.queueProgressBar) {
+        this.queueProgressBar.style.transition = 'none';
+        this.queueProgressBar.style.width = '0%';
+    }
+    this.currentTimerDelay = 0;
+    this.remainingTimeOnPause = 0;
+
+    // Saved after the watch is registered (the write is coalesced), so a reload resumes by watching again.
+    if (typeof this.persistQueueSession === 'function') {
+        this.persistQueueSession();
+    }
+    const outcome = await this.waitForResponseCompletion(baselineAnswerCount);
+    if (outcome !== 'done' || !this.isQueueRunning || !window.globalMaxExtensionConfig?.enableQueueMode) {
+        return;
+    }
+    if (typeof this.setQueueStatus === 'function') {
+        this.setQueueStatus(null);
+    }
+    if (this.promptQueue.length === 0) {
+        // Items were removed while the reply was being watched.
+        this.pauseQueue();
+        return;
+    }
+
+    const settleMs = this.getQueueResponseSettleMs();
+    logConCgp(`[queue-engine] Reply finished. Sending next item in ${settleMs / 1000}s.`);
+
+    if (this.queueProgressBar) {
+        this.queueProgressBar.style.transition = 'none';
+        this.queueProgressBar.style.width = '0%';
+        setTimeout(() => {
+            this.queueProgressBar.style.transition = `width ${settleMs / 1000}s linear`;
+            this.queueProgressBar.style.width = '100%';
+        }, 20);
+    }
+
+    this.timerStartTime = Date.now();
+    this.currentTimerDelay = settleMs;
+    this.queueTimerId = setTimeout(() => {
+        void this.processNextQueueItem();
+    }, settleMs);
+    if (typeof this.persistQueueSession === 'function') {
+        this.persistQueueSession();
+    }
+};
+
 /**
  * Processes the next item in the queue.
  * Calls the same entry-point used by manual clicks, so site code paths remain identical.
@@ -781,7 +1336,12 @@ window.MaxExtensionFloatingPanel.processNextQueueItem = async function () {
         return;
     }
 
+    this.queueRetryPending = false;
     this.renderQueueDisplay();
+    // Save before sending: the send itself may trigger a reload on some sites.
+    if (typeof this.persistQueueSession === 'function') {
+        this.persistQueueSession();
+    }
     logConCgp('[queue-engine] Sending item:', item.text);
 
     // Clear any stale autosend interval from a previous run to avoid collisions on "first send".
@@ -794,6 +1354,9 @@ window.MaxExtensionFloatingPanel.processNextQueueItem = async function () {
     // Synthesize a "user-like" click by calling the same entry function that real buttons use.
     // We tag the event so processCustomSendButtonClick won't re-enqueue and won't apply Shift inversion.
     const mockEvent = { preventDefault: () => { }, shiftKey: false, __fromQueue: true };
+    const dispatchStartedAt = Date.now();
+    // Counted before sending: a fast answer must not end up in the baseline of the response watch.
+    const answerCountBeforeSend = this.isResponsePacingEnabled() ? window.OCPResponseWatcher.countAnswers() : 0;
 
     try {
         if (typeof this.setQueueStatus === 'function') {
@@ -801,11 +1364,16 @@ window.MaxExtensionFloatingPanel.processNextQueueItem = async function () {
         }
 
         // Use the canonical entry point so per-site behavior is identical to manual clicks.
+        // Template variables in item.text are expanded there, i.e. at dispatch time rather than enqueue time.
         const sendResult = await processCustomSendButtonClick(
             mockEvent,
             item.text,
-            true // Queue dispatch must always auto-send regardless of button toggle.
+            true, // Queue dispatch must always auto-send regardless of button toggle.
+            item.insertMode || 'append'
         );
+        if (typeof this.recordQueueHistoryEntry === 'function') {
+            this.recordQueueHistoryEntry(item, sendResult, dispatchStartedAt);
+        }
 
         // Handle result statuses
         if (sendResult) {
@@ -822,21 +1390,39 @@ window.MaxExtensionFloatingPanel.processNextQueueItem = async function () {
                 this.pauseQueue();
                 return;
             } else if (sendResult.status === 'not_found' || sendResult.status === 'failed') {
-                logConCgp('[queue-engine] Queue paused: Send failed or button not found.');
-                if (typeof this.setQueueStatus === 'function') {
-                    let failMsg = 'Send Failed';
-                    let failTooltip = 'Unable to find the send button. Please check if the AI is still generating or if the page layout has changed.';
-
-                    if (sendResult.reason === 'send_button_timeout') {
-                        failMsg = 'Send Timeout';
-                        failTooltip = 'Timed out waiting for the send button. The AI might be generating a long response, or the button selector is broken.';
-                    } else if (sendResult.reason === 'post-stop-missing-send') {
-                        failMsg = 'Send Button Missing';
-                        failTooltip = 'The Stop button disappeared, but the Send button did not reappear. The page state might be inconsistent.';
-                    } else if (sendResult.reason) {
-                        failTooltip = `Reason: ${sendResult.reason}. ` + failTooltip;
+                let failMsg = 'Send Failed';
+                let failTooltip = 'Unable to find the send button. Please check if the AI is still generating or if the page layout has changed.';
+
+                if (sendResult.reason === 'send_button_timeout') {
+                    failMsg = 'Send Timeout';
+                    failTooltip = 'Timed out waiting for the send button. The AI might be generating a long response, or the button selector is broken.';
+                } else if (sendResult.reason === 'post-stop-missing-send') {
+                    failMsg = 'Send Button Missing';
+                    failTooltip = 'The Stop button disappeared, but the Send button did not reappear. The page state might be inconsistent.';
+                } else if (sendResult.reason === 'cancelled_by_user') {
+                    failMsg = 'Prompt Cancelled';
+                    failTooltip = 'The fill-in form for this queued prompt was cancelled. Press play to continue with the next item.';
+                } else if (sendResult.reason) {
+                    failTooltip = `Reason: ${sendResult.reason}. ` + failTooltip;
+                }
+
+                // A cancelled fill-in form is the user's decision: never retried, not kept as failed.
+                const reasonKey = sendResult.reason || sendResult.status;
+                if (reasonKey !== 'cancelled_by_user') {
+                    const policy = this.getQueueRetryPolicy();
+                    const attempt = (item.retryCount || 0) + 1;
+                    if (policy.reasons.includes(reasonKey) && attempt <= policy.maxAttempts && this.isQueueRunning) {
+                        this.scheduleQueueItemRetry(item, attempt, failMsg, failTooltip);
+                        return;
                     }
+                    if (item.retryCount) {
+                        failMsg += ` after ${item.retryCount} ${item.retryCount === 1 ? 'retry' : 'retries'}`;
+                    }
+                    this.moveItemToFailedList(item, reasonKey);
+                }
 
+                logConCgp('[queue-engine] Queue paused: Send failed or button not found.');
+                if (typeof this.setQueueStatus === 'function') {
                     this.setQueueStatus(failMsg, 'error', failTooltip);
                 }
                 this.pauseQueue();
@@ -851,6 +1437,10 @@ window.MaxExtensionFloatingPanel.processNextQueueItem = async function () {
 
     } catch (err) {
         logConCgp('[queue-engine] Error while dispatching queued click:', err?.message || err);
+        if (typeof this.recordQueueHistoryEntry === 'function') {
+            this.recordQueueHistoryEntry(item, { status: 'failed', reason: err?.message || 'Dispatch failed' }, dispatchStartedAt);
+        }
+        this.moveItemToFailedList(item, 'dispatch_error');
         if (typeof this.setQueueStatus === 'function') {
             this.setQueueStatus('Error: ' + (err?.message || 'Dispatch failed'), 'error');
         }
@@ -859,7 +1449,9 @@ window.MaxExtensionFloatingPanel.processNextQueueItem = async function () {
     }
 
     // If there are more items, schedule the next one.
-    if (this.promptQueue.length > 0) {
+    if (this.promptQueue.length > 0 && this.isResponsePacingEnabled()) {
+        void this.scheduleNextItemAfterResponse(answerCountBeforeSend);
+    } else if (this.promptQueue.length > 0) {
         const config = window.globalMaxExtensionConfig || {};
         const unit = (config.queueDelayUnit === 'sec') ? 'sec' : 'min';
         const delayMs = this.getQueueDelayWithRandomMs();
@@ -890,6 +1482,9 @@ window.MaxExtensionFloatingPanel.processNextQueueItem = async function () {
         this.queueTimerId = setTimeout(() => {
             void this.processNextQueueItem();
         }, delayMs);
+        if (typeof this.persistQueueSession === 'function') {
+            this.persistQueueSession();
+        }
     } else {
         logConCgp('[queue-engine] All items have been sent.');
         if (this.queueProgressBar) {
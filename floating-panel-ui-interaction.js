@@ -138,6 +138,8 @@ window.MaxExtensionFloatingPanel.applyHeaderCollapsedState = function (isCollaps
     const collapseButton = document.getElementById('max-extension-panel-collapse-btn');
     const transparencyPopover = document.getElementById('max-extension-transparency-popover');
     const transparencyButton = document.getElementById('max-extension-panel-transparency-btn');
+    const exportPopover = document.getElementById('max-extension-export-popover');
+    const exportButton = document.getElementById('max-extension-panel-export-btn');
 
     if (!header || !collapseButton) return;
 
@@ -157,6 +159,13 @@ window.MaxExtensionFloatingPanel.applyHeaderCollapsedState = function (isCollaps
         if (transparencyButton) {
             transparencyButton.style.display = 'none';
         }
+        // Same for the conversation export button and its popover
+        if (exportPopover) {
+            exportPopover.style.display = 'none';
+        }
+        if (exportButton) {
+            exportButton.style.display = 'none';
+        }
     } else {
         header.classList.remove('collapsed');
         collapseButton.classList.remove('collapsed');
@@ -168,6 +177,13 @@ window.MaxExtensionFloatingPanel.applyHeaderCollapsedState = function (isCollaps
         if (transparencyButton) {
             transparencyButton.style.display = '';
         }
+        if (exportButton) {
+            exportButton.style.display = '';
+        }
+    }
+    // The 🎯 recipients button also depends on the broadcast setting.
+    if (typeof this.updateRecipientsButtonVisibility === 'function') {
+        this.updateRecipientsButtonVisibility();
     }
 };
 
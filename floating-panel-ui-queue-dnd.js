@@ -397,6 +397,9 @@ window.MaxExtensionFloatingPanel.completeQueueDrag = function () {
     if (typeof this.updateQueueControlsState === 'function') {
         this.updateQueueControlsState();
     }
+    if (typeof this.persistQueueSession === 'function') {
+        this.persistQueueSession();
+    }
     if (typeof showToast === 'function') {
         showToast('Queue order updated.', 'info', 2000);
     }
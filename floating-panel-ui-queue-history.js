@@ -0,0 +1,203 @@
+// floating-panel-ui-queue-history.js
+// Version: 1.1
+// Documentation:
+// Queue run history for the floating panel. Every item dispatched by processNextQueueItem is
+// recorded with timestamps, site and the handler result ({ status, reason }) and stored by the
+// service worker (StateStore 'queue.history'), so the record survives reloads and the popup can
+// show it too. The 📜 button in the queue controls opens a History view with JSON/CSV export.
+// Extends window.MaxExtensionFloatingPanel with helper methods consumed by
+// floating-panel-ui-queue.js and floating-panel-ui-engine.js.
+//
+// Methods included:
+// - initializeQueueHistory(): Finds the History view elements and wires the buttons.
+// - recordQueueHistoryEntry(item, result, startedAt): Stores one dispatch result via the service worker.
+// - toggleQueueHistoryView(): Shows/hides the History view (loads entries when shown).
+// - loadQueueHistory(): Fetches the stored entries and renders them.
+// - renderQueueHistory(): Draws the newest entries into the History list.
+// - exportQueueHistory(format): Downloads the full history as 'json' or 'csv' (modules/queue-history-export.js).
+// - clearQueueHistory(): Deletes the stored history after confirmation (confirm toast, async).
+
+'use strict';
+
+// The panel list only shows the newest entries; exports always contain everything stored.
+const QUEUE_HISTORY_PANEL_LIMIT = 50;
+const QUEUE_HISTORY_STATUS_ICONS = {
+    sent: '✅',
+    blocked_by_stop: '⛔',
+    not_found: '❓',
+    failed: '❌'
+};
+
+window.MaxExtensionFloatingPanel.initializeQueueHistory = function () {
+    this.queueHistoryButton = document.getElementById('max-extension-queue-history-btn');
+    this.queueHistoryView = document.getElementById('max-extension-queue-history');
+    this.queueHistoryList = document.getElementById('max-extension-queue-history-list');
+
+    if (!this.queueHistoryButton || !this.queueHistoryView || !this.queueHistoryList) {
+        logConCgp('[floating-panel-queue-history] History view elements not found.');
+        return;
+    }
+
+    this.queueHistoryEntries = [];
+
+    this.queueHistoryButton.addEventListener('click', (event) => {
+        event.preventDefault();
+        this.toggleQueueHistoryView();
+    });
+
+    const bindings = [
+        ['max-extension-queue-history-export-json', () => this.exportQueueHistory('json')],
+        ['max-extension-queue-history-export-csv', () => this.exportQueueHistory('csv')],
+        ['max-extension-queue-history-clear', () => this.clearQueueHistory()],
+        ['max-extension-queue-history-close', () => this.toggleQueueHistoryView()]
+    ];
+    bindings.forEach(([id, handler]) => {
+        const button = document.getElementById(id);
+        if (button) {
+            button.addEventListener('click', (event) => {
+                event.preventDefault();
+                handler();
+            });
+        }
+    });
+};
+
+/**
+ * Stores the outcome of one queue dispatch.
+ * @param {object} item - The dequeued item ({ icon, text, ... }).
+ * @param {{status?: string, reason?: string}|undefined} result - Result of processCustomSendButtonClick.
+ *        Handlers that return nothing are treated as 'sent', like the engine does.
+ * @param {number} startedAt - Epoch ms when the dispatch began.
+ */
+window.MaxExtensionFloatingPanel.recordQueueHistoryEntry = function (item, result, startedAt) {
+    const entry = {
+        id: `${startedAt}-${item?.queueId || 'item'}`,
+        startedAt,
+        finishedAt: Date.now(),
+        hostname: window.location.hostname,
+        url: window.location.href,
+        profileName: this.currentProfileName || '',
+        icon: item?.icon || '',
+        text: item?.text || '',
+        status: result?.status || 'sent',
+        reason: result?.reason || ''
+    };
+
+    chrome.runtime.sendMessage({ type: 'appendQueueHistoryEntry', entry }, (response) => {
+        if (chrome.runtime.lastError) {
+            logConCgp('[floating-panel-queue-history] Failed to store history entry:', chrome.runtime.lastError.message);
+            return;
+        }
+        if (response && response.error) {
+            logConCgp('[floating-panel-queue-history] Failed to store history entry:', response.error);
+        }
+    });
+
+    // Keep an open History view current without another round trip.
+    if (this.queueHistoryView && this.queueHistoryView.style.display !== 'none') {
+        this.queueHistoryEntries.push(entry);
+        this.renderQueueHistory();
+    }
+};
+
+window.MaxExtensionFloatingPanel.toggleQueueHistoryView = function () {
+    if (!this.queueHistoryView) return;
+    const isVisible = this.queueHistoryView.style.display !== 'none';
+    this.queueHistoryView.style.display = isVisible ? 'none' : 'block';
+    if (this.queueHistoryButton) {
+        this.queueHistoryButton.classList.toggle('active', !isVisible);
+    }
+    if (!isVisible) {
+        this.loadQueueHistory();
+    }
+};
+
+window.MaxExtensionFloatingPanel.loadQueueHistory = function () {
+    chrome.runtime.sendMessage({ type: 'getQueueHistory' }, (response) => {
+        if (chrome.runtime.lastError) {
+            logConCgp('[floating-panel-queue-history] Failed to load history:', chrome.runtime.lastError.message);
+            return;
+        }
+        this.queueHistoryEntries = Array.isArray(response?.entries) ? response.entries : [];
+        this.renderQueueHistory();
+    });
+};
+
+window.MaxExtensionFloatingPanel.renderQueueHistory = function () {
+    if (!this.queueHistoryList) return;
+    this.queueHistoryList.innerHTML = '';
+
+    const entries = Array.isArray(this.queueHistoryEntries) ? this.queueHistoryEntries : [];
+    if (entries.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'queue-history-empty';
+        empty.textContent = 'No queued prompts have been sent yet.';
+        this.queueHistoryList.appendChild(empty);
+        return;
+    }
+
+    // Newest first
+    entries.slice(-QUEUE_HISTORY_PANEL_LIMIT).reverse().forEach((entry) => {
+        const row = document.createElement('div');
+        row.className = `queue-history-row queue-history-${entry.status}`;
+
+        const statusIcon = document.createElement('span');
+        statusIcon.className = 'queue-history-status';
+        statusIcon.textContent = QUEUE_HISTORY_STATUS_ICONS[entry.status] || '❔';
+
+        const time = document.createElement('span');
+        time.className = 'queue-history-time';
+        time.textContent = new Date(entry.startedAt).toLocaleTimeString();
+
+        const text = document.createElement('span');
+        text.className = 'queue-history-text';
+        text.textContent = `${entry.icon ? entry.icon + ' ' : ''}${entry.text}`;
+
+        const tooltipLines = [
+            `${new Date(entry.startedAt).toLocaleString()} on ${entry.hostname}`,
+            `Status: ${entry.status}${entry.reason ? ` (${entry.reason})` : ''}`
+        ];
+        if (entry.profileName) {
+            tooltipLines.push(`Profile: ${entry.profileName}`);
+        }
+        tooltipLines.push('', entry.text);
+        row.title = tooltipLines.join('\n');
+
+        row.appendChild(statusIcon);
+        row.appendChild(time);
+        row.appendChild(text);
+        this.queueHistoryList.appendChild(row);
+    });
+};
+
+window.MaxExtensionFloatingPanel.exportQueueHistory = function (format) {
+    chrome.runtime.sendMessage({ type: 'getQueueHistory' }, (response) => {
+        if (chrome.runtime.lastError) {
+            logConCgp('[floating-panel-queue-history] Export failed:', chrome.runtime.lastError.message);
+            return;
+        }
+        const entries = Array.isArray(response?.entries) ? response.entries : [];
+        if (entries.length === 0) {
+            showToast('Queue history is empty. Nothing to export.', 'info', 2500);
+            return;
+        }
+        window.OCPQueueHistoryExport.download(entries, format);
+    });
+};
+
+window.MaxExtensionFloatingPanel.clearQueueHistory = async function () {
+    const confirmed = await showConfirmToast('Delete the whole queue run history (all websites)?', { confirmText: 'Delete' });
+    if (!confirmed) {
+        return;
+    }
+    chrome.runtime.sendMessage({ type: 'clearQueueHistory' }, (response) => {
+        if (chrome.runtime.lastError || response?.error) {
+            logConCgp('[floating-panel-queue-history] Failed to clear history:', chrome.runtime.lastError?.message || response.error);
+            showToast('Failed to clear queue history.', 'error', 3000);
+            return;
+        }
+        this.queueHistoryEntries = [];
+        this.renderQueueHistory();
+        showToast('Queue history cleared.', 'success', 2000);
+    });
+};
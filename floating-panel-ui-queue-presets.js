@@ -0,0 +1,202 @@
+// floating-panel-ui-queue-presets.js
+// Version: 1.1
+// Documentation:
+// Named queue presets for the floating panel. The current queue can be saved under a name and loaded
+// back later from the preset dropdown in the queue section, e.g. to rerun the same evaluation sequence.
+// Presets are stored in the active profile (profile field queuePresets: [{ name, items, savedAt }]),
+// so they follow profile switches and are part of profile export/import.
+// Extends window.MaxExtensionFloatingPanel with helper methods consumed by floating-panel-ui-queue.js.
+// Names are asked with the in-page form (OCPPromptForm) and questions with showConfirmToast, never with the
+// native dialogs, which would block the chat page.
+//
+// Methods included:
+// - initializeQueuePresets(): Finds the preset dropdown and its load/save/delete buttons and wires them.
+// - getQueuePresets(): Returns the presets of the active profile (always an array).
+// - renderQueuePresetOptions(): Rebuilds the dropdown from the active profile.
+// - saveQueueAsPreset(): Asks for a name and stores the current queue items as a preset (async).
+// - loadQueuePreset(name): Replaces the queue with the preset's items (async, asks before replacing).
+// - deleteQueuePreset(name): Removes a preset after confirmation (async).
+
+'use strict';
+
+window.MaxExtensionFloatingPanel.initializeQueuePresets = function () {
+    this.queuePresetSelect = document.getElementById('max-extension-queue-preset-select');
+    const loadButton = document.getElementById('max-extension-queue-preset-load-btn');
+    const saveButton = document.getElementById('max-extension-queue-preset-save-btn');
+    const deleteButton = document.getElementById('max-extension-queue-preset-delete-btn');
+
+    if (!this.queuePresetSelect || !loadButton || !saveButton || !deleteButton) {
+        logConCgp('[floating-panel-queue-presets] Preset elements not found.');
+        return;
+    }
+
+    const syncButtons = () => {
+        loadButton.disabled = !this.queuePresetSelect.value;
+        deleteButton.disabled = !this.queuePresetSelect.value;
+    };
+
+    // The profile can change without the panel being rebuilt, so refresh the options whenever the list is opened.
+    this.queuePresetSelect.addEventListener('focus', () => {
+        this.renderQueuePresetOptions();
+        syncButtons();
+    });
+    this.queuePresetSelect.addEventListener('change', syncButtons);
+
+    loadButton.addEventListener('click', (event) => {
+        event.preventDefault();
+        void this.loadQueuePreset(this.queuePresetSelect.value);
+    });
+    saveButton.addEventListener('click', async (event) => {
+        event.preventDefault();
+        await this.saveQueueAsPreset();
+        syncButtons();
+    });
+    deleteButton.addEventListener('click', async (event) => {
+        event.preventDefault();
+        await this.deleteQueuePreset(this.queuePresetSelect.value);
+        syncButtons();
+    });
+
+    this.renderQueuePresetOptions();
+    syncButtons();
+};
+
+/**
+ * @returns {Array<{name: string, items: Array<object>, savedAt: number}>}
+ */
+window.MaxExtensionFloatingPanel.getQueuePresets = function () {
+    const presets = window.globalMaxExtensionConfig?.queuePresets;
+    return Array.isArray(presets) ? presets : [];
+};
+
+window.MaxExtensionFloatingPanel.renderQueuePresetOptions = function () {
+    if (!this.queuePresetSelect) return;
+    const selected = this.queuePresetSelect.value;
+    const presets = this.getQueuePresets();
+
+    this.queuePresetSelect.innerHTML = '';
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = presets.length ? 'Queue presets…' : 'No presets saved';
+    this.queuePresetSelect.appendChild(placeholder);
+
+    presets.forEach((preset) => {
+        const option = document.createElement('option');
+        option.value = preset.name;
+        option.textContent = `${preset.name} (${preset.items.length})`;
+        option.title = preset.items.map((item, index) => `${index + 1}. ${item.text}`).join('\n');
+        this.queuePresetSelect.appendChild(option);
+    });
+
+    this.queuePresetSelect.value = presets.some((preset) => preset.name === selected) ? selected : '';
+};
+
+window.MaxExtensionFloatingPanel.saveQueueAsPreset = async function () {
+    if (!Array.isArray(this.promptQueue) || this.promptQueue.length === 0) {
+        showToast('Add prompts to the queue before saving a preset.', 'info', 2500);
+        return;
+    }
+    const values = await window.OCPPromptForm.open({
+        title: `Save the ${this.promptQueue.length} queued prompts as preset`,
+        submitLabel: 'Save',
+        fields: [{ name: 'Preset name', value: this.queuePresetSelect?.value || '' }]
+    });
+    const name = (values?.['Preset name'] || '').trim();
+    if (!name) {
+        return;
+    }
+
+    if (this.getQueuePresets().some((preset) => preset.name === name)
+        && !(await showConfirmToast(`Overwrite the preset "${name}"?`, { confirmText: 'Overwrite' }))) {
+        return;
+    }
+    // Read the list again: the profile may have changed while the questions were open.
+    const presets = this.getQueuePresets().slice();
+    const existingIndex = presets.findIndex((preset) => preset.name === name);
+
+    const preset = {
+        name,
+        // Only what is needed to queue the prompt again; runtime fields (queueId, retryCount) are dropped.
+        items: this.promptQueue.map((item) => {
+            const stored = { icon: item.icon || '', text: item.text };
+            if (item.insertMode) {
+                stored.insertMode = item.insertMode;
+            }
+            return stored;
+        }),
+        savedAt: Date.now()
+    };
+    if (existingIndex !== -1) {
+        presets[existingIndex] = preset;
+    } else {
+        presets.push(preset);
+    }
+
+    window.globalMaxExtensionConfig.queuePresets = presets;
+    this.saveCurrentProfileConfig();
+    this.renderQueuePresetOptions();
+    if (this.queuePresetSelect) {
+        this.queuePresetSelect.value = name;
+    }
+    logConCgp(`[floating-panel-queue-presets] Saved preset "${name}" with ${preset.items.length} prompts.`);
+    showToast(`Preset "${name}" saved.`, 'success', 2000);
+};
+
+/**
+ * Replaces the current queue with the items of a preset. Not allowed while the queue is running.
+ * @param {string} name
+ */
+window.MaxExtensionFloatingPanel.loadQueuePreset = async function (name) {
+    const preset = this.getQueuePresets().find((entry) => entry.name === name);
+    if (!preset) {
+        return;
+    }
+    if (this.isQueueRunning) {
+        showToast('Pause the queue before loading a preset.', 'error', 2500);
+        return;
+    }
+    if (typeof this.ensureQueueModeEnabled !== 'function' || !this.ensureQueueModeEnabled()) {
+        showToast('Enable queue mode to load a preset.', 'error', 2500);
+        return;
+    }
+    if (this.promptQueue.length > 0) {
+        const confirmed = await showConfirmToast(`Replace the ${this.promptQueue.length} queued prompts with "${name}"?`, { confirmText: 'Replace' });
+        if (!confirmed) {
+            return;
+        }
+        // The queue may have been started while the question was open.
+        if (this.isQueueRunning) {
+            showToast('Pause the queue before loading a preset.', 'error', 2500);
+            return;
+        }
+    }
+
+    this.resetQueue();
+    const items = preset.items.slice(0, this.QUEUE_MAX_SIZE);
+    items.forEach((item) => {
+        this.addToQueue({ ...item, autoSend: true });
+    });
+    logConCgp(`[floating-panel-queue-presets] Loaded preset "${name}" (${items.length} prompts).`);
+    if (items.length < preset.items.length) {
+        showToast(`Loaded the first ${items.length} of ${preset.items.length} prompts (queue limit).`, 'info', 3000);
+    } else {
+        showToast(`Preset "${name}" loaded. Press ▶️ to start.`, 'success', 2000);
+    }
+};
+
+/**
+ * @param {string} name
+ */
+window.MaxExtensionFloatingPanel.deleteQueuePreset = async function (name) {
+    if (!name || !(await showConfirmToast(`Delete the queue preset "${name}"?`, { confirmText: 'Delete' }))) {
+        return;
+    }
+    window.globalMaxExtensionConfig.queuePresets = this.getQueuePresets().filter((preset) => preset.name !== name);
+    this.saveCurrentProfileConfig();
+    if (this.queuePresetSelect) {
+        this.queuePresetSelect.value = '';
+    }
+    this.renderQueuePresetOptions();
+    logConCgp(`[floating-panel-queue-presets] Deleted preset "${name}".`);
+    showToast(`Preset "${name}" deleted.`, 'success', 2000);
+};
@@ -11,6 +11,14 @@
 // - initializeQueueSection(): Wires up the DOM structure for the queue UI.
 // - renderQueueDisplay(): Updates the visual display of queued items.
 // - updateQueueControlsState(): Manages the state of play/pause/reset buttons.
+// - ensureQueueModeEnabled(): Flips the queue toggle on (TOS check included) for macro buttons.
+// - togglePacingModeFromBadge() / updatePacingModeBadge(): Fixed delay vs. "wait for response" pacing badge.
+// - initializeQueueSchedule(): Wires the ⏰ "Start at" button and its popover (clock time or countdown).
+// - armQueueScheduleFromPopover(): Reads the popover inputs and arms scheduleQueueStart().
+// - updateQueueScheduleDisplay(): Shows the countdown in the progress area and syncs the ⏰ button.
+// - initializeFailedQueueItems(): Wires the failed list under the queue ("↻ All" and clear buttons).
+// - renderFailedQueueItems(): Shows items whose retries ran out; click one to put it back into the queue.
+// Named presets (dropdown under the controls) live in floating-panel-ui-queue-presets.js.
 //
 // Dependencies:
 // - floating-panel.js: Provides the namespace and shared properties.
@@ -240,6 +248,16 @@ window.MaxExtensionFloatingPanel.initializeQueueSection = function () {
         });
     }
 
+    this.pacingModeBadge = document.getElementById('max-extension-pacing-mode-toggle');
+    if (this.pacingModeBadge && !this.pacingModeBadge.dataset.pacingBound) {
+        this.pacingModeBadge.dataset.pacingBound = 'true';
+        this.pacingModeBadge.addEventListener('click', (event) => {
+            event.preventDefault();
+            this.togglePacingModeFromBadge();
+        });
+    }
+    this.updatePacingModeBadge();
+
     if (this.skipQueueButton) {
         this.skipQueueButton.addEventListener('click', (event) => {
             event.preventDefault();
@@ -343,6 +361,9 @@ window.MaxExtensionFloatingPanel.initializeQueueSection = function () {
                     logConCgp('[floating-panel-queue] Queue Mode disabled. Nothing running; preserving items.');
                 }
                 this.pauseQueue();
+                if (this.scheduledQueueStartAt) {
+                    this.cancelScheduledQueueStart();
+                }
                 // Hide progress container while disabled (keeps bar width frozen).
                 if (this.queueProgressContainer) this.queueProgressContainer.style.display = 'none';
             }
@@ -528,6 +549,17 @@ window.MaxExtensionFloatingPanel.initializeQueueSection = function () {
         this.initializeQueueDragAndDrop();
     }
 
+    if (typeof this.initializeQueueHistory === 'function') {
+        this.initializeQueueHistory();
+    }
+
+    this.initializeQueueSchedule();
+    this.initializeFailedQueueItems();
+
+    if (typeof this.initializeQueuePresets === 'function') {
+        this.initializeQueuePresets();
+    }
+
     // ===== MANUAL QUEUE MODE INITIALIZATION =====
     // Must be called BEFORE updateQueueControlsState so manualQueueExpanded is defined
     this.initializeManualQueueMode();
@@ -1130,6 +1162,32 @@ window.MaxExtensionFloatingPanel.addAllValidManualCardsToQueue = function () {
     return addedCount;
 };
 
+/**
+ * Turns queue mode on the same way the user would, by flipping the panel toggle.
+ * Used by macro buttons, which need the queue without asking for an extra click.
+ * If the queue notice has not been accepted yet, the toggle callback shows it and queue mode stays off.
+ * @returns {boolean} True when queue mode is enabled afterwards.
+ */
+window.MaxExtensionFloatingPanel.ensureQueueModeEnabled = function () {
+    if (window.globalMaxExtensionConfig?.enableQueueMode) {
+        return true;
+    }
+    if (window.globalMaxExtensionConfig?.queueHideActivationToggle) {
+        logConCgp('[floating-panel-queue] Queue is disabled in settings. Cannot enable queue mode.');
+        return false;
+    }
+
+    const inputEl = this.queueModeToggle?.querySelector('input');
+    if (!inputEl) {
+        logConCgp('[floating-panel-queue] Queue mode toggle not found. Cannot enable queue mode.');
+        return false;
+    }
+    inputEl.checked = true;
+    // The toggle's change handler runs the TOS check, updates the UI and saves the profile.
+    inputEl.dispatchEvent(new Event('change'));
+    return Boolean(window.globalMaxExtensionConfig?.enableQueueMode);
+};
+
 window.MaxExtensionFloatingPanel.setupQueueAutomationButtons = function (parentElement) {
     if (!parentElement) return;
 
@@ -1274,6 +1332,64 @@ window.MaxExtensionFloatingPanel.renderQueueDisplay = function () {
     }
 };
 
+/**
+ * Finds the failed list elements and wires its buttons.
+ */
+window.MaxExtensionFloatingPanel.initializeFailedQueueItems = function () {
+    this.failedQueueContainer = document.getElementById('max-extension-queue-failed');
+    if (!this.failedQueueContainer) {
+        logConCgp('[floating-panel-queue] Failed list container not found.');
+        return;
+    }
+
+    document.getElementById('max-extension-queue-failed-retry-all')?.addEventListener('click', (event) => {
+        event.preventDefault();
+        const total = this.failedQueueItems.length;
+        const count = this.requeueAllFailedQueueItems();
+        if (count < total) {
+            showToast(`Re-queued ${count} of ${total} failed prompts. The queue is full or queue mode is off.`, 'info', 3000);
+        }
+    });
+    document.getElementById('max-extension-queue-failed-clear')?.addEventListener('click', (event) => {
+        event.preventDefault();
+        this.clearFailedQueueItems();
+    });
+
+    this.renderFailedQueueItems();
+};
+
+/**
+ * Renders the items that could not be sent. Hidden while the list is empty.
+ */
+window.MaxExtensionFloatingPanel.renderFailedQueueItems = function () {
+    if (!this.failedQueueContainer) return;
+    const list = document.getElementById('max-extension-queue-failed-list');
+    const title = this.failedQueueContainer.querySelector('.queue-failed-title');
+    const items = Array.isArray(this.failedQueueItems) ? this.failedQueueItems : [];
+
+    if (title) {
+        title.textContent = `Failed (${items.length})`;
+    }
+    this.failedQueueContainer.style.display = items.length > 0 ? 'block' : 'none';
+    if (!list) return;
+
+    list.innerHTML = '';
+    items.forEach((entry, index) => {
+        const button = document.createElement('button');
+        button.className = 'max-extension-queued-item';
+        button.innerHTML = entry.icon;
+        button.title = `Click to put back into the queue.\n` +
+            `Failed at ${new Date(entry.failedAt).toLocaleTimeString()} after ${entry.attempts} ${entry.attempts === 1 ? 'attempt' : 'attempts'} (${entry.failReason}).\n\n${entry.text}`;
+        button.addEventListener('click', (event) => {
+            event.preventDefault();
+            if (!this.requeueFailedQueueItem(index)) {
+                showToast('Cannot re-queue: the queue is full or queue mode is off.', 'error', 2500);
+            }
+        });
+        list.appendChild(button);
+    });
+};
+
 /**
  * Updates the state (icon, disabled status) of the queue control buttons.
  */
@@ -1304,6 +1420,11 @@ window.MaxExtensionFloatingPanel.updateQueueControlsState = function () {
 
         this.resetQueueButton.disabled = true;
 
+        if (this.queueScheduleButton) {
+            this.queueScheduleButton.disabled = true;
+            this.queueScheduleButton.title = 'Enable Queue Mode to schedule a start.';
+        }
+
         if (this.queueProgressContainer) {
             this.queueProgressContainer.style.display = 'none';
         }
@@ -1367,6 +1488,14 @@ window.MaxExtensionFloatingPanel.updateQueueControlsState = function () {
         this.updateRandomDelayBadge();
     }
 
+    if (typeof this.updatePacingModeBadge === 'function') {
+        this.updatePacingModeBadge();
+    }
+
+    if (typeof this.updateQueueScheduleDisplay === 'function') {
+        this.updateQueueScheduleDisplay();
+    }
+
     if (typeof this.updateQueueAutomationButtons === 'function') {
         this.updateQueueAutomationButtons();
     }
@@ -1476,6 +1605,191 @@ window.MaxExtensionFloatingPanel.syncRandomPercentSlider = function () {
     this.randomPercentValueElement.textContent = `${clamped}%`;
 };
 
+/**
+ * Switches between fixed-delay pacing and "wait for response" pacing (profile field queuePacingMode).
+ */
+window.MaxExtensionFloatingPanel.togglePacingModeFromBadge = function () {
+    if (!window.globalMaxExtensionConfig) return;
+    const newMode = window.globalMaxExtensionConfig.queuePacingMode === 'response' ? 'delay' : 'response';
+    window.globalMaxExtensionConfig.queuePacingMode = newMode;
+    this.updatePacingModeBadge();
+    this.saveCurrentProfileConfig();
+    logConCgp(`[floating-panel-queue] Queue pacing set to "${newMode}" via floating panel.`);
+};
+
+/**
+ * Syncs the pacing badge icon/tooltip with the profile. The delay input only applies in delay mode,
+ * so it is disabled while the queue waits for replies.
+ */
+window.MaxExtensionFloatingPanel.updatePacingModeBadge = function () {
+    if (!this.pacingModeBadge || !window.globalMaxExtensionConfig) return;
+
+    const responseMode = window.globalMaxExtensionConfig.queuePacingMode === 'response';
+    const settleSeconds = Math.round(this.getQueueResponseSettleMs() / 1000);
+    this.pacingModeBadge.textContent = responseMode ? '💬' : '⏱️';
+    this.pacingModeBadge.title = responseMode
+        ? `Pacing: wait for the AI to finish answering, then ${settleSeconds}s settle time (change it in the extension settings). Click to use the fixed delay instead.`
+        : 'Pacing: fixed delay. Click to wait for the AI to finish answering instead.';
+    this.pacingModeBadge.classList.toggle('random-enabled', responseMode);
+
+    if (this.delayInputElement) {
+        this.delayInputElement.disabled = responseMode;
+    }
+};
+
+/**
+ * Wires the ⏰ button: opens the "Start at" popover, or cancels the schedule when one is armed.
+ */
+window.MaxExtensionFloatingPanel.initializeQueueSchedule = function () {
+    this.queueScheduleButton = document.getElementById('max-extension-queue-schedule-btn');
+    this.queueSchedulePopover = document.getElementById('max-extension-queue-schedule-popover');
+    this.queueScheduleTimeInput = document.getElementById('max-extension-queue-schedule-time');
+    this.queueScheduleMinutesInput = document.getElementById('max-extension-queue-schedule-minutes');
+    const armButton = document.getElementById('max-extension-queue-schedule-arm-btn');
+
+    if (!this.queueScheduleButton || !this.queueSchedulePopover || !armButton) {
+        logConCgp('[floating-panel-queue] Scheduled start elements not found.');
+        return;
+    }
+    if (this.queueScheduleButton.dataset.scheduleBound) {
+        return;
+    }
+    this.queueScheduleButton.dataset.scheduleBound = 'true';
+
+    this.queueScheduleButton.addEventListener('click', (event) => {
+        event.preventDefault();
+        if (this.scheduledQueueStartAt) {
+            this.cancelScheduledQueueStart();
+            return;
+        }
+        if (this.queueSchedulePopover.style.display === 'none') {
+            this.openQueueSchedulePopover();
+        } else {
+            this.closeQueueSchedulePopover();
+        }
+    });
+
+    // Typing in one field clears the other, so it is always clear which one is used.
+    this.queueScheduleTimeInput?.addEventListener('input', () => {
+        if (this.queueScheduleMinutesInput) this.queueScheduleMinutesInput.value = '';
+    });
+    this.queueScheduleMinutesInput?.addEventListener('input', () => {
+        if (this.queueScheduleTimeInput) this.queueScheduleTimeInput.value = '';
+    });
+    this.queueSchedulePopover.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            this.armQueueScheduleFromPopover();
+        } else if (event.key === 'Escape') {
+            this.closeQueueSchedulePopover();
+        }
+    });
+    armButton.addEventListener('click', (event) => {
+        event.preventDefault();
+        this.armQueueScheduleFromPopover();
+    });
+};
+
+window.MaxExtensionFloatingPanel.openQueueSchedulePopover = function () {
+    if (!this.queueSchedulePopover) return;
+    this.queueSchedulePopover.style.display = 'block';
+    if (typeof this.positionFloatingPopover === 'function' && this.queueScheduleButton) {
+        this.positionFloatingPopover(this.queueSchedulePopover, this.queueScheduleButton, {
+            offsetY: 6,
+            align: 'center'
+        });
+    }
+    if (!this.handleQueueScheduleOutsideClick) {
+        this.handleQueueScheduleOutsideClick = (event) => {
+            if (this.queueSchedulePopover?.contains(event.target) || this.queueScheduleButton?.contains(event.target)) {
+                return;
+            }
+            this.closeQueueSchedulePopover();
+        };
+    }
+    document.addEventListener('mousedown', this.handleQueueScheduleOutsideClick, true);
+    this.queueScheduleTimeInput?.focus();
+};
+
+window.MaxExtensionFloatingPanel.closeQueueSchedulePopover = function () {
+    if (!this.queueSchedulePopover || this.queueSchedulePopover.style.display === 'none') {
+        return;
+    }
+    this.queueSchedulePopover.style.display = 'none';
+    if (typeof this.restorePopoverToOriginalParent === 'function') {
+        this.restorePopoverToOriginalParent(this.queueSchedulePopover);
+    }
+    if (this.handleQueueScheduleOutsideClick) {
+        document.removeEventListener('mousedown', this.handleQueueScheduleOutsideClick, true);
+        this.handleQueueScheduleOutsideClick = null;
+    }
+};
+
+/**
+ * Arms the schedule from the popover. A clock time means its next occurrence (today, or tomorrow if it
+ * already passed); minutes count down from now.
+ */
+window.MaxExtensionFloatingPanel.armQueueScheduleFromPopover = function () {
+    const timeValue = this.queueScheduleTimeInput?.value || '';
+    const minutesValue = parseInt(this.queueScheduleMinutesInput?.value || '', 10);
+    let startAt = null;
+
+    if (timeValue) {
+        const [hours, minutes] = timeValue.split(':').map(Number);
+        const target = new Date();
+        target.setHours(hours, minutes, 0, 0);
+        if (target.getTime() <= Date.now()) {
+            target.setDate(target.getDate() + 1);
+        }
+        startAt = target.getTime();
+    } else if (Number.isFinite(minutesValue) && minutesValue >= 1 && minutesValue <= 1440) {
+        startAt = Date.now() + minutesValue * 60 * 1000;
+    } else {
+        showToast('Pick a start time, or enter 1–1440 minutes.', 'error', 3000);
+        return;
+    }
+
+    if (!this.scheduleQueueStart(startAt)) {
+        showToast('Add prompts to the queue (and stop it) before scheduling a start.', 'error', 3500);
+        return;
+    }
+    this.closeQueueSchedulePopover();
+    showToast(`Queue will start at ${new Date(startAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}.`, 'success', 3000);
+};
+
+/**
+ * Shows the countdown to a scheduled start in the status label and syncs the ⏰ button.
+ */
+window.MaxExtensionFloatingPanel.updateQueueScheduleDisplay = function () {
+    const armed = !!this.scheduledQueueStartAt;
+
+    if (this.queueScheduleButton) {
+        const queueEnabled = !!window.globalMaxExtensionConfig?.enableQueueMode;
+        const canArm = queueEnabled && !this.isQueueRunning && (this.promptQueue.length > 0 || this.remainingTimeOnPause > 0);
+        this.queueScheduleButton.disabled = !armed && !canArm;
+        this.queueScheduleButton.classList.toggle('active', armed);
+        this.queueScheduleButton.title = armed
+            ? `Queue starts at ${new Date(this.scheduledQueueStartAt).toLocaleString()}. Click to cancel.`
+            : (canArm ? 'Start the queue at a chosen time.' : 'Add prompts to the queue to schedule a start.');
+    }
+
+    if (!armed || typeof this.setQueueStatus !== 'function') {
+        return;
+    }
+    const remainingSec = Math.max(0, Math.ceil((this.scheduledQueueStartAt - Date.now()) / 1000));
+    const hours = Math.floor(remainingSec / 3600);
+    const minutes = Math.floor((remainingSec % 3600) / 60);
+    const seconds = remainingSec % 60;
+    const pad = (n) => String(n).padStart(2, '0');
+    const countdown = hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${minutes}:${pad(seconds)}`;
+    const clock = new Date(this.scheduledQueueStartAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    this.setQueueStatus(
+        `⏰ Starts at ${clock} (in ${countdown})`,
+        'info',
+        'Scheduled queue start. Click ⏰ to cancel, or ▶️ to start now.'
+    );
+};
+
 /**
  * Updates the random delay badge icon and tooltip.
  */
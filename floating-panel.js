@@ -78,6 +78,26 @@ window.MaxExtensionFloatingPanel = {
     queueAudioContext: null,
     queueFinishedIndicatorButton: null,
     queueFinishedState: false,
+    // "Wait for response" pacing: active reply watch ({ cancel }) and whether resume should re-enter it.
+    responseWatch: null,
+    resumeWithResponseWatch: false,
+    pacingModeBadge: null,
+    // Saved queue session (per tab + hostname): coalescing timer and the once-per-page-load resume check.
+    queueSessionSaveTimer: null,
+    queueSessionRestoreChecked: false,
+    // Scheduled queue start: target time (epoch ms, 0 = not armed), arm time for the countdown bar, timers.
+    scheduledQueueStartAt: 0,
+    scheduledQueueArmedAt: 0,
+    scheduledQueueTimerId: null,
+    scheduledQueueTickId: null,
+    queueScheduleButton: null,
+    queueSchedulePopover: null,
+    // Retry policy: a retry backoff is running; items that ran out of attempts (shown under the queue).
+    queueRetryPending: false,
+    failedQueueItems: [],
+    failedQueueContainer: null,
+    // Named queue presets dropdown (presets themselves are stored in the profile as queuePresets).
+    queuePresetSelect: null,
 
     // Internal runtime flags
     panelSettingsLoaded: false
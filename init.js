@@ -39,6 +39,8 @@ function normalizeCrossChatConfig(settings = {}) {
         autosendCopy: false,
         autosendPaste: false,
         dangerAutoSendAll: false,
+        dangerCompareAnswers: true,
+        dangerConfirmBroadcast: true,
         hideStandardButtons: false,
         ...settings
     };
@@ -46,6 +48,8 @@ function normalizeCrossChatConfig(settings = {}) {
     normalized.autosendCopy = !!normalized.autosendCopy;
     normalized.autosendPaste = !!normalized.autosendPaste;
     normalized.dangerAutoSendAll = !!normalized.dangerAutoSendAll;
+    normalized.dangerCompareAnswers = normalized.dangerCompareAnswers !== false;
+    normalized.dangerConfirmBroadcast = normalized.dangerConfirmBroadcast !== false;
     normalized.hideStandardButtons = !!normalized.hideStandardButtons;
     normalized.placement = normalized.placement === 'before' ? 'before' : 'after';
     return normalized;
@@ -54,14 +58,82 @@ function normalizeCrossChatConfig(settings = {}) {
 function applyCrossChatConfig(settings = {}) {
     const normalized = normalizeCrossChatConfig(settings);
     window.globalCrossChatConfig = normalized;
-    if (!normalized.dangerAutoSendAll) {
-        window.__OCP_dangerReceiveBlocked = false;
-    } else if (typeof window.__OCP_dangerReceiveBlocked !== 'boolean') {
+    // The shield itself is persisted by the service worker (loadBroadcastShieldState); it survives toggling the danger setting.
+    if (typeof window.__OCP_dangerReceiveBlocked !== 'boolean') {
         window.__OCP_dangerReceiveBlocked = false;
     }
     return normalized;
 }
 
+/**
+ * Applies the broadcast shield of this tab and refreshes the broadcast buttons.
+ * @param {{tab: boolean, hostname: boolean}} shield - Shield of this tab / of its hostname.
+ */
+function applyBroadcastShieldState(shield = {}) {
+    window.__OCP_broadcastShield = { tab: !!shield.tab, hostname: !!shield.hostname };
+    window.__OCP_dangerReceiveBlocked = window.__OCP_broadcastShield.tab || window.__OCP_broadcastShield.hostname;
+    window.MaxExtensionButtons?.refreshBroadcastButtons?.();
+    window.MaxExtensionFloatingPanel?.syncShieldControls?.();
+}
+
+/**
+ * Reads the persisted shield for this tab and hostname (and registers the hostname of this tab).
+ */
+function loadBroadcastShieldState() {
+    chrome.runtime.sendMessage({ type: 'getBroadcastShield', hostname: window.location.hostname }, (response) => {
+        if (chrome.runtime.lastError || !response?.shield) {
+            logConCgp('[init] Could not load the broadcast shield:', chrome.runtime.lastError?.message || response?.error);
+            return;
+        }
+        applyBroadcastShieldState(response.shield);
+    });
+}
+
+/**
+ * Applies the site profile rule matching this page (popup → Profile → Site rules), if any.
+ * A profile picked by hand in this tab (inline selector or panel switcher) wins until the tab navigates.
+ * @param {boolean} refreshUi - Re-render buttons and profile switchers after a switch. False during
+ *   initialization, which loads the new profile's config right afterwards.
+ * @param {Function} [onDone] - Called when the rule has been applied (or there was nothing to do).
+ */
+function applyProfileRuleForPage(refreshUi, onDone) {
+    const finish = () => {
+        if (typeof onDone === 'function') onDone();
+    };
+    if (window.__OCP_profileRuleOverrideUrl === window.location.href) {
+        finish();
+        return;
+    }
+    window.__OCP_profileRuleOverrideUrl = null;
+    chrome.runtime.sendMessage({ type: 'applyProfileRule', url: window.location.href }, (response) => {
+        if (chrome.runtime.lastError || !response || response.error) {
+            logConCgp('[init] Could not apply site profile rules:', chrome.runtime.lastError?.message || response?.error);
+            finish();
+            return;
+        }
+        window.__OCP_profileRule = response.pattern ? { pattern: response.pattern, profileName: response.profileName } : null;
+        if (response.switched) {
+            logConCgp(`[init] Site rule "${response.pattern}" switched the profile to ${response.profileName}.`);
+            if (refreshUi && response.config) {
+                window.globalMaxExtensionConfig = response.config;
+                const panel = window.MaxExtensionFloatingPanel;
+                if (panel && panel.panelElement) {
+                    panel.currentProfileName = response.profileName;
+                    panel.createProfileSwitcher?.();
+                }
+                ['inline', 'panel'].forEach((origin) => {
+                    try {
+                        window.MaxExtensionButtonsInit?.updateButtonsForProfileChange?.(origin);
+                    } catch (err) {
+                        logConCgp(`[init] Failed updating ${origin} buttons after a site rule switch:`, err?.message || err);
+                    }
+                });
+            }
+        }
+        finish();
+    });
+}
+
 // === Global, idempotent message/listener helpers for SPA-safe operation ===
 if (!window.__OCP_messageListenerRegistered_v2) {
     window.__OCP_messageListenerRegistered_v2 = true;
@@ -139,12 +211,24 @@ if (!window.__OCP_messageListenerRegistered_v2) {
         }
     };
 
+    // Unless profiles are kept per tab, another tab may have switched the profile while this one was in the background.
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') {
+            applyProfileRuleForPage(true);
+        }
+    });
+
     // Single runtime message listener for this page
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         if (message && message.type === 'profileChanged') {
             logConCgp('[init] Received profileChanged. Refreshing UI.');
             // Pass origin along if provided to limit refresh scope.
             const origin = message.origin || null;
+            const panel = window.MaxExtensionFloatingPanel;
+            if (panel && panel.panelElement && message.profileName && panel.currentProfileName !== message.profileName) {
+                panel.currentProfileName = message.profileName;
+                panel.createProfileSwitcher?.();
+            }
             // Prefer partial refresh to preserve panel state
             if (typeof window.__OCP_partialRefreshUI === 'function') {
                 window.__OCP_partialRefreshUI(message.config, origin);
@@ -158,6 +242,7 @@ if (!window.__OCP_messageListenerRegistered_v2) {
             logConCgp('[init] Received crossChatChanged broadcast. Updating configuration.');
             const mergedSettings = { ...(window.globalCrossChatConfig || {}), ...(message.settings || {}) };
             applyCrossChatConfig(mergedSettings);
+            window.MaxExtensionFloatingPanel?.updateRecipientsButtonVisibility?.();
 
             if (window.MaxExtensionButtonsInit && typeof window.MaxExtensionButtonsInit.updateButtonsForProfileChange === 'function') {
                 try {
@@ -174,6 +259,31 @@ if (!window.__OCP_messageListenerRegistered_v2) {
             sendResponse?.({ ok: true });
             return false;
         }
+        if (message && message.type === 'crossChatShieldChanged') {
+            loadBroadcastShieldState();
+            sendResponse?.({ ok: true });
+            return false;
+        }
+        if (message && message.type === 'cancelScheduledQueueStart') {
+            const panel = window.MaxExtensionFloatingPanel;
+            const cancelled = !!(panel && typeof panel.cancelScheduledQueueStart === 'function' && panel.cancelScheduledQueueStart());
+            logConCgp(`[init] Scheduled queue start cancel requested from the popup (${cancelled ? 'cancelled' : 'nothing armed'}).`);
+            sendResponse?.({ ok: true, cancelled });
+            return false;
+        }
+        if (message && message.type === 'crossChatDescribeTab') {
+            // Used by the broadcast recipient picker to list this tab.
+            const shielded = !!window.__OCP_dangerReceiveBlocked;
+            sendResponse?.({
+                ok: true,
+                site: window.InjectionTargetsOnWebsite?.activeSite || 'Unknown',
+                hostname: window.location.hostname,
+                title: document.title || '',
+                shielded,
+                accepting: !!(window.globalCrossChatConfig?.enabled && window.globalCrossChatConfig?.dangerAutoSendAll && !shielded)
+            });
+            return false;
+        }
         if (message && message.type === 'crossChatDangerDispatchPrompt') {
             const shouldAccept = window.globalCrossChatConfig?.enabled &&
                 window.globalCrossChatConfig?.dangerAutoSendAll &&
@@ -201,8 +311,16 @@ if (!window.__OCP_messageListenerRegistered_v2) {
                     stopPropagation() { },
                     shiftKey: false,
                 };
+                // The watch must start before sending, so it knows which answer is the new one.
+                if (message.broadcastId && window.OCPBroadcastAnswers) {
+                    window.OCPBroadcastAnswers.collect(message.broadcastId);
+                }
                 processCustomSendButtonClick(syntheticEvent, trimmedPrompt, true);
-                sendResponse?.({ ok: true });
+                sendResponse?.({
+                    ok: true,
+                    site: window.InjectionTargetsOnWebsite.activeSite,
+                    hostname: window.location.hostname
+                });
             } catch (err) {
                 logConCgp('[init] Error during cross-chat danger dispatch:', err?.message || err);
                 sendResponse?.({ ok: false, error: err?.message || String(err) });
@@ -217,56 +335,61 @@ if (!window.__OCP_messageListenerRegistered_v2) {
  * Main entry point. Retrieves configuration and then starts the async initialization.
  */
 function publicStaticVoidMain() {
-    // Start a chain of callbacks to load all necessary configurations before initializing.
-    chrome.runtime.sendMessage({ type: 'getConfig' }, (response) => {
-        if (chrome.runtime.lastError || !response?.config) {
-            logConCgp('[init] Error loading main configuration:', chrome.runtime.lastError?.message);
-            return;
-        }
-        const mainConfig = response.config;
-        logConCgp('[init] Main configuration successfully loaded:', mainConfig);
-
-        const loadInlineProfileSelectorSettings = () => {
-            chrome.runtime.sendMessage({ type: 'getInlineProfileSelectorSettings' }, (selectorResponse) => {
-                if (chrome.runtime.lastError || !selectorResponse?.settings) {
-                    logConCgp('[init] Could not load Inline Profile Selector settings.', chrome.runtime.lastError?.message);
-                    window.globalInlineSelectorConfig = { enabled: false, placement: 'before' };
-                } else {
-                    window.globalInlineSelectorConfig = selectorResponse.settings;
-                    logConCgp('[init] Inline Profile Selector settings loaded:', window.globalInlineSelectorConfig);
-                }
-
-                // Start main initialization only after all global configs are present
-                commenceExtensionInitialization(mainConfig);
-            });
-        };
-
-        const applyCrossChatAndContinue = (settings, logLabel) => {
-            const appliedSettings = applyCrossChatConfig(settings);
-            if (logLabel) {
-                logConCgp(logLabel, appliedSettings);
+    loadBroadcastShieldState();
+    // A site rule may switch the profile first, so the config loaded below already is the rule's profile.
+    // Navigation re-runs this function (ocp-page-navigated is dispatched right before), so rules follow SPA route changes.
+    applyProfileRuleForPage(false, () => {
+        // Start a chain of callbacks to load all necessary configurations before initializing.
+        chrome.runtime.sendMessage({ type: 'getConfig' }, (response) => {
+            if (chrome.runtime.lastError || !response?.config) {
+                logConCgp('[init] Error loading main configuration:', chrome.runtime.lastError?.message);
+                return;
             }
-            loadInlineProfileSelectorSettings();
-        };
-
-        // After loading the main config, load the cross-chat module settings.
-        chrome.runtime.sendMessage({ type: 'getCrossChatModuleSettings' }, (moduleResponse) => {
-            const settingsError = chrome.runtime.lastError;
-            if (settingsError || !moduleResponse?.settings) {
-                logConCgp('[init] Could not load Cross-Chat module settings. Attempting defaults.', settingsError?.message);
-                chrome.runtime.sendMessage({ type: 'getCrossChatModuleDefaults' }, (defaultsResponse) => {
-                    const defaultsError = chrome.runtime.lastError;
-                    if (defaultsError || !defaultsResponse?.defaults) {
-                        logConCgp('[init] Cross-Chat defaults unavailable. Using fallback disabled state.', defaultsError?.message);
-                        applyCrossChatAndContinue({}, '[init] Cross-Chat module defaults unavailable; using fallback:');
+            const mainConfig = response.config;
+            logConCgp('[init] Main configuration successfully loaded:', mainConfig);
+
+            const loadInlineProfileSelectorSettings = () => {
+                chrome.runtime.sendMessage({ type: 'getInlineProfileSelectorSettings' }, (selectorResponse) => {
+                    if (chrome.runtime.lastError || !selectorResponse?.settings) {
+                        logConCgp('[init] Could not load Inline Profile Selector settings.', chrome.runtime.lastError?.message);
+                        window.globalInlineSelectorConfig = { enabled: false, placement: 'before' };
                     } else {
-                        applyCrossChatAndContinue(defaultsResponse.defaults, '[init] Cross-Chat module defaults applied:');
+                        window.globalInlineSelectorConfig = selectorResponse.settings;
+                        logConCgp('[init] Inline Profile Selector settings loaded:', window.globalInlineSelectorConfig);
                     }
+
+                    // Start main initialization only after all global configs are present
+                    commenceExtensionInitialization(mainConfig);
                 });
-                return;
-            }
+            };
 
-            applyCrossChatAndContinue(moduleResponse.settings, '[init] Cross-Chat module settings loaded:');
+            const applyCrossChatAndContinue = (settings, logLabel) => {
+                const appliedSettings = applyCrossChatConfig(settings);
+                if (logLabel) {
+                    logConCgp(logLabel, appliedSettings);
+                }
+                loadInlineProfileSelectorSettings();
+            };
+
+            // After loading the main config, load the cross-chat module settings.
+            chrome.runtime.sendMessage({ type: 'getCrossChatModuleSettings' }, (moduleResponse) => {
+                const settingsError = chrome.runtime.lastError;
+                if (settingsError || !moduleResponse?.settings) {
+                    logConCgp('[init] Could not load Cross-Chat module settings. Attempting defaults.', settingsError?.message);
+                    chrome.runtime.sendMessage({ type: 'getCrossChatModuleDefaults' }, (defaultsResponse) => {
+                        const defaultsError = chrome.runtime.lastError;
+                        if (defaultsError || !defaultsResponse?.defaults) {
+                            logConCgp('[init] Cross-Chat defaults unavailable. Using fallback disabled state.', defaultsError?.message);
+                            applyCrossChatAndContinue({}, '[init] Cross-Chat module defaults unavailable; using fallback:');
+                        } else {
+                            applyCrossChatAndContinue(defaultsResponse.defaults, '[init] Cross-Chat module defaults applied:');
+                        }
+                    });
+                    return;
+                }
+
+                applyCrossChatAndContinue(moduleResponse.settings, '[init] Cross-Chat module settings loaded:');
+            });
         });
     });
 }
@@ -432,6 +555,8 @@ async function commenceExtensionInitialization(configurationObject) {
  */
 function manageKeyboardShortcutEvents(event) {
     if (!globalMaxExtensionConfig.enableShortcuts) return;
+    // While a fill-in form ({{name:?}} placeholders) is waiting for input, shortcuts must not start another button.
+    if (window.OCPPromptForm && window.OCPPromptForm.isOpen()) return;
 
     // We check for Alt key, but not Ctrl or Meta (Cmd/Win). The 'code' property is layout-independent.
     if (event.altKey && !event.ctrlKey && !event.metaKey && event.code.startsWith('Digit')) {
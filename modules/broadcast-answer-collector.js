@@ -0,0 +1,129 @@
+// modules/broadcast-answer-collector.js
+// Version: 1.1
+//
+// Documentation:
+// Collects the answer a chat tab produced for a Danger broadcast and reports it to the service worker,
+// which stores it for the broadcast comparison page (broadcast-comparison.html).
+// The watch starts right before the prompt is sent: it counts the answers on the page and hands the wait to the
+// shared response watcher (modules/response-watcher.js: stop button gone and thread quiet for ANSWER_QUIET_MS).
+// Only the newest answer is read, once, when the watch ends (OCPThreadParser.getLastAssistantMessage).
+// Report shape (message type 'reportBroadcastAnswer'):
+// { broadcastId, answer: { status, text, tokens, sentAt, finishedAt, site, hostname, title, url } }
+//  - status: 'done' | 'timeout' (still changing after ANSWER_MAX_WAIT_MS) | 'no_answer' (nothing appeared)
+//  - tokens: estimate from the default token counting model (modules/token-models), ~4 chars per token as fallback
+//
+// Usage:
+// Loaded as a content script after modules/thread-parser.js and modules/response-watcher.js.
+// - window.OCPBroadcastAnswers.createBroadcastId()   Used by the tab that starts the broadcast (buttons.js)
+// - window.OCPBroadcastAnswers.collect(broadcastId)  Call BEFORE dispatching the prompt (buttons.js, init.js)
+// - window.OCPBroadcastAnswers.cancel(broadcastId)
+//
+// Instructions for AI: do not remove comments! MUST NOT REMOVE COMMENTS. This one too!
+'use strict';
+
+window.OCPBroadcastAnswers = {
+    ANSWER_QUIET_MS: 3000,
+    ANSWER_START_TIMEOUT_MS: 90 * 1000,
+    ANSWER_MAX_WAIT_MS: 10 * 60 * 1000,
+
+    // Active watches by broadcast id (OCPResponseWatcher watches)
+    watches: {},
+
+    /**
+     * @returns {string}
+     */
+    createBroadcastId: function () {
+        return `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    },
+
+    /**
+     * @param {string} text
+     * @returns {number}
+     */
+    estimateTokens: function (text) {
+        if (!text) {
+            return 0;
+        }
+        try {
+            const registry = typeof window.OCP_createTokenModelRegistry === 'function'
+                ? window.OCP_createTokenModelRegistry()
+                : null;
+            const model = registry ? registry.getDefaultModel() : null;
+            if (model) {
+                return model.estimate(text);
+            }
+        } catch (err) {
+            logConCgp('[broadcast-answers] Token model failed, using the simple estimate:', err?.message || err);
+        }
+        return Math.ceil(text.length / 4);
+    },
+
+    /**
+     * Starts watching for the answer to the prompt that is about to be sent.
+     * A new watch replaces any earlier one in this tab.
+     * @param {string} broadcastId
+     */
+    collect: function (broadcastId) {
+        if (!broadcastId) {
+            return;
+        }
+        Object.keys(this.watches).forEach((id) => this.cancel(id));
+
+        const sentAt = Date.now();
+        this.watches[broadcastId] = window.OCPResponseWatcher.watch({
+            baselineCount: window.OCPResponseWatcher.countAnswers(),
+            startTimeoutMs: this.ANSWER_START_TIMEOUT_MS,
+            quietMs: this.ANSWER_QUIET_MS,
+            maxWaitMs: this.ANSWER_MAX_WAIT_MS,
+            onFinish: ({ outcome }) => {
+                delete this.watches[broadcastId];
+                if (outcome === 'not_started') {
+                    this.finish(broadcastId, 'no_answer', '', sentAt);
+                    return;
+                }
+                const latest = window.OCPThreadParser ? window.OCPThreadParser.getLastAssistantMessage() : null;
+                this.finish(broadcastId, outcome === 'timeout' ? 'timeout' : 'done', latest ? latest.text : '', sentAt);
+            }
+        });
+        logConCgp(`[broadcast-answers] Watching for the answer to broadcast ${broadcastId}.`);
+    },
+
+    /**
+     * @param {string} broadcastId
+     */
+    cancel: function (broadcastId) {
+        const watch = this.watches[broadcastId];
+        if (watch) {
+            watch.cancel();
+            delete this.watches[broadcastId];
+        }
+    },
+
+    /**
+     * Stops the watch and sends the answer to the service worker.
+     * @param {string} broadcastId
+     * @param {'done'|'timeout'|'no_answer'} status
+     * @param {string} text
+     * @param {number} sentAt
+     */
+    finish: function (broadcastId, status, text, sentAt) {
+        this.cancel(broadcastId);
+        const answer = {
+            status,
+            text,
+            tokens: this.estimateTokens(text),
+            sentAt,
+            finishedAt: Date.now(),
+            site: window.InjectionTargetsOnWebsite?.activeSite || 'Unknown',
+            hostname: window.location.hostname,
+            title: document.title || '',
+            url: window.location.href
+        };
+        logConCgp(`[broadcast-answers] Reporting answer for broadcast ${broadcastId} (${status}, ${answer.tokens} tokens).`);
+        chrome.runtime.sendMessage({ type: 'reportBroadcastAnswer', broadcastId, answer }, () => {
+            if (chrome.runtime.lastError) {
+                logConCgp('[broadcast-answers] Could not report the answer:', chrome.runtime.lastError.message);
+            }
+        });
+    }
+};
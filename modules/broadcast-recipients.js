@@ -0,0 +1,263 @@
+// modules/broadcast-recipients.js
+// Version: 1.1
+//
+// Documentation:
+// Recipient picker for the Danger broadcast. Lists the open chat tabs (site, title, shield state) and lets the
+// user choose which of them receive the next broadcast, and save/apply named recipient groups.
+// State lives in the service worker (StateStore):
+//  - targetTabIds: number[] | null   Current selection; null = every tab (the old behaviour). Kept in
+//                                    storage.session, so a browser restart falls back to "all tabs".
+//  - groups: [{ name, hostnames }]   Named groups. Tab ids change between sessions, so a group remembers
+//                                    hostnames and applying it selects the open tabs on those hostnames.
+// triggerDangerCrossChatSend only dispatches to tabs in targetTabIds and refuses when none of them is open.
+// Shielded sites (hostnames that never receive broadcasts) are listed by renderShieldedHostnames; they are set
+// from the floating panel (🎯 popover, "This tab") and skipped by the service worker before sending.
+// Group names are asked with OCPPromptForm and deletes/overwrites confirmed with showConfirmToast, so nothing
+// blocks the chat page (both are loaded in the page and in popup.html).
+//
+// Usage:
+// Loaded as a content script (floating panel 🎯 header popover) and by popup.html (Cross-Chat module).
+// - window.OCPBroadcastRecipients.renderPicker(containerElement)
+// - window.OCPBroadcastRecipients.renderShieldedHostnames(containerElement)   (popup)
+//
+// Instructions for AI: do not remove comments! MUST NOT REMOVE COMMENTS. This one too!
+'use strict';
+
+window.OCPBroadcastRecipients = {
+    /**
+     * @returns {Promise<{tabs: Array<object>, targetTabIds: number[]|null, groups: Array<{name: string, hostnames: string[]}>}>}
+     */
+    load: async function () {
+        const response = await window.MaxExtensionUtils.sendRuntimeMessage({ type: 'listBroadcastRecipients' });
+        return {
+            tabs: Array.isArray(response.tabs) ? response.tabs : [],
+            targetTabIds: Array.isArray(response.targetTabIds) ? response.targetTabIds : null,
+            groups: Array.isArray(response.groups) ? response.groups : []
+        };
+    },
+
+    /**
+     * @param {object} patch - { targetTabIds?: number[]|null, groups?: Array }
+     */
+    save: async function (patch) {
+        await window.MaxExtensionUtils.sendRuntimeMessage({ type: 'saveBroadcastRecipients', patch });
+    },
+
+    /**
+     * Builds (or rebuilds) the picker inside the container.
+     * @param {HTMLElement} container
+     */
+    renderPicker: async function (container) {
+        if (!container) return;
+        let state;
+        try {
+            state = await this.load();
+        } catch (err) {
+            logConCgp('[broadcast-recipients] Could not load recipients:', err?.message || err);
+            container.textContent = 'Could not load the open chat tabs.';
+            return;
+        }
+        const { tabs, groups } = state;
+        // Selected ids of tabs that are no longer open are simply not shown.
+        const selected = state.targetTabIds ? new Set(state.targetTabIds) : null;
+        const rerender = () => this.renderPicker(container);
+        const saveTargets = async (tabIds) => {
+            await this.save({ targetTabIds: tabIds });
+            rerender();
+        };
+
+        container.innerHTML = '';
+        const root = document.createElement('div');
+        root.className = 'ocp-recipients';
+
+        // "All tabs" switch
+        const allLabel = document.createElement('label');
+        allLabel.className = 'ocp-recipients-all';
+        const allCheckbox = document.createElement('input');
+        allCheckbox.type = 'checkbox';
+        allCheckbox.checked = selected === null;
+        allCheckbox.addEventListener('change', () => {
+            // Unchecking starts from the tabs open now, so the user only has to untick the unwanted ones.
+            saveTargets(allCheckbox.checked ? null : tabs.map((tab) => tab.tabId));
+        });
+        allLabel.append(allCheckbox, document.createTextNode(' Every open chat tab (including tabs opened later)'));
+        root.appendChild(allLabel);
+
+        // Tab list
+        const list = document.createElement('div');
+        list.className = 'ocp-recipients-list';
+        if (tabs.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'ocp-recipients-empty';
+            empty.textContent = 'No other chat tabs are open.';
+            list.appendChild(empty);
+        }
+        tabs.forEach((tab) => {
+            const row = document.createElement('label');
+            row.className = 'ocp-recipients-tab';
+            if (!tab.accepting) {
+                row.classList.add('is-unavailable');
+            }
+            row.title = tab.accepting
+                ? `${tab.title}\n${tab.hostname}`
+                : `${tab.title}\n${tab.hostname}\nThis tab refuses broadcasts (${tab.shielded ? 'shield is on' : 'broadcast is off there'}).`;
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.dataset.tabId = String(tab.tabId);
+            checkbox.checked = selected === null || selected.has(tab.tabId);
+            checkbox.disabled = selected === null;
+            checkbox.addEventListener('change', () => {
+                const ids = Array.from(list.querySelectorAll('input[type="checkbox"]:checked'))
+                    .map((input) => Number(input.dataset.tabId));
+                saveTargets(ids);
+            });
+            const site = document.createElement('strong');
+            site.textContent = `${tab.site}${tab.shielded ? ' 🛡️' : ''}`;
+            const title = document.createElement('span');
+            title.textContent = tab.title || tab.hostname;
+            row.append(checkbox, site, title);
+            list.appendChild(row);
+        });
+        root.appendChild(list);
+
+        // Named groups
+        const groupRow = document.createElement('div');
+        groupRow.className = 'ocp-recipients-groups';
+        const groupSelect = document.createElement('select');
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = groups.length ? 'Recipient groups…' : 'No groups saved';
+        groupSelect.appendChild(placeholder);
+        groups.forEach((group) => {
+            const option = document.createElement('option');
+            option.value = group.name;
+            option.textContent = group.name;
+            option.title = group.hostnames.join('\n');
+            groupSelect.appendChild(option);
+        });
+        const makeButton = (label, title, onClick) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = label;
+            button.title = title;
+            button.addEventListener('click', (event) => {
+                event.preventDefault();
+                event.stopPropagation();
+                onClick();
+            });
+            return button;
+        };
+        const findGroup = () => groups.find((group) => group.name === groupSelect.value);
+
+        const applyButton = makeButton('Use', 'Select the open tabs on the hostnames of this group', () => {
+            const group = findGroup();
+            if (!group) return;
+            const ids = tabs.filter((tab) => group.hostnames.includes(tab.hostname)).map((tab) => tab.tabId);
+            if (ids.length === 0) {
+                showToast(`No open tabs match the group "${group.name}".`, 'info', 2500);
+                return;
+            }
+            logConCgp(`[broadcast-recipients] Applied group "${group.name}" (${ids.length} tabs).`);
+            saveTargets(ids);
+        });
+        const saveButton = makeButton('Save…', 'Save the hostnames of the selected tabs as a group', async () => {
+            const chosen = tabs.filter((tab) => selected === null || selected.has(tab.tabId));
+            if (chosen.length === 0) {
+                showToast('Select at least one tab first.', 'info', 2500);
+                return;
+            }
+            const values = await window.OCPPromptForm.open({
+                title: 'Save the selected tabs as a recipient group',
+                submitLabel: 'Save',
+                fields: [{ name: 'Group name', value: groupSelect.value || '' }]
+            });
+            const name = (values?.['Group name'] || '').trim();
+            if (!name) return;
+            if (groups.some((group) => group.name === name)
+                && !(await showConfirmToast(`Overwrite the group "${name}"?`, { confirmText: 'Overwrite' }))) {
+                return;
+            }
+            const group = { name, hostnames: Array.from(new Set(chosen.map((tab) => tab.hostname))) };
+            // The groups may have changed in another view while the form was open.
+            const { groups: currentGroups } = await this.load();
+            await this.save({ groups: currentGroups.filter((entry) => entry.name !== name).concat(group) });
+            logConCgp(`[broadcast-recipients] Saved group "${name}":`, group.hostnames);
+            rerender();
+        });
+        const deleteButton = makeButton('Delete', 'Delete the selected group', async () => {
+            const group = findGroup();
+            if (!group || !(await showConfirmToast(`Delete the recipient group "${group.name}"?`, { confirmText: 'Delete' }))) return;
+            const { groups: currentGroups } = await this.load();
+            await this.save({ groups: currentGroups.filter((entry) => entry.name !== group.name) });
+            rerender();
+        });
+        const syncGroupButtons = () => {
+            applyButton.disabled = !groupSelect.value;
+            deleteButton.disabled = !groupSelect.value;
+        };
+        groupSelect.addEventListener('change', syncGroupButtons);
+        syncGroupButtons();
+        groupRow.append(groupSelect, applyButton, saveButton, deleteButton);
+        root.appendChild(groupRow);
+
+        // Summary + refresh
+        const footer = document.createElement('div');
+        footer.className = 'ocp-recipients-footer';
+        const summary = document.createElement('small');
+        const selectedCount = selected === null ? tabs.length : tabs.filter((tab) => selected.has(tab.tabId)).length;
+        summary.textContent = selected === null
+            ? `Broadcast goes to every open chat tab (${tabs.length} now).`
+            : `Broadcast goes to ${selectedCount} of ${tabs.length} tabs.`;
+        const refreshButton = makeButton('↻', 'Reload the list of open chat tabs', rerender);
+        footer.append(summary, refreshButton);
+        root.appendChild(footer);
+
+        container.appendChild(root);
+    },
+
+    /**
+     * Lists the shielded hostnames with a Remove button each.
+     * @param {HTMLElement} container
+     */
+    renderShieldedHostnames: async function (container) {
+        if (!container) return;
+        let hostnames;
+        try {
+            hostnames = (await window.MaxExtensionUtils.sendRuntimeMessage({ type: 'listShieldedHostnames' })).hostnames || [];
+        } catch (err) {
+            logConCgp('[broadcast-recipients] Could not load shielded hostnames:', err?.message || err);
+            container.textContent = 'Could not load the shielded sites.';
+            return;
+        }
+        container.innerHTML = '';
+        if (hostnames.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'ocp-recipients-empty';
+            empty.textContent = 'No site is shielded.';
+            container.appendChild(empty);
+            return;
+        }
+        hostnames.forEach((hostname) => {
+            const row = document.createElement('div');
+            row.className = 'ocp-shielded-hostname';
+            const name = document.createElement('span');
+            name.textContent = hostname;
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.textContent = 'Remove';
+            removeButton.title = `Let tabs on ${hostname} receive broadcasts again`;
+            removeButton.addEventListener('click', async () => {
+                try {
+                    await window.MaxExtensionUtils.sendRuntimeMessage({ type: 'setBroadcastShield', scope: 'hostname', hostname, enabled: false });
+                    logConCgp(`[broadcast-recipients] Removed the shield of ${hostname}.`);
+                } catch (err) {
+                    logConCgp('[broadcast-recipients] Could not remove the shield:', err?.message || err);
+                    showToast('Could not remove the shield.', 'error', 2500);
+                }
+                this.renderShieldedHostnames(container);
+            });
+            row.append(name, removeButton);
+            container.appendChild(row);
+        });
+    }
+};
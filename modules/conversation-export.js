@@ -0,0 +1,277 @@
+// modules/conversation-export.js
+// Version: 1.0
+//
+// Documentation:
+// Builds a transcript of the conversation on the active chat page and downloads it as Markdown or JSON.
+// Messages come from window.OCPThreadParser (modules/thread-parser.js), i.e. the per-site
+// userMessages / assistantMessages selectors, so every supported site (ChatGPT, Claude, Copilot, DeepSeek,
+// AI Studio, Grok, Gemini, Perplexity) uses the same code path.
+// Transcript shape:
+// { site, title, url, exportedAt, messages: [{ index, role, timestamp, text, markdown }] }
+//  - role: 'user' | 'assistant'
+//  - timestamp: ISO string from a <time datetime> inside or around the message, '' when the site shows none
+//  - markdown: the message HTML converted to Markdown (headings, lists, tables, links, fenced code blocks
+//    with the language taken from "language-xxx" classes or data-language)
+//
+// Usage:
+// Loaded as a content script after modules/thread-parser.js; the floating panel's ⤓ header button calls it.
+// - window.OCPConversationExport.buildTranscript()
+// - window.OCPConversationExport.toMarkdown(transcript) / toJSON(transcript)
+// - window.OCPConversationExport.download('markdown' | 'json')
+//
+// Instructions for AI: do not remove comments! MUST NOT REMOVE COMMENTS. This one too!
+'use strict';
+
+window.OCPConversationExport = {
+    // Page controls inside messages (copy buttons, icons, hidden helpers) are not part of the content.
+    SKIPPED_TAGS: ['BUTTON', 'SVG', 'STYLE', 'SCRIPT', 'NOSCRIPT', 'TEMPLATE', 'TEXTAREA', 'INPUT', 'SELECT'],
+    BLOCK_TAGS: ['P', 'DIV', 'SECTION', 'ARTICLE', 'HEADER', 'FOOTER', 'FIGURE', 'DETAILS', 'SUMMARY'],
+    ROLE_LABELS: { user: 'User', assistant: 'Assistant' },
+
+    /**
+     * Finds the language of a code block from its classes or data attributes.
+     * @param {Element} pre
+     * @returns {string}
+     */
+    detectCodeLanguage: function (pre) {
+        const candidates = [pre.querySelector('code'), pre, pre.parentElement].filter(Boolean);
+        for (const el of candidates) {
+            const match = /(?:^|\s)(?:language|lang)-([\w+#.-]+)/.exec(el.className && typeof el.className === 'string' ? el.className : '');
+            if (match) {
+                return match[1];
+            }
+            const dataLanguage = el.getAttribute && el.getAttribute('data-language');
+            if (dataLanguage) {
+                return dataLanguage.trim();
+            }
+        }
+        return '';
+    },
+
+    /**
+     * Converts the children of a node to Markdown.
+     * @param {Node} node
+     * @param {{listDepth: number}} context
+     * @returns {string}
+     */
+    childrenToMarkdown: function (node, context) {
+        return Array.from(node.childNodes).map((child) => this.nodeToMarkdown(child, context)).join('');
+    },
+
+    /**
+     * Converts a single DOM node to Markdown.
+     * @param {Node} node
+     * @param {{listDepth: number}} context
+     * @returns {string}
+     */
+    nodeToMarkdown: function (node, context) {
+        if (node.nodeType === Node.TEXT_NODE) {
+            const text = node.textContent || '';
+            // Whitespace between block elements is layout, not content.
+            if (!text.trim()) {
+                return text.includes('\n') ? '' : ' ';
+            }
+            return text;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            return '';
+        }
+
+        const el = node;
+        const tag = el.tagName.toUpperCase();
+        if (this.SKIPPED_TAGS.includes(tag) || el.getAttribute('aria-hidden') === 'true') {
+            return '';
+        }
+
+        const inner = () => this.childrenToMarkdown(el, context);
+        switch (tag) {
+            case 'PRE': {
+                const code = el.querySelector('code') || el;
+                const body = (code.textContent || '').replace(/\n+$/, '');
+                return `\n\n\`\`\`${this.detectCodeLanguage(el)}\n${body}\n\`\`\`\n\n`;
+            }
+            case 'CODE':
+                return `\`${el.textContent || ''}\``;
+            case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6':
+                return `\n\n${'#'.repeat(Number(tag[1]))} ${inner().trim()}\n\n`;
+            case 'BR':
+                return '\n';
+            case 'HR':
+                return '\n\n---\n\n';
+            case 'STRONG': case 'B':
+                return `**${inner().trim()}**`;
+            case 'EM': case 'I':
+                return `*${inner().trim()}*`;
+            case 'DEL': case 'S':
+                return `~~${inner().trim()}~~`;
+            case 'A': {
+                const text = inner().trim();
+                const href = el.getAttribute('href');
+                return href && text ? `[${text}](${el.href || href})` : text;
+            }
+            case 'IMG': {
+                const src = el.getAttribute('src');
+                return src ? `![${el.getAttribute('alt') || ''}](${el.src || src})` : '';
+            }
+            case 'UL': case 'OL': {
+                const depth = context.listDepth;
+                const indent = '  '.repeat(depth);
+                const items = Array.from(el.children).filter((child) => child.tagName.toUpperCase() === 'LI');
+                const lines = items.map((li, index) => {
+                    const marker = tag === 'OL' ? `${index + 1}.` : '-';
+                    // Continuation lines (nested lists, code) are indented under the marker.
+                    const body = this.childrenToMarkdown(li, { ...context, listDepth: depth + 1 })
+                        .trim()
+                        .split('\n')
+                        .join(`\n${indent}  `);
+                    return `${indent}${marker} ${body}`;
+                });
+                return `\n${lines.join('\n')}\n${depth === 0 ? '\n' : ''}`;
+            }
+            case 'BLOCKQUOTE':
+                return `\n\n${inner().trim().split('\n').map((line) => `> ${line}`).join('\n')}\n\n`;
+            case 'TABLE':
+                return this.tableToMarkdown(el, context);
+            default:
+                if (this.BLOCK_TAGS.includes(tag)) {
+                    return `\n${inner()}\n`;
+                }
+                return inner();
+        }
+    },
+
+    /**
+     * Converts a table to a Markdown pipe table (first row becomes the header).
+     * @param {Element} table
+     * @param {{listDepth: number}} context
+     * @returns {string}
+     */
+    tableToMarkdown: function (table, context) {
+        const rows = Array.from(table.querySelectorAll('tr')).map((tr) =>
+            Array.from(tr.children).map((cell) =>
+                this.childrenToMarkdown(cell, context).replace(/\s+/g, ' ').replace(/\|/g, '\\|').trim()
+            )
+        ).filter((cells) => cells.length > 0);
+        if (!rows.length) {
+            return '';
+        }
+        const columnCount = Math.max(...rows.map((cells) => cells.length));
+        const pad = (cells) => cells.concat(Array(columnCount - cells.length).fill(''));
+        const lines = [
+            `| ${pad(rows[0]).join(' | ')} |`,
+            `| ${Array(columnCount).fill('---').join(' | ')} |`,
+            ...rows.slice(1).map((cells) => `| ${pad(cells).join(' | ')} |`)
+        ];
+        return `\n\n${lines.join('\n')}\n\n`;
+    },
+
+    /**
+     * Converts a message element to Markdown.
+     * @param {Element} element
+     * @returns {string}
+     */
+    elementToMarkdown: function (element) {
+        return this.childrenToMarkdown(element, { listDepth: 0 })
+            .replace(/[ \t]+\n/g, '\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    },
+
+    /**
+     * Reads a timestamp shown with the message, if the site renders one.
+     * @param {Element} element
+     * @returns {string} ISO string or ''.
+     */
+    readTimestamp: function (element) {
+        const scopes = [element, element.parentElement, element.parentElement?.parentElement].filter(Boolean);
+        for (const scope of scopes) {
+            const time = scope.querySelector('time[datetime]');
+            if (time) {
+                const parsed = new Date(time.getAttribute('datetime'));
+                if (!Number.isNaN(parsed.getTime())) {
+                    return parsed.toISOString();
+                }
+            }
+        }
+        return '';
+    },
+
+    /**
+     * Collects the conversation of the current page.
+     * @returns {{site: string, title: string, url: string, exportedAt: string, messages: Array<object>}}
+     */
+    buildTranscript: function () {
+        const messages = window.OCPThreadParser ? window.OCPThreadParser.getMessages() : [];
+        return {
+            site: window.InjectionTargetsOnWebsite?.activeSite || 'Unknown',
+            title: document.title || '',
+            url: window.location.href,
+            exportedAt: new Date().toISOString(),
+            messages: messages.map((message, index) => ({
+                index: index + 1,
+                role: message.role,
+                timestamp: this.readTimestamp(message.element),
+                text: message.text,
+                markdown: this.elementToMarkdown(message.element) || message.text
+            }))
+        };
+    },
+
+    /**
+     * @param {object} transcript - Result of buildTranscript().
+     * @returns {string}
+     */
+    toMarkdown: function (transcript) {
+        const lines = [
+            `# ${transcript.title || 'Conversation'}`,
+            '',
+            `- Site: ${transcript.site}`,
+            `- URL: ${transcript.url}`,
+            `- Exported: ${transcript.exportedAt}`,
+            `- Messages: ${transcript.messages.length}`
+        ];
+        transcript.messages.forEach((message) => {
+            lines.push('', '---', '', `## ${this.ROLE_LABELS[message.role] || message.role}`);
+            if (message.timestamp) {
+                lines.push('', `_${message.timestamp}_`);
+            }
+            lines.push('', message.markdown);
+        });
+        return lines.join('\n') + '\n';
+    },
+
+    /**
+     * @param {object} transcript - Result of buildTranscript().
+     * @returns {string}
+     */
+    toJSON: function (transcript) {
+        return JSON.stringify(transcript, null, 2);
+    },
+
+    /**
+     * Builds the transcript and saves it as a file via a temporary object URL.
+     * @param {'markdown'|'json'} format
+     * @returns {number} Number of exported messages (0 = nothing downloaded).
+     */
+    download: function (format) {
+        const transcript = this.buildTranscript();
+        if (!transcript.messages.length) {
+            logConCgp('[conversation-export] No messages found; nothing exported.');
+            return 0;
+        }
+        const isJson = format === 'json';
+        const content = isJson ? this.toJSON(transcript) : this.toMarkdown(transcript);
+        const blob = new Blob([content], { type: isJson ? 'application/json' : 'text/markdown' });
+        const url = URL.createObjectURL(blob);
+        const stamp = transcript.exportedAt.replace(/[:.]/g, '-');
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `oneclickprompts_${transcript.site.toLowerCase()}_conversation_${stamp}.${isJson ? 'json' : 'md'}`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        logConCgp(`[conversation-export] Exported ${transcript.messages.length} messages as ${isJson ? 'JSON' : 'Markdown'}.`);
+        return transcript.messages.length;
+    }
+};
@@ -0,0 +1,349 @@
+// modules/cross-chat-clipboard.js
+// Version: 1.1
+//
+// Documentation:
+// Cross-chat clipboard with several slots and a history of recent copies, on top of the single stored prompt
+// that the 📋 / 📥 buttons use. State lives in the service worker (StateStore, key 'crossChat.clipboard'):
+//  - slots:   [{ id, name, text, updatedAt }]   Up to 9 long-lived slots. Unnamed slots are shown as "Slot <n>".
+//  - history: [{ text, savedAt }]               Newest first, up to 15. Every stored prompt (📋 Copy, broadcast,
+//                                               "Use" in the popup) is added; copying the same text again moves it up.
+// Picking an entry in the paste menu pastes it right away (with the Paste auto-send setting) and does not change
+// the stored prompt, so a plain 📥 click keeps pasting the last copy.
+// Renaming asks with OCPPromptForm and deleting/clearing is confirmed with showConfirmToast, like
+// modules/broadcast-recipients.js, so no native dialog blocks the page.
+//
+// Usage:
+// Loaded as a content script before buttons.js and by popup.html (Cross-Chat module).
+// - window.OCPCrossChatClipboard.openPasteMenu(anchorButton, { readEditorText, onPick })   (📥 right-click / long-press)
+// - window.OCPCrossChatClipboard.renderManager(containerElement, { onUse })                (popup)
+//
+// Instructions for AI: do not remove comments! MUST NOT REMOVE COMMENTS. This one too!
+'use strict';
+
+window.OCPCrossChatClipboard = {
+    PREVIEW_MAX_CHARS: 80,
+    activeMenu: null,
+
+    /**
+     * @returns {Promise<{slots: Array<{id: string, name: string, text: string, updatedAt: number}>, history: Array<{text: string, savedAt: number}>}>}
+     */
+    load: async function () {
+        const response = await window.MaxExtensionUtils.sendRuntimeMessage({ type: 'getCrossChatClipboard' });
+        return {
+            slots: Array.isArray(response.slots) ? response.slots : [],
+            history: Array.isArray(response.history) ? response.history : []
+        };
+    },
+
+    /**
+     * Creates a slot (no id) or updates one.
+     * @param {{id?: string, name?: string, text?: string}} slot
+     * @returns {Promise<object>} The saved slot.
+     */
+    saveSlot: async function (slot) {
+        const response = await window.MaxExtensionUtils.sendRuntimeMessage({ type: 'saveClipboardSlot', slot });
+        return response.slot;
+    },
+
+    /**
+     * @param {string} slotId
+     */
+    deleteSlot: async function (slotId) {
+        await window.MaxExtensionUtils.sendRuntimeMessage({ type: 'deleteClipboardSlot', slotId });
+    },
+
+    clearHistory: async function () {
+        await window.MaxExtensionUtils.sendRuntimeMessage({ type: 'clearClipboardHistory' });
+    },
+
+    /**
+     * @param {{name: string}} slot
+     * @param {number} index - Position in the slot list.
+     * @returns {string}
+     */
+    slotLabel: function (slot, index) {
+        return slot.name || `Slot ${index + 1}`;
+    },
+
+    /**
+     * Single-line preview of a text.
+     * @param {string} text
+     * @returns {string}
+     */
+    preview: function (text) {
+        const line = String(text || '').replace(/\s+/g, ' ').trim();
+        return line.length > this.PREVIEW_MAX_CHARS ? `${line.slice(0, this.PREVIEW_MAX_CHARS - 1)}…` : line;
+    },
+
+    /**
+     * Small button used inside the menu and the popup list.
+     * @param {string} label
+     * @param {string} title
+     * @param {Function} onClick
+     * @returns {HTMLButtonElement}
+     */
+    makeButton: function (label, title, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        button.title = title;
+        button.addEventListener('click', (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            onClick();
+        });
+        return button;
+    },
+
+    closePasteMenu: function () {
+        if (this.activeMenu) {
+            this.activeMenu.close();
+        }
+    },
+
+    /**
+     * Opens the slot/history menu next to the 📥 button.
+     * @param {HTMLElement} anchor - Element the menu is placed under.
+     * @param {Object} options
+     * @param {Function} options.readEditorText - Returns the current editor text (for saving into a slot).
+     * @param {Function} options.onPick - Called with the text of the picked entry.
+     */
+    openPasteMenu: async function (anchor, options) {
+        this.closePasteMenu();
+        let state;
+        try {
+            state = await this.load();
+        } catch (err) {
+            logConCgp('[cross-chat-clipboard] Could not load the clipboard:', err?.message || err);
+            showToast('Could not load the cross-chat clipboard.', 'error', 2500);
+            return;
+        }
+
+        const menu = document.createElement('div');
+        menu.className = 'ocp-clipboard-menu';
+        menu.setAttribute('role', 'menu');
+
+        const close = () => {
+            document.removeEventListener('mousedown', onOutsideClick, true);
+            document.removeEventListener('keydown', onKeyDown, true);
+            if (menu.parentNode) {
+                menu.parentNode.removeChild(menu);
+            }
+            if (this.activeMenu && this.activeMenu.element === menu) {
+                this.activeMenu = null;
+            }
+        };
+        const onOutsideClick = (event) => {
+            if (!menu.contains(event.target)) {
+                close();
+            }
+        };
+        const onKeyDown = (event) => {
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                event.stopPropagation();
+                close();
+            }
+        };
+        const pick = (text) => {
+            close();
+            options.onPick(text);
+        };
+        // index: position of the slot, used for the "Slot <n>" label of unnamed slots
+        const saveEditorTextToSlot = async (slot, index) => {
+            const text = options.readEditorText();
+            if (!text.trim()) {
+                showToast('The editor is empty; type the text to keep first.', 'info', 2500);
+                return;
+            }
+            try {
+                const saved = await this.saveSlot({ ...slot, text });
+                showToast(`Saved to ${this.slotLabel(saved, index)}.`, 'success', 2000);
+            } catch (err) {
+                showToast(err.message, 'error', 3000);
+            }
+            close();
+        };
+
+        const addHeading = (text) => {
+            const heading = document.createElement('div');
+            heading.className = 'ocp-clipboard-menu__heading';
+            heading.textContent = text;
+            menu.appendChild(heading);
+        };
+        const addEntry = (label, text, actions) => {
+            const row = document.createElement('div');
+            row.className = 'ocp-clipboard-menu__entry';
+            const pickButton = this.makeButton('', text, () => pick(text));
+            pickButton.className = 'ocp-clipboard-menu__pick';
+            pickButton.setAttribute('role', 'menuitem');
+            const name = document.createElement('strong');
+            name.textContent = label;
+            const preview = document.createElement('span');
+            preview.textContent = this.preview(text) || '(empty)';
+            pickButton.append(name, preview);
+            pickButton.disabled = !text;
+            row.appendChild(pickButton);
+            actions.forEach((action) => row.appendChild(action));
+            menu.appendChild(row);
+        };
+
+        addHeading('Slots');
+        state.slots.forEach((slot, index) => {
+            addEntry(this.slotLabel(slot, index), slot.text, [
+                this.makeButton('💾', 'Replace this slot with the editor text', () => saveEditorTextToSlot(slot, index))
+            ]);
+        });
+        const newSlotButton = this.makeButton('+ New slot from editor text', 'Keep the current editor text in a new slot', () => saveEditorTextToSlot({}, state.slots.length));
+        newSlotButton.className = 'ocp-clipboard-menu__new';
+        menu.appendChild(newSlotButton);
+
+        addHeading('Recent copies');
+        if (state.history.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'ocp-clipboard-menu__empty';
+            empty.textContent = 'Nothing copied yet.';
+            menu.appendChild(empty);
+        }
+        state.history.forEach((entry) => {
+            addEntry(new Date(entry.savedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }), entry.text, [
+                this.makeButton('📌', 'Keep in a new slot', async () => {
+                    try {
+                        await this.saveSlot({ text: entry.text });
+                        showToast('Kept in a new slot.', 'success', 2000);
+                    } catch (err) {
+                        showToast(err.message, 'error', 3000);
+                    }
+                    close();
+                })
+            ]);
+        });
+
+        // Keep keystrokes away from the chat page and the Alt+digit shortcuts while the menu is open.
+        ['keyup', 'keypress'].forEach((eventName) => menu.addEventListener(eventName, (event) => event.stopPropagation()));
+
+        document.body.appendChild(menu);
+        const rect = anchor.getBoundingClientRect();
+        const top = rect.bottom + 4 + menu.offsetHeight > window.innerHeight
+            ? Math.max(4, rect.top - 4 - menu.offsetHeight)
+            : rect.bottom + 4;
+        menu.style.top = `${top}px`;
+        menu.style.left = `${Math.max(4, Math.min(rect.left, window.innerWidth - menu.offsetWidth - 4))}px`;
+
+        document.addEventListener('mousedown', onOutsideClick, true);
+        document.addEventListener('keydown', onKeyDown, true);
+        this.activeMenu = { element: menu, close };
+        logConCgp(`[cross-chat-clipboard] Paste menu opened (${state.slots.length} slots, ${state.history.length} recent).`);
+    },
+
+    /**
+     * Builds (or rebuilds) the slot and history lists for the popup.
+     * @param {HTMLElement} container
+     * @param {Object} [options]
+     * @param {Function} [options.onUse] - Called after an entry became the stored prompt.
+     */
+    renderManager: async function (container, options = {}) {
+        if (!container) return;
+        let state;
+        try {
+            state = await this.load();
+        } catch (err) {
+            logConCgp('[cross-chat-clipboard] Could not load the clipboard:', err?.message || err);
+            container.textContent = 'Could not load the cross-chat clipboard.';
+            return;
+        }
+        const rerender = () => this.renderManager(container, options);
+        const run = async (task) => {
+            try {
+                await task();
+            } catch (err) {
+                showToast(err.message, 'error', 3000);
+            }
+            rerender();
+        };
+        const useText = (text) => run(async () => {
+            await window.MaxExtensionUtils.sendRuntimeMessage({ type: 'saveStoredPrompt', promptText: text });
+            if (typeof options.onUse === 'function') {
+                options.onUse(text);
+            }
+        });
+
+        container.innerHTML = '';
+        const root = document.createElement('div');
+        root.className = 'ocp-clipboard';
+
+        const makeRow = (label, text, actions) => {
+            const row = document.createElement('div');
+            row.className = 'ocp-clipboard-row';
+            row.title = text;
+            const name = document.createElement('strong');
+            name.textContent = label;
+            const preview = document.createElement('span');
+            preview.textContent = this.preview(text) || '(empty)';
+            row.append(name, preview, ...actions);
+            return row;
+        };
+
+        const slotsHeading = document.createElement('label');
+        slotsHeading.textContent = 'Slots:';
+        root.appendChild(slotsHeading);
+        const slotList = document.createElement('div');
+        slotList.className = 'ocp-clipboard-list';
+        if (state.slots.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'ocp-clipboard-empty';
+            empty.textContent = 'No slots yet. Keep a recent copy in one with 📌.';
+            slotList.appendChild(empty);
+        }
+        state.slots.forEach((slot, index) => {
+            slotList.appendChild(makeRow(this.slotLabel(slot, index), slot.text, [
+                this.makeButton('Use', 'Make this the stored prompt (pasted by 📥)', () => useText(slot.text)),
+                this.makeButton('Rename', 'Name this slot', async () => {
+                    const values = await window.OCPPromptForm.open({
+                        title: 'Slot name (leave empty for a number)',
+                        submitLabel: 'Rename',
+                        fields: [{ name: 'Slot name', value: slot.name }]
+                    });
+                    if (values === null) return;
+                    run(() => this.saveSlot({ id: slot.id, name: values['Slot name'] }));
+                }),
+                this.makeButton('Delete', 'Delete this slot', async () => {
+                    if (!(await showConfirmToast(`Delete "${this.slotLabel(slot, index)}"?`, { confirmText: 'Delete' }))) return;
+                    run(() => this.deleteSlot(slot.id));
+                })
+            ]));
+        });
+        root.appendChild(slotList);
+
+        const historyHeading = document.createElement('label');
+        historyHeading.textContent = 'Recent copies:';
+        root.appendChild(historyHeading);
+        const historyList = document.createElement('div');
+        historyList.className = 'ocp-clipboard-list';
+        if (state.history.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'ocp-clipboard-empty';
+            empty.textContent = 'Nothing copied yet.';
+            historyList.appendChild(empty);
+        }
+        state.history.forEach((entry) => {
+            historyList.appendChild(makeRow(new Date(entry.savedAt).toLocaleString(), entry.text, [
+                this.makeButton('Use', 'Make this the stored prompt (pasted by 📥)', () => useText(entry.text)),
+                this.makeButton('📌', 'Keep in a new slot', () => run(() => this.saveSlot({ text: entry.text })))
+            ]));
+        });
+        root.appendChild(historyList);
+
+        const footer = document.createElement('div');
+        footer.className = 'ocp-clipboard-footer';
+        const clearButton = this.makeButton('Clear history', 'Forget the recent copies (slots are kept)', async () => {
+            if (!(await showConfirmToast('Clear the list of recent copies?', { confirmText: 'Clear' }))) return;
+            run(() => this.clearHistory());
+        });
+        clearButton.disabled = state.history.length === 0;
+        footer.appendChild(clearButton);
+        root.appendChild(footer);
+
+        container.appendChild(root);
+    }
+};
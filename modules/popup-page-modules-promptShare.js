@@ -12,6 +12,10 @@ document.addEventListener('DOMContentLoaded', () => {
     const autosendCopyToggle = document.getElementById('crossChatAutosendCopy');
     const autosendPasteToggle = document.getElementById('crossChatAutosendPaste');
     const dangerBroadcastToggle = document.getElementById('crossChatDangerAutoSendAll');
+    const dangerCompareToggle = document.getElementById('crossChatDangerCompareAnswers');
+    const dangerConfirmToggle = document.getElementById('crossChatDangerConfirmBroadcast');
+    const recipientsPicker = document.getElementById('crossChatRecipientsPicker');
+    const shieldedHostnamesList = document.getElementById('crossChatShieldedHostnames');
     const hideStandardButtonsToggle = document.getElementById('crossChatHideStandardButtons');
     const placementRadios = document.getElementsByName('crossChatButtonPlacement');
 
@@ -19,6 +23,7 @@ document.addEventListener('DOMContentLoaded', () => {
     const storedPromptDisplay = document.getElementById('storedPromptDisplay');
     const refreshPromptBtn = document.getElementById('refreshStoredPrompt');
     const clearPromptBtn = document.getElementById('clearStoredPrompt');
+    const clipboardManager = document.getElementById('crossChatClipboardManager');
 
     // Gracefully exit if essential elements for this module are missing.
     // This no longer breaks the parent container's collapsible functionality.
@@ -37,6 +42,8 @@ document.addEventListener('DOMContentLoaded', () => {
         autosendCopy: false,
         autosendPaste: false,
         dangerAutoSendAll: false,
+        dangerCompareAnswers: true,
+        dangerConfirmBroadcast: true,
         hideStandardButtons: false,
         placement: 'after',
     };
@@ -86,6 +93,12 @@ document.addEventListener('DOMContentLoaded', () => {
         autosendCopyToggle.checked = currentSettings.autosendCopy;
         autosendPasteToggle.checked = currentSettings.autosendPaste;
         dangerBroadcastToggle.checked = currentSettings.dangerAutoSendAll;
+        if (dangerCompareToggle) {
+            dangerCompareToggle.checked = currentSettings.dangerCompareAnswers !== false;
+        }
+        if (dangerConfirmToggle) {
+            dangerConfirmToggle.checked = currentSettings.dangerConfirmBroadcast !== false;
+        }
         hideStandardButtonsToggle.checked = currentSettings.hideStandardButtons;
 
         for (const radio of placementRadios) {
@@ -106,6 +119,13 @@ document.addEventListener('DOMContentLoaded', () => {
         // The toggle's state is reflected by the toggle itself, not by hiding the section.
         if (isModuleExpanded) {
             settingsContainer.classList.remove('is-hidden');
+            // Open tabs change while the popup is closed, so the recipient list is loaded on every expand.
+            if (recipientsPicker && window.OCPBroadcastRecipients) {
+                window.OCPBroadcastRecipients.renderPicker(recipientsPicker);
+            }
+            if (shieldedHostnamesList && window.OCPBroadcastRecipients) {
+                window.OCPBroadcastRecipients.renderShieldedHostnames(shieldedHostnamesList);
+            }
         } else {
             settingsContainer.classList.add('is-hidden');
         }
@@ -137,6 +157,15 @@ document.addEventListener('DOMContentLoaded', () => {
             console.error('Error fetching stored prompt:', error);
             storedPromptDisplay.value = 'Error loading prompt.';
         }
+        // Copies made in other tabs also land in the history, so the lists are reloaded with the prompt.
+        if (clipboardManager && window.OCPCrossChatClipboard) {
+            window.OCPCrossChatClipboard.renderManager(clipboardManager, {
+                onUse: (text) => {
+                    storedPromptDisplay.value = text;
+                    storedPromptDisplay.placeholder = '';
+                }
+            });
+        }
     }
 
     async function clearStoredPrompt() {
@@ -238,6 +267,20 @@ document.addEventListener('DOMContentLoaded', () => {
         // only what gets injected into chat pages. Calling it caused unwanted scrolling.
     });
 
+    if (dangerCompareToggle) {
+        dangerCompareToggle.addEventListener('change', () => {
+            currentSettings.dangerCompareAnswers = dangerCompareToggle.checked;
+            saveModuleSettings();
+        });
+    }
+
+    if (dangerConfirmToggle) {
+        dangerConfirmToggle.addEventListener('change', () => {
+            currentSettings.dangerConfirmBroadcast = dangerConfirmToggle.checked;
+            saveModuleSettings();
+        });
+    }
+
     hideStandardButtonsToggle.addEventListener('change', async () => {
         currentSettings.hideStandardButtons = hideStandardButtonsToggle.checked;
         updateAutosendAvailability();
@@ -0,0 +1,253 @@
+// modules/prompt-template-variables.js
+// Version: 1.0
+//
+// Documentation:
+// Expands template variables inside button prompt text right before it reaches the per-site handlers.
+// Supported placeholders (case-insensitive, inner whitespace allowed, e.g. "{{ Date }}"):
+//  - {{selection}}  Text currently selected on the page (or inside the focused textarea/input)
+//  - {{clipboard}}  Current clipboard text (requires the "clipboardRead" permission; empty on failure)
+//  - {{date}}       Today's date in the user's locale
+//  - {{pageTitle}}  document.title of the chat page
+//  - {{url}}        location.href of the chat page
+//  - {{editor}}     Current content of the chat editor, resolved via InjectionTargetsOnWebsite.selectors.editors
+//  - {{lastResponse}} Text of the newest AI answer on the page (modules/thread-parser.js). Queue items expand at
+//                   dispatch time, so a queued step gets the previous step's answer.
+//
+// Unknown placeholders are left untouched so later stages (or the user) still see them.
+// Values are resolved lazily: a source (e.g. the clipboard) is only read when its placeholder is present.
+//
+// Ask placeholders:
+//  - {{language:?}}              Free-text field named "language"
+//  - {{tone:?|formal,casual}}    Drop-down field named "tone" with the listed choices
+// fillAskFields(text) opens common-ui-elements/ocp_prompt_form.js and substitutes the answers.
+// The same name used twice is asked once and filled everywhere.
+//
+// Usage:
+// Loaded as a content script before buttons.js. processCustomSendButtonClick first fills ask
+// placeholders (before the queue-mode check, so queued items carry the captured values), then calls
+// window.OCPPromptTemplates.expand(text) after the queue-mode check, so queue items are expanded
+// at dispatch time (processNextQueueItem) and cross-chat Paste/broadcast text is expanded too.
+//
+// Instructions for AI: do not remove comments! MUST NOT REMOVE COMMENTS. This one too!
+'use strict';
+
+window.OCPPromptTemplates = {
+    // Matches {{name}} with optional whitespace around the name. Names are word characters only.
+    PLACEHOLDER_REGEX: /\{\{\s*([A-Za-z][A-Za-z0-9_]*)\s*\}\}/g,
+    // Matches {{name:?}} and {{name:?|choice a,choice b}}. Names may contain spaces and dashes.
+    ASK_PLACEHOLDER_REGEX: /\{\{\s*([^{}:|]+?)\s*:\?\s*(?:\|([^{}]*))?\}\}/g,
+
+    /**
+     * Returns the text selected on the page. Textareas/inputs keep their selection outside of
+     * window.getSelection(), so the focused field is checked first.
+     * @returns {string}
+     */
+    readSelection: function () {
+        try {
+            const active = document.activeElement;
+            if (active && (active.tagName === 'TEXTAREA' || active.tagName === 'INPUT') &&
+                typeof active.selectionStart === 'number' && active.selectionEnd > active.selectionStart) {
+                return active.value.substring(active.selectionStart, active.selectionEnd);
+            }
+        } catch (_) { /* ignore: some inputs do not expose selection ranges */ }
+        try {
+            const selection = window.getSelection();
+            return selection ? selection.toString() : '';
+        } catch (_) {
+            return '';
+        }
+    },
+
+    /**
+     * Reads clipboard text. Resolves to '' when the clipboard API is unavailable or denied.
+     * @returns {Promise<string>}
+     */
+    readClipboard: async function () {
+        try {
+            if (navigator.clipboard && typeof navigator.clipboard.readText === 'function') {
+                const text = await navigator.clipboard.readText();
+                return typeof text === 'string' ? text : '';
+            }
+            logConCgp('[templates] Clipboard API unavailable; {{clipboard}} resolves to empty text.');
+        } catch (err) {
+            logConCgp('[templates] Clipboard read failed; {{clipboard}} resolves to empty text.', err?.message || err);
+        }
+        return '';
+    },
+
+    /**
+     * Returns the current text of the first matching chat editor on the page.
+     * @returns {string}
+     */
+    readEditor: function () {
+        const editorSelectors = window?.InjectionTargetsOnWebsite?.selectors?.editors;
+        const editor = (Array.isArray(editorSelectors) ? editorSelectors : [])
+            .map((selector) => {
+                try {
+                    return document.querySelector(selector);
+                } catch (_) {
+                    return null;
+                }
+            })
+            .find((el) => el);
+        if (!editor) {
+            logConCgp('[templates] Editor not found; {{editor}} resolves to empty text.');
+            return '';
+        }
+        const text = (typeof editor.value === 'string') ? editor.value : (editor.innerText || '');
+        return text;
+    },
+
+    /**
+     * Resolver table keyed by lower-cased placeholder name.
+     * Each resolver may return a string or a Promise<string>.
+     */
+    resolvers: {
+        selection: () => window.OCPPromptTemplates.readSelection(),
+        clipboard: () => window.OCPPromptTemplates.readClipboard(),
+        date: () => new Date().toLocaleDateString(),
+        pagetitle: () => document.title || '',
+        url: () => window.location.href,
+        editor: () => window.OCPPromptTemplates.readEditor(),
+        lastresponse: () => window.OCPThreadParser ? window.OCPThreadParser.getLastResponseText() : ''
+    },
+
+    /**
+     * Checks whether the text contains at least one known placeholder.
+     * @param {string} text
+     * @returns {boolean}
+     */
+    hasVariables: function (text) {
+        if (typeof text !== 'string' || text.indexOf('{{') === -1) {
+            return false;
+        }
+        const regex = new RegExp(this.PLACEHOLDER_REGEX.source, 'g');
+        let match;
+        while ((match = regex.exec(text)) !== null) {
+            if (Object.prototype.hasOwnProperty.call(this.resolvers, match[1].toLowerCase())) {
+                return true;
+            }
+        }
+        return false;
+    },
+
+    /**
+     * Lists the ask fields in order of first appearance. Choices from the first occurrence win.
+     * @param {string} text
+     * @returns {Array<{name: string, options: string[]}>}
+     */
+    getAskFields: function (text) {
+        if (typeof text !== 'string' || text.indexOf(':?') === -1) {
+            return [];
+        }
+        const fields = [];
+        const seen = new Set();
+        const regex = new RegExp(this.ASK_PLACEHOLDER_REGEX.source, 'g');
+        let match;
+        while ((match = regex.exec(text)) !== null) {
+            const name = match[1].trim();
+            if (!name || seen.has(name)) {
+                continue;
+            }
+            seen.add(name);
+            const options = typeof match[2] === 'string'
+                ? match[2].split(',').map(option => option.trim()).filter(option => option)
+                : [];
+            fields.push({ name, options });
+        }
+        return fields;
+    },
+
+    /**
+     * Checks whether the text contains ask placeholders that need user input.
+     * @param {string} text
+     * @returns {boolean}
+     */
+    hasAskFields: function (text) {
+        return this.getAskFields(text).length > 0;
+    },
+
+    /**
+     * Replaces ask placeholders with the given values. Missing values become empty strings.
+     * @param {string} text
+     * @param {Object<string, string>} values
+     * @returns {string}
+     */
+    applyAskValues: function (text, values) {
+        const safeValues = values || {};
+        return text.replace(new RegExp(this.ASK_PLACEHOLDER_REGEX.source, 'g'), (whole, rawName) => {
+            const name = rawName.trim();
+            return Object.prototype.hasOwnProperty.call(safeValues, name) ? String(safeValues[name]) : '';
+        });
+    },
+
+    /**
+     * Opens the fill-in form for all ask placeholders and returns the completed text.
+     * @param {string} text
+     * @returns {Promise<string|null>} Completed text, the original text if there is nothing to ask, or null when cancelled.
+     */
+    fillAskFields: async function (text) {
+        const fields = this.getAskFields(text);
+        if (!fields.length) {
+            return text;
+        }
+        if (!window.OCPPromptForm || typeof window.OCPPromptForm.open !== 'function') {
+            logConCgp('[templates] Prompt form unavailable; ask placeholders are inserted empty.');
+            return this.applyAskValues(text, {});
+        }
+        const values = await window.OCPPromptForm.open({ title: 'Fill in prompt', fields });
+        if (!values) {
+            logConCgp('[templates] Fill-in form cancelled by user.');
+            return null;
+        }
+        logConCgp('[templates] Fill-in form completed for fields:', fields.map(field => field.name));
+        return this.applyAskValues(text, values);
+    },
+
+    /**
+     * Expands all known placeholders in the given text. Never throws; on resolver errors the
+     * placeholder is replaced with an empty string.
+     * @param {string} text - Raw button/queue/pasted text.
+     * @param {Object<string, string>} [overrides] - Pre-captured values keyed by lower-cased name
+     *   (e.g. { selection } captured before the fill-in form moved focus away from the page).
+     * @returns {Promise<string>} Text with placeholders replaced.
+     */
+    expand: async function (text, overrides) {
+        if (!this.hasVariables(text)) {
+            return text;
+        }
+
+        // Resolve each distinct placeholder once, even if it appears several times.
+        const names = new Set();
+        const regex = new RegExp(this.PLACEHOLDER_REGEX.source, 'g');
+        let match;
+        while ((match = regex.exec(text)) !== null) {
+            const name = match[1].toLowerCase();
+            if (Object.prototype.hasOwnProperty.call(this.resolvers, name)) {
+                names.add(name);
+            }
+        }
+
+        const values = {};
+        for (const name of names) {
+            if (overrides && typeof overrides[name] === 'string') {
+                values[name] = overrides[name];
+                continue;
+            }
+            try {
+                const value = await this.resolvers[name]();
+                values[name] = (value === null || value === undefined) ? '' : String(value);
+            } catch (err) {
+                logConCgp(`[templates] Resolver for {{${name}}} failed:`, err?.message || err);
+                values[name] = '';
+            }
+        }
+
+        const expanded = text.replace(new RegExp(this.PLACEHOLDER_REGEX.source, 'g'), (whole, rawName) => {
+            const name = rawName.toLowerCase();
+            return Object.prototype.hasOwnProperty.call(values, name) ? values[name] : whole;
+        });
+        logConCgp('[templates] Expanded template variables:', Array.from(names));
+        return expanded;
+    }
+};
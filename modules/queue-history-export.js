@@ -0,0 +1,88 @@
+// modules/queue-history-export.js
+// Version: 1.0
+//
+// Documentation:
+// Formats queue run history entries (recorded by processNextQueueItem and stored by the service worker
+// under StateStore 'queue.history') for export, and triggers the file download.
+// Entry shape: { id, startedAt, finishedAt, hostname, url, profileName, icon, text, status, reason }
+//  - startedAt / finishedAt: epoch milliseconds (dispatch start / handler result)
+//  - status: 'sent' | 'blocked_by_stop' | 'not_found' | 'failed'
+//
+// Usage:
+// Loaded as a content script (floating panel History view) and by popup.html (Queue Run History).
+// - window.OCPQueueHistoryExport.toJSON(entries)
+// - window.OCPQueueHistoryExport.toCSV(entries)
+// - window.OCPQueueHistoryExport.download(entries, 'json' | 'csv')
+//
+// Instructions for AI: do not remove comments! MUST NOT REMOVE COMMENTS. This one too!
+'use strict';
+
+window.OCPQueueHistoryExport = {
+    CSV_COLUMNS: ['startedAt', 'finishedAt', 'hostname', 'profileName', 'status', 'reason', 'icon', 'text', 'url'],
+
+    /**
+     * Formats an epoch timestamp as ISO 8601, or '' when missing.
+     * @param {number} ms
+     * @returns {string}
+     */
+    formatTimestamp(ms) {
+        return Number.isFinite(ms) && ms > 0 ? new Date(ms).toISOString() : '';
+    },
+
+    /**
+     * @param {Array<object>} entries
+     * @returns {string} Pretty-printed JSON with ISO timestamps next to the raw values.
+     */
+    toJSON(entries) {
+        const list = Array.isArray(entries) ? entries : [];
+        const exported = list.map((entry) => ({
+            ...entry,
+            startedAtIso: this.formatTimestamp(entry.startedAt),
+            finishedAtIso: this.formatTimestamp(entry.finishedAt)
+        }));
+        return JSON.stringify({ exportedAt: new Date().toISOString(), entries: exported }, null, 2);
+    },
+
+    /**
+     * @param {Array<object>} entries
+     * @returns {string} RFC 4180 CSV (header row, quoted fields, CRLF line endings).
+     */
+    toCSV(entries) {
+        const list = Array.isArray(entries) ? entries : [];
+        const escape = (value) => {
+            const str = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+        };
+        const rows = [this.CSV_COLUMNS.join(',')];
+        list.forEach((entry) => {
+            rows.push(this.CSV_COLUMNS.map((column) => {
+                if (column === 'startedAt' || column === 'finishedAt') {
+                    return escape(this.formatTimestamp(entry[column]));
+                }
+                return escape(entry[column]);
+            }).join(','));
+        });
+        return rows.join('\r\n');
+    },
+
+    /**
+     * Saves the entries as a file via a temporary object URL.
+     * @param {Array<object>} entries
+     * @param {'json'|'csv'} format
+     */
+    download(entries, format) {
+        const isCsv = format === 'csv';
+        const content = isCsv ? this.toCSV(entries) : this.toJSON(entries);
+        const blob = new Blob([content], { type: isCsv ? 'text/csv' : 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `oneclickprompts_queue_history_${stamp}.${isCsv ? 'csv' : 'json'}`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        logConCgp(`[queue-history] Exported ${Array.isArray(entries) ? entries.length : 0} history entries as ${isCsv ? 'CSV' : 'JSON'}.`);
+    }
+};
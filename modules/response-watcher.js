@@ -0,0 +1,125 @@
+// modules/response-watcher.js
+// Version: 1.0
+//
+// Documentation:
+// Shared "has the AI finished answering?" watch for the active chat page. Used by the queue's "wait for response"
+// pacing (floating-panel-ui-engine.js) and by the broadcast answer collector (modules/broadcast-answer-collector.js).
+//  - Started:  a stop button is visible (ButtonsClickingShared.findStopButton) or the page has more assistant
+//              messages than the baseline counted right before the send. Other thread changes, such as the sent
+//              prompt showing up, do not count.
+//  - Finished: no stop button is visible and the site's threadRoot has had no DOM changes for quietMs. Sites
+//              without a threadRoot rely on the stop button alone.
+// Each poll only looks for the stop button and counts assistant elements; no message text is read while waiting.
+// Outcomes passed to onFinish({ outcome, elapsedMs, quiet }):
+//  - 'done'         Finished, or maxTailMs passed after the stop button went away without the thread going quiet
+//  - 'not_started'  Neither a stop button nor a new answer within startTimeoutMs
+//  - 'timeout'      Still going after maxWaitMs (only when maxWaitMs is set)
+// A cancelled watch does not call onFinish.
+//
+// Usage:
+// Loaded as a content script after modules/thread-parser.js and buttons-clicking-shared.js.
+// - const baselineCount = window.OCPResponseWatcher.countAnswers()   Right BEFORE sending the prompt
+// - const watch = window.OCPResponseWatcher.watch({ baselineCount, startTimeoutMs, quietMs, maxTailMs, maxWaitMs, onFinish })
+// - watch.cancel()
+//
+// Instructions for AI: do not remove comments! MUST NOT REMOVE COMMENTS. This one too!
+'use strict';
+
+window.OCPResponseWatcher = {
+    POLL_MS: 1000,
+
+    /**
+     * Number of assistant messages on the page (0 when the thread parser is not loaded).
+     * @returns {number}
+     */
+    countAnswers: function () {
+        return window.OCPThreadParser ? window.OCPThreadParser.getAssistantMessageElements().length : 0;
+    },
+
+    /**
+     * The site's configured thread root, or null when it has none or it is not on the page.
+     * @returns {Element|null}
+     */
+    findThreadRoot: function () {
+        const root = window.OCPThreadParser ? window.OCPThreadParser.getThreadRoot() : document;
+        return root === document ? null : root;
+    },
+
+    /**
+     * Starts watching the reply to a prompt that was just sent.
+     * @param {object} options
+     * @param {number} [options.baselineCount] - countAnswers() before the send; defaults to the count now.
+     * @param {number} options.startTimeoutMs
+     * @param {number} options.quietMs
+     * @param {number} [options.maxTailMs] - Accept a thread that never goes quiet this long after the stop button left.
+     * @param {number} [options.maxWaitMs] - Give up with 'timeout' this long after the start of the watch.
+     * @param {function({outcome: string, elapsedMs: number, quiet: boolean}): void} options.onFinish
+     * @returns {{cancel: function(): void}}
+     */
+    watch: function (options) {
+        const { startTimeoutMs, quietMs, maxTailMs = 0, maxWaitMs = 0, onFinish } = options;
+        const answersBefore = Number.isInteger(options.baselineCount) ? options.baselineCount : this.countAnswers();
+        const startedAt = Date.now();
+        let lastMutationAt = startedAt;
+        let responseStarted = false;
+        let stopGoneAt = null;
+        let pollId = null;
+        let observer = null;
+
+        const stop = () => {
+            if (pollId !== null) {
+                clearInterval(pollId);
+                pollId = null;
+            }
+            if (observer) {
+                observer.disconnect();
+                observer = null;
+            }
+        };
+        const finish = (outcome, quiet) => {
+            stop();
+            onFinish({ outcome, elapsedMs: Date.now() - startedAt, quiet });
+        };
+
+        const threadRoot = this.findThreadRoot();
+        if (threadRoot) {
+            observer = new MutationObserver(() => {
+                lastMutationAt = Date.now();
+            });
+            observer.observe(threadRoot, { childList: true, subtree: true, characterData: true });
+        } else {
+            logConCgp('[response-watcher] Thread root not found; relying on the stop button only.');
+        }
+
+        pollId = setInterval(() => {
+            const now = Date.now();
+            if (maxWaitMs && now - startedAt >= maxWaitMs) {
+                finish('timeout', false);
+                return;
+            }
+            if (window.ButtonsClickingShared?.findStopButton?.()) {
+                responseStarted = true;
+                stopGoneAt = null;
+                return;
+            }
+            if (!responseStarted && this.countAnswers() > answersBefore) {
+                responseStarted = true;
+            }
+            if (!responseStarted) {
+                if (now - startedAt >= startTimeoutMs) {
+                    finish('not_started', false);
+                }
+                return;
+            }
+            if (stopGoneAt === null) {
+                stopGoneAt = now;
+            }
+            const isQuiet = now - lastMutationAt >= quietMs;
+            if (isQuiet || (maxTailMs && now - stopGoneAt >= maxTailMs)) {
+                finish('done', isQuiet);
+            }
+        }, this.POLL_MS);
+
+        return { cancel: stop };
+    }
+};
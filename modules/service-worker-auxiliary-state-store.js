@@ -2,8 +2,14 @@
 // Version: 0.1 (non-profile state only)
 // Instructions for AI: do not remove comments! MUST NOT REMOVE COMMENTS.
 // This module centralizes non-profile state in the service worker context.
-// Scope: theme, UI popup state, Cross-Chat settings & stored prompt, floating panel settings, custom selectors.
-// Backward compatibility: dual-read (prefer new schema; fallback to legacy), dual-write to legacy keys where applicable.
+// Scope: theme, UI popup state, Cross-Chat settings & stored prompt, floating panel settings, custom selectors,
+// persisted prompt queue sessions (per tab + hostname), queue run history, broadcast answer comparisons,
+// broadcast recipient groups and the current recipient selection, broadcast shields (per tab and per hostname),
+// cross-chat clipboard slots and copy history.
+// Full backup: exportBackupSections / restoreBackupSection cover the settings-like namespaces (see BACKUP_SECTIONS).
+// Backward compatibility: reads fall back to the legacy keys (LEGACY) until storage migration 4
+// (modules/service-worker-migrations.js) has copied and removed them; only the namespaced keys are written.
+// Migration support: copyLegacyKeysToSchema, removeLegacyKeys, schema version and the migration log (meta).
 
 'use strict';
 
@@ -55,19 +61,98 @@ const KEYS = {
     manualQueueCards: 'modules.manualQueueCards', // object { cards: Array<{emoji:string, text:string}>, expanded:boolean }
   },
   floatingPanel: 'floatingPanel', // object map { [hostname]: settings }
+  queue: {
+    sessions: 'queue.sessions', // object map { ["<tabId>:<hostname>"]: { items, failedItems, state, timerStartTime, currentTimerDelay, remainingTimeOnPause, awaitingResponse, dispatchInFlight, scheduledStartAt, savedAt } }
+    history: 'queue.history', // Array<{ id, startedAt, finishedAt, hostname, url, profileName, icon, text, status, reason }>, oldest first
+  },
+  crossChat: {
+    broadcasts: 'crossChat.broadcasts', // Array<{ id, promptText, startedAt, answers: Array<{ tabId, site, hostname, title, url, status, text, tokens, sentAt, finishedAt }> }>, oldest first
+    recipientGroups: 'crossChat.recipientGroups', // Array<{ name, hostnames: string[] }>
+    recipientTargets: 'crossChat.recipientTargets', // number[] | null (null = all tabs); storage.session, since tab ids do not survive a browser restart
+    shieldedTabs: 'crossChat.shieldedTabs', // number[]; storage.session
+    shieldedHostnames: 'crossChat.shieldedHostnames', // string[] ("never receive broadcasts on ...")
+    tabHostnames: 'crossChat.tabHostnames', // object map { [tabId]: hostname } registered by the content scripts; storage.session
+    clipboard: 'crossChat.clipboard', // object { slots: Array<{ id, name, text, updatedAt }>, history: Array<{ text, savedAt }> newest first }
+  },
   global: {
     customSelectors: 'global.customSelectors', // object map { [site]: selectors }
   },
   meta: {
-    schemaVersion: 'state.schemaVersion',
+    schemaVersion: 'state.schemaVersion', // number; last storage migration applied (1 = none)
+    migrationLog: 'state.migrationLog', // Array<{ version, description, trigger, status: 'ok'|'failed', detail?, error?, ranAt }>, oldest first
     debugLogging: 'dev.debugLogging',
   }
 };
 
+// Migration log keeps only the newest entries
+const MIGRATION_LOG_MAX_ENTRIES = 50;
+
 // Default emoji for manual queue cards (numbered 1-6)
 const MANUAL_QUEUE_CARD_DEFAULT_EMOJIS = ['1️⃣', '2️⃣', '3️⃣', '4️⃣', '5️⃣', '6️⃣'];
 
-// Legacy keys (existing)
+// Queue sessions older than this are treated as abandoned and pruned on read
+const QUEUE_SESSION_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Queue run history keeps only the newest entries
+const QUEUE_HISTORY_MAX_ENTRIES = 500;
+const QUEUE_HISTORY_STATUSES = ['sent', 'blocked_by_stop', 'not_found', 'failed'];
+
+// Broadcast comparisons keep only the newest broadcasts (answers can be long)
+const BROADCAST_COMPARISON_MAX_ENTRIES = 20;
+const BROADCAST_ANSWER_STATUSES = ['pending', 'done', 'timeout', 'no_answer'];
+
+// Cross-chat clipboard: a few long-lived slots plus the most recent copies
+const CROSS_CHAT_CLIPBOARD_MAX_SLOTS = 9;
+const CROSS_CHAT_CLIPBOARD_MAX_HISTORY = 15;
+
+// Full backup sections owned by the StateStore. Values go through getValue/setValue, so restoring normalizes
+// them. notify() returns the broadcasts the matching save* method would send.
+// Runtime data (queue sessions and history, broadcast answers, tab shields) is left out on purpose.
+const BACKUP_SECTIONS = {
+  theme: {
+    keys: [KEYS.ui.theme],
+    notify: (values) => [{ type: 'uiThemeChanged', theme: values[KEYS.ui.theme] }],
+  },
+  crossChat: {
+    keys: [KEYS.modules.crossChat, KEYS.crossChat.clipboard, KEYS.crossChat.recipientGroups, KEYS.crossChat.shieldedHostnames],
+    notify: (values) => [
+      { type: 'crossChatChanged', settings: values[KEYS.modules.crossChat]?.settings || {} },
+      { type: 'crossChatPromptChanged' },
+      { type: 'crossChatShieldChanged' },
+    ],
+  },
+  inlineProfileSelector: {
+    keys: [KEYS.modules.inlineProfileSelector],
+    notify: (values) => [{ type: 'inlineProfileSelectorSettingsChanged', settings: values[KEYS.modules.inlineProfileSelector] }],
+  },
+  tokenApproximator: {
+    keys: [KEYS.modules.tokenApproximator],
+    notify: (values) => [{ type: 'tokenApproximatorSettingsChanged', settings: values[KEYS.modules.tokenApproximator] }],
+  },
+  tooltip: {
+    keys: [KEYS.modules.tooltip],
+    notify: (values) => [{ type: 'tooltipSettingsChanged', settings: values[KEYS.modules.tooltip] }],
+  },
+  selectorAutoDetector: {
+    keys: [KEYS.modules.selectorAutoDetector],
+    notify: (values) => [{ type: 'selectorAutoDetectorSettingsChanged', settings: values[KEYS.modules.selectorAutoDetector] }],
+  },
+  manualQueueCards: {
+    keys: [KEYS.modules.manualQueueCards],
+    notify: (values) => [{ type: 'manualQueueCardsChanged', data: values[KEYS.modules.manualQueueCards] }],
+  },
+  customSelectors: {
+    keys: [KEYS.global.customSelectors],
+    notify: () => [{ type: 'customSelectorsChanged' }],
+  },
+  // Open panels keep their current layout until the page reloads.
+  floatingPanel: {
+    keys: [KEYS.floatingPanel],
+    notify: () => [],
+  },
+};
+
+// Legacy keys: read as a fallback, no longer written, removed by StateStore.removeLegacyKeys (storage migration 4)
 const LEGACY = {
   darkTheme: 'darkTheme',
   crossChatModuleSettings: 'crossChatModuleSettings',
@@ -82,9 +167,164 @@ const CROSS_CHAT_DEFAULT_SETTINGS = {
   autosendPaste: false,
   placement: 'before',
   dangerAutoSendAll: false,
+  dangerCompareAnswers: true,
+  dangerConfirmBroadcast: true,
   hideStandardButtons: false,
 };
 
+// Several tabs can update the same stored map or list at once; read-modify-write updates run one at a time.
+let writeChain = Promise.resolve();
+function serializeWrite(task) {
+  const run = writeChain.then(task);
+  writeChain = run.catch(() => { });
+  return run;
+}
+
+function queueSessionKey(tabId, hostname) {
+  return `${tabId}:${hostname}`;
+}
+
+// Returns a clean session object, or null when there is nothing worth restoring
+function normalizeQueueSession(session) {
+  if (!session || typeof session !== 'object') return null;
+  const isItem = (item) => item && typeof item === 'object' && typeof item.text === 'string';
+  const items = Array.isArray(session.items) ? session.items.filter(isItem) : [];
+  // Items whose retries ran out ({ ...item, failedAt, failReason, attempts }); kept so they can still be re-queued
+  const failedItems = Array.isArray(session.failedItems) ? session.failedItems.filter(isItem) : [];
+  if (items.length === 0 && failedItems.length === 0) return null;
+  const toNumber = (v) => (Number.isFinite(v) && v >= 0 ? v : 0);
+  return {
+    hostname: typeof session.hostname === 'string' ? session.hostname : '',
+    url: typeof session.url === 'string' ? session.url : '',
+    items,
+    failedItems,
+    state: session.state === 'running' ? 'running' : 'paused',
+    timerStartTime: toNumber(session.timerStartTime),
+    currentTimerDelay: toNumber(session.currentTimerDelay),
+    remainingTimeOnPause: toNumber(session.remainingTimeOnPause),
+    awaitingResponse: !!session.awaitingResponse,
+    dispatchInFlight: !!session.dispatchInFlight,
+    scheduledStartAt: toNumber(session.scheduledStartAt),
+    savedAt: toNumber(session.savedAt) || Date.now(),
+  };
+}
+
+function normalizeQueueHistoryEntry(entry) {
+  if (!entry || typeof entry !== 'object') return null;
+  const str = (v) => (typeof v === 'string' ? v : '');
+  const startedAt = Number.isFinite(entry.startedAt) ? entry.startedAt : Date.now();
+  return {
+    id: str(entry.id) || `${startedAt}-${Math.random().toString(36).slice(2, 8)}`,
+    startedAt,
+    finishedAt: Number.isFinite(entry.finishedAt) ? entry.finishedAt : startedAt,
+    hostname: str(entry.hostname),
+    url: str(entry.url),
+    profileName: str(entry.profileName),
+    icon: str(entry.icon),
+    text: str(entry.text),
+    status: QUEUE_HISTORY_STATUSES.includes(entry.status) ? entry.status : 'failed',
+    reason: str(entry.reason),
+  };
+}
+
+function normalizeBroadcastAnswer(answer) {
+  if (!answer || typeof answer !== 'object' || !Number.isInteger(answer.tabId)) return null;
+  const str = (v) => (typeof v === 'string' ? v : '');
+  const num = (v) => (Number.isFinite(v) && v >= 0 ? v : 0);
+  return {
+    tabId: answer.tabId,
+    site: str(answer.site),
+    hostname: str(answer.hostname),
+    title: str(answer.title),
+    url: str(answer.url),
+    status: BROADCAST_ANSWER_STATUSES.includes(answer.status) ? answer.status : 'pending',
+    text: str(answer.text),
+    tokens: num(answer.tokens),
+    sentAt: num(answer.sentAt),
+    finishedAt: num(answer.finishedAt),
+  };
+}
+
+function normalizeBroadcastComparison(entry) {
+  if (!entry || typeof entry !== 'object' || typeof entry.id !== 'string' || !entry.id) return null;
+  return {
+    id: entry.id,
+    promptText: typeof entry.promptText === 'string' ? entry.promptText : '',
+    startedAt: Number.isFinite(entry.startedAt) ? entry.startedAt : Date.now(),
+    answers: Array.isArray(entry.answers) ? entry.answers.map(normalizeBroadcastAnswer).filter(Boolean) : [],
+  };
+}
+
+function normalizeRecipientGroups(groups) {
+  if (!Array.isArray(groups)) return [];
+  const seen = new Set();
+  return groups
+    .filter(group => group && typeof group.name === 'string' && group.name.trim() && Array.isArray(group.hostnames))
+    .map(group => ({
+      name: group.name.trim(),
+      hostnames: Array.from(new Set(group.hostnames.filter(host => typeof host === 'string' && host))),
+    }))
+    .filter(group => group.hostnames.length > 0 && !seen.has(group.name) && seen.add(group.name));
+}
+
+function normalizeCrossChatClipboard(value) {
+  const slots = Array.isArray(value?.slots) ? value.slots : [];
+  const history = Array.isArray(value?.history) ? value.history : [];
+  return {
+    slots: slots
+      .filter(slot => slot && typeof slot.id === 'string' && slot.id && typeof slot.text === 'string')
+      .map(slot => ({
+        id: slot.id,
+        name: typeof slot.name === 'string' ? slot.name.trim() : '',
+        text: slot.text,
+        updatedAt: Number.isFinite(slot.updatedAt) ? slot.updatedAt : 0,
+      }))
+      .slice(0, CROSS_CHAT_CLIPBOARD_MAX_SLOTS),
+    history: history
+      .filter(entry => entry && typeof entry.text === 'string' && entry.text.trim())
+      .map(entry => ({ text: entry.text, savedAt: Number.isFinite(entry.savedAt) ? entry.savedAt : 0 }))
+      .slice(0, CROSS_CHAT_CLIPBOARD_MAX_HISTORY),
+  };
+}
+
+// Tab-scoped values live in session storage, which is cleared when the browser closes;
+// older browsers without it keep them in memory only (lost when the service worker stops)
+const sessionFallback = {};
+async function sessionGet(key) {
+  if (!chrome.storage.session) return sessionFallback[key];
+  const r = await chrome.storage.session.get([key]);
+  return r[key];
+}
+async function sessionSet(key, value) {
+  if (!chrome.storage.session) {
+    if (value === null || value === undefined) {
+      delete sessionFallback[key];
+    } else {
+      sessionFallback[key] = value;
+    }
+    return;
+  }
+  if (value === null || value === undefined) {
+    await chrome.storage.session.remove(key);
+  } else {
+    await chrome.storage.session.set({ [key]: value });
+  }
+}
+
+async function getRecipientTargets() {
+  const value = await sessionGet(KEYS.crossChat.recipientTargets);
+  return Array.isArray(value) ? value.filter(Number.isInteger) : null;
+}
+async function setRecipientTargets(tabIds) {
+  await sessionSet(KEYS.crossChat.recipientTargets, Array.isArray(tabIds) ? tabIds.filter(Number.isInteger) : null);
+}
+
+function normalizeHostnameList(list) {
+  return Array.isArray(list)
+    ? Array.from(new Set(list.filter(host => typeof host === 'string' && host).map(host => host.toLowerCase())))
+    : [];
+}
+
 const SELECTOR_AUTO_DETECTOR_DEFAULTS = {
   enableEditorHeuristics: true,
   enableSendButtonHeuristics: true,
@@ -277,6 +517,44 @@ async function getValue(path) {
     });
     return map;
   }
+  if (path === KEYS.queue.sessions) {
+    const r = await lsGet([KEYS.queue.sessions]);
+    const obj = r[KEYS.queue.sessions];
+    const map = {};
+    if (obj && typeof obj === 'object') {
+      const now = Date.now();
+      Object.entries(obj).forEach(([key, session]) => {
+        const normalized = normalizeQueueSession(session);
+        // Drop stale sessions so closed/crashed tabs don't accumulate forever
+        if (normalized && now - normalized.savedAt < QUEUE_SESSION_MAX_AGE_MS) {
+          map[key] = normalized;
+        }
+      });
+    }
+    return map;
+  }
+  if (path === KEYS.queue.history) {
+    const r = await lsGet([KEYS.queue.history]);
+    const list = Array.isArray(r[KEYS.queue.history]) ? r[KEYS.queue.history] : [];
+    return list.map(normalizeQueueHistoryEntry).filter(Boolean);
+  }
+  if (path === KEYS.crossChat.broadcasts) {
+    const r = await lsGet([KEYS.crossChat.broadcasts]);
+    const list = Array.isArray(r[KEYS.crossChat.broadcasts]) ? r[KEYS.crossChat.broadcasts] : [];
+    return list.map(normalizeBroadcastComparison).filter(Boolean);
+  }
+  if (path === KEYS.crossChat.clipboard) {
+    const r = await lsGet([KEYS.crossChat.clipboard]);
+    return normalizeCrossChatClipboard(r[KEYS.crossChat.clipboard]);
+  }
+  if (path === KEYS.crossChat.shieldedHostnames) {
+    const r = await lsGet([KEYS.crossChat.shieldedHostnames]);
+    return normalizeHostnameList(r[KEYS.crossChat.shieldedHostnames]);
+  }
+  if (path === KEYS.crossChat.recipientGroups) {
+    const r = await lsGet([KEYS.crossChat.recipientGroups]);
+    return normalizeRecipientGroups(r[KEYS.crossChat.recipientGroups]);
+  }
   if (path === KEYS.global.customSelectors) {
     const r = await lsGet([KEYS.global.customSelectors, LEGACY.customSelectors]);
     return r[KEYS.global.customSelectors] || r[LEGACY.customSelectors] || {};
@@ -285,6 +563,10 @@ async function getValue(path) {
     const r = await lsGet([KEYS.meta.schemaVersion]);
     return r[KEYS.meta.schemaVersion] || 1;
   }
+  if (path === KEYS.meta.migrationLog) {
+    const r = await lsGet([KEYS.meta.migrationLog]);
+    return Array.isArray(r[KEYS.meta.migrationLog]) ? r[KEYS.meta.migrationLog] : [];
+  }
   if (path === KEYS.meta.debugLogging) {
     const r = await lsGet([KEYS.meta.debugLogging]);
     return !!r[KEYS.meta.debugLogging];
@@ -295,9 +577,8 @@ async function getValue(path) {
 }
 
 async function setValue(path, value) {
-  // Dual-write where applicable
   if (path === KEYS.ui.theme) {
-    await lsSet({ [KEYS.ui.theme]: value, [LEGACY.darkTheme]: value });
+    await lsSet({ [KEYS.ui.theme]: value });
     return;
   }
   if (path === KEYS.ui.popup) {
@@ -309,11 +590,7 @@ async function setValue(path, value) {
     // Expect value shape { settings, storedPrompt }
     const settings = { ...CROSS_CHAT_DEFAULT_SETTINGS, ...(value?.settings || {}) };
     const storedPrompt = typeof value?.storedPrompt === 'string' ? value.storedPrompt : '';
-    await lsSet({
-      [KEYS.modules.crossChat]: { settings, storedPrompt },
-      [LEGACY.crossChatModuleSettings]: settings,
-      [LEGACY.crossChatStoredPrompt]: storedPrompt,
-    });
+    await lsSet({ [KEYS.modules.crossChat]: { settings, storedPrompt } });
     return;
   }
   if (path === KEYS.modules.inlineProfileSelector) {
@@ -412,16 +689,42 @@ async function setValue(path, value) {
     await lsSet({ [KEYS.modules.manualQueueCards]: normalized });
     return;
   }
+  if (path === KEYS.queue.sessions) {
+    const map = value && typeof value === 'object' ? value : {};
+    if (Object.keys(map).length === 0) {
+      await lsRemove(KEYS.queue.sessions);
+    } else {
+      await lsSet({ [KEYS.queue.sessions]: map });
+    }
+    return;
+  }
+  if (path === KEYS.queue.history) {
+    const list = Array.isArray(value) ? value.map(normalizeQueueHistoryEntry).filter(Boolean) : [];
+    await lsSet({ [KEYS.queue.history]: list.slice(-QUEUE_HISTORY_MAX_ENTRIES) });
+    return;
+  }
+  if (path === KEYS.crossChat.clipboard) {
+    await lsSet({ [KEYS.crossChat.clipboard]: normalizeCrossChatClipboard(value) });
+    return;
+  }
+  if (path === KEYS.crossChat.shieldedHostnames) {
+    await lsSet({ [KEYS.crossChat.shieldedHostnames]: normalizeHostnameList(value) });
+    return;
+  }
+  if (path === KEYS.crossChat.recipientGroups) {
+    await lsSet({ [KEYS.crossChat.recipientGroups]: normalizeRecipientGroups(value) });
+    return;
+  }
+  if (path === KEYS.crossChat.broadcasts) {
+    const list = Array.isArray(value) ? value.map(normalizeBroadcastComparison).filter(Boolean) : [];
+    await lsSet({ [KEYS.crossChat.broadcasts]: list.slice(-BROADCAST_COMPARISON_MAX_ENTRIES) });
+    return;
+  }
   if (path.startsWith(KEYS.floatingPanel)) {
-    // We maintain a structured map and legacy per-host keys
     if (path === KEYS.floatingPanel) {
       // Whole map provided
       const map = value && typeof value === 'object' ? value : {};
-      const legacySet = {};
-      Object.entries(map).forEach(([host, settings]) => {
-        legacySet[LEGACY.floatingPanelPrefix + host] = settings;
-      });
-      await lsSet({ [KEYS.floatingPanel]: map, ...legacySet });
+      await lsSet({ [KEYS.floatingPanel]: map });
       return;
     } else {
       // path like 'floatingPanel.<hostname>'
@@ -433,7 +736,12 @@ async function setValue(path, value) {
     }
   }
   if (path === KEYS.global.customSelectors) {
-    await lsSet({ [KEYS.global.customSelectors]: value, [LEGACY.customSelectors]: value });
+    await lsSet({ [KEYS.global.customSelectors]: value });
+    return;
+  }
+  if (path === KEYS.meta.migrationLog) {
+    const list = Array.isArray(value) ? value : [];
+    await lsSet({ [KEYS.meta.migrationLog]: list.slice(-MIGRATION_LOG_MAX_ENTRIES) });
     return;
   }
   if (path === KEYS.meta.schemaVersion || path === KEYS.meta.debugLogging) {
@@ -488,6 +796,7 @@ export const StateStore = {
     const cc = await this.getCrossChat();
     const next = { settings: cc.settings, storedPrompt: String(text || '') };
     await setValue(KEYS.modules.crossChat, next);
+    await this.addClipboardHistoryEntry(next.storedPrompt);
     this.broadcast({ type: 'crossChatPromptChanged' });
   },
   async clearStoredPrompt() {
@@ -497,6 +806,56 @@ export const StateStore = {
     this.broadcast({ type: 'crossChatPromptChanged' });
   },
 
+  // ===== Cross-Chat Clipboard (no broadcast; the paste menu and the popup fetch on open) =====
+  async getCrossChatClipboard() {
+    return await getValue(KEYS.crossChat.clipboard);
+  },
+  // Every stored prompt is also remembered in the history; copying the same text again moves it to the top
+  async addClipboardHistoryEntry(text) {
+    if (typeof text !== 'string' || !text.trim()) return;
+    await serializeWrite(async () => {
+      const clipboard = await getValue(KEYS.crossChat.clipboard);
+      clipboard.history = [{ text, savedAt: Date.now() }]
+        .concat(clipboard.history.filter(entry => entry.text !== text));
+      await setValue(KEYS.crossChat.clipboard, clipboard);
+    });
+  },
+  // slot: { id?, name?, text? }; without an id (or an unknown one) a new slot is added. Returns the saved slot.
+  async saveClipboardSlot(slot) {
+    return await serializeWrite(async () => {
+      const clipboard = await getValue(KEYS.crossChat.clipboard);
+      const existing = clipboard.slots.find(item => item.id === slot?.id);
+      if (!existing && clipboard.slots.length >= CROSS_CHAT_CLIPBOARD_MAX_SLOTS) {
+        throw new Error(`All ${CROSS_CHAT_CLIPBOARD_MAX_SLOTS} clipboard slots are in use.`);
+      }
+      const saved = {
+        id: existing ? existing.id : `slot-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        name: typeof slot?.name === 'string' ? slot.name.trim() : (existing ? existing.name : ''),
+        text: typeof slot?.text === 'string' ? slot.text : (existing ? existing.text : ''),
+        updatedAt: Date.now(),
+      };
+      clipboard.slots = existing
+        ? clipboard.slots.map(item => (item.id === saved.id ? saved : item))
+        : clipboard.slots.concat(saved);
+      await setValue(KEYS.crossChat.clipboard, clipboard);
+      return saved;
+    });
+  },
+  async deleteClipboardSlot(slotId) {
+    await serializeWrite(async () => {
+      const clipboard = await getValue(KEYS.crossChat.clipboard);
+      clipboard.slots = clipboard.slots.filter(item => item.id !== slotId);
+      await setValue(KEYS.crossChat.clipboard, clipboard);
+    });
+  },
+  async clearClipboardHistory() {
+    await serializeWrite(async () => {
+      const clipboard = await getValue(KEYS.crossChat.clipboard);
+      clipboard.history = [];
+      await setValue(KEYS.crossChat.clipboard, clipboard);
+    });
+  },
+
   // Floating Panel
   async getFloatingPanelSettings(hostname) {
     const map = await getValue(KEYS.floatingPanel);
@@ -568,6 +927,61 @@ export const StateStore = {
   async setSchemaVersion(v) {
     await setValue(KEYS.meta.schemaVersion, v);
   },
+  async getMigrationLog() {
+    return await getValue(KEYS.meta.migrationLog);
+  },
+  async recordMigrationResults(entries) {
+    if (!Array.isArray(entries) || entries.length === 0) return;
+    const log = await getValue(KEYS.meta.migrationLog);
+    await setValue(KEYS.meta.migrationLog, log.concat(entries));
+  },
+  // Copies values that only exist under a legacy key into the namespaced schema; values already in the
+  // schema win. Floating panel hostnames missing from the map are added. Returns the keys written.
+  async copyLegacyKeysToSchema() {
+    const all = await lsGet(null);
+    const updates = {};
+    const legacyTheme = all[LEGACY.darkTheme];
+    if (all[KEYS.ui.theme] === undefined && legacyTheme !== undefined) {
+      updates[KEYS.ui.theme] = legacyTheme === true || legacyTheme === 'dark' ? 'dark' : 'light';
+    }
+    if (all[KEYS.modules.crossChat] === undefined
+      && (all[LEGACY.crossChatModuleSettings] !== undefined || all[LEGACY.crossChatStoredPrompt] !== undefined)) {
+      // getValue builds the combined object from the legacy keys when the namespaced one is missing
+      updates[KEYS.modules.crossChat] = await getValue(KEYS.modules.crossChat);
+    }
+    if (all[KEYS.global.customSelectors] === undefined && all[LEGACY.customSelectors] && typeof all[LEGACY.customSelectors] === 'object') {
+      updates[KEYS.global.customSelectors] = all[LEGACY.customSelectors];
+    }
+    const structuredPanels = all[KEYS.floatingPanel] && typeof all[KEYS.floatingPanel] === 'object' ? all[KEYS.floatingPanel] : {};
+    const panelMap = { ...structuredPanels };
+    Object.keys(all).forEach(key => {
+      if (key.startsWith(LEGACY.floatingPanelPrefix)) {
+        const host = key.substring(LEGACY.floatingPanelPrefix.length);
+        if (host && !(host in panelMap)) {
+          panelMap[host] = all[key];
+        }
+      }
+    });
+    if (Object.keys(panelMap).length !== Object.keys(structuredPanels).length) {
+      updates[KEYS.floatingPanel] = panelMap;
+    }
+    if (Object.keys(updates).length > 0) {
+      await lsSet(updates);
+    }
+    logSS('Copied legacy keys into the schema:', Object.keys(updates));
+    return Object.keys(updates);
+  },
+  // Deletes every legacy key. Run copyLegacyKeysToSchema first. Returns the number of removed keys.
+  async removeLegacyKeys() {
+    const all = await lsGet(null);
+    const fixedKeys = [LEGACY.darkTheme, LEGACY.crossChatModuleSettings, LEGACY.crossChatStoredPrompt, LEGACY.customSelectors];
+    const keys = Object.keys(all).filter(key => fixedKeys.includes(key) || key.startsWith(LEGACY.floatingPanelPrefix));
+    if (keys.length > 0) {
+      await lsRemove(keys);
+    }
+    logSS(`Removed ${keys.length} legacy keys.`);
+    return keys.length;
+  },
   async getDebugLogging() {
     return await getValue(KEYS.meta.debugLogging);
   },
@@ -620,6 +1034,253 @@ export const StateStore = {
     this.broadcast({ type: 'manualQueueCardsChanged', data });
   },
 
+  // ===== Queue Sessions (per tab + hostname, no broadcast) =====
+  async getQueueSession(tabId, hostname) {
+    const map = await getValue(KEYS.queue.sessions);
+    return map[queueSessionKey(tabId, hostname)] || null;
+  },
+  async saveQueueSession(tabId, hostname, session) {
+    await serializeWrite(async () => {
+      const map = await getValue(KEYS.queue.sessions);
+      const key = queueSessionKey(tabId, hostname);
+      const normalized = normalizeQueueSession(session);
+      if (normalized) {
+        map[key] = { ...normalized, hostname, savedAt: Date.now() };
+      } else {
+        // An empty queue and failed list mean there is nothing to resume
+        delete map[key];
+      }
+      await setValue(KEYS.queue.sessions, map);
+    });
+  },
+  async clearQueueSession(tabId, hostname) {
+    await serializeWrite(async () => {
+      const map = await getValue(KEYS.queue.sessions);
+      const key = queueSessionKey(tabId, hostname);
+      if (key in map) {
+        delete map[key];
+        await setValue(KEYS.queue.sessions, map);
+      }
+    });
+  },
+  // Armed "Start at" schedules across all tabs (for the popup)
+  async listScheduledQueueStarts() {
+    const map = await getValue(KEYS.queue.sessions);
+    return Object.entries(map)
+      .filter(([, session]) => session.scheduledStartAt > 0)
+      .map(([key, session]) => ({
+        tabId: Number(key.slice(0, key.indexOf(':'))),
+        hostname: session.hostname,
+        url: session.url,
+        scheduledStartAt: session.scheduledStartAt,
+        itemCount: session.items.length,
+      }))
+      .sort((a, b) => a.scheduledStartAt - b.scheduledStartAt);
+  },
+  async clearScheduledQueueStart(tabId, hostname) {
+    await serializeWrite(async () => {
+      const map = await getValue(KEYS.queue.sessions);
+      const session = map[queueSessionKey(tabId, hostname)];
+      if (session && session.scheduledStartAt) {
+        session.scheduledStartAt = 0;
+        await setValue(KEYS.queue.sessions, map);
+      }
+    });
+  },
+  async clearQueueSessionsForTab(tabId) {
+    await serializeWrite(async () => {
+      const map = await getValue(KEYS.queue.sessions);
+      const prefix = `${tabId}:`;
+      const keys = Object.keys(map).filter(k => k.startsWith(prefix));
+      if (keys.length > 0) {
+        keys.forEach(k => delete map[k]);
+        await setValue(KEYS.queue.sessions, map);
+        logSS('Cleared queue sessions for closed tab', tabId);
+      }
+    });
+  },
+
+  // ===== Queue Run History (no broadcast; views fetch on open) =====
+  async getQueueHistory() {
+    return await getValue(KEYS.queue.history);
+  },
+  async appendQueueHistoryEntry(entry) {
+    await serializeWrite(async () => {
+      const list = await getValue(KEYS.queue.history);
+      list.push(entry);
+      await setValue(KEYS.queue.history, list);
+    });
+  },
+  async clearQueueHistory() {
+    await serializeWrite(() => lsRemove(KEYS.queue.history));
+  },
+
+  // ===== Broadcast Comparisons (no broadcast; the comparison page listens to storage changes) =====
+  async getBroadcastComparisons() {
+    return await getValue(KEYS.crossChat.broadcasts);
+  },
+  async startBroadcastComparison(entry) {
+    await serializeWrite(async () => {
+      const list = await getValue(KEYS.crossChat.broadcasts);
+      list.push(entry);
+      await setValue(KEYS.crossChat.broadcasts, list);
+    });
+  },
+  // Fills in the answer of one tab; returns false when the broadcast is no longer stored
+  async recordBroadcastAnswer(broadcastId, tabId, answer) {
+    return await serializeWrite(async () => {
+      const list = await getValue(KEYS.crossChat.broadcasts);
+      const entry = list.find(item => item.id === broadcastId);
+      if (!entry) return false;
+      const index = entry.answers.findIndex(item => item.tabId === tabId);
+      const merged = { ...(index === -1 ? {} : entry.answers[index]), ...answer, tabId };
+      if (index === -1) {
+        entry.answers.push(merged);
+      } else {
+        entry.answers[index] = merged;
+      }
+      await setValue(KEYS.crossChat.broadcasts, list);
+      return true;
+    });
+  },
+  // Adds a pending answer for a tab the prompt went to; an answer the tab already reported is kept
+  async addBroadcastRecipient(broadcastId, recipient) {
+    await serializeWrite(async () => {
+      const list = await getValue(KEYS.crossChat.broadcasts);
+      const entry = list.find(item => item.id === broadcastId);
+      if (!entry) return;
+      const existing = entry.answers.find(item => item.tabId === recipient.tabId);
+      if (existing) {
+        existing.site = existing.site || recipient.site;
+        existing.hostname = existing.hostname || recipient.hostname;
+        existing.sentAt = existing.sentAt || recipient.sentAt;
+      } else {
+        entry.answers.push({ ...recipient, status: 'pending' });
+      }
+      await setValue(KEYS.crossChat.broadcasts, list);
+    });
+  },
+  async removeBroadcastComparison(broadcastId) {
+    await serializeWrite(async () => {
+      const list = await getValue(KEYS.crossChat.broadcasts);
+      const remaining = list.filter(item => item.id !== broadcastId);
+      if (remaining.length !== list.length) {
+        await setValue(KEYS.crossChat.broadcasts, remaining);
+      }
+    });
+  },
+  async clearBroadcastComparisons() {
+    await serializeWrite(() => lsRemove(KEYS.crossChat.broadcasts));
+  },
+
+  // ===== Broadcast Recipients (no broadcast; pickers fetch on open) =====
+  async getBroadcastRecipients() {
+    return {
+      targetTabIds: await getRecipientTargets(),
+      groups: await getValue(KEYS.crossChat.recipientGroups),
+    };
+  },
+  // patch: { targetTabIds?: number[] | null, groups?: Array<{ name, hostnames }> }
+  async saveBroadcastRecipients(patch) {
+    if (patch && 'targetTabIds' in patch) {
+      await setRecipientTargets(patch.targetTabIds);
+    }
+    if (patch && Array.isArray(patch.groups)) {
+      await setValue(KEYS.crossChat.recipientGroups, patch.groups);
+    }
+  },
+
+  // ===== Broadcast Shields (tabs are notified by the message router) =====
+  async getBroadcastShields() {
+    const tabIds = await sessionGet(KEYS.crossChat.shieldedTabs);
+    const tabHostnames = await sessionGet(KEYS.crossChat.tabHostnames);
+    return {
+      tabIds: Array.isArray(tabIds) ? tabIds : [],
+      hostnames: await getValue(KEYS.crossChat.shieldedHostnames),
+      tabHostnames: tabHostnames && typeof tabHostnames === 'object' ? tabHostnames : {},
+    };
+  },
+  // Remembers which hostname a tab shows, so hostname shields can be applied without asking the tab
+  async registerBroadcastTab(tabId, hostname) {
+    if (!Number.isInteger(tabId) || typeof hostname !== 'string' || !hostname) return;
+    await serializeWrite(async () => {
+      const map = (await sessionGet(KEYS.crossChat.tabHostnames)) || {};
+      if (map[tabId] !== hostname.toLowerCase()) {
+        map[tabId] = hostname.toLowerCase();
+        await sessionSet(KEYS.crossChat.tabHostnames, map);
+      }
+    });
+  },
+  async setTabShield(tabId, enabled) {
+    if (!Number.isInteger(tabId)) return;
+    await serializeWrite(async () => {
+      const current = (await sessionGet(KEYS.crossChat.shieldedTabs)) || [];
+      const next = current.filter(id => id !== tabId);
+      if (enabled) next.push(tabId);
+      await sessionSet(KEYS.crossChat.shieldedTabs, next.length ? next : null);
+    });
+  },
+  async setHostnameShield(hostname, enabled) {
+    if (typeof hostname !== 'string' || !hostname) return;
+    await serializeWrite(async () => {
+      const host = hostname.toLowerCase();
+      const current = await getValue(KEYS.crossChat.shieldedHostnames);
+      const next = current.filter(item => item !== host);
+      if (enabled) next.push(host);
+      await setValue(KEYS.crossChat.shieldedHostnames, next);
+    });
+  },
+  async forgetBroadcastTab(tabId) {
+    await serializeWrite(async () => {
+      const shielded = (await sessionGet(KEYS.crossChat.shieldedTabs)) || [];
+      if (shielded.includes(tabId)) {
+        const next = shielded.filter(id => id !== tabId);
+        await sessionSet(KEYS.crossChat.shieldedTabs, next.length ? next : null);
+      }
+      const map = (await sessionGet(KEYS.crossChat.tabHostnames)) || {};
+      if (tabId in map) {
+        delete map[tabId];
+        await sessionSet(KEYS.crossChat.tabHostnames, map);
+      }
+    });
+  },
+
+  // ===== Full Backup =====
+  // Returns { [sectionId]: { [storageKey]: value } } for every section in BACKUP_SECTIONS.
+  async exportBackupSections() {
+    const sections = {};
+    for (const [sectionId, section] of Object.entries(BACKUP_SECTIONS)) {
+      sections[sectionId] = {};
+      for (const key of section.keys) {
+        sections[sectionId][key] = await getValue(key);
+      }
+    }
+    return sections;
+  },
+  // Storage keys behind the given backup sections (the storage.sync mirror watches them for local changes)
+  getBackupSectionKeys(sectionIds) {
+    return sectionIds.flatMap(sectionId => (BACKUP_SECTIONS[sectionId] ? BACKUP_SECTIONS[sectionId].keys : []));
+  },
+  // Replaces the keys of one section with the backed up values. Keys missing from the backup are left alone.
+  // Returns false for section ids this store does not own.
+  async restoreBackupSection(sectionId, data) {
+    const section = BACKUP_SECTIONS[sectionId];
+    if (!section) return false;
+    const values = data && typeof data === 'object' ? data : {};
+    const restored = {};
+    for (const key of section.keys) {
+      if (key in values) {
+        await setValue(key, values[key]);
+        restored[key] = await getValue(key);
+      }
+    }
+    logSS(`restored backup section ${sectionId}:`, Object.keys(restored));
+    if (Object.keys(restored).length > 0) {
+      section.notify(restored).forEach(payload => this.broadcast(payload));
+    }
+    return true;
+  },
+
   // Broadcast utility
   async broadcast(payload) {
     try {
@@ -0,0 +1,200 @@
+// modules/service-worker-backup.js
+/*
+Full-extension backup and restore for the service worker (popup → Backup & Restore → Full Backup).
+A backup file holds every profile plus all settings-like state, split into sections the user can restore one by one:
+{
+  format: 'oneclickprompts-backup', version: 1, createdAt, extensionVersion,
+  sections: {
+    profiles: { currentProfile, profileScope, profileRules, profiles: { [name]: storedProfile } },
+    globalSettings: { ...globalSettings },
+    theme, crossChat, inlineProfileSelector, tokenApproximator, tooltip, selectorAutoDetector,
+    manualQueueCards, customSelectors, floatingPanel: { [storageKey]: value }   (StateStore sections)
+  }
+}
+The single-profile export/import in popup-page-backup-handler.js is unchanged.
+
+Restore points (automatic snapshots) are full backups kept in storage:
+- 'snapshots.index': Array<{ id, createdAt, reason, trigger: 'periodic'|'manual'|'automatic', profileCount, fingerprint }>,
+  newest first, at most SNAPSHOT_MAX_ENTRIES
+- 'snapshots.<id>': the backup object
+They are taken before destructive actions (router: deleteProfile, clearStorage, resetAdvancedSelectors, full
+backup restore; popup: import overwrite/merge), by hand, and every SNAPSHOT_PERIOD_MINUTES via chrome.alarms
+(skipped when nothing changed since the newest snapshot). "Clear storage" keeps them.
+*/
+'use strict';
+
+import { StateStore } from './service-worker-auxiliary-state-store.js';
+import { exportProfilesBackup, restoreProfilesBackup } from './service-worker-profile-manager.js';
+import { logConfigurationRelatedStuff, hashText } from './service-worker-config-helpers.js';
+
+const BACKUP_FORMAT = 'oneclickprompts-backup';
+const BACKUP_VERSION = 1;
+
+const SNAPSHOT_INDEX_KEY = 'snapshots.index';
+const SNAPSHOT_KEY_PREFIX = 'snapshots.';
+const SNAPSHOT_MAX_ENTRIES = 10;
+const SNAPSHOT_PERIOD_MINUTES = 12 * 60;
+export const SNAPSHOT_ALARM_NAME = 'ocp-periodic-snapshot';
+
+export async function createFullBackup() {
+    const globalSettings = (await chrome.storage.local.get(['globalSettings'])).globalSettings || {};
+    const backup = {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        createdAt: new Date().toISOString(),
+        extensionVersion: chrome.runtime.getManifest().version,
+        sections: {
+            profiles: await exportProfilesBackup(),
+            globalSettings,
+            ...(await StateStore.exportBackupSections())
+        }
+    };
+    logConfigurationRelatedStuff(`Created a full backup with sections: ${Object.keys(backup.sections).join(', ')}`);
+    return backup;
+}
+
+// Throws when the file is not a backup this version can read.
+function validateFullBackup(backup) {
+    if (!backup || backup.format !== BACKUP_FORMAT || !backup.sections || typeof backup.sections !== 'object') {
+        throw new Error('This file is not a OneClickPrompts full backup.');
+    }
+    if (typeof backup.version !== 'number' || backup.version > BACKUP_VERSION) {
+        throw new Error('This backup was made by a newer version of the extension. Please update the extension first.');
+    }
+}
+
+// Restores the chosen sections (all sections of the file when sectionIds is empty).
+// Returns { restored: string[], skipped: string[], profileCount }.
+export async function restoreFullBackup(backup, sectionIds) {
+    validateFullBackup(backup);
+    const available = Object.keys(backup.sections);
+    const wanted = Array.isArray(sectionIds) && sectionIds.length > 0
+        ? sectionIds.filter(id => available.includes(id))
+        : available;
+    const restored = [];
+    const skipped = [];
+    let profileCount = 0;
+    for (const sectionId of wanted) {
+        const data = backup.sections[sectionId];
+        if (sectionId === 'profiles') {
+            profileCount = await restoreProfilesBackup(data);
+            restored.push(sectionId);
+        } else if (sectionId === 'globalSettings') {
+            await chrome.storage.local.set({ globalSettings: data && typeof data === 'object' ? data : {} });
+            restored.push(sectionId);
+        } else if (await StateStore.restoreBackupSection(sectionId, data)) {
+            restored.push(sectionId);
+        } else {
+            skipped.push(sectionId);
+        }
+    }
+    logConfigurationRelatedStuff(`Restored backup sections: ${restored.join(', ') || 'none'}${skipped.length ? `; unknown: ${skipped.join(', ')}` : ''}`);
+    return { restored, skipped, profileCount };
+}
+
+// ===== Restore Points =====
+
+// Index writes are serialized; two snapshots taken together must not drop each other's entry.
+let snapshotChain = Promise.resolve();
+
+function queueSnapshotWork(work) {
+    const run = snapshotChain.then(work);
+    snapshotChain = run.catch(() => {});
+    return run;
+}
+
+async function readSnapshotIndex() {
+    const stored = (await chrome.storage.local.get([SNAPSHOT_INDEX_KEY]))[SNAPSHOT_INDEX_KEY];
+    return Array.isArray(stored) ? stored.filter(entry => entry && typeof entry.id === 'string') : [];
+}
+
+/**
+ * Stores the current state as a restore point and drops the oldest ones beyond SNAPSHOT_MAX_ENTRIES.
+ * @param {string} reason - Shown in the popup, e.g. 'Before deleting profile "Work"'.
+ * @param {{trigger?: 'periodic'|'manual'|'automatic', skipIfUnchanged?: boolean}} [options]
+ * @returns {Promise<object|null>} The index entry, or null when skipped.
+ */
+export function takeSnapshot(reason, { trigger = 'automatic', skipIfUnchanged = false } = {}) {
+    return queueSnapshotWork(async () => {
+        const backup = await createFullBackup();
+        // Used to skip periodic snapshots of unchanged data
+        const fingerprint = hashText(JSON.stringify(backup.sections));
+        const index = await readSnapshotIndex();
+        if (skipIfUnchanged && index[0] && index[0].fingerprint === fingerprint) {
+            logConfigurationRelatedStuff('Skipped snapshot: nothing changed since the last restore point');
+            return null;
+        }
+        const entry = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            createdAt: backup.createdAt,
+            reason: reason || 'Restore point',
+            trigger,
+            profileCount: Object.keys(backup.sections.profiles?.profiles || {}).length,
+            fingerprint
+        };
+        const nextIndex = [entry, ...index];
+        const dropped = nextIndex.splice(SNAPSHOT_MAX_ENTRIES);
+        await chrome.storage.local.set({ [SNAPSHOT_INDEX_KEY]: nextIndex, [SNAPSHOT_KEY_PREFIX + entry.id]: backup });
+        if (dropped.length > 0) {
+            await chrome.storage.local.remove(dropped.map(old => SNAPSHOT_KEY_PREFIX + old.id));
+        }
+        logConfigurationRelatedStuff(`Snapshot taken (${entry.reason}); ${nextIndex.length} restore points kept`);
+        return entry;
+    });
+}
+
+// Used right before destructive actions: a failed snapshot is logged but does not block the action.
+export async function snapshotBeforeChange(reason) {
+    try {
+        await takeSnapshot(reason);
+    } catch (error) {
+        logConfigurationRelatedStuff(`Could not take a snapshot (${reason}):`, error);
+    }
+}
+
+export async function listSnapshots() {
+    return (await readSnapshotIndex()).map(({ fingerprint, ...entry }) => entry);
+}
+
+export async function getSnapshot(id) {
+    const backup = (await chrome.storage.local.get([SNAPSHOT_KEY_PREFIX + id]))[SNAPSHOT_KEY_PREFIX + id];
+    if (!backup) {
+        throw new Error('This restore point no longer exists.');
+    }
+    return backup;
+}
+
+// Restores everything in the snapshot; the state before the restore becomes a restore point itself.
+export async function restoreSnapshot(id) {
+    const backup = await getSnapshot(id);
+    await snapshotBeforeChange('Before restoring an earlier restore point');
+    return restoreFullBackup(backup, []);
+}
+
+export function deleteSnapshot(id) {
+    return queueSnapshotWork(async () => {
+        const index = await readSnapshotIndex();
+        await chrome.storage.local.set({ [SNAPSHOT_INDEX_KEY]: index.filter(entry => entry.id !== id) });
+        await chrome.storage.local.remove(SNAPSHOT_KEY_PREFIX + id);
+    });
+}
+
+// "Clear storage": takes a last snapshot and puts the restore points back after clearing.
+export async function clearStorageKeepingSnapshots() {
+    await snapshotBeforeChange('Before clearing all extension storage');
+    await queueSnapshotWork(async () => {
+        const index = await readSnapshotIndex();
+        const kept = await chrome.storage.local.get([SNAPSHOT_INDEX_KEY, ...index.map(entry => SNAPSHOT_KEY_PREFIX + entry.id)]);
+        await chrome.storage.local.clear();
+        await chrome.storage.local.set(kept);
+    });
+}
+
+// Creates the periodic snapshot alarm unless it exists (Firefox drops alarms on browser restart).
+export async function ensureSnapshotAlarm() {
+    const existing = await chrome.alarms.get(SNAPSHOT_ALARM_NAME);
+    if (!existing) {
+        chrome.alarms.create(SNAPSHOT_ALARM_NAME, { delayInMinutes: SNAPSHOT_PERIOD_MINUTES, periodInMinutes: SNAPSHOT_PERIOD_MINUTES });
+        logConfigurationRelatedStuff(`Scheduled periodic snapshots every ${SNAPSHOT_PERIOD_MINUTES} minutes`);
+    }
+}
@@ -21,6 +21,16 @@ export function handleStorageError(error) {
     return error;
 }
 
+// Short, non-cryptographic hash of a string (djb2 plus the length), e.g. to notice changed content
+export function hashText(text) {
+    const value = String(text);
+    let hash = 5381;
+    for (let i = 0; i < value.length; i++) {
+        hash = ((hash * 33) ^ value.charCodeAt(i)) >>> 0;
+    }
+    return `${value.length.toString(36)}-${hash.toString(36)}`;
+}
+
 // Function to load default configuration from JSON file
 export async function loadDefaultConfig() {
     try {
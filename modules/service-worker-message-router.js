@@ -13,15 +13,96 @@ import {
     switchProfile,
     listProfiles,
     deleteProfile,
-    createDefaultProfile
+    createDefaultProfile,
+    getProfileRules,
+    saveProfileRules,
+    applyProfileRuleForUrl,
+    getProfileScope,
+    setProfileScope,
+    getActiveProfileName,
+    getProfileInheritance,
+    setProfileParent,
+    restoreHiddenProfileButtons,
+    loadResolvedProfileConfig
 } from './service-worker-profile-manager.js';
+import {
+    createFullBackup,
+    restoreFullBackup,
+    takeSnapshot,
+    snapshotBeforeChange,
+    listSnapshots,
+    getSnapshot,
+    restoreSnapshot,
+    deleteSnapshot,
+    clearStorageKeepingSnapshots
+} from './service-worker-backup.js';
+import { getSyncStatus, setSyncOptions, syncNow } from './service-worker-sync.js';
 import { logConfigurationRelatedStuff, handleStorageError } from './service-worker-config-helpers.js';
 
+// Tab showing broadcast-comparison.html; reused for the next broadcast while it is still open.
+let broadcastComparisonTabId = null;
+
+// Asks every tab with the content script who it is; tabs without it (other sites, extension pages) are left out.
+async function describeBroadcastRecipientTabs(originTabId) {
+    const tabs = await chrome.tabs.query({});
+    const described = await Promise.all(tabs.map(async (tab) => {
+        if (!tab.id || tab.id === originTabId) {
+            return null;
+        }
+        try {
+            const response = await chrome.tabs.sendMessage(tab.id, { type: 'crossChatDescribeTab' });
+            if (!response?.ok) {
+                return null;
+            }
+            return {
+                tabId: tab.id,
+                site: response.site || 'Unknown',
+                hostname: response.hostname || '',
+                title: response.title || '',
+                shielded: !!response.shielded,
+                accepting: !!response.accepting
+            };
+        } catch (_) {
+            return null;
+        }
+    }));
+    return described.filter(Boolean);
+}
+
+/**
+ * Why a tab must not receive broadcasts, or null when it may.
+ * @param {number} tabId
+ * @param {{tabIds: number[], hostnames: string[], tabHostnames: Object<string, string>}} shields
+ * @returns {'shielded_tab'|'shielded_hostname'|null}
+ */
+function getBroadcastShieldReason(tabId, shields) {
+    if (shields.tabIds.includes(tabId)) {
+        return 'shielded_tab';
+    }
+    const hostname = shields.tabHostnames[tabId];
+    return hostname && shields.hostnames.includes(hostname) ? 'shielded_hostname' : null;
+}
+
+async function openBroadcastComparisonPage(broadcastId) {
+    const url = chrome.runtime.getURL(`broadcast-comparison.html?id=${encodeURIComponent(broadcastId)}`);
+    if (broadcastComparisonTabId !== null) {
+        try {
+            await chrome.tabs.update(broadcastComparisonTabId, { url, active: true });
+            return;
+        } catch (_) {
+            // The previous comparison tab was closed; open a new one.
+        }
+    }
+    const tab = await chrome.tabs.create({ url });
+    broadcastComparisonTabId = tab?.id ?? null;
+}
+
 // Main message handler function
 export function handleMessage(request, sender, sendResponse) {
     switch (request.type) {
         case 'getConfig':
-            getCurrentProfileConfig().then(config => {
+            // Chat tabs get their own profile when profiles are kept per tab.
+            getCurrentProfileConfig(sender?.tab?.id).then(config => {
                 sendResponse({ config });
                 logConfigurationRelatedStuff('Sent config to requesting script');
             }).catch(error => {
@@ -30,7 +111,7 @@ export function handleMessage(request, sender, sendResponse) {
             return true;
 
         case 'saveConfig':
-            saveProfileConfig(request.profileName, request.config).then(success => {
+            saveProfileConfig(request.profileName, request.config, sender?.tab?.id).then(success => {
                 sendResponse({ success });
                 logConfigurationRelatedStuff('Config save request processed');
             });
@@ -52,10 +133,103 @@ export function handleMessage(request, sender, sendResponse) {
             });
             return true;
 
+        case 'getProfileConfig':
+            loadResolvedProfileConfig(request.profileName).then(config => {
+                sendResponse({ config });
+            }).catch(error => {
+                handleStorageError(error);
+                sendResponse({ error: error.message });
+            });
+            return true;
+
+        // Profile inheritance (popup → Profile → "Based on"); getConfig already returns flattened configs
+        case 'getProfileInheritance':
+            getProfileInheritance(request.profileName).then(inheritance => {
+                sendResponse(inheritance);
+            }).catch(error => {
+                handleStorageError(error);
+                sendResponse({ error: error.message });
+            });
+            return true;
+
+        case 'setProfileParent':
+            setProfileParent(request.profileName, request.parentProfile || null).then(result => {
+                sendResponse({ success: true, ...result });
+            }).catch(error => {
+                handleStorageError(error);
+                sendResponse({ error: error.message });
+            });
+            return true;
+
+        case 'restoreHiddenProfileButtons':
+            restoreHiddenProfileButtons(request.profileName).then(result => {
+                sendResponse({ success: true, ...result });
+            }).catch(error => {
+                handleStorageError(error);
+                sendResponse({ error: error.message });
+            });
+            return true;
+
+        case 'getActiveProfileName':
+            getActiveProfileName(sender?.tab?.id).then(profileName => {
+                sendResponse({ profileName });
+            }).catch(error => {
+                handleStorageError(error);
+                sendResponse({ error: error.message });
+            });
+            return true;
+
+        // Profile scope (popup → Profile): 'global' (one profile everywhere) or 'tab' (each chat tab keeps its pick)
+        case 'getProfileScope':
+            getProfileScope().then(scope => {
+                sendResponse({ scope });
+            });
+            return true;
+
+        case 'setProfileScope':
+            setProfileScope(request.scope).then(scope => {
+                sendResponse({ success: true, scope });
+            }).catch(error => {
+                handleStorageError(error);
+                sendResponse({ error: error.message });
+            });
+            return true;
+
+        // Site profile rules (popup → Profile → Site rules); applied by init.js on load and navigation
+        case 'getProfileRules':
+            getProfileRules().then(rules => {
+                sendResponse({ rules });
+            });
+            return true;
+
+        case 'saveProfileRules':
+            saveProfileRules(request.rules).then(rules => {
+                sendResponse({ success: true, rules });
+            }).catch(error => {
+                handleStorageError(error);
+                sendResponse({ error: error.message });
+            });
+            return true;
+
+        case 'applyProfileRule':
+            applyProfileRuleForUrl(request.url, sender?.tab?.id).then(result => {
+                sendResponse({
+                    pattern: result.rule ? result.rule.pattern : null,
+                    profileName: result.rule ? result.rule.profileName : null,
+                    switched: result.switched,
+                    config: result.config || null
+                });
+            }).catch(error => {
+                handleStorageError(error);
+                sendResponse({ error: error.message });
+            });
+            return true;
+
         case 'clearStorage':
             (async () => {
                 try {
-                    await chrome.storage.local.clear();
+                    // Restore points survive, and one more is taken right before the clear.
+                    await clearStorageKeepingSnapshots();
                     logConfigurationRelatedStuff('Storage cleared successfully');
                     sendResponse({ success: true });
                 } catch (error) {
@@ -66,10 +240,12 @@ export function handleMessage(request, sender, sendResponse) {
             return true;
 
         case 'deleteProfile':
-            deleteProfile(request.profileName).then(success => {
-                sendResponse({ success });
-                logConfigurationRelatedStuff('Profile deletion request processed');
-            });
+            snapshotBeforeChange(`Before deleting profile "${request.profileName}"`)
+                .then(() => deleteProfile(request.profileName))
+                .then(success => {
+                    sendResponse({ success });
+                    logConfigurationRelatedStuff('Profile deletion request processed');
+                });
             return true;
 
         case 'createDefaultProfile':
@@ -81,6 +257,126 @@ export function handleMessage(request, sender, sendResponse) {
             });
             return true;
 
+        // ----- Full Backup Cases (popup → Backup & Restore) -----
+        case 'createFullBackup':
+            (async () => {
+                try {
+                    const backup = await createFullBackup();
+                    sendResponse({ backup });
+                } catch (error) {
+                    handleStorageError(error);
+                    sendResponse({ error: error.message });
+                }
+            })();
+            return true;
+
+        case 'restoreFullBackup':
+            (async () => {
+                try {
+                    await snapshotBeforeChange('Before restoring a full backup file');
+                    const result = await restoreFullBackup(request.backup, request.sections);
+                    sendResponse({ success: true, ...result });
+                } catch (error) {
+                    handleStorageError(error);
+                    sendResponse({ error: error.message });
+                }
+            })();
+            return true;
+
+        // ----- Restore Points (automatic snapshots) -----
+        case 'listSnapshots':
+            (async () => {
+                try {
+                    sendResponse({ snapshots: await listSnapshots() });
+                } catch (error) {
+                    handleStorageError(error);
+                    sendResponse({ error: error.message });
+                }
+            })();
+            return true;
+
+        case 'createSnapshot':
+            (async () => {
+                try {
+                    const trigger = request.trigger === 'manual' ? 'manual' : 'automatic';
+                    const snapshot = await takeSnapshot(request.reason, { trigger });
+                    sendResponse({ success: true, snapshot });
+                } catch (error) {
+                    handleStorageError(error);
+                    sendResponse({ error: error.message });
+                }
+            })();
+            return true;
+
+        case 'getSnapshot':
+            (async () => {
+                try {
+                    sendResponse({ backup: await getSnapshot(request.id) });
+                } catch (error) {
+                    handleStorageError(error);
+                    sendResponse({ error: error.message });
+                }
+            })();
+            return true;
+
+        case 'restoreSnapshot':
+            (async () => {
+                try {
+                    const result = await restoreSnapshot(request.id);
+                    sendResponse({ success: true, ...result });
+                } catch (error) {
+                    handleStorageError(error);
+                    sendResponse({ error: error.message });
+                }
+            })();
+            return true;
+
+        case 'deleteSnapshot':
+            (async () => {
+                try {
+                    await deleteSnapshot(request.id);
+                    sendResponse({ success: true });
+                } catch (error) {
+                    handleStorageError(error);
+                    sendResponse({ error: error.message });
+                }
+            })();
+            return true;
+
+        // ----- Cross-Device Sync Cases -----
+        case 'getSyncStatus':
+            (async () => {
+                try {
+                    sendResponse({ status: await getSyncStatus() });
+                } catch (error) {
+                    handleStorageError(error);
+                    sendResponse({ error: error.message });
+                }
+            })();
+            return true;
+
+        case 'setSyncOptions':
+            (async () => {
+                try {
+                    sendResponse({ status: await setSyncOptions({ enabled: request.enabled, includeSettings: request.includeSettings }) });
+                } catch (error) {
+                    handleStorageError(error);
+                    sendResponse({ error: error.message });
+                }
+            })();
+            return true;
+
+        case 'syncNow':
+            (async () => {
+                try {
+                    sendResponse({ status: await syncNow() });
+                } catch (error) {
+                    handleStorageError(error);
+                    sendResponse({ error: error.message });
+                }
+            })();
+            return true;
+
         // ----- Global Settings Cases -----
         case 'getGlobalSettings':
             (async () => {
@@ -187,6 +483,9 @@ export function handleMessage(request, sender, sendResponse) {
         case 'resetAdvancedSelectors':
             (async () => {
                 try {
+                    await snapshotBeforeChange(request.site
+                        ? `Before resetting the advanced selectors of ${request.site}`
+                        : 'Before resetting all advanced selectors');
                     const count = await StateStore.resetAdvancedSelectors(request.site);
                     sendResponse({ success: true, count });
                     logConfigurationRelatedStuff('Reset advanced selectors');
@@ -365,6 +664,58 @@ export function handleMessage(request, sender, sendResponse) {
             })();
             return true;
 
+        // Cross-chat clipboard: named/numbered slots plus the history of stored prompts (modules/cross-chat-clipboard.js)
+        case 'getCrossChatClipboard':
+            (async () => {
+                try {
+                    const clipboard = await StateStore.getCrossChatClipboard();
+                    sendResponse(clipboard);
+                } catch (error) {
+                    handleStorageError(error);
+                    sendResponse({ error: error.message });
+                }
+            })();
+            return true;
+
+        case 'saveClipboardSlot':
+            (async () => {
+                try {
+                    const slot = await StateStore.saveClipboardSlot(request.slot);
+                    logConfigurationRelatedStuff(`Saved cross-chat clipboard slot ${slot.id}.`);
+                    sendResponse({ success: true, slot });
+                } catch (error) {
+                    handleStorageError(error);
+                    sendResponse({ error: error.message });
+                }
+            })();
+            return true;
+
+        case 'deleteClipboardSlot':
+            (async () => {
+                try {
+                    await StateStore.deleteClipboardSlot(request.slotId);
+                    logConfigurationRelatedStuff(`Deleted cross-chat clipboard slot ${request.slotId}.`);
+                    sendResponse({ success: true });
+                } catch (error) {
+                    handleStorageError(error);
+                    sendResponse({ error: error.message });
+                }
+            })();
+            return true;
+
+        case 'clearClipboardHistory':
+            (async () => {
+                try {
+                    await StateStore.clearClipboardHistory();
+                    logConfigurationRelatedStuff('Cleared cross-chat clipboard history.');
+                    sendResponse({ success: true });
+                } catch (error) {
+                    handleStorageError(error);
+                    sendResponse({ error: error.message });
+                }
+            })();
+            return true;
+
         case 'triggerDangerCrossChatSend':
             (async () => {
                 try {
@@ -383,22 +734,54 @@ export function handleMessage(request, sender, sendResponse) {
 
                     const originTabId = sender?.tab?.id || null;
                     const tabs = await chrome.tabs.query({});
+                    // A recipient selection limits the fan-out to the chosen tabs; null means every tab.
+                    const { targetTabIds } = await StateStore.getBroadcastRecipients();
+                    const targets = Array.isArray(targetTabIds) ? new Set(targetTabIds) : null;
+                    if (targets && !tabs.some(tab => tab.id !== originTabId && targets.has(tab.id))) {
+                        sendResponse({ success: false, reason: 'noRecipientsSelected', dispatched: 0, failed: 0, skipped: 0 });
+                        return;
+                    }
+                    // Shielded tabs are skipped here instead of relying on the tab to refuse.
+                    const shields = await StateStore.getBroadcastShields();
                     let successCount = 0;
                     let failureCount = 0;
                     let skippedCount = 0;
                     const failureReasons = [];
+                    const skippedTabs = [];
+                    // Answers are collected only when the origin asked for it (comparison enabled).
+                    const broadcastId = crossChatState.settings.dangerCompareAnswers !== false && typeof request.broadcastId === 'string'
+                        ? request.broadcastId
+                        : null;
+                    const startedAt = Date.now();
+                    // Stored before dispatching, so an answer a tab reports right away finds its entry.
+                    if (broadcastId) {
+                        const answers = originTabId
+                            ? [{ tabId: originTabId, site: request.site, hostname: request.hostname, status: 'pending', sentAt: startedAt }]
+                            : [];
+                        await StateStore.startBroadcastComparison({ id: broadcastId, promptText: trimmed, startedAt, answers });
+                    }
 
                     await Promise.all(tabs.map(async (tab) => {
-                        if (!tab.id || tab.id === originTabId) {
+                        if (!tab.id || tab.id === originTabId || (targets && !targets.has(tab.id))) {
+                            return;
+                        }
+                        const shieldReason = getBroadcastShieldReason(tab.id, shields);
+                        if (shieldReason) {
+                            skippedCount++;
+                            skippedTabs.push({ tabId: tab.id, hostname: shields.tabHostnames[tab.id] || '', reason: shieldReason });
                             return;
                         }
                         try {
                             const response = await chrome.tabs.sendMessage(tab.id, {
                                 type: 'crossChatDangerDispatchPrompt',
                                 promptText: trimmed,
+                                broadcastId,
                             });
                             if (response?.ok) {
                                 successCount++;
+                                if (broadcastId) {
+                                    await StateStore.addBroadcastRecipient(broadcastId, { tabId: tab.id, site: response.site, hostname: response.hostname, sentAt: Date.now() });
+                                }
                             } else {
                                 failureCount++;
                                 if (response?.error || response?.reason) {
@@ -422,13 +805,26 @@ export function handleMessage(request, sender, sendResponse) {
                     const reason = success
                         ? undefined
                         : (failureCount > 0 ? 'noRecipientsAccepted' : 'noRecipientsReachable');
+                    let comparisonId = null;
+                    if (broadcastId && !success) {
+                        await StateStore.removeBroadcastComparison(broadcastId);
+                    } else if (broadcastId) {
+                        comparisonId = broadcastId;
+                        try {
+                            await openBroadcastComparisonPage(broadcastId);
+                        } catch (error) {
+                            logConfigurationRelatedStuff('Could not open the broadcast comparison page:', error?.message || error);
+                        }
+                    }
                     sendResponse({
                         success,
                         dispatched: successCount,
                         failed: failureCount,
                         skipped: skippedCount,
+                        skippedTabs,
                         reasons: failureReasons,
-                        reason
+                        reason,
+                        broadcastId: comparisonId
                     });
                 } catch (error) {
                     handleStorageError(error);
@@ -436,6 +832,127 @@ export function handleMessage(request, sender, sendResponse) {
                 }
             })();
             return true;
+
+        case 'getBroadcastShield':
+            (async () => {
+                try {
+                    const tabId = sender?.tab?.id;
+                    await StateStore.registerBroadcastTab(tabId, request.hostname);
+                    const shields = await StateStore.getBroadcastShields();
+                    sendResponse({
+                        shield: {
+                            tab: shields.tabIds.includes(tabId),
+                            hostname: shields.hostnames.includes(String(request.hostname || '').toLowerCase())
+                        }
+                    });
+                } catch (error) {
+                    handleStorageError(error);
+                    sendResponse({ error: error.message });
+                }
+            })();
+            return true;
+
+        case 'setBroadcastShield':
+            (async () => {
+                try {
+                    if (request.scope === 'hostname') {
+                        await StateStore.setHostnameShield(request.hostname, !!request.enabled);
+                    } else {
+                        await StateStore.setTabShield(Number.isInteger(request.tabId) ? request.tabId : sender?.tab?.id, !!request.enabled);
+                    }
+                    logConfigurationRelatedStuff(`Broadcast shield (${request.scope === 'hostname' ? request.hostname : 'tab'}) ${request.enabled ? 'enabled' : 'disabled'}.`);
+                    // Every tab re-reads its shield, so toolbar and panel icons stay in sync.
+                    StateStore.broadcast({ type: 'crossChatShieldChanged' });
+                    sendResponse({ success: true });
+                } catch (error) {
+                    handleStorageError(error);
+                    sendResponse({ error: error.message });
+                }
+            })();
+            return true;
+
+        case 'listShieldedHostnames':
+            (async () => {
+                try {
+                    const { hostnames } = await StateStore.getBroadcastShields();
+                    sendResponse({ hostnames });
+                } catch (error) {
+                    handleStorageError(error);
+                    sendResponse({ error: error.message });
+                }
+            })();
+            return true;
+
+        case 'listBroadcastRecipients':
+            (async () => {
+                try {
+                    const [tabs, recipients] = await Promise.all([
+                        describeBroadcastRecipientTabs(sender?.tab?.id || null),
+                        StateStore.getBroadcastRecipients()
+                    ]);
+                    sendResponse({ tabs, targetTabIds: recipients.targetTabIds, groups: recipients.groups });
+                } catch (error) {
+                    handleStorageError(error);
+                    sendResponse({ error: error.message });
+                }
+            })();
+            return true;
+
+        case 'saveBroadcastRecipients':
+            (async () => {
+                try {
+                    await StateStore.saveBroadcastRecipients(request.patch || {});
+                    logConfigurationRelatedStuff('Saved broadcast recipients:', request.patch);
+                    sendResponse({ success: true });
+                } catch (error) {
+                    handleStorageError(error);
+                    sendResponse({ error: error.message });
+                }
+            })();
+            return true;
+
+        case 'reportBroadcastAnswer':
+            (async () => {
+                try {
+                    const tabId = sender?.tab?.id;
+                    if (!Number.isInteger(tabId) || typeof request.broadcastId !== 'string') {
+                        sendResponse({ success: false, error: 'Missing tab or broadcast id' });
+                        return;
+                    }
+                    const stored = await StateStore.recordBroadcastAnswer(request.broadcastId, tabId, request.answer || {});
+                    logConfigurationRelatedStuff(`Broadcast answer from tab ${tabId} ${stored ? 'recorded' : 'ignored (broadcast not tracked)'}.`);
+                    sendResponse({ success: stored });
+                } catch (error) {
+                    handleStorageError(error);
+                    sendResponse({ success: false, error: error.message });
+                }
+            })();
+            return true;
+
+        case 'getBroadcastComparisons':
+            (async () => {
+                try {
+                    const entries = await StateStore.getBroadcastComparisons();
+                    sendResponse({ entries });
+                } catch (error) {
+                    handleStorageError(error);
+                    sendResponse({ error: error.message });
+                }
+            })();
+            return true;
+
+        case 'clearBroadcastComparisons':
+            (async () => {
+                try {
+                    await StateStore.clearBroadcastComparisons();
+                    logConfigurationRelatedStuff('Cleared broadcast comparisons');
+                    sendResponse({ success: true });
+                } catch (error) {
+                    handleStorageError(error);
+                    sendResponse({ error: error.message });
+                }
+            })();
+            return true;
         // ===== End Cross-Chat Module Cases =====
 
         // ===== Inline Profile Selector Cases =====
@@ -578,6 +1095,135 @@ export function handleMessage(request, sender, sendResponse) {
             return true;
         // ===== End Manual Queue Cards Cases =====
 
+        // ===== Queue Session Cases =====
+        // Sessions are keyed by the sender tab + hostname so two tabs on the same site never share a queue.
+        case 'getQueueSession':
+            (async () => {
+                try {
+                    const tabId = sender?.tab?.id;
+                    if (tabId === undefined || !request.hostname) {
+                        sendResponse({ session: null });
+                        return;
+                    }
+                    const session = await StateStore.getQueueSession(tabId, request.hostname);
+                    sendResponse({ session });
+                } catch (error) {
+                    handleStorageError(error);
+                    sendResponse({ error: error.message });
+                }
+            })();
+            return true;
+
+        case 'saveQueueSession':
+            (async () => {
+                try {
+                    const tabId = sender?.tab?.id;
+                    if (tabId === undefined || !request.hostname) {
+                        sendResponse({ success: false, error: 'Queue sessions require a tab and hostname' });
+                        return;
+                    }
+                    await StateStore.saveQueueSession(tabId, request.hostname, request.session);
+                    sendResponse({ success: true });
+                } catch (error) {
+                    handleStorageError(error);
+                    sendResponse({ error: error.message });
+                }
+            })();
+            return true;
+
+        case 'clearQueueSession':
+            (async () => {
+                try {
+                    const tabId = sender?.tab?.id;
+                    if (tabId !== undefined && request.hostname) {
+                        await StateStore.clearQueueSession(tabId, request.hostname);
+                    }
+                    sendResponse({ success: true });
+                } catch (error) {
+                    handleStorageError(error);
+                    sendResponse({ error: error.message });
+                }
+            })();
+            return true;
+
+        case 'listScheduledQueueStarts':
+            (async () => {
+                try {
+                    const schedules = await StateStore.listScheduledQueueStarts();
+                    sendResponse({ schedules });
+                } catch (error) {
+                    handleStorageError(error);
+                    sendResponse({ error: error.message });
+                }
+            })();
+            return true;
+
+        case 'cancelScheduledQueueStart':
+            // Sent by the popup: disarm the stored schedule and tell the owning tab to stop its timer.
+            (async () => {
+                try {
+                    const tabId = Number(request.tabId);
+                    if (!Number.isInteger(tabId) || !request.hostname) {
+                        sendResponse({ success: false, error: 'tabId and hostname are required' });
+                        return;
+                    }
+                    await StateStore.clearScheduledQueueStart(tabId, request.hostname);
+                    let tabNotified = true;
+                    try {
+                        await chrome.tabs.sendMessage(tabId, { type: 'cancelScheduledQueueStart' });
+                    } catch (_) {
+                        // Tab gone or not reachable; the stored schedule is cleared either way.
+                        tabNotified = false;
+                    }
+                    logConfigurationRelatedStuff(`Cancelled scheduled queue start for tab ${tabId} (${request.hostname})`);
+                    sendResponse({ success: true, tabNotified });
+                } catch (error) {
+                    handleStorageError(error);
+                    sendResponse({ error: error.message });
+                }
+            })();
+            return true;
+        // ===== End Queue Session Cases =====
+
+        // ===== Queue History Cases =====
+        case 'getQueueHistory':
+            (async () => {
+                try {
+                    const entries = await StateStore.getQueueHistory();
+                    sendResponse({ entries });
+                } catch (error) {
+                    handleStorageError(error);
+                    sendResponse({ error: error.message });
+                }
+            })();
+            return true;
+
+        case 'appendQueueHistoryEntry':
+            (async () => {
+                try {
+                    await StateStore.appendQueueHistoryEntry(request.entry);
+                    sendResponse({ success: true });
+                } catch (error) {
+                    handleStorageError(error);
+                    sendResponse({ error: error.message });
+                }
+            })();
+            return true;
+
+        case 'clearQueueHistory':
+            (async () => {
+                try {
+                    await StateStore.clearQueueHistory();
+                    logConfigurationRelatedStuff('Cleared queue run history');
+                    sendResponse({ success: true });
+                } catch (error) {
+                    handleStorageError(error);
+                    sendResponse({ error: error.message });
+                }
+            })();
+            return true;
+        // ===== End Queue History Cases =====
+
         case 'openSettingsPage':
             (async () => {
                 try {
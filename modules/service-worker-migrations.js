@@ -0,0 +1,85 @@
+// modules/service-worker-migrations.js
+/*
+Storage migrations for the service worker.
+MIGRATIONS is an ordered list of steps; each one moves the stored data from version - 1 to version
+('state.schemaVersion' in the StateStore, 1 when nothing ran yet). Steps must be idempotent: a step that failed
+halfway is simply run again next time. runMigrations executes the pending steps in order, stops at the first
+failure (later steps may depend on it) and appends one entry per step to the StateStore migration log.
+Triggers (config.js): chrome.runtime.onInstalled ('install' and 'update') and onStartup, which retries steps
+that failed before.
+Single profiles (imports, full backup restores) go through the profile migrations in
+service-worker-profile-manager.js (migrateProfileConfig); step 3 here applies them to the stored profiles.
+*/
+'use strict';
+
+import { StateStore } from './service-worker-auxiliary-state-store.js';
+import { migrateStoredProfiles } from './service-worker-profile-manager.js';
+import { logConfigurationRelatedStuff } from './service-worker-config-helpers.js';
+
+// run() resolves with a short detail text for the log.
+const MIGRATIONS = [
+    {
+        version: 2,
+        description: 'Copy settings stored under legacy keys into the namespaced schema',
+        run: async () => {
+            const copied = await StateStore.copyLegacyKeysToSchema();
+            return copied.length ? `copied ${copied.join(', ')}` : 'nothing to copy';
+        }
+    },
+    {
+        version: 3,
+        description: 'Bring stored profiles to the current profile schema',
+        run: async () => `${await migrateStoredProfiles()} profile(s) updated`
+    },
+    {
+        version: 4,
+        description: 'Remove the retired legacy keys (darkTheme, crossChatModuleSettings, crossChatStoredPrompt, floating_panel_*, customSelectors)',
+        run: async () => `${await StateStore.removeLegacyKeys()} key(s) removed`
+    }
+];
+
+export const STORAGE_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Runs are serialized, so an update and a startup firing together do not run a step twice at the same time.
+let migrationChain = Promise.resolve();
+
+async function runPendingMigrations(trigger) {
+    const fromVersion = await StateStore.getSchemaVersion();
+    const pending = MIGRATIONS.filter(migration => migration.version > fromVersion);
+    if (pending.length === 0) {
+        return { fromVersion, toVersion: fromVersion, results: [] };
+    }
+
+    logConfigurationRelatedStuff(`Running ${pending.length} storage migration(s) from version ${fromVersion} (${trigger})`);
+    const results = [];
+    let toVersion = fromVersion;
+    for (const migration of pending) {
+        const entry = { version: migration.version, description: migration.description, trigger, ranAt: Date.now() };
+        results.push(entry);
+        try {
+            entry.detail = await migration.run();
+            entry.status = 'ok';
+            await StateStore.setSchemaVersion(migration.version);
+            toVersion = migration.version;
+            logConfigurationRelatedStuff(`Migration ${migration.version} done: ${entry.detail}`);
+        } catch (error) {
+            entry.status = 'failed';
+            entry.error = error?.message || String(error);
+            logConfigurationRelatedStuff(`Migration ${migration.version} failed, later migrations wait for the next run:`, error);
+            break;
+        }
+    }
+    await StateStore.recordMigrationResults(results);
+    return { fromVersion, toVersion, results };
+}
+
+/**
+ * Runs the pending storage migrations.
+ * @param {string} trigger - Why they run ('install', 'update from 1.2.3', 'startup'); stored in the log.
+ * @returns {Promise<{fromVersion: number, toVersion: number, results: Array<object>}>}
+ */
+export function runMigrations(trigger) {
+    const run = migrationChain.then(() => runPendingMigrations(trigger));
+    migrationChain = run.catch(() => {});
+    return run;
+}
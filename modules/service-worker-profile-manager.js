@@ -3,12 +3,23 @@
 Profile management module for service worker.
 Handles all profile CRUD operations, broadcasting, and normalization.
 Extracted from config.js to improve maintainability.
+Also owns the site profile rules ('profileRules': [{ pattern, profileName }]) that pick a profile by hostname or URL,
+and the profile scope ('profileScope': 'global' | 'tab'). In 'tab' scope a profile picked in a chat tab stays in
+that tab ('tabProfiles' in storage.session); tabs without their own pick and the popup use 'currentProfile'.
+Profiles can be based on a parent profile ('parentProfile'); see "Profile Inheritance" below. Everything outside
+this module receives flattened configs.
+Stored, imported and restored profiles pass through the profile migrations ('profileSchemaVersion'); see
+"Profile Migrations" below.
 */
 'use strict';
 
 import { logConfigurationRelatedStuff, handleStorageError, loadDefaultConfig } from './service-worker-config-helpers.js';
 
+// Send failures the prompt queue retries by default. The only copy: new, default and older profiles get it here.
+const DEFAULT_QUEUE_RETRY_REASONS = ['not_found', 'send_button_timeout', 'post-stop-missing-send', 'disabled'];
+
 // Function to normalize profile configuration with default values
+// Also applied on every read; profile migration 2 stores the result.
 function normalizeProfileConfig(profile, profileName) {
     // Ensure the profile has a 'customButtons' property
     if (!profile.customButtons) {
@@ -44,6 +55,47 @@ function normalizeProfileConfig(profile, profileName) {
         profile.queueHideActivationToggle = false;
         logConfigurationRelatedStuff(`Initialized missing 'queueHideActivationToggle' for profile: ${profileName}`);
     }
+    if (typeof profile.queuePacingMode === 'undefined') {
+        profile.queuePacingMode = 'delay'; // 'delay' (fixed delay) or 'response' (wait for the AI to finish)
+        logConfigurationRelatedStuff(`Initialized missing 'queuePacingMode' for profile: ${profileName}`);
+    }
+    if (typeof profile.queueResponseSettleSeconds === 'undefined') {
+        profile.queueResponseSettleSeconds = 5;
+        logConfigurationRelatedStuff(`Initialized missing 'queueResponseSettleSeconds' for profile: ${profileName}`);
+    }
+    if (typeof profile.queueRetryMaxAttempts === 'undefined') {
+        profile.queueRetryMaxAttempts = 0; // 0 = failed sends pause the queue right away
+        logConfigurationRelatedStuff(`Initialized missing 'queueRetryMaxAttempts' for profile: ${profileName}`);
+    }
+    if (typeof profile.queueRetryBackoffSeconds === 'undefined') {
+        profile.queueRetryBackoffSeconds = 10;
+        logConfigurationRelatedStuff(`Initialized missing 'queueRetryBackoffSeconds' for profile: ${profileName}`);
+    }
+    if (typeof profile.queueRetryBackoffMode === 'undefined') {
+        profile.queueRetryBackoffMode = 'exponential'; // 'exponential' (doubles per attempt) or 'fixed'
+        logConfigurationRelatedStuff(`Initialized missing 'queueRetryBackoffMode' for profile: ${profileName}`);
+    }
+    if (!Array.isArray(profile.queueRetryReasons)) {
+        profile.queueRetryReasons = [...DEFAULT_QUEUE_RETRY_REASONS];
+        logConfigurationRelatedStuff(`Initialized missing 'queueRetryReasons' for profile: ${profileName}`);
+    }
+    if (!Array.isArray(profile.queuePresets)) {
+        profile.queuePresets = []; // Named queue contents: [{ name, items: [{ icon, text, insertMode? }], savedAt }]
+        logConfigurationRelatedStuff(`Initialized missing 'queuePresets' for profile: ${profileName}`);
+    } else {
+        // Imported profiles may carry hand-edited presets; keep only entries the panel can load.
+        const validPresets = profile.queuePresets
+            .filter(preset => preset && typeof preset.name === 'string' && preset.name.trim() && Array.isArray(preset.items))
+            .map(preset => ({
+                ...preset,
+                items: preset.items.filter(item => item && typeof item.text === 'string')
+            }))
+            .filter(preset => preset.items.length > 0);
+        if (validPresets.length !== profile.queuePresets.length) {
+            logConfigurationRelatedStuff(`Dropped ${profile.queuePresets.length - validPresets.length} invalid queue presets for profile: ${profileName}`);
+        }
+        profile.queuePresets = validPresets;
+    }
     return profile;
 }
 
@@ -61,7 +113,7 @@ export function areProfileConfigsEqual(existingConfig, newConfig) {
 export async function createDefaultProfile() {
     logConfigurationRelatedStuff('Creating default profile');
     try {
-        const defaultConfig = await loadDefaultConfig(); // Load from JSON
+        const defaultConfig = migrateProfileConfig(await loadDefaultConfig(), 'Default'); // Load from JSON
         await chrome.storage.local.set({
             'currentProfile': 'Default',
             'profiles.Default': defaultConfig
@@ -94,24 +146,120 @@ export async function loadProfileConfig(profileName) {
     }
 }
 
+// ===== Tab-scoped Active Profile =====
+const PROFILE_SCOPE_KEY = 'profileScope';
+const TAB_PROFILES_KEY = 'tabProfiles'; // { [tabId]: profileName }; session only, tab ids do not survive a restart
+const tabProfilesFallback = {}; // Used when storage.session is unavailable
+
+// Several tabs may switch at the same moment; apply their map updates one at a time.
+let tabProfilesWriteChain = Promise.resolve();
+
+async function readTabProfiles() {
+    if (!chrome.storage.session) return { ...tabProfilesFallback };
+    const result = await chrome.storage.session.get([TAB_PROFILES_KEY]);
+    const map = result[TAB_PROFILES_KEY];
+    return map && typeof map === 'object' ? map : {};
+}
+
+// Runs mutator on a copy of the tab → profile map and stores it. Resolves with the map as it was before.
+function updateTabProfiles(mutator) {
+    const run = tabProfilesWriteChain.then(async () => {
+        const previous = await readTabProfiles();
+        const next = { ...previous };
+        mutator(next);
+        if (!chrome.storage.session) {
+            Object.keys(tabProfilesFallback).forEach(key => delete tabProfilesFallback[key]);
+            Object.assign(tabProfilesFallback, next);
+        } else {
+            await chrome.storage.session.set({ [TAB_PROFILES_KEY]: next });
+        }
+        return previous;
+    });
+    tabProfilesWriteChain = run.catch(() => { });
+    return run;
+}
+
+async function isTabScoped() {
+    return (await getProfileScope()) === 'tab';
+}
+
+// The profile picked in this tab, or null when the tab follows the global profile
+async function getTabProfileName(tabId) {
+    if (!tabId || !(await isTabScoped())) return null;
+    const map = await readTabProfiles();
+    return map[tabId] || null;
+}
+
+export async function getProfileScope() {
+    try {
+        const result = await chrome.storage.local.get([PROFILE_SCOPE_KEY]);
+        return result[PROFILE_SCOPE_KEY] === 'tab' ? 'tab' : 'global';
+    } catch (error) {
+        handleStorageError(error);
+        return 'global';
+    }
+}
+
+// Going back to 'global' drops every tab's own pick and moves those tabs to the global profile.
+export async function setProfileScope(scope) {
+    const normalized = scope === 'tab' ? 'tab' : 'global';
+    await chrome.storage.local.set({ [PROFILE_SCOPE_KEY]: normalized });
+    logConfigurationRelatedStuff(`Profile scope set to: ${normalized}`);
+    if (normalized === 'global') {
+        const previous = await updateTabProfiles(map => {
+            Object.keys(map).forEach(tabId => delete map[tabId]);
+        });
+        const globalName = await getActiveProfileName(null);
+        const globalConfig = await getCurrentProfileConfig();
+        Object.keys(previous)
+            .filter(tabId => previous[tabId] !== globalName)
+            .forEach(tabId => sendProfileChangeToTab(Number(tabId), globalName, globalConfig, null));
+    }
+    return normalized;
+}
+
+// Name of the profile a tab shows: its own pick in 'tab' scope, otherwise the global profile.
+export async function getActiveProfileName(tabId) {
+    const tabProfileName = await getTabProfileName(tabId);
+    if (tabProfileName) return tabProfileName;
+    const result = await chrome.storage.local.get(['currentProfile']);
+    return result.currentProfile || 'Default';
+}
+
+// Called when a tab closes.
+export async function forgetProfileTab(tabId) {
+    await updateTabProfiles(map => {
+        delete map[tabId];
+    });
+}
+
+function sendProfileChangeToTab(tabId, profileName, profileData, origin) {
+    // Send broadly; content scripts will ignore if not present. Errors are expected on non‑matched tabs.
+    chrome.tabs.sendMessage(tabId, {
+        type: 'profileChanged',
+        profileName: profileName,
+        config: profileData,
+        origin: origin
+    }).catch(error => {
+        // Suppress errors when content script is not running on a tab
+        logConfigurationRelatedStuff(`Could not send message to tab ${tabId}: ${error.message}`);
+    });
+}
+
 // Function to broadcast profile change to all tabs
+// In 'tab' scope only tabs that show this profile (their own pick, or the global one) are told.
 export async function broadcastProfileChange(profileName, profileData, excludeTabId, origin = null) {
     try {
         const tabs = await chrome.tabs.query({});
+        const tabScoped = await isTabScoped();
+        const tabProfiles = tabScoped ? await readTabProfiles() : {};
+        const { currentProfile } = tabScoped ? await chrome.storage.local.get(['currentProfile']) : {};
         tabs.forEach(tab => {
             if (excludeTabId && tab.id === excludeTabId) return;
-            // Send broadly; content scripts will ignore if not present. Errors are expected on non‑matched tabs.
-            chrome.tabs.sendMessage(tab.id, {
-                type: 'profileChanged',
-                profileName: profileName,
-                config: profileData,
-                origin: origin
-            }).catch(error => {
-                // Suppress errors when content script is not running on a tab
-                logConfigurationRelatedStuff(`Could not send message to tab ${tab.id}: ${error.message}`);
-            });
+            if (tabScoped && (tabProfiles[tab.id] || currentProfile) !== profileName) return;
+            sendProfileChangeToTab(tab.id, profileName, profileData, origin);
         });
-        logConfigurationRelatedStuff(`Broadcasted profile change (${profileName}) to all tabs`);
+        logConfigurationRelatedStuff(`Broadcasted profile change (${profileName}) to ${tabScoped ? 'the tabs showing it' : 'all tabs'}`);
     } catch (error) {
         handleStorageError(error);
         logConfigurationRelatedStuff(`Error broadcasting profile change: ${error.message}`);
@@ -119,24 +267,35 @@ export async function broadcastProfileChange(profileName, profileData, excludeTa
 }
 
 // Function to save profile configuration
-export async function saveProfileConfig(profileName, config) {
+// senderTabId: the chat tab saving its profile; in 'tab' scope such a save leaves the global profile alone.
+export async function saveProfileConfig(profileName, config, senderTabId = null) {
     logConfigurationRelatedStuff(`Saving profile: ${profileName}`);
     try {
         const snapshot = await chrome.storage.local.get([`profiles.${profileName}`, 'currentProfile']);
         const existingConfig = snapshot[`profiles.${profileName}`];
-        const wasActiveProfile = snapshot.currentProfile ? snapshot.currentProfile === profileName : true;
+        const tabScoped = await isTabScoped();
+        // In 'tab' scope other tabs may show this profile; broadcastProfileChange picks them.
+        const wasActiveProfile = tabScoped || (snapshot.currentProfile ? snapshot.currentProfile === profileName : true);
 
-        await chrome.storage.local.set({
-            'currentProfile': profileName,
-            [`profiles.${profileName}`]: config
-        });
+        // Callers send flattened configs; a profile based on another one only keeps its differences.
+        // Imported profiles from older versions are migrated here; current ones pass through unchanged.
+        const storedConfig = await prepareProfileForStorage(profileName, migrateProfileConfig(config, profileName));
+        const updates = { [`profiles.${profileName}`]: storedConfig };
+        if (!(tabScoped && senderTabId)) {
+            updates.currentProfile = profileName;
+        }
+        await chrome.storage.local.set(updates);
         logConfigurationRelatedStuff(`Profile ${profileName} saved successfully`);
 
-        const configChanged = !areProfileConfigsEqual(existingConfig, config);
+        const configChanged = !areProfileConfigsEqual(existingConfig, storedConfig);
         if (configChanged && wasActiveProfile) {
             logConfigurationRelatedStuff(`Detected changes for active profile ${profileName}; broadcasting updates.`);
-            await broadcastProfileChange(profileName, config, null, 'inline');
-            await broadcastProfileChange(profileName, config, null, 'panel');
+            const resolvedConfig = await loadResolvedProfileConfig(profileName);
+            await broadcastProfileChange(profileName, resolvedConfig, null, 'inline');
+            await broadcastProfileChange(profileName, resolvedConfig, null, 'panel');
+        }
+        if (configChanged) {
+            await broadcastDescendantChanges(profileName);
         }
 
         return true;
@@ -147,10 +306,18 @@ export async function saveProfileConfig(profileName, config) {
 }
 
 // Function to switch to a different profile
+// excludeTabId is the requesting chat tab (if any). In 'tab' scope the switch only applies to that tab.
 export async function switchProfile(profileName, excludeTabId, origin = null) {
     logConfigurationRelatedStuff(`Switching to profile: ${profileName}`);
     try {
-        const profile = await loadProfileConfig(profileName);
+        const profile = await loadResolvedProfileConfig(profileName);
+        if (profile && excludeTabId && await isTabScoped()) {
+            await updateTabProfiles(map => {
+                map[excludeTabId] = profileName;
+            });
+            logConfigurationRelatedStuff(`Switched tab ${excludeTabId} to profile: ${profileName}`);
+            return profile;
+        }
         if (profile) {
             await chrome.storage.local.set({ 'currentProfile': profileName });
             logConfigurationRelatedStuff(`Switched to profile: ${profileName}`);
@@ -171,17 +338,28 @@ export async function switchProfile(profileName, excludeTabId, origin = null) {
 }
 
 // Function to get currently active profile
-export async function getCurrentProfileConfig() {
+// tabId: the requesting chat tab; in 'tab' scope its own pick wins over the global profile.
+export async function getCurrentProfileConfig(tabId = null) {
     logConfigurationRelatedStuff('Retrieving current profile from storage');
     try {
+        const tabProfileName = await getTabProfileName(tabId);
+        if (tabProfileName) {
+            const tabProfile = await loadResolvedProfileConfig(tabProfileName);
+            if (tabProfile) {
+                return tabProfile;
+            }
+            logConfigurationRelatedStuff(`Profile ${tabProfileName} of tab ${tabId} is missing; using the global profile`);
+        }
+
         const result = await chrome.storage.local.get(['currentProfile']);
         const profileName = result.currentProfile;
 
         if (profileName) {
             logConfigurationRelatedStuff(`Current profile found: ${profileName}`);
-            let profile = await loadProfileConfig(profileName);
+            // Flattened with its parent profiles, if it is based on one
+            let profile = await loadResolvedProfileConfig(profileName);
             if (profile) {
-                return normalizeProfileConfig(profile, profileName);
+                return profile;
             }
         }
 
@@ -223,11 +401,28 @@ export async function deleteProfile(profileName) {
         // Get current profile
         const result = await chrome.storage.local.get(['currentProfile']);
 
+        // Tabs that picked this profile go back to the global one
+        const previousTabProfiles = await updateTabProfiles(map => {
+            Object.keys(map).forEach(tabId => {
+                if (map[tabId] === profileName) delete map[tabId];
+            });
+        });
+        const orphanedTabIds = Object.keys(previousTabProfiles)
+            .filter(tabId => previousTabProfiles[tabId] === profileName)
+            .map(Number);
+
         // If we're deleting the current profile, switch to Default
         if (result.currentProfile === profileName) {
             await switchProfile('Default');
+        } else if (orphanedTabIds.length > 0) {
+            const globalName = await getActiveProfileName(null);
+            const globalConfig = await getCurrentProfileConfig();
+            orphanedTabIds.forEach(tabId => sendProfileChangeToTab(tabId, globalName, globalConfig, null));
         }
 
+        // Profiles based on this one keep its buttons and settings as their own
+        await detachChildProfiles(profileName);
+
         // Remove the profile from storage
         await chrome.storage.local.remove(`profiles.${profileName}`);
         logConfigurationRelatedStuff(`Profile ${profileName} deleted successfully`);
@@ -236,4 +431,492 @@ export async function deleteProfile(profileName) {
         handleStorageError(error);
         return false;
     }
-}
\ No newline at end of file
+}
+
+// ===== Site Profile Rules =====
+// A pattern without "/" is a hostname ("claude.ai" also matches its subdomains); a pattern with "/" is matched
+// against hostname + path + query ("chatgpt.com/g/g-p-abc" matches that project and everything below it).
+// "*" is a wildcard in both. When several rules match, URL rules beat hostname rules and longer patterns win.
+const PROFILE_RULES_KEY = 'profileRules';
+
+function normalizeProfileRules(rules) {
+    if (!Array.isArray(rules)) return [];
+    return rules
+        .filter(rule => rule && typeof rule.pattern === 'string' && typeof rule.profileName === 'string')
+        .map(rule => ({
+            pattern: rule.pattern.trim().replace(/^[a-z]+:\/\//i, '').toLowerCase(),
+            profileName: rule.profileName
+        }))
+        .filter(rule => rule.pattern && rule.profileName);
+}
+
+function wildcardToRegExp(pattern, anchorEnd) {
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}${anchorEnd ? '$' : ''}`);
+}
+
+function profileRuleMatches(pattern, url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return false;
+    }
+    const hostname = parsed.hostname.toLowerCase();
+    if (!pattern.includes('/')) {
+        return pattern.includes('*')
+            ? wildcardToRegExp(pattern, true).test(hostname)
+            : hostname === pattern || hostname.endsWith(`.${pattern}`);
+    }
+    const target = `${hostname}${parsed.pathname}${parsed.search}`.toLowerCase();
+    return wildcardToRegExp(pattern, false).test(target);
+}
+
+// Returns the most specific rule matching the URL, or null
+function findProfileRule(rules, url) {
+    const specificity = (rule) => (rule.pattern.includes('/') ? 100000 : 0) + rule.pattern.replace(/\*/g, '').length;
+    return normalizeProfileRules(rules)
+        .filter(rule => profileRuleMatches(rule.pattern, url))
+        .sort((a, b) => specificity(b) - specificity(a))[0] || null;
+}
+
+export async function getProfileRules() {
+    try {
+        const result = await chrome.storage.local.get([PROFILE_RULES_KEY]);
+        return normalizeProfileRules(result[PROFILE_RULES_KEY]);
+    } catch (error) {
+        handleStorageError(error);
+        return [];
+    }
+}
+
+export async function saveProfileRules(rules) {
+    const normalized = normalizeProfileRules(rules);
+    await chrome.storage.local.set({ [PROFILE_RULES_KEY]: normalized });
+    logConfigurationRelatedStuff(`Saved ${normalized.length} site profile rules`);
+    return normalized;
+}
+
+// Switches to the profile of the rule matching the URL (if it is not active yet).
+// The requesting tab is excluded from the broadcast; it refreshes itself from the returned config.
+// In 'tab' scope only the requesting tab switches.
+export async function applyProfileRuleForUrl(url, excludeTabId) {
+    const rule = findProfileRule(await getProfileRules(), url);
+    if (!rule) {
+        return { rule: null, switched: false };
+    }
+    if ((await getActiveProfileName(excludeTabId)) === rule.profileName) {
+        return { rule, switched: false };
+    }
+    const profile = await switchProfile(rule.profileName, excludeTabId, null);
+    if (!profile) {
+        logConfigurationRelatedStuff(`Site rule "${rule.pattern}" points to a missing profile: ${rule.profileName}`);
+        return { rule: null, switched: false };
+    }
+    logConfigurationRelatedStuff(`Site rule "${rule.pattern}" switched the profile to ${rule.profileName}`);
+    return { rule, switched: true, config: await getCurrentProfileConfig(excludeTabId) };
+}
+
+// ===== Profile Inheritance =====
+// A profile with 'parentProfile' stores only what differs from its parent:
+//  - customButtons: its own buttons
+//  - hiddenButtonIds: parent buttons this profile does not show
+//  - buttonOverrides: { [buttonId]: { field: value | null } } changed fields of parent buttons (null = removed)
+//  - buttonOrder: ids of all shown buttons in the order they were last saved
+//  - settings whose value differs from the parent's; all other settings follow the parent
+// Buttons get a stable 'id' when saved so children can refer to them. Flattened configs mark inherited buttons
+// with 'inheritedFrom' (name of the profile that owns the button); saveProfileConfig turns such a config back
+// into the stored form, so the popup and the content scripts can keep saving whole configs.
+const PROFILE_INHERITANCE_MAX_DEPTH = 10;
+const INHERITANCE_KEYS = ['PROFILE_NAME', 'parentProfile', 'customButtons', 'hiddenButtonIds', 'buttonOverrides', 'buttonOrder'];
+
+function createButtonId() {
+    return `btn-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Gives every button and separator a unique id. Ids listed in reservedIds (the parent's) are replaced as well,
+// which happens for buttons of a duplicated profile.
+function assignButtonIds(buttons, reservedIds = new Set()) {
+    const seen = new Set(reservedIds);
+    return (Array.isArray(buttons) ? buttons : []).map(button => {
+        if (!button || typeof button !== 'object') return button;
+        const id = typeof button.id === 'string' && button.id && !seen.has(button.id) ? button.id : createButtonId();
+        seen.add(id);
+        return id === button.id ? button : { ...button, id };
+    });
+}
+
+function applyButtonOverride(button, override) {
+    if (!override) return button;
+    const merged = { ...button };
+    Object.keys(override).forEach(field => {
+        if (override[field] === null) {
+            delete merged[field];
+        } else {
+            merged[field] = override[field];
+        }
+    });
+    return merged;
+}
+
+// Sorts buttons by the saved order. Buttons the order does not know (added to the parent later, or shown again)
+// stay right behind the button they follow in the parent.
+function orderButtons(buttons, order) {
+    if (!Array.isArray(order) || order.length === 0) return buttons;
+    const rank = new Map(order.map((id, index) => [id, index]));
+    const result = buttons.filter(button => rank.has(button?.id)).sort((a, b) => rank.get(a.id) - rank.get(b.id));
+    buttons.forEach((button, index) => {
+        if (rank.has(button?.id)) return;
+        const position = index > 0 ? result.indexOf(buttons[index - 1]) : -1;
+        result.splice(position + 1, 0, button);
+    });
+    return result;
+}
+
+// Raw stored profiles by name (also used by the storage.sync mirror)
+export async function loadAllProfiles() {
+    const storage = await chrome.storage.local.get(null);
+    const profiles = {};
+    Object.keys(storage)
+        .filter(key => key.startsWith('profiles.'))
+        .forEach(key => {
+            profiles[key.slice('profiles.'.length)] = storage[key];
+        });
+    return profiles;
+}
+
+// Names of the profiles based on profileName, directly or through other profiles
+function findDescendantProfiles(profiles, profileName) {
+    const descendants = [];
+    let generation = [profileName];
+    while (generation.length > 0 && descendants.length < Object.keys(profiles).length) {
+        generation = Object.keys(profiles).filter(name =>
+            generation.includes(profiles[name]?.parentProfile) && name !== profileName && !descendants.includes(name));
+        descendants.push(...generation);
+    }
+    return descendants;
+}
+
+// Flattens a stored profile with its parent chain. A missing parent or a loop leaves the profile's own data.
+async function resolveProfileConfig(profileName, visited = []) {
+    const profile = await loadProfileConfig(profileName);
+    if (!profile || !profile.parentProfile) return profile;
+    const parentName = profile.parentProfile;
+    if (visited.includes(parentName) || visited.length >= PROFILE_INHERITANCE_MAX_DEPTH) {
+        logConfigurationRelatedStuff(`Ignoring parent ${parentName} of profile ${profileName}: loop or chain too long`);
+        return profile;
+    }
+    const parent = await resolveProfileConfig(parentName, visited.concat(profileName));
+    if (!parent) {
+        logConfigurationRelatedStuff(`Parent profile ${parentName} of ${profileName} not found; using its own buttons only`);
+        return profile;
+    }
+    const parentConfig = normalizeProfileConfig(parent, parentName);
+    const hidden = new Set(Array.isArray(profile.hiddenButtonIds) ? profile.hiddenButtonIds : []);
+    const overrides = profile.buttonOverrides || {};
+    const inherited = parentConfig.customButtons
+        .filter(button => !(button && hidden.has(button.id)))
+        .map(button => ({
+            ...applyButtonOverride(button, button && overrides[button.id]),
+            inheritedFrom: button?.inheritedFrom || parentName
+        }));
+    const settings = {};
+    Object.keys(profile).forEach(key => {
+        if (!INHERITANCE_KEYS.includes(key)) settings[key] = profile[key];
+    });
+    const { hiddenButtonIds, buttonOverrides, buttonOrder, ...parentSettings } = parentConfig;
+    return {
+        ...parentSettings,
+        ...settings,
+        PROFILE_NAME: profileName,
+        parentProfile: parentName,
+        customButtons: orderButtons(inherited.concat(profile.customButtons || []), profile.buttonOrder)
+    };
+}
+
+// Flattened config of any profile, without switching to it (popup merge import compares against it).
+export async function loadResolvedProfileConfig(profileName) {
+    const profile = await resolveProfileConfig(profileName);
+    return profile ? normalizeProfileConfig(profile, profileName) : null;
+}
+
+// Drops the link to the parent; inherited buttons and settings become the profile's own.
+function materializeProfileConfig(config) {
+    const { parentProfile, hiddenButtonIds, buttonOverrides, buttonOrder, ...standalone } = config;
+    standalone.customButtons = (Array.isArray(standalone.customButtons) ? standalone.customButtons : [])
+        .map(button => {
+            if (!button || typeof button !== 'object') return button;
+            const { inheritedFrom, ...own } = button;
+            return own;
+        });
+    return standalone;
+}
+
+// Turns a flattened child config back into its stored form (see the list at the top of this section).
+function splitInheritedConfig(config, parentConfig, parentName) {
+    const parentButtons = parentConfig.customButtons.filter(button => button && button.id);
+    const parentById = new Map(parentButtons.map(button => [button.id, button]));
+    const shownIds = new Set();
+    const buttonOverrides = {};
+    const own = [];
+    const order = []; // parent ids, or { own: index } until own buttons have their ids
+    (Array.isArray(config.customButtons) ? config.customButtons : []).forEach(button => {
+        if (!button || typeof button !== 'object') return;
+        const { inheritedFrom, ...data } = button;
+        if (!inheritedFrom) {
+            order.push({ own: own.length });
+            own.push(data);
+            return;
+        }
+        const base = parentById.get(data.id);
+        if (!base || shownIds.has(data.id)) return; // Removed from the parent since this config was loaded
+        shownIds.add(data.id);
+        order.push(data.id);
+        const { inheritedFrom: baseOwner, ...baseData } = base;
+        const override = {};
+        new Set([...Object.keys(baseData), ...Object.keys(data)]).forEach(field => {
+            if (!areProfileConfigsEqual(baseData[field], data[field])) {
+                override[field] = data[field] === undefined ? null : data[field];
+            }
+        });
+        if (Object.keys(override).length > 0) {
+            buttonOverrides[data.id] = override;
+        }
+    });
+    const ownButtons = assignButtonIds(own, new Set(parentById.keys()));
+    const stored = {
+        PROFILE_NAME: config.PROFILE_NAME,
+        parentProfile: parentName,
+        customButtons: ownButtons,
+        hiddenButtonIds: parentButtons.filter(button => !shownIds.has(button.id)).map(button => button.id),
+        buttonOverrides,
+        buttonOrder: order.map(entry => (typeof entry === 'string' ? entry : ownButtons[entry.own].id))
+    };
+    Object.keys(config).forEach(key => {
+        if (!INHERITANCE_KEYS.includes(key) && !areProfileConfigsEqual(config[key], parentConfig[key])) {
+            stored[key] = config[key];
+        }
+    });
+    return stored;
+}
+
+// Stored form of a config saved by the popup or a content script
+async function prepareProfileForStorage(profileName, config) {
+    const parentName = config.parentProfile;
+    if (parentName && parentName !== profileName) {
+        const parent = await resolveProfileConfig(parentName, [profileName]);
+        if (parent) {
+            return splitInheritedConfig({ ...config, PROFILE_NAME: profileName }, normalizeProfileConfig(parent, parentName), parentName);
+        }
+        logConfigurationRelatedStuff(`Parent profile ${parentName} of ${profileName} not found; saving it as a standalone profile`);
+    }
+    const standalone = materializeProfileConfig(config);
+    standalone.customButtons = assignButtonIds(standalone.customButtons);
+    return standalone;
+}
+
+// Sends the flattened config to the tabs that show the profile.
+async function broadcastResolvedProfile(profileName, resolved) {
+    const { currentProfile } = await chrome.storage.local.get(['currentProfile']);
+    if (!resolved || (!(await isTabScoped()) && currentProfile !== profileName)) return;
+    await broadcastProfileChange(profileName, resolved, null, 'inline');
+    await broadcastProfileChange(profileName, resolved, null, 'panel');
+}
+
+// Profiles based on a changed profile inherit the change; refresh the tabs showing them.
+async function broadcastDescendantChanges(profileName) {
+    const descendants = findDescendantProfiles(await loadAllProfiles(), profileName);
+    for (const name of descendants) {
+        await broadcastResolvedProfile(name, await loadResolvedProfileConfig(name));
+    }
+    if (descendants.length > 0) {
+        logConfigurationRelatedStuff(`Propagated changes of ${profileName} to: ${descendants.join(', ')}`);
+    }
+}
+
+// Direct children of a profile that is about to be deleted keep what they inherited as their own data.
+async function detachChildProfiles(profileName) {
+    const profiles = await loadAllProfiles();
+    const children = Object.keys(profiles).filter(name => profiles[name]?.parentProfile === profileName);
+    for (const name of children) {
+        const resolved = await resolveProfileConfig(name);
+        await chrome.storage.local.set({ [`profiles.${name}`]: materializeProfileConfig(resolved) });
+        logConfigurationRelatedStuff(`Profile ${name} no longer inherits from deleted profile ${profileName}`);
+    }
+}
+
+export async function getProfileInheritance(profileName) {
+    const profiles = await loadAllProfiles();
+    const profile = profiles[profileName];
+    if (!profile) {
+        throw new Error(`Profile "${profileName}" not found.`);
+    }
+    return {
+        parentProfile: profile.parentProfile || null,
+        hiddenButtonCount: profile.parentProfile && Array.isArray(profile.hiddenButtonIds) ? profile.hiddenButtonIds.length : 0,
+        descendants: findDescendantProfiles(profiles, profileName)
+    };
+}
+
+// Links a profile to a parent (or unlinks it with parentName = null). When linking, own buttons with the same
+// icon and text as a parent button are dropped, because the profile now gets them from the parent.
+export async function setProfileParent(profileName, parentName) {
+    const current = await loadResolvedProfileConfig(profileName);
+    if (!current) {
+        throw new Error(`Profile "${profileName}" not found.`);
+    }
+    const flattened = materializeProfileConfig(current);
+    let stored = { ...flattened, customButtons: assignButtonIds(flattened.customButtons) };
+    let adoptedCount = 0;
+    if (parentName) {
+        const profiles = await loadAllProfiles();
+        if (parentName === profileName || !profiles[parentName]) {
+            throw new Error(`Profile "${parentName}" cannot be used as a base here.`);
+        }
+        if (findDescendantProfiles(profiles, profileName).includes(parentName)) {
+            throw new Error(`"${parentName}" is already based on "${profileName}".`);
+        }
+        // Children refer to parent buttons by id, so the whole parent chain needs ids now.
+        for (let name = parentName, depth = 0; name && profiles[name] && depth < PROFILE_INHERITANCE_MAX_DEPTH; name = profiles[name].parentProfile, depth++) {
+            const withIds = assignButtonIds(profiles[name].customButtons);
+            if (!areProfileConfigsEqual(withIds, profiles[name].customButtons)) {
+                await chrome.storage.local.set({ [`profiles.${name}`]: { ...profiles[name], customButtons: withIds } });
+            }
+        }
+        const parentConfig = await loadResolvedProfileConfig(parentName);
+        const buttonKey = (button) => `${button.icon}\u0000${button.text}`;
+        const parentKeys = new Set(parentConfig.customButtons.filter(button => button && !button.separator).map(buttonKey));
+        const ownButtons = flattened.customButtons.filter(button => {
+            const duplicate = !!button && !button.separator && parentKeys.has(buttonKey(button));
+            if (duplicate) adoptedCount++;
+            return !duplicate;
+        });
+        const inherited = parentConfig.customButtons.map(button => ({ ...button, inheritedFrom: button.inheritedFrom || parentName }));
+        stored = splitInheritedConfig(
+            { ...flattened, PROFILE_NAME: profileName, customButtons: inherited.concat(ownButtons) },
+            parentConfig,
+            parentName
+        );
+    }
+    await chrome.storage.local.set({ [`profiles.${profileName}`]: stored });
+    logConfigurationRelatedStuff(parentName
+        ? `Profile ${profileName} is now based on ${parentName} (${adoptedCount} duplicate buttons dropped)`
+        : `Profile ${profileName} is no longer based on another profile`);
+    const resolved = await loadResolvedProfileConfig(profileName);
+    await broadcastResolvedProfile(profileName, resolved);
+    await broadcastDescendantChanges(profileName);
+    return { config: resolved, adoptedCount };
+}
+
+// Shows the parent buttons a child profile has hidden again.
+export async function restoreHiddenProfileButtons(profileName) {
+    const profile = await loadProfileConfig(profileName);
+    if (!profile) {
+        throw new Error(`Profile "${profileName}" not found.`);
+    }
+    const restored = Array.isArray(profile.hiddenButtonIds) ? profile.hiddenButtonIds.length : 0;
+    if (restored > 0) {
+        await chrome.storage.local.set({ [`profiles.${profileName}`]: { ...profile, hiddenButtonIds: [] } });
+        await broadcastResolvedProfile(profileName, await loadResolvedProfileConfig(profileName));
+        await broadcastDescendantChanges(profileName);
+    }
+    return { restored, config: await loadResolvedProfileConfig(profileName) };
+}
+
+// ===== Full Backup =====
+// Profiles are backed up in their stored form, so profiles based on another one stay linked after a restore.
+export async function exportProfilesBackup() {
+    const storage = await chrome.storage.local.get(['currentProfile', PROFILE_RULES_KEY, PROFILE_SCOPE_KEY]);
+    return {
+        currentProfile: storage.currentProfile || 'Default',
+        profileScope: storage[PROFILE_SCOPE_KEY] === 'tab' ? 'tab' : 'global',
+        profileRules: normalizeProfileRules(storage[PROFILE_RULES_KEY]),
+        profiles: await loadAllProfiles()
+    };
+}
+
+// Writes every backed up profile (replacing profiles with the same name, keeping the others), the rules, the
+// scope and the active profile, then refreshes the tabs showing a restored profile or a profile based on one.
+// Returns the number of restored profiles.
+export async function restoreProfilesBackup(data) {
+    const profiles = data && data.profiles && typeof data.profiles === 'object' ? data.profiles : {};
+    const names = Object.keys(profiles).filter(name => name && profiles[name] && typeof profiles[name] === 'object');
+    if (names.length === 0) {
+        throw new Error('The backup contains no profiles.');
+    }
+    const updates = {
+        [PROFILE_RULES_KEY]: normalizeProfileRules(data.profileRules),
+        [PROFILE_SCOPE_KEY]: data.profileScope === 'tab' ? 'tab' : 'global'
+    };
+    if (names.includes(data.currentProfile)) {
+        updates.currentProfile = data.currentProfile;
+    }
+    await chrome.storage.local.set(updates);
+    await writeStoredProfiles(Object.fromEntries(names.map(name => [name, profiles[name]])));
+    logConfigurationRelatedStuff(`Restored ${names.length} profiles from a full backup`);
+    return names.length;
+}
+
+// Writes profiles in their stored form that come from outside (full backup, storage.sync), replacing profiles with
+// the same name, and refreshes the tabs showing them or a profile based on them. Returns what was stored.
+export async function writeStoredProfiles(profiles) {
+    const updates = {};
+    Object.keys(profiles).forEach(name => {
+        updates[`profiles.${name}`] = migrateProfileConfig({ ...profiles[name], PROFILE_NAME: name }, name);
+    });
+    await chrome.storage.local.set(updates);
+    for (const name of Object.keys(profiles)) {
+        await broadcastResolvedProfile(name, await loadResolvedProfileConfig(name));
+        await broadcastDescendantChanges(name);
+    }
+    return updates;
+}
+
+// ===== Profile Migrations =====
+// Ordered, idempotent steps; 'profileSchemaVersion' is the last step a profile went through (missing = 1).
+// Steps that fill in settings skip profiles based on another one: those inherit the settings from their base.
+const PROFILE_MIGRATIONS = [
+    {
+        version: 2,
+        description: 'Fill in the queue settings and presets added after 1.0',
+        run: (profile, profileName) => (profile.parentProfile ? profile : normalizeProfileConfig(profile, profileName))
+    },
+    {
+        version: 3,
+        description: 'Give every button a stable id',
+        run: profile => ({ ...profile, customButtons: assignButtonIds(profile.customButtons) })
+    }
+];
+
+export const PROFILE_SCHEMA_VERSION = PROFILE_MIGRATIONS[PROFILE_MIGRATIONS.length - 1].version;
+
+// Returns a migrated copy of the profile. Profiles saved by a newer version keep their version number.
+export function migrateProfileConfig(profile, profileName) {
+    if (!profile || typeof profile !== 'object') return profile;
+    const fromVersion = Number(profile.profileSchemaVersion) || 1;
+    let migrated = { ...profile };
+    PROFILE_MIGRATIONS.forEach(step => {
+        if (step.version > fromVersion) {
+            migrated = step.run(migrated, profileName);
+            logConfigurationRelatedStuff(`Profile ${profileName}: migration ${step.version} (${step.description})`);
+        }
+    });
+    migrated.profileSchemaVersion = Math.max(fromVersion, PROFILE_SCHEMA_VERSION);
+    return migrated;
+}
+
+// Storage migration step: migrates every stored profile and writes the ones that changed. Returns their number.
+export async function migrateStoredProfiles() {
+    const profiles = await loadAllProfiles();
+    const updates = {};
+    Object.entries(profiles).forEach(([name, profile]) => {
+        const migrated = migrateProfileConfig(profile, name);
+        if (!areProfileConfigsEqual(profile, migrated)) {
+            updates[`profiles.${name}`] = migrated;
+        }
+    });
+    if (Object.keys(updates).length > 0) {
+        await chrome.storage.local.set(updates);
+    }
+    return Object.keys(updates).length;
+}
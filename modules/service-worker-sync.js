@@ -0,0 +1,517 @@
+// modules/service-worker-sync.js
+/*
+Opt-in mirror of the profiles (and optionally some settings) in chrome.storage.sync, so they follow the user to
+other computers signed in to the same browser account. chrome.storage.local stays the working copy; this module
+copies changes in both directions (popup → Backup & Restore → Sync between computers).
+
+storage.sync layout (quotas: 8 KB per item including the key, about 100 KB in total):
+- 'ocp.p.<nameHash>': { name, hash, chunks, updatedAt } or { name, deleted: true, updatedAt }
+  One item per profile, so two computers editing different profiles never overwrite each other's entries.
+- 'ocp.settings': { hash, chunks, updatedAt }   theme, module settings, advanced selectors and site rules
+- 'ocp.c.<hash>.<index>': the JSON text of a profile or of the settings, split below the item quota. Chunk keys
+  carry the content hash, so a new version never overwrites chunks another computer may still be reading.
+
+Local bookkeeping ('sync.state' in storage.local):
+{ enabled, includeSettings, items: { ['profile:<name>' | 'settings']: { localSig, remoteSig, updatedAt } },
+  localChanges: { [itemKey]: time }, unreferencedChunks: { [chunkKey]: firstSeenAt }, lastSyncAt, lastError }
+localSig / remoteSig are the content hashes ('deleted' for a deleted profile) each side had after the last sync,
+so a run can tell which side changed since. localChanges holds when an item was last changed on this computer
+(recorded from storage.onChanged while sync is on), so the time survives the background page being unloaded.
+unreferencedChunks lists chunk keys no entry pointed to, for the sweep at the start of each run.
+
+Conflicts: when both sides changed the same item, the newer modification time wins. A local change without a
+recorded time counts as made when the item was last synced, and items never synced on this computer count as
+old, so turning sync on adopts the synced versions; a restore point is taken before the first sync and before
+profiles deleted on another computer are deleted here.
+Runs are serialized and debounced; config.js forwards storage.onChanged of both areas to handleSyncStorageChange.
+*/
+'use strict';
+
+import { StateStore } from './service-worker-auxiliary-state-store.js';
+import {
+    loadAllProfiles,
+    writeStoredProfiles,
+    deleteProfile,
+    getProfileRules,
+    saveProfileRules
+} from './service-worker-profile-manager.js';
+import { snapshotBeforeChange } from './service-worker-backup.js';
+import { logConfigurationRelatedStuff, hashText } from './service-worker-config-helpers.js';
+
+const SYNC_STATE_KEY = 'sync.state';
+const SYNC_PROFILE_PREFIX = 'ocp.p.';
+const SYNC_SETTINGS_KEY = 'ocp.settings';
+const SYNC_CHUNK_PREFIX = 'ocp.c.';
+// Leaves room for the key below the 8192-byte item quota
+const SYNC_CHUNK_MAX_BYTES = 7000;
+const SYNC_DEBOUNCE_MS = 3000;
+// Chunks no entry refers to are removed once a later run still finds them unreferenced this long after first seeing
+// them; a computer that is still uploading stores its chunks and then its entry within seconds.
+const SYNC_CHUNK_SWEEP_GRACE_MS = 60 * 60 * 1000;
+// Entries of deleted profiles are kept this long, so computers that were offline still learn about the delete
+const SYNC_TOMBSTONE_MAX_AGE_MS = 90 * 24 * 60 * 60 * 1000;
+// Backup sections mirrored with "Also sync settings"; floating panel layouts and Cross-Chat data stay per computer
+const SYNC_SETTINGS_SECTIONS = ['theme', 'inlineProfileSelector', 'tokenApproximator', 'tooltip', 'selectorAutoDetector', 'customSelectors'];
+const SETTINGS_ITEM = 'settings';
+// Local keys whose changes mark the settings as edited ('profileRules' belongs to the profile manager)
+const SYNC_SETTINGS_LOCAL_KEYS = [...StateStore.getBackupSectionKeys(SYNC_SETTINGS_SECTIONS), 'profileRules'];
+
+let syncChain = Promise.resolve();
+let syncTimer = null;
+const textEncoder = new TextEncoder();
+
+function profileItemKey(name) {
+    return `profile:${name}`;
+}
+
+async function loadSyncState() {
+    const stored = (await chrome.storage.local.get([SYNC_STATE_KEY]))[SYNC_STATE_KEY] || {};
+    return {
+        enabled: !!stored.enabled,
+        includeSettings: stored.includeSettings !== false,
+        items: stored.items && typeof stored.items === 'object' ? stored.items : {},
+        localChanges: stored.localChanges && typeof stored.localChanges === 'object' ? stored.localChanges : {},
+        unreferencedChunks: stored.unreferencedChunks && typeof stored.unreferencedChunks === 'object' ? stored.unreferencedChunks : {},
+        lastSyncAt: stored.lastSyncAt || null,
+        lastError: stored.lastError || null
+    };
+}
+
+async function saveSyncState(state) {
+    await chrome.storage.local.set({ [SYNC_STATE_KEY]: state });
+}
+
+function queueSyncWork(work) {
+    const run = syncChain.then(work);
+    syncChain = run.catch(() => {});
+    return run;
+}
+
+// When this computer last changed an item, for conflicts (see the header)
+function getLocalChangeTime(state, itemKey, known) {
+    return state.localChanges[itemKey] || (known ? known.updatedAt || 0 : 0);
+}
+
+// ----- Chunks -----
+
+// Splits text into pieces whose JSON encoding stays within SYNC_CHUNK_MAX_BYTES
+function splitIntoChunks(text) {
+    const chunks = [];
+    let start = 0;
+    while (start < text.length) {
+        let size = Math.min(SYNC_CHUNK_MAX_BYTES, text.length - start);
+        while (size > 1 && textEncoder.encode(JSON.stringify(text.slice(start, start + size))).length > SYNC_CHUNK_MAX_BYTES) {
+            size = Math.floor(size * 0.8);
+        }
+        // Keep surrogate pairs (most emoji) in one chunk
+        const lastCode = text.charCodeAt(start + size - 1);
+        if (size > 1 && start + size < text.length && lastCode >= 0xD800 && lastCode <= 0xDBFF) {
+            size -= 1;
+        }
+        chunks.push(text.slice(start, start + size));
+        start += size;
+    }
+    return chunks;
+}
+
+function chunkKeys(hash, count) {
+    return Array.from({ length: count }, (_, index) => `${SYNC_CHUNK_PREFIX}${hash}.${index}`);
+}
+
+// Stores the chunks of a text and returns the entry fields that point to them.
+async function uploadText(text) {
+    const hash = hashText(text);
+    const chunks = splitIntoChunks(text);
+    const items = {};
+    chunkKeys(hash, chunks.length).forEach((key, index) => {
+        items[key] = chunks[index];
+    });
+    await chrome.storage.sync.set(items);
+    return { hash, chunks: chunks.length };
+}
+
+// Reads an entry's value; null while chunks are missing or do not match (another computer is mid-upload).
+async function downloadEntry(entry) {
+    const keys = chunkKeys(entry.hash, entry.chunks);
+    const stored = await chrome.storage.sync.get(keys);
+    if (keys.some(key => typeof stored[key] !== 'string')) {
+        return null;
+    }
+    const text = keys.map(key => stored[key]).join('');
+    return hashText(text) === entry.hash ? JSON.parse(text) : null;
+}
+
+// Drops the chunks of a replaced entry (unless the new entry has the same content and thus the same keys)
+async function removeReplacedChunks(oldEntry, newEntry) {
+    if (oldEntry && oldEntry.hash && oldEntry.chunks && oldEntry.hash !== newEntry?.hash) {
+        await chrome.storage.sync.remove(chunkKeys(oldEntry.hash, oldEntry.chunks));
+    }
+}
+
+/**
+ * Removes chunks that no entry refers to. They are left behind when storing an entry fails after its chunks were
+ * stored (quota), or when two computers replace the same entry at once and the losing entry's chunks lose their
+ * reference. Only chunks that were already unreferenced on an earlier run are removed, so chunks another computer
+ * has stored but not yet pointed an entry to are kept.
+ * @param {object} state - sync.state; unreferencedChunks is updated
+ * @param {object} remote - All items of storage.sync, read at the start of the run
+ */
+async function sweepUnreferencedChunks(state, remote) {
+    const referenced = new Set();
+    Object.keys(remote).forEach(key => {
+        const entry = remote[key];
+        if ((key.startsWith(SYNC_PROFILE_PREFIX) || key === SYNC_SETTINGS_KEY) && entry && entry.hash && entry.chunks) {
+            chunkKeys(entry.hash, entry.chunks).forEach(chunkKey => referenced.add(chunkKey));
+        }
+    });
+    const now = Date.now();
+    const seen = {};
+    const stale = [];
+    Object.keys(remote).filter(key => key.startsWith(SYNC_CHUNK_PREFIX) && !referenced.has(key)).forEach(key => {
+        const firstSeenAt = state.unreferencedChunks[key];
+        if (firstSeenAt && now - firstSeenAt >= SYNC_CHUNK_SWEEP_GRACE_MS) {
+            stale.push(key);
+        } else {
+            seen[key] = firstSeenAt || now;
+        }
+    });
+    if (stale.length > 0) {
+        await chrome.storage.sync.remove(stale);
+        logConfigurationRelatedStuff(`Sync: removed ${stale.length} chunk(s) no entry refers to`);
+    }
+    state.unreferencedChunks = seen;
+}
+
+// ----- Settings -----
+
+async function collectSyncSettings() {
+    const sections = await StateStore.exportBackupSections();
+    return {
+        sections: Object.fromEntries(SYNC_SETTINGS_SECTIONS.map(sectionId => [sectionId, sections[sectionId] || {}])),
+        profileRules: await getProfileRules()
+    };
+}
+
+async function applySyncSettings(settings) {
+    for (const sectionId of SYNC_SETTINGS_SECTIONS) {
+        if (settings.sections && settings.sections[sectionId]) {
+            await StateStore.restoreBackupSection(sectionId, settings.sections[sectionId]);
+        }
+    }
+    if (Array.isArray(settings.profileRules)) {
+        await saveProfileRules(settings.profileRules);
+    }
+}
+
+// ----- Reconcile -----
+
+/**
+ * Which way one item has to go.
+ * @returns {'push'|'pull'|'same'|null} 'same' = both sides changed to identical content.
+ */
+function decideSyncDirection(known, localSig, remoteSig, localUpdatedAt, remoteUpdatedAt) {
+    if (remoteSig === 'missing') {
+        return localSig === 'deleted' ? null : 'push';
+    }
+    const localChanged = localSig !== (known ? known.localSig : 'deleted');
+    const remoteChanged = remoteSig !== (known ? known.remoteSig : 'missing');
+    if (!remoteChanged) {
+        return localChanged ? 'push' : null;
+    }
+    if (!localChanged) {
+        return 'pull';
+    }
+    if (localSig === remoteSig) {
+        return 'same';
+    }
+    return localUpdatedAt > (remoteUpdatedAt || 0) ? 'push' : 'pull';
+}
+
+function describeSyncError(error) {
+    const message = error?.message || String(error);
+    return /quota/i.test(message)
+        ? 'Sync storage is full (about 100 KB for everything synced). Turn off "Also sync settings" or delete unused profiles.'
+        : message;
+}
+
+async function runSync(trigger) {
+    const state = await loadSyncState();
+    if (!state.enabled) {
+        return state;
+    }
+    const firstSync = !state.lastSyncAt;
+    const now = Date.now();
+    const summary = { pushed: [], pulled: [], deleted: [] };
+    try {
+        const remote = await chrome.storage.sync.get(null);
+        await sweepUnreferencedChunks(state, remote);
+        const localProfiles = await loadAllProfiles();
+
+        const remoteProfiles = {};
+        Object.keys(remote).forEach(key => {
+            const entry = remote[key];
+            if (key.startsWith(SYNC_PROFILE_PREFIX) && entry && typeof entry.name === 'string') {
+                remoteProfiles[entry.name] = { key, entry };
+            }
+        });
+        const names = new Set([
+            ...Object.keys(localProfiles),
+            ...Object.keys(remoteProfiles),
+            ...Object.keys(state.items).filter(key => key.startsWith('profile:')).map(key => key.slice('profile:'.length))
+        ]);
+
+        // Pushes happen right away; pulls are collected so one restore point can be taken before applying them.
+        const pulls = [];
+        for (const name of names) {
+            const itemKey = profileItemKey(name);
+            const known = state.items[itemKey];
+            const local = localProfiles[name];
+            const localText = local ? JSON.stringify(local) : null;
+            const localSig = localText ? hashText(localText) : 'deleted';
+            const remoteKey = remoteProfiles[name]?.key || SYNC_PROFILE_PREFIX + hashText(name);
+            const entry = remoteProfiles[name]?.entry;
+
+            if (entry && entry.deleted && !local && now - entry.updatedAt > SYNC_TOMBSTONE_MAX_AGE_MS) {
+                await chrome.storage.sync.remove(remoteKey);
+                delete state.items[itemKey];
+                continue;
+            }
+            const remoteSig = !entry ? 'missing' : (entry.deleted ? 'deleted' : entry.hash);
+            const localUpdatedAt = getLocalChangeTime(state, itemKey, known);
+            const direction = decideSyncDirection(known, localSig, remoteSig, localUpdatedAt, entry?.updatedAt);
+
+            if (direction === 'push') {
+                const updatedAt = known ? Math.max(localUpdatedAt, (known.updatedAt || 0) + 1) : (localUpdatedAt || now);
+                const newEntry = local
+                    ? { name, ...(await uploadText(localText)), updatedAt }
+                    : { name, deleted: true, updatedAt };
+                await chrome.storage.sync.set({ [remoteKey]: newEntry });
+                await removeReplacedChunks(entry, newEntry);
+                state.items[itemKey] = { localSig, remoteSig: local ? newEntry.hash : 'deleted', updatedAt };
+                summary.pushed.push(name);
+            } else if (direction === 'pull') {
+                pulls.push({ name, itemKey, entry, local });
+            } else if (direction === 'same') {
+                state.items[itemKey] = { localSig, remoteSig, updatedAt: entry.updatedAt };
+            } else if (!local && !entry) {
+                delete state.items[itemKey];
+            }
+            // Kept for pulls until they are applied, and for a push that failed (the next run retries it)
+            if (direction !== 'pull') {
+                delete state.localChanges[itemKey];
+            }
+        }
+
+        let settingsPull = null;
+        if (state.includeSettings) {
+            const known = state.items[SETTINGS_ITEM];
+            const localText = JSON.stringify(await collectSyncSettings());
+            const localSig = hashText(localText);
+            const entry = remote[SYNC_SETTINGS_KEY] && remote[SYNC_SETTINGS_KEY].hash ? remote[SYNC_SETTINGS_KEY] : null;
+            const localUpdatedAt = getLocalChangeTime(state, SETTINGS_ITEM, known);
+            const direction = decideSyncDirection(known, localSig, entry ? entry.hash : 'missing', localUpdatedAt, entry?.updatedAt);
+            if (direction === 'push') {
+                const updatedAt = known ? Math.max(localUpdatedAt, (known.updatedAt || 0) + 1) : (localUpdatedAt || now);
+                const newEntry = { ...(await uploadText(localText)), updatedAt };
+                await chrome.storage.sync.set({ [SYNC_SETTINGS_KEY]: newEntry });
+                await removeReplacedChunks(entry, newEntry);
+                state.items[SETTINGS_ITEM] = { localSig, remoteSig: newEntry.hash, updatedAt };
+                summary.pushed.push('settings');
+            } else if (direction === 'pull') {
+                settingsPull = entry;
+            } else if (direction === 'same') {
+                state.items[SETTINGS_ITEM] = { localSig, remoteSig: localSig, updatedAt: entry.updatedAt };
+            }
+            if (direction !== 'pull') {
+                delete state.localChanges[SETTINGS_ITEM];
+            }
+        }
+
+        // Download everything first; entries whose chunks have not arrived yet wait for the next run.
+        const downloads = [];
+        for (const pull of pulls) {
+            if (pull.entry.deleted) {
+                downloads.push(pull);
+                continue;
+            }
+            const profile = await downloadEntry(pull.entry);
+            if (profile && typeof profile === 'object') {
+                downloads.push({ ...pull, profile });
+            } else {
+                logConfigurationRelatedStuff(`Sync: profile ${pull.name} is not complete in sync storage yet`);
+            }
+        }
+        const settings = settingsPull ? await downloadEntry(settingsPull) : null;
+
+        const deletions = downloads.filter(pull => pull.entry.deleted && pull.local);
+        if (firstSync && (downloads.length > 0 || settings)) {
+            await snapshotBeforeChange('Before the first sync with your other computers');
+        } else if (deletions.length > 0) {
+            await snapshotBeforeChange(`Before deleting ${deletions.map(pull => `"${pull.name}"`).join(', ')} (deleted on another computer)`);
+        }
+
+        const writes = downloads.filter(pull => !pull.entry.deleted);
+        if (writes.length > 0) {
+            const stored = await writeStoredProfiles(Object.fromEntries(writes.map(pull => [pull.name, pull.profile])));
+            writes.forEach(pull => {
+                state.items[pull.itemKey] = {
+                    localSig: hashText(JSON.stringify(stored[`profiles.${pull.name}`])),
+                    remoteSig: pull.entry.hash,
+                    updatedAt: pull.entry.updatedAt
+                };
+                delete state.localChanges[pull.itemKey];
+                summary.pulled.push(pull.name);
+            });
+        }
+        for (const pull of downloads.filter(item => item.entry.deleted)) {
+            // deleteProfile refuses the Default profile; it then simply stays on this computer.
+            const deleted = pull.local ? await deleteProfile(pull.name) : true;
+            state.items[pull.itemKey] = {
+                localSig: deleted ? 'deleted' : hashText(JSON.stringify(pull.local)),
+                remoteSig: 'deleted',
+                updatedAt: pull.entry.updatedAt
+            };
+            delete state.localChanges[pull.itemKey];
+            if (pull.local && deleted) {
+                summary.deleted.push(pull.name);
+            }
+        }
+        if (settings) {
+            await applySyncSettings(settings);
+            state.items[SETTINGS_ITEM] = {
+                localSig: hashText(JSON.stringify(await collectSyncSettings())),
+                remoteSig: settingsPull.hash,
+                updatedAt: settingsPull.updatedAt
+            };
+            delete state.localChanges[SETTINGS_ITEM];
+            summary.pulled.push('settings');
+        }
+
+        state.lastSyncAt = Date.now();
+        state.lastError = null;
+        if (summary.pushed.length || summary.pulled.length || summary.deleted.length) {
+            logConfigurationRelatedStuff(`Sync (${trigger}): sent ${summary.pushed.join(', ') || 'nothing'}; received ${summary.pulled.join(', ') || 'nothing'}; deleted ${summary.deleted.join(', ') || 'nothing'}`);
+        }
+    } catch (error) {
+        state.lastError = describeSyncError(error);
+        logConfigurationRelatedStuff(`Sync (${trigger}) failed:`, error);
+    }
+    await saveSyncState(state);
+    return state;
+}
+
+// ----- Public API -----
+
+// Runs a sync SYNC_DEBOUNCE_MS after the last call (a burst of saves or incoming items becomes one run).
+export function scheduleSync(trigger) {
+    if (syncTimer) {
+        clearTimeout(syncTimer);
+    }
+    syncTimer = setTimeout(() => {
+        syncTimer = null;
+        queueSyncWork(() => runSync(trigger)).catch(error => {
+            logConfigurationRelatedStuff('Sync run failed:', error);
+        });
+    }, SYNC_DEBOUNCE_MS);
+}
+
+// chrome.storage.onChanged listener (registered in config.js)
+export function handleSyncStorageChange(changes, areaName) {
+    if (areaName === 'sync') {
+        if (Object.keys(changes).some(key => key.startsWith(SYNC_PROFILE_PREFIX) || key === SYNC_SETTINGS_KEY)) {
+            scheduleSync('change from another computer');
+        }
+        return;
+    }
+    if (areaName !== 'local') {
+        return;
+    }
+    const itemKeys = new Set();
+    Object.keys(changes).forEach(key => {
+        if (key.startsWith('profiles.')) {
+            itemKeys.add(profileItemKey(key.slice('profiles.'.length)));
+        } else if (SYNC_SETTINGS_LOCAL_KEYS.includes(key)) {
+            itemKeys.add(SETTINGS_ITEM);
+        }
+    });
+    if (itemKeys.size > 0) {
+        recordLocalChanges(itemKeys, Date.now()).catch(error => {
+            logConfigurationRelatedStuff('Sync: could not record a local change:', error);
+        });
+        scheduleSync('local change');
+    }
+}
+
+// Stores the modification time of local changes (only while sync is on). Changes caused by applying data from
+// another computer are recorded too, but dropped by the next run since their hash matches the synced one.
+function recordLocalChanges(itemKeys, time) {
+    return queueSyncWork(async () => {
+        const state = await loadSyncState();
+        if (!state.enabled) {
+            return;
+        }
+        itemKeys.forEach(itemKey => {
+            state.localChanges[itemKey] = time;
+        });
+        await saveSyncState(state);
+    });
+}
+
+export async function getSyncStatus() {
+    const state = await loadSyncState();
+    let bytesInUse = null;
+    try {
+        bytesInUse = typeof chrome.storage.sync.getBytesInUse === 'function' ? await chrome.storage.sync.getBytesInUse(null) : null;
+    } catch (error) {
+        bytesInUse = null; // Not supported by every browser version
+    }
+    return {
+        enabled: state.enabled,
+        includeSettings: state.includeSettings,
+        lastSyncAt: state.lastSyncAt,
+        lastError: state.lastError,
+        syncedProfileCount: Object.keys(state.items).filter(key => key.startsWith('profile:') && state.items[key].localSig !== 'deleted').length,
+        bytesInUse
+    };
+}
+
+/**
+ * Turns sync on/off and chooses whether settings are included, then syncs right away when enabled.
+ * Turning sync off forgets what was synced, so turning it on again behaves like the first sync.
+ * @param {{enabled?: boolean, includeSettings?: boolean}} options
+ */
+export function setSyncOptions(options) {
+    return queueSyncWork(async () => {
+        const state = await loadSyncState();
+        if (typeof options?.includeSettings === 'boolean') {
+            state.includeSettings = options.includeSettings;
+            if (!options.includeSettings) {
+                delete state.items[SETTINGS_ITEM];
+                delete state.localChanges[SETTINGS_ITEM];
+            }
+        }
+        if (typeof options?.enabled === 'boolean' && options.enabled !== state.enabled) {
+            state.enabled = options.enabled;
+            if (!state.enabled) {
+                state.items = {};
+                state.localChanges = {};
+                state.unreferencedChunks = {};
+                state.lastSyncAt = null;
+                state.lastError = null;
+            }
+            logConfigurationRelatedStuff(`Sync turned ${state.enabled ? 'on' : 'off'}`);
+        }
+        await saveSyncState(state);
+        if (state.enabled) {
+            await runSync('options changed');
+        }
+        return getSyncStatus();
+    });
+}
+
+export function syncNow() {
+    return queueSyncWork(async () => {
+        await runSync('sync now');
+        return getSyncStatus();
+    });
+}
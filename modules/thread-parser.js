@@ -0,0 +1,144 @@
+// modules/thread-parser.js
+// Version: 1.0
+//
+// Documentation:
+// Shared, read-only access to the conversation on the active chat page, split into role-separated messages.
+// Selectors come from InjectionTargetsOnWebsite.selectors (utils.js), so they can be overridden per site
+// in the popup's custom selector editor:
+//  - threadRoot         Scope for the search (falls back to the whole document when missing or not found)
+//  - userMessages       Elements holding one message written by the user
+//  - assistantMessages  Elements holding one answer of the AI
+// Message shape: { role: 'user' | 'assistant', text, element }
+// Elements nested inside another match of the same role (e.g. a bubble inside its turn) are skipped,
+// so every message is returned once, in page order.
+//
+// Usage:
+// Loaded as a content script after utils.js and before prompt-template-variables.js.
+// - window.OCPThreadParser.getMessages()
+// - window.OCPThreadParser.getAssistantMessageElements()   (cheap count for polling watchers)
+// - window.OCPThreadParser.getLastAssistantMessage()
+// - window.OCPThreadParser.getLastResponseText()   (used by the {{lastResponse}} template variable)
+//
+// Instructions for AI: do not remove comments! MUST NOT REMOVE COMMENTS. This one too!
+'use strict';
+
+window.OCPThreadParser = {
+    /**
+     * Returns the element that contains the conversation, or document when the site has none configured.
+     * @returns {Element|Document}
+     */
+    getThreadRoot: function () {
+        const threadSelector = window?.InjectionTargetsOnWebsite?.selectors?.threadRoot;
+        if (threadSelector) {
+            try {
+                const root = document.querySelector(threadSelector);
+                if (root) {
+                    return root;
+                }
+            } catch (err) {
+                logConCgp('[thread-parser] Invalid threadRoot selector:', err?.message || err);
+            }
+        }
+        return document;
+    },
+
+    /**
+     * Collects the elements matching any of the selectors. Invalid selectors are skipped.
+     * @param {Element|Document} root
+     * @param {string[]} selectors
+     * @returns {Element[]}
+     */
+    queryAll: function (root, selectors) {
+        const found = new Set();
+        (Array.isArray(selectors) ? selectors : []).forEach((selector) => {
+            try {
+                root.querySelectorAll(selector).forEach((el) => found.add(el));
+            } catch (err) {
+                logConCgp(`[thread-parser] Skipping invalid message selector "${selector}":`, err?.message || err);
+            }
+        });
+        // Drop matches nested in another match, so a message is not counted twice. Matches come back in document
+        // order, so an element's enclosing match is the nearest earlier kept element that contains it.
+        const ordered = Array.from(found).sort((a, b) => (
+            a === b ? 0 : ((a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING) ? -1 : 1)
+        ));
+        const kept = [];
+        ordered.forEach((el) => {
+            const last = kept[kept.length - 1];
+            if (!last || !last.contains(el)) {
+                kept.push(el);
+            }
+        });
+        return kept;
+    },
+
+    /**
+     * Visible text of a message element.
+     * @param {Element} element
+     * @returns {string}
+     */
+    readMessageText: function (element) {
+        const text = element.innerText || element.textContent || '';
+        return text.trim();
+    },
+
+    /**
+     * Returns all messages of the current conversation in page order.
+     * @returns {Array<{role: 'user'|'assistant', text: string, element: Element}>}
+     */
+    getMessages: function () {
+        const selectors = window?.InjectionTargetsOnWebsite?.selectors || {};
+        const root = this.getThreadRoot();
+        const messages = [
+            ...this.queryAll(root, selectors.userMessages).map((element) => ({ role: 'user', element })),
+            ...this.queryAll(root, selectors.assistantMessages).map((element) => ({ role: 'assistant', element }))
+        ];
+
+        messages.sort((a, b) => {
+            if (a.element === b.element) return 0;
+            // DOCUMENT_POSITION_FOLLOWING: b comes after a.
+            return (a.element.compareDocumentPosition(b.element) & Node.DOCUMENT_POSITION_FOLLOWING) ? -1 : 1;
+        });
+
+        return messages
+            .map((message) => ({ ...message, text: this.readMessageText(message.element) }))
+            .filter((message) => message.text);
+    },
+
+    /**
+     * Assistant message elements in page order, without reading their text.
+     * @returns {Element[]}
+     */
+    getAssistantMessageElements: function () {
+        const selectors = window?.InjectionTargetsOnWebsite?.selectors || {};
+        return this.queryAll(this.getThreadRoot(), selectors.assistantMessages);
+    },
+
+    /**
+     * Reads only the newest answers until one has text (empty placeholders are skipped, as in getMessages).
+     * @returns {{role: 'assistant', text: string, element: Element}|null} The newest answer, or null if there is none.
+     */
+    getLastAssistantMessage: function () {
+        const elements = this.getAssistantMessageElements();
+        for (let index = elements.length - 1; index >= 0; index--) {
+            const text = this.readMessageText(elements[index]);
+            if (text) {
+                return { role: 'assistant', text, element: elements[index] };
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Text of the newest answer ('' when none was found).
+     * @returns {string}
+     */
+    getLastResponseText: function () {
+        const last = this.getLastAssistantMessage();
+        if (!last) {
+            logConCgp('[thread-parser] No assistant message found on this page.');
+            return '';
+        }
+        return last.text;
+    }
+};
@@ -7,8 +7,9 @@
  * @param {Event} event - The click event triggered by the send button.
  * @param {string} customText - The custom text to be sent.
  * @param {boolean} autoSend - Flag indicating whether autosend is enabled.
+ * @param {string} [insertMode='append'] - Per-button insertion mode (append | prepend | replace | wrap).
  */
-async function processAIStudioCustomSendButtonClick(event, customText, autoSend) {
+async function processAIStudioCustomSendButtonClick(event, customText, autoSend, insertMode = 'append') {
     // Prevent default button behavior
     event.preventDefault();
     logConCgp('[AIStudio] Starting process with text:', customText);
@@ -29,6 +30,9 @@ async function processAIStudioCustomSendButtonClick(event, customText, autoSend)
         return;
     }
 
+    // Resolve the per-button insert mode before appending below.
+    customText = ButtonsClickingShared.applyInsertMode(editorArea, customText, insertMode);
+
     // Insert text and trigger Angular's change detection
     editorArea.value = editorArea.value + customText;
 
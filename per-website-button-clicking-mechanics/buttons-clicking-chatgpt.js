@@ -8,8 +8,9 @@
  * @param {Event} event - The click event triggered by the send button.
  * @param {string} customText - The custom text to be sent.
  * @param {boolean} autoSend - Flag indicating whether autosend is enabled.
+ * @param {string} [insertMode='append'] - Per-button insertion mode (append | prepend | replace | wrap).
  */
-async function processChatGPTCustomSendButtonClick(event, customText, autoSend) {
+async function processChatGPTCustomSendButtonClick(event, customText, autoSend, insertMode = 'append') {
     // Prevent default button behavior
     event.preventDefault();
     logConCgp('[buttons] Custom send button was clicked.');
@@ -23,6 +24,9 @@ async function processChatGPTCustomSendButtonClick(event, customText, autoSend)
         return;
     }
 
+    // Honor the button's insert mode (prepend/replace/wrap rewrite the existing draft).
+    customText = ButtonsClickingShared.applyInsertMode(editorArea, customText, insertMode);
+
     // ----------------------------
     // Helper Functions (Modernized)
     // ----------------------------
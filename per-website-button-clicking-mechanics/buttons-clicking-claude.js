@@ -8,12 +8,13 @@
  * @param {Event} event - The triggering event
  * @param {string} customText - The text to insert
  * @param {boolean} autoSend - Whether to auto-send the message
+ * @param {string} [insertMode='append'] - Per-button insertion mode (append | prepend | replace | wrap)
  */
-async function processClaudeCustomSendButtonClick(event, customText, autoSend) {
+async function processClaudeCustomSendButtonClick(event, customText, autoSend, insertMode = 'append') {
     logConCgp('[Claude] Starting Claude-specific handling');
 
     // First try to insert the text
-    const insertionSuccessful = await ClaudeEditorUtils.insertTextIntoClaudeEditor(customText);
+    const insertionSuccessful = await ClaudeEditorUtils.insertTextIntoClaudeEditor(customText, insertMode);
 
     if (!insertionSuccessful) {
         logConCgp('[Claude] Text insertion failed');
@@ -53,9 +54,10 @@ const ClaudeEditorUtils = {
     /**
      * Attempts to insert text into Claude's editor using multiple strategies
      * @param {string} textToInsert - The text to insert into the editor
+     * @param {string} [insertMode='append'] - Per-button insertion mode (append | prepend | replace | wrap)
      * @returns {boolean} - Whether the insertion was successful
      */
-    insertTextIntoClaudeEditor: async function (textToInsert) {
+    insertTextIntoClaudeEditor: async function (textToInsert, insertMode = 'append') {
         logConCgp('[ClaudeEditor] Starting text insertion process');
 
         // Only proceed if we're on Claude
@@ -72,6 +74,9 @@ const ClaudeEditorUtils = {
             return false;
         }
 
+        // Apply the button's insert mode before analyzing state, so a cleared editor is treated as empty.
+        textToInsert = ButtonsClickingShared.applyInsertMode(editorElement, textToInsert, insertMode);
+
         // Get the current state of the editor
         const editorState = this.analyzeEditorState(editorElement);
         logConCgp('[ClaudeEditor] Editor state:', editorState);
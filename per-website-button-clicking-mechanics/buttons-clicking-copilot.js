@@ -5,8 +5,9 @@
  * @param {Event} event - The click event triggered by the send button.
  * @param {string} customText - The custom text to be sent.
  * @param {boolean} autoSend - Flag indicating whether autosend is enabled.
+ * @param {string} [insertMode='append'] - Per-button insertion mode (append | prepend | replace | wrap).
  */
-async function processCopilotCustomSendButtonClick(event, customText, autoSend) {
+async function processCopilotCustomSendButtonClick(event, customText, autoSend, insertMode = 'append') {
     event.preventDefault();
     logConCgp('[buttons] Custom send button was clicked.');
 
@@ -19,6 +20,9 @@ async function processCopilotCustomSendButtonClick(event, customText, autoSend)
         return;
     }
 
+    // Non-append insert modes empty the textarea and return the merged prompt + draft.
+    customText = ButtonsClickingShared.applyInsertMode(editorArea, customText, insertMode);
+
     const isEditorInInitialState = (element) => {
         const currentValue = element.value ?? '';
         const isInitial = currentValue.trim() === '';
@@ -11,8 +11,9 @@
  * @param {Event} event - Click event object
  * @param {string} customText - Text to insert
  * @param {boolean} autoSend - Auto-send enabled
+ * @param {string} [insertMode='append'] - Per-button insertion mode (append | prepend | replace | wrap)
  */
-async function processDeepSeekCustomSendButtonClick(event, customText, autoSend) {
+async function processDeepSeekCustomSendButtonClick(event, customText, autoSend, insertMode = 'append') {
     event.preventDefault();
     logConCgp('[DeepSeek] Starting processing with text:', customText);
 
@@ -25,6 +26,9 @@ async function processDeepSeekCustomSendButtonClick(event, customText, autoSend)
         return;
     }
 
+    // 1.1 Per-button insert mode (prepend/replace/wrap)
+    customText = ButtonsClickingShared.applyInsertMode(editor, customText, insertMode);
+
     // 2. Input handling system
     function handleEditorInput(editorElement, text) {
         try {
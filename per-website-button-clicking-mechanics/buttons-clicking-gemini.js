@@ -7,8 +7,9 @@
  * @param {Event} event - The click event triggered by the custom button.
  * @param {string} customText - The custom text to be sent.
  * @param {boolean} autoSend - Flag indicating whether autosend is enabled.
+ * @param {string} [insertMode='append'] - Per-button insertion mode (append | prepend | replace | wrap).
  */
-async function processGeminiCustomSendButtonClick(event, customText, autoSend) {
+async function processGeminiCustomSendButtonClick(event, customText, autoSend, insertMode = 'append') {
     event.preventDefault();
     logConCgp('[Gemini] Custom send button clicked. Processing...');
 
@@ -21,6 +22,9 @@ async function processGeminiCustomSendButtonClick(event, customText, autoSend) {
         return;
     }
 
+    // Non-append insert modes clear Quill first; the merged text is then written as usual.
+    customText = ButtonsClickingShared.applyInsertMode(editorArea, customText, insertMode);
+
     /**
      * Inserts text into the Gemini editor (Quill).
      * @param {HTMLElement} editor - The contenteditable editor element.
@@ -127,8 +127,9 @@ async function insertWithNaturalLastSymbol(editorArea, text, isTextArea) {
  * @param {Event} event - The click event triggered by the custom send button.
  * @param {string} customText - The custom text to be sent.
  * @param {boolean} autoSend - Flag indicating whether auto-send is enabled.
+ * @param {string} [insertMode='append'] - Per-button insertion mode (append | prepend | replace | wrap).
  */
-async function processGrokCustomSendButtonClick(event, customText, autoSend) {
+async function processGrokCustomSendButtonClick(event, customText, autoSend, insertMode = 'append') {
     // Prevent default button behavior
     event.preventDefault();
     logConCgp('[grok] Custom send button clicked.');
@@ -144,6 +145,9 @@ async function processGrokCustomSendButtonClick(event, customText, autoSend) {
         return;
     }
 
+    // Apply the insert mode first so the initial-state check below sees a cleared editor.
+    customText = ButtonsClickingShared.applyInsertMode(editorArea, customText, insertMode);
+
     // Determine if the editor is a textarea/input (has a "value" property) or a contenteditable element.
     const isTextArea = (editorArea.value !== undefined);
 
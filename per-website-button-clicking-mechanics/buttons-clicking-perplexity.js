@@ -8,8 +8,9 @@
  * @param {Event|Object} event - Triggering event (or queue token).
  * @param {string} customText - Text to inject.
  * @param {boolean} autoSend - Whether auto-send is requested.
+ * @param {string} [insertMode='append'] - Per-button insertion mode (append | prepend | replace | wrap).
  */
-async function processPerplexityCustomSendButtonClick(event, customText, autoSend) {
+async function processPerplexityCustomSendButtonClick(event, customText, autoSend, insertMode = 'append') {
     if (event && typeof event.preventDefault === 'function') {
         event.preventDefault();
     }
@@ -25,7 +26,16 @@ async function processPerplexityCustomSendButtonClick(event, customText, autoSen
         return;
     }
 
-    const insertionSucceeded = insertTextIntoPerplexityEditor(editorElement, customText);
+    // Lexical reverts DOM edits made from the isolated world, so the draft is replaced by the
+    // main-world injector (select-all + insertText) instead of ButtonsClickingShared.clearEditorContent.
+    const insertion = ButtonsClickingShared.resolveInsertMode(
+        insertMode,
+        customText,
+        ButtonsClickingShared.readEditorText(editorElement)
+    );
+    customText = insertion.text;
+
+    const insertionSucceeded = insertTextIntoPerplexityEditor(editorElement, customText, insertion.replaceExisting);
     if (!insertionSucceeded) {
         logConCgp('[Perplexity] Text insertion failed.');
         showToast('Failed to insert text.', 'error');
@@ -45,9 +55,10 @@ async function processPerplexityCustomSendButtonClick(event, customText, autoSen
  * Populates Perplexity's Lexical editor with supplied text.
  * @param {HTMLElement} editorElement - The editor container.
  * @param {string} textToInsert - Text to insert.
+ * @param {boolean} [replaceExisting=false] - When true, the injector replaces the whole draft instead of appending.
  * @returns {boolean} Whether insertion succeeded.
  */
-function insertTextIntoPerplexityEditor(editorElement, textToInsert) {
+function insertTextIntoPerplexityEditor(editorElement, textToInsert, replaceExisting = false) {
     try {
         const text = String(textToInsert || '');
         if (!text) {
@@ -58,6 +69,11 @@ function insertTextIntoPerplexityEditor(editorElement, textToInsert) {
         // Store the text to insert in a data attribute so the injector script can read it
         editorElement.setAttribute('data-ocp-target', 'true');
         editorElement.setAttribute('data-ocp-text', text);
+        if (replaceExisting) {
+            editorElement.setAttribute('data-ocp-replace', 'true');
+        } else {
+            editorElement.removeAttribute('data-ocp-replace');
+        }
 
         // Inject external script to run in Main World (bypasses CSP)
         const script = document.createElement('script');
@@ -266,5 +266,131 @@ window.ButtonsClickingShared = {
                 }, 300);
             };
         });
+    },
+
+    /**
+     * Supported per-button insertion modes. 'append' is the historical behavior.
+     */
+    INSERT_MODES: ['append', 'prepend', 'replace', 'wrap'],
+
+    /**
+     * Reads the plain text currently in an editor (textarea/input or contenteditable).
+     * Placeholder-only editors count as empty.
+     * @param {HTMLElement} editor
+     * @returns {string}
+     */
+    readEditorText: (editor) => {
+        if (!editor) return '';
+        if (typeof editor.value === 'string') {
+            return editor.value;
+        }
+        if (editor.classList?.contains('ql-blank') || editor.querySelector?.('p.placeholder, p.is-editor-empty')) {
+            return '';
+        }
+        return (editor.innerText || editor.textContent || '').replace(/\n$/, '');
+    },
+
+    /**
+     * Works out what to insert for a button's insertMode.
+     * - append:  prompt goes after the draft (editor untouched)
+     * - prepend: prompt goes before the draft
+     * - replace: prompt replaces the draft
+     * - wrap:    every {{editor}} slot in the prompt receives the draft; without a slot it behaves like prepend
+     * @param {string} insertMode
+     * @param {string} customText - Prompt text (template variables already expanded).
+     * @param {string} existingText - Current editor text.
+     * @returns {{ text: string, replaceExisting: boolean }}
+     */
+    resolveInsertMode: (insertMode, customText, existingText) => {
+        const prompt = typeof customText === 'string' ? customText : '';
+        const draft = typeof existingText === 'string' ? existingText : '';
+        // Join prompt and draft on a new line unless one of them already provides the break.
+        const joinWithDraft = () => {
+            if (!draft.trim()) return prompt;
+            if (!prompt || /\s$/.test(prompt) || /^\s/.test(draft)) return prompt + draft;
+            return `${prompt}\n${draft}`;
+        };
+
+        switch (insertMode) {
+            case 'prepend':
+                return { text: joinWithDraft(), replaceExisting: true };
+            case 'replace':
+                return { text: prompt, replaceExisting: true };
+            case 'wrap': {
+                const slotRegex = /\{\{\s*editor\s*\}\}/gi;
+                if (slotRegex.test(prompt)) {
+                    return { text: prompt.replace(slotRegex, () => draft), replaceExisting: true };
+                }
+                return { text: joinWithDraft(), replaceExisting: true };
+            }
+            case 'append':
+            default:
+                return { text: prompt, replaceExisting: false };
+        }
+    },
+
+    /**
+     * Empties an editor in a framework-friendly way (native value setter for React textareas,
+     * select-all + delete for contenteditable editors such as ProseMirror/Quill).
+     * @param {HTMLElement} editor
+     */
+    clearEditorContent: (editor) => {
+        if (!editor) return;
+        try {
+            editor.focus();
+            if (typeof editor.value === 'string') {
+                const nativeSetter = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(editor), 'value')?.set;
+                if (nativeSetter) {
+                    nativeSetter.call(editor, '');
+                } else {
+                    editor.value = '';
+                }
+                editor.dispatchEvent(new Event('input', { bubbles: true }));
+                editor.dispatchEvent(new Event('change', { bubbles: true }));
+                return;
+            }
+
+            const selection = window.getSelection();
+            const range = document.createRange();
+            range.selectNodeContents(editor);
+            selection.removeAllRanges();
+            selection.addRange(range);
+            let deleted = false;
+            try {
+                deleted = document.execCommand('delete', false, null);
+            } catch (_) {
+                deleted = false;
+            }
+            if (!deleted || (editor.innerText || '').trim() !== '') {
+                editor.innerHTML = '<p><br></p>';
+                editor.dispatchEvent(new Event('input', { bubbles: true }));
+            }
+            if (window.MaxExtensionUtils && typeof window.MaxExtensionUtils.moveCursorToEnd === 'function') {
+                window.MaxExtensionUtils.moveCursorToEnd(editor);
+            }
+        } catch (err) {
+            logConCgp('[buttons-shared] Failed to clear editor content:', err?.message || err);
+        }
+    },
+
+    /**
+     * Applies a button's insertMode to the editor and returns the text the site handler should append.
+     * For prepend/replace/wrap the editor is cleared first, so the handler's normal append path
+     * writes the complete result into an empty editor.
+     * @param {HTMLElement} editor
+     * @param {string} customText
+     * @param {string} [insertMode='append']
+     * @returns {string}
+     */
+    applyInsertMode: (editor, customText, insertMode) => {
+        if (!insertMode || insertMode === 'append') {
+            return customText;
+        }
+        const insertion = ButtonsClickingShared.resolveInsertMode(insertMode, customText, ButtonsClickingShared.readEditorText(editor));
+        if (insertion.replaceExisting) {
+            logConCgp(`[buttons-shared] Insert mode '${insertMode}': replacing editor content.`);
+            ButtonsClickingShared.clearEditorContent(editor);
+        }
+        return insertion.text;
     }
 };
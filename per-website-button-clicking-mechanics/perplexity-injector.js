@@ -14,8 +14,12 @@
         const text = targetElement.getAttribute('data-ocp-text');
         if (!text) return; // Nothing to insert
 
+        // Insert mode replace/prepend/wrap: the content script already merged the draft into the text.
+        const replaceExisting = targetElement.getAttribute('data-ocp-replace') === 'true';
+
         // Clean up immediately
         targetElement.removeAttribute('data-ocp-text');
+        targetElement.removeAttribute('data-ocp-replace');
         // We keep the ID for a moment if needed, but the previous code removed it. 
         // Let's remove the ID after we are done.
 
@@ -26,7 +30,9 @@
         const selection = window.getSelection();
         const range = document.createRange();
         range.selectNodeContents(targetElement);
-        range.collapse(false); // Collapse to end
+        if (!replaceExisting) {
+            range.collapse(false); // Collapse to end
+        }
         selection.removeAllRanges();
         selection.addRange(range);
 
@@ -34,8 +40,8 @@
 
         // Attempt 2: Direct DOM manipulation (Fallback)
         if (!success) {
-            // Append text manually
-            const currentVal = targetElement.textContent;
+            // Append text manually (or overwrite when replacing the draft)
+            const currentVal = replaceExisting ? '' : targetElement.textContent;
             targetElement.textContent = currentVal + text;
 
             // Dispatch events to notify framework
@@ -1,9 +1,40 @@
 // popup-page-backup-handler.js
-// Version: 1.1
+// Version: 1.3
 // Instructions for AI: do not remove comments! MUST NOT REMOVE COMMENTS.
+// Export/import of the current profile (when the name exists: overwrite, or merge the imported buttons into the
+// local profile after a preview of additions and conflicts), and the full backup (every profile plus all settings) with a restore
+// dialog that lets the user choose which sections to restore (built by modules/service-worker-backup.js).
 
 'use strict';
 
+// Labels for the sections of a full backup, in the order they are listed in the restore dialog
+const FULL_BACKUP_SECTION_LABELS = {
+    profiles: 'Profiles, site rules and the per-tab profile setting',
+    globalSettings: 'Global settings',
+    theme: 'Theme',
+    crossChat: 'Cross-Chat settings, clipboard slots, recipient groups and shielded sites',
+    inlineProfileSelector: 'Inline profile selector',
+    tokenApproximator: 'Token approximator',
+    tooltip: 'Tooltips',
+    selectorAutoDetector: 'Selector auto-detector',
+    manualQueueCards: 'Manual queue cards',
+    customSelectors: 'Advanced (custom) selectors',
+    floatingPanel: 'Floating panel layouts'
+};
+
+// Downloads text as a JSON file through a temporary <a> element
+function downloadJsonFile(jsonText, fileName) {
+    const blob = new Blob([jsonText], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
 // Function to export the current profile as a JSON file
 function exportCurrentProfile() {
     logToGUIConsole('Initiating profile export...');
@@ -13,26 +44,9 @@ function exportCurrentProfile() {
         const profileJSON = JSON.stringify(currentProfile, null, 2);
         logToGUIConsole('Serialized currentProfile to JSON.');
 
-        // Create a Blob from the JSON string
-        const blob = new Blob([profileJSON], { type: 'application/json' });
-        logToGUIConsole('Created Blob from JSON string.');
-
-        // Create a temporary <a> element
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `${currentProfile.PROFILE_NAME}_profile.json`;
-
-        // Append to the document, trigger click, and remove
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
+        downloadJsonFile(profileJSON, `${currentProfile.PROFILE_NAME}_profile.json`);
         logToGUIConsole('Triggered download of the profile JSON file.');
 
-        // Revoke the object URL
-        URL.revokeObjectURL(url);
-        logToGUIConsole('Revoked the object URL.');
-
         // Show a toast notification after initiating the download
         showToast('Profile Download Initiated', 'success');
     } catch (error) {
@@ -72,6 +86,9 @@ async function handleImportProfile(event) {
                 throw new Error('Invalid profile format. Missing required fields.');
             }
             logToGUIConsole('Imported profile structure is valid.');
+            if (Array.isArray(parsedProfile.queuePresets) && parsedProfile.queuePresets.length > 0) {
+                logToGUIConsole(`Imported profile includes ${parsedProfile.queuePresets.length} queue preset(s).`);
+            }
 
             // Fetch the list of existing profiles
             const response = await chrome.runtime.sendMessage({ type: 'listProfiles' });
@@ -110,14 +127,20 @@ async function handleImportProfile(event) {
     event.target.value = '';
 }
 
+// Past tense and verb used in the messages of saveAndSwitchToImportedProfile
+const IMPORT_MODE_TEXTS = {
+    import: { actionText: 'imported', actionVerb: 'import' },
+    overwrite: { actionText: 'overwritten', actionVerb: 'overwrite' },
+    merge: { actionText: 'merged', actionVerb: 'merge' }
+};
+
 /**
- * Handles the logic for saving a profile (new or overwritten) and updating the UI.
+ * Handles the logic for saving a profile (new, overwritten or merged) and updating the UI.
  * @param {object} parsedProfile - The profile object to save.
- * @param {boolean} isOverwrite - Indicates if this is an overwrite operation.
+ * @param {'import'|'overwrite'|'merge'} mode - How the profile was built from the file.
  */
-async function saveAndSwitchToImportedProfile(parsedProfile, isOverwrite) {
-    const actionText = isOverwrite ? 'overwritten' : 'imported';
-    const actionVerb = isOverwrite ? 'overwrite' : 'import';
+async function saveAndSwitchToImportedProfile(parsedProfile, mode) {
+    const { actionText, actionVerb } = IMPORT_MODE_TEXTS[mode] || IMPORT_MODE_TEXTS.import;
 
     try {
         await chrome.runtime.sendMessage({
@@ -149,8 +172,9 @@ async function overwriteCurrentProfile() {
     }
 
     logToGUIConsole(`Overwriting existing profile "${parsedProfile.PROFILE_NAME}" with imported profile.`);
+    await takeRestorePoint(`Before overwriting profile "${parsedProfile.PROFILE_NAME}" by import`);
 
-    await saveAndSwitchToImportedProfile(parsedProfile, true);
+    await saveAndSwitchToImportedProfile(parsedProfile, 'overwrite');
 
     // Hide the confirmation div
     document.getElementById('confirmationDiv').classList.add('is-hidden');
@@ -172,7 +196,313 @@ function cancelImport() {
 // Function to import profile directly without confirmation
 async function importProfile(parsedProfile) {
     logToGUIConsole(`Importing profile "${parsedProfile.PROFILE_NAME}" as a new profile.`);
-    await saveAndSwitchToImportedProfile(parsedProfile, false);
+    await saveAndSwitchToImportedProfile(parsedProfile, 'import');
+}
+
+// -------------------------
+// Merge import (keep the local profile, add the imported buttons)
+// -------------------------
+
+// Button text compared case-insensitively and with collapsed whitespace
+function normalizeButtonTextForMerge(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+// Imported button without the fields that belong to the exporting profile (id, inheritance marker)
+function stripImportedButtonMeta(button) {
+    const { id, inheritedFrom, ...data } = button;
+    return data;
+}
+
+// True when two buttons with the same text also agree on everything else (icon, auto-send, ...)
+function areMergeButtonsEqual(localButton, importedButton) {
+    const local = stripImportedButtonMeta(localButton);
+    const imported = stripImportedButtonMeta(importedButton);
+    return Array.from(new Set([...Object.keys(local), ...Object.keys(imported)]))
+        .filter(field => field !== 'text')
+        .every(field => JSON.stringify(local[field]) === JSON.stringify(imported[field]));
+}
+
+/**
+ * Sorts the imported buttons into additions, conflicts (same text, different icon or options) and duplicates.
+ * Separators are not merged; their position only makes sense in the exporting profile.
+ * @param {object} localProfile - Flattened local profile.
+ * @param {object} importedProfile - Parsed profile file.
+ * @returns {{additions: object[], conflicts: Array<{local: object, imported: object}>, duplicateCount: number}}
+ */
+function buildProfileMergePreview(localProfile, importedProfile) {
+    const localByText = new Map();
+    (localProfile.customButtons || []).forEach(button => {
+        if (button && !button.separator) {
+            localByText.set(normalizeButtonTextForMerge(button.text), button);
+        }
+    });
+
+    const preview = { additions: [], conflicts: [], duplicateCount: 0 };
+    const seenImported = new Set();
+    (importedProfile.customButtons || []).forEach(button => {
+        if (!button || button.separator) return;
+        const key = normalizeButtonTextForMerge(button.text);
+        if (!key || seenImported.has(key)) return;
+        seenImported.add(key);
+        const localButton = localByText.get(key);
+        if (!localButton) {
+            preview.additions.push(button);
+        } else if (areMergeButtonsEqual(localButton, button)) {
+            preview.duplicateCount += 1;
+        } else {
+            preview.conflicts.push({ local: localButton, imported: button });
+        }
+    });
+    return preview;
+}
+
+// One line of the merge preview: checkbox plus a short description of the button
+function createMergePreviewRow(kind, index, label, title, checked) {
+    const row = document.createElement('label');
+    row.className = 'checkbox-row merge-preview-item';
+    row.title = title;
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.dataset.kind = kind;
+    checkbox.dataset.index = String(index);
+    checkbox.checked = checked;
+    const text = document.createElement('span');
+    text.textContent = label;
+    row.append(checkbox, text);
+    return row;
+}
+
+function describeButtonForMerge(button) {
+    const text = String(button.text || '').trim();
+    return `${button.icon || ''} ${text.length > 70 ? `${text.slice(0, 70)}…` : text}`.trim();
+}
+
+function showProfileMergePreview(localProfile, importedProfile, preview) {
+    const summary = document.getElementById('mergePreviewSummary');
+    const list = document.getElementById('mergePreviewList');
+    list.innerHTML = '';
+
+    summary.textContent = `Merging into "${localProfile.PROFILE_NAME}": ${preview.additions.length} new, ` +
+        `${preview.conflicts.length} conflicting, ${preview.duplicateCount} already present. ` +
+        'Your own buttons and settings stay as they are.';
+
+    if (preview.additions.length > 0) {
+        const header = document.createElement('strong');
+        header.textContent = 'New buttons (added at the end)';
+        list.appendChild(header);
+        preview.additions.forEach((button, index) => {
+            list.appendChild(createMergePreviewRow('addition', index, describeButtonForMerge(button), button.text || '', true));
+        });
+    }
+    if (preview.conflicts.length > 0) {
+        const header = document.createElement('strong');
+        header.textContent = 'Same text, different icon or options (checked = use the imported version)';
+        list.appendChild(header);
+        preview.conflicts.forEach(({ local, imported }, index) => {
+            const label = `${describeButtonForMerge(local)} → ${imported.icon || ''}` +
+                (!!local.autoSend !== !!imported.autoSend ? ` (auto-send ${imported.autoSend ? 'on' : 'off'})` : '');
+            list.appendChild(createMergePreviewRow('conflict', index, label, imported.text || '', false));
+        });
+    }
+    if (preview.additions.length === 0 && preview.conflicts.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'empty-message';
+        empty.textContent = 'Every imported button is already in this profile.';
+        list.appendChild(empty);
+    }
+    document.getElementById('confirmMerge').disabled = preview.additions.length === 0 && preview.conflicts.length === 0;
+
+    window.tempMergeState = { localProfile, preview };
+    document.getElementById('confirmationDiv').classList.add('is-hidden');
+    const mergeDiv = document.getElementById('mergePreviewDiv');
+    mergeDiv.classList.remove('is-hidden');
+    mergeDiv.scrollIntoView({ behavior: 'smooth' });
+}
+
+// "Merge" in the overwrite confirmation: compare the file with the stored profile of the same name
+async function startProfileMerge() {
+    const parsedProfile = window.tempParsedProfile;
+    if (!parsedProfile) {
+        logToGUIConsole('No parsed profile available to merge.');
+        return;
+    }
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'getProfileConfig', profileName: parsedProfile.PROFILE_NAME });
+        if (!response || response.error || !response.config) {
+            throw new Error(response?.error || `Profile "${parsedProfile.PROFILE_NAME}" not found.`);
+        }
+        const preview = buildProfileMergePreview(response.config, parsedProfile);
+        logToGUIConsole(`Merge preview for "${parsedProfile.PROFILE_NAME}": ${preview.additions.length} new, ${preview.conflicts.length} conflicts, ${preview.duplicateCount} duplicates.`);
+        showProfileMergePreview(response.config, parsedProfile, preview);
+    } catch (error) {
+        logToGUIConsole(`Error preparing the merge: ${error.message}`);
+        showToast('Could not read the existing profile for merging.', 'error');
+    }
+}
+
+function closeProfileMergePreview() {
+    document.getElementById('mergePreviewDiv').classList.add('is-hidden');
+    window.tempMergeState = null;
+    window.tempParsedProfile = null;
+}
+
+async function confirmProfileMerge() {
+    const state = window.tempMergeState;
+    if (!state) return;
+    const checked = kind => Array.from(document.querySelectorAll(`#mergePreviewList input[data-kind="${kind}"]:checked`))
+        .map(input => Number(input.dataset.index));
+
+    const replacements = new Map();
+    checked('conflict').forEach(index => {
+        const { local, imported } = state.preview.conflicts[index];
+        // Keep the local id (and inheritance marker), so the button stays in place and stays linked to its base.
+        replacements.set(local, {
+            ...stripImportedButtonMeta(imported),
+            ...(local.id ? { id: local.id } : {}),
+            ...(local.inheritedFrom ? { inheritedFrom: local.inheritedFrom } : {})
+        });
+    });
+    const additions = checked('addition').map(index => stripImportedButtonMeta(state.preview.additions[index]));
+
+    const mergedProfile = {
+        ...state.localProfile,
+        customButtons: state.localProfile.customButtons
+            .map(button => replacements.get(button) || button)
+            .concat(additions)
+    };
+    logToGUIConsole(`Merging ${additions.length} new button(s) and ${replacements.size} replacement(s) into "${mergedProfile.PROFILE_NAME}".`);
+    closeProfileMergePreview();
+    await takeRestorePoint(`Before merging an imported file into profile "${mergedProfile.PROFILE_NAME}"`);
+    await saveAndSwitchToImportedProfile(mergedProfile, 'merge');
+}
+
+// -------------------------
+// Full backup (all profiles and settings)
+// -------------------------
+
+async function exportFullBackup() {
+    logToGUIConsole('Creating a full backup...');
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'createFullBackup' });
+        if (!response || response.error || !response.backup) {
+            throw new Error(response?.error || 'No backup returned.');
+        }
+        const date = new Date().toISOString().slice(0, 10);
+        downloadJsonFile(JSON.stringify(response.backup, null, 2), `OneClickPrompts_full_backup_${date}.json`);
+        const profileCount = Object.keys(response.backup.sections.profiles?.profiles || {}).length;
+        logToGUIConsole(`Full backup downloaded (${profileCount} profiles, ${Object.keys(response.backup.sections).length} sections).`);
+        showToast('Full Backup Download Initiated', 'success');
+    } catch (error) {
+        logToGUIConsole(`Error creating the full backup: ${error.message}`);
+        showToast('Failed to create the full backup. Please try again.', 'error');
+    }
+}
+
+// Short description of what a section holds, e.g. "5 profiles"
+function describeFullBackupSection(sectionId, data) {
+    if (sectionId === 'profiles') {
+        const count = Object.keys(data?.profiles || {}).length;
+        return `${count} profile${count === 1 ? '' : 's'}`;
+    }
+    if (sectionId === 'floatingPanel' || sectionId === 'customSelectors') {
+        const map = data ? Object.values(data)[0] : null;
+        const count = map && typeof map === 'object' ? Object.keys(map).length : 0;
+        return `${count} site${count === 1 ? '' : 's'}`;
+    }
+    return '';
+}
+
+function showFullBackupRestoreDialog(backup) {
+    const dialog = document.getElementById('fullBackupRestoreDialog');
+    const summary = document.getElementById('fullBackupSummary');
+    const list = document.getElementById('fullBackupSectionList');
+    list.innerHTML = '';
+
+    const created = backup.createdAt ? new Date(backup.createdAt).toLocaleString() : 'an unknown date';
+    summary.textContent = `Backup from ${created}${backup.extensionVersion ? ` (version ${backup.extensionVersion})` : ''}. ` +
+        'Choose what to restore; the chosen parts replace your current ones, profiles not in the backup are kept.';
+
+    const sectionIds = Object.keys(backup.sections);
+    const ordered = Object.keys(FULL_BACKUP_SECTION_LABELS).filter(id => sectionIds.includes(id))
+        .concat(sectionIds.filter(id => !(id in FULL_BACKUP_SECTION_LABELS)));
+    ordered.forEach(sectionId => {
+        const label = document.createElement('label');
+        label.className = 'checkbox-row';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = sectionId;
+        checkbox.checked = sectionId in FULL_BACKUP_SECTION_LABELS;
+        checkbox.disabled = !(sectionId in FULL_BACKUP_SECTION_LABELS);
+        const text = document.createElement('span');
+        const detail = describeFullBackupSection(sectionId, backup.sections[sectionId]);
+        text.textContent = (FULL_BACKUP_SECTION_LABELS[sectionId] || `${sectionId} (not supported by this version)`) +
+            (detail ? ` – ${detail}` : '');
+        label.append(checkbox, text);
+        list.appendChild(label);
+    });
+
+    window.tempFullBackup = backup;
+    document.getElementById('errorDiv').classList.add('is-hidden');
+    dialog.classList.remove('is-hidden');
+    dialog.scrollIntoView({ behavior: 'smooth' });
+}
+
+function handleFullBackupFile(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) {
+        logToGUIConsole('No file selected for the full restore.');
+        return;
+    }
+    const reader = new FileReader();
+    reader.onload = function (e) {
+        try {
+            const backup = JSON.parse(e.target.result);
+            if (!backup || backup.format !== 'oneclickprompts-backup' || !backup.sections) {
+                throw new Error('The file is not a full backup. Use "Import Profile" for single profile files.');
+            }
+            logToGUIConsole(`Loaded full backup ${file.name} with sections: ${Object.keys(backup.sections).join(', ')}`);
+            showFullBackupRestoreDialog(backup);
+        } catch (error) {
+            logToGUIConsole(`Error reading the full backup: ${error.message}`);
+            showToast(error.message, 'error');
+        }
+    };
+    reader.onerror = function () {
+        logToGUIConsole(`File reading error: ${reader.error?.message || 'unknown error'}`);
+        showToast('Could not read the file.', 'error');
+    };
+    reader.readAsText(file);
+}
+
+function closeFullBackupRestoreDialog() {
+    document.getElementById('fullBackupRestoreDialog').classList.add('is-hidden');
+    window.tempFullBackup = null;
+}
+
+async function restoreSelectedBackupSections() {
+    const backup = window.tempFullBackup;
+    if (!backup) return;
+    const sections = Array.from(document.querySelectorAll('#fullBackupSectionList input:checked')).map(input => input.value);
+    if (sections.length === 0) {
+        showToast('Select at least one part to restore.', 'error');
+        return;
+    }
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'restoreFullBackup', backup, sections });
+        if (!response || response.error) {
+            throw new Error(response?.error || 'No response from the extension.');
+        }
+        closeFullBackupRestoreDialog();
+        logToGUIConsole(`Restored: ${response.restored.join(', ')}${response.profileCount ? ` (${response.profileCount} profiles)` : ''}.`);
+        showToast('Backup restored. Reloading the settings…', 'success');
+        // Every section of this page reads its state on load; reloading is simpler than refreshing them one by one.
+        setTimeout(() => window.location.reload(), 1500);
+    } catch (error) {
+        logToGUIConsole(`Error restoring the full backup: ${error.message}`);
+        showToast(`Restore failed: ${error.message}`, 'error');
+    }
 }
 
 // Attach event listeners after DOM content is loaded
@@ -189,5 +519,23 @@ document.addEventListener('DOMContentLoaded', () => {
     // Confirmation buttons
     document.getElementById('confirmOverwrite').addEventListener('click', overwriteCurrentProfile);
     document.getElementById('cancelOverwrite').addEventListener('click', cancelImport);
+    document.getElementById('mergeImportedProfile').addEventListener('click', startProfileMerge);
+    document.getElementById('confirmMerge').addEventListener('click', confirmProfileMerge);
+    document.getElementById('cancelMerge').addEventListener('click', () => {
+        logToGUIConsole('User canceled the profile merge.');
+        closeProfileMergePreview();
+    });
+
+    // Full backup
+    document.getElementById('exportFullBackup').addEventListener('click', exportFullBackup);
+    document.getElementById('restoreFullBackup').addEventListener('click', () => {
+        document.getElementById('fullBackupFileInput').click();
+    });
+    document.getElementById('fullBackupFileInput').addEventListener('change', handleFullBackupFile);
+    document.getElementById('confirmFullBackupRestore').addEventListener('click', restoreSelectedBackupSections);
+    document.getElementById('cancelFullBackupRestore').addEventListener('click', () => {
+        logToGUIConsole('Full restore cancelled.');
+        closeFullBackupRestoreDialog();
+    });
 });
 
@@ -4,8 +4,10 @@
 // be used in the actual web page, but this popup manages their existance and position, by representing them
 // as cards in  <div id="buttonCardsList" ...> </div>
 // This file creates elements that represent custom buttons (card like elements)
-// Button cards contain: emoji input, text input, auto-send toggle, delete button, that are
+// Button cards contain: emoji input, text input, auto-send toggle, insert mode selector, delete button, that are
 // used to create custom buttons for the extension.
+// Macro cards ({ macro: true, steps: [{ text }], autoStartQueue }) contain: emoji input, macro name, "Start queue" toggle,
+// an ordered step list (one textarea per step, remove/add step buttons) and a delete button.
 // and separators for mostly visual funciton (separatprs behave like button cards with less stuff)
 // separator cards contain: visuals, delete button.
 // version: 1.1
@@ -15,6 +17,13 @@
 // -------------------------
 const SETTINGS_BUTTON_MAGIC_TEXT = '%OCP_APP_SETTINGS_SYSTEM_BUTTON%';
 const DELETE_UNDO_DURATION_MS = 2000;
+// Per-button insertion modes understood by the content-script site handlers (ButtonsClickingShared.applyInsertMode).
+const BUTTON_INSERT_MODES = [
+    { value: 'append', label: 'Append', title: 'Insert after the text already in the chat input (default).' },
+    { value: 'prepend', label: 'Prepend', title: 'Insert before the text already in the chat input.' },
+    { value: 'replace', label: 'Replace', title: 'Replace the text in the chat input with this prompt.' },
+    { value: 'wrap', label: 'Wrap', title: 'Put the chat input text into the {{editor}} slot of this prompt (without a slot: prompt, then draft).' }
+];
 
 // Tracks buttons that are waiting out their undo window before deletion.
 // Keyed by the button object reference so reorders/edits keep the link intact.
@@ -63,13 +72,30 @@ function createButtonCardElement(button, index, crossChatSettings = null) {
         `;
     } else {
         const isSettingsButton = (button.text === SETTINGS_BUTTON_MAGIC_TEXT);
+        const isMacroButton = !isSettingsButton && Boolean(button.macro);
 
-        const textElementHTML = isSettingsButton
-            ? `<div class="text-input" title="This button opens the extension settings - this exact page you are seeing right now - in a new tab. Alternatively, Shift-click opens menu, that allows to move location, where buttons are injected. You can move it or remove it.">${'Open app settings | Shift-Click this button to move location where buttons are injected'}</div>`
-            : `<textarea class="text-input" rows="1">${button.text}</textarea>`;
+        let textElementHTML;
+        if (isSettingsButton) {
+            textElementHTML = `<div class="text-input" title="This button opens the extension settings - this exact page you are seeing right now - in a new tab. Alternatively, Shift-click opens menu, that allows to move location, where buttons are injected. You can move it or remove it.">${'Open app settings | Shift-Click this button to move location where buttons are injected'}</div>`;
+        } else if (isMacroButton) {
+            textElementHTML = `<textarea class="text-input" rows="1" placeholder="Macro name" title="Macro name, shown in the button tooltip">${button.text}</textarea>`;
+        } else {
+            textElementHTML = `<textarea class="text-input" rows="1">${button.text}</textarea>`;
+        }
+
+        let autoSendHTML = '';
+        if (isMacroButton) {
+            // Queued steps always auto-send; the macro only decides whether the queue starts right away.
+            autoSendHTML = `<div class="autosend-line"><label class="checkbox-row" title="Start the queue right after the steps are added. Shift-click the macro to invert."><input type="checkbox" class="macro-autostart-toggle" ${button.autoStartQueue ? 'checked' : ''}><span>Start queue</span></label></div>`;
+        } else if (!isSettingsButton) {
+            autoSendHTML = `<div class="autosend-line"><label class="checkbox-row"><input type="checkbox" class="autosend-toggle" ${button.autoSend ? 'checked' : ''}><span>Auto-send</span></label></div>`;
+        }
 
-        const autoSendHTML = !isSettingsButton
-            ? `<div class="autosend-line"><label class="checkbox-row"><input type="checkbox" class="autosend-toggle" ${button.autoSend ? 'checked' : ''}><span>Auto-send</span></label></div>`
+        const currentInsertMode = BUTTON_INSERT_MODES.some(mode => mode.value === button.insertMode) ? button.insertMode : 'append';
+        const insertModeHTML = (!isSettingsButton && !isMacroButton)
+            ? `<div class="insert-mode-line"><select class="insert-mode-select" title="How this prompt is combined with the text already in the chat input">${BUTTON_INSERT_MODES
+                .map(mode => `<option value="${mode.value}" title="${mode.title}" ${mode.value === currentInsertMode ? 'selected' : ''}>${mode.label}</option>`)
+                .join('')}</select></div>`
             : '';
 
         // Calculate hotkey with consideration for CrossChat buttons and separators
@@ -103,6 +129,7 @@ function createButtonCardElement(button, index, crossChatSettings = null) {
             ${textElementHTML}
             <div class="meta-block">
                 ${autoSendHTML}
+                ${insertModeHTML}
                 ${hotkeyHintHTML}
             </div>
             <button class="delete-button danger">Delete</button>
@@ -112,11 +139,73 @@ function createButtonCardElement(button, index, crossChatSettings = null) {
             buttonItem.setAttribute('data-system', 'settings');
             buttonItem.classList.add('settings-button-card');
         }
+        if (isMacroButton) {
+            buttonItem.classList.add('macro-item');
+            buttonItem.appendChild(createMacroStepsElement(button));
+        }
+    }
+
+    // Inherited from the base profile: edits only change this profile, Delete hides it here.
+    if (button.inheritedFrom) {
+        buttonItem.classList.add('inherited-item');
+        buttonItem.title = `From the profile "${button.inheritedFrom}". Changes here only apply to this profile; Delete hides it here.`;
+        const originLine = document.createElement('div');
+        originLine.className = 'inherited-line';
+        originLine.textContent = `↳ ${button.inheritedFrom}`;
+        buttonItem.querySelector('.meta-block')?.appendChild(originLine);
     }
 
     return buttonItem;
 }
 
+/**
+ * Builds the step list editor shown inside a macro card.
+ * Step text is set through .value so prompt text never gets parsed as HTML.
+ * @param {Object} button - The macro button data ({ steps: [{ text }] }).
+ * @returns {HTMLElement} - The step list element.
+ */
+function createMacroStepsElement(button) {
+    const stepsContainer = document.createElement('div');
+    stepsContainer.className = 'macro-steps';
+
+    const steps = Array.isArray(button.steps) ? button.steps : [];
+    steps.forEach((step, stepIndex) => {
+        const stepRow = document.createElement('div');
+        stepRow.className = 'macro-step-row';
+
+        const stepNumber = document.createElement('span');
+        stepNumber.className = 'macro-step-number';
+        stepNumber.textContent = `${stepIndex + 1}.`;
+
+        const stepInput = document.createElement('textarea');
+        stepInput.className = 'macro-step-input';
+        stepInput.rows = 1;
+        stepInput.placeholder = 'Prompt for this step';
+        stepInput.dataset.stepIndex = stepIndex;
+        stepInput.value = (step && typeof step.text === 'string') ? step.text : '';
+
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'macro-step-remove';
+        removeButton.dataset.stepIndex = stepIndex;
+        removeButton.title = 'Remove this step';
+        removeButton.textContent = '✕';
+
+        stepRow.appendChild(stepNumber);
+        stepRow.appendChild(stepInput);
+        stepRow.appendChild(removeButton);
+        stepsContainer.appendChild(stepRow);
+    });
+
+    const addStepButton = document.createElement('button');
+    addStepButton.type = 'button';
+    addStepButton.className = 'macro-step-add';
+    addStepButton.textContent = '+ Add step';
+    stepsContainer.appendChild(addStepButton);
+
+    return stepsContainer;
+}
+
 
 /**
  * Updates the list of custom button cards in the buttonCardsList.
@@ -156,6 +245,8 @@ async function updatebuttonCardsList(restoreScroll = true) {
     textareaSaverAndResizerFunc();
     attachEmojiInputListeners();
     attachAutoSendToggleListeners();
+    attachInsertModeListeners();
+    attachMacroStepListeners();
     reapplyPendingDeletionUI();
 
     // Restore scroll position only if requested
@@ -206,6 +297,30 @@ async function addButton(event) {
 }
 
 
+/**
+ * Adds a new macro button to the current profile. The first step is taken from the button text input.
+ * @param {MouseEvent} [event] - The click event, used for visual feedback around the cursor.
+ */
+async function addMacroButton(event) {
+    const icon = document.getElementById('buttonIcon').value || '🔁';
+    const firstStepText = document.getElementById('buttonText').value || '';
+
+    currentProfile.customButtons.push({
+        icon: icon,
+        text: 'New Macro',
+        macro: true,
+        steps: [{ text: firstStepText }],
+        autoStartQueue: false
+    });
+
+    await saveCurrentProfile();
+    updatebuttonCardsList();
+    logToGUIConsole('Added new macro button');
+    showToast('Macro added', 'success');
+    if (event) showMouseEffect(event);
+}
+
+
 // Section for managing buttons and separators, where user can add, delete, move or update them.
 /**
  * Adds a separator to the current profile.
@@ -429,7 +544,7 @@ function handleDragStart(e) {
     // --- Veto Logic ---
     // Check if the drag gesture originated inside an interactive element.
     // If so, prevent the drag from starting to allow normal interaction (e.g., text selection).
-    if (dragOrigin?.closest('input, textarea, button, label')) {
+    if (dragOrigin?.closest('input, textarea, button, label, select')) {
         e.preventDefault();
         return;
     }
@@ -941,6 +1056,90 @@ function attachAutoSendToggleListeners() {
     });
 }
 
+/**
+ * Attaches listeners to insert mode selectors to update button settings.
+ * 'append' is the default, so it is stored by removing the property to keep profiles lean.
+ */
+function attachInsertModeListeners() {
+    const insertModeSelects = buttonCardsList.querySelectorAll('select.insert-mode-select');
+    insertModeSelects.forEach(select => {
+        select.addEventListener('change', () => {
+            const buttonItem = select.closest('.button-item');
+            const index = parseInt(buttonItem.dataset.index);
+            if (select.value === 'append') {
+                delete currentProfile.customButtons[index].insertMode;
+            } else {
+                currentProfile.customButtons[index].insertMode = select.value;
+            }
+            debouncedSaveCurrentProfile();
+            logToGUIConsole(`Updated insert mode for button at index ${index} to ${select.value}`);
+        });
+    });
+}
+
+/**
+ * Attaches listeners to the macro step editors (step text, add/remove step, "Start queue" toggle).
+ * Text edits use debouncedSaveCurrentProfile(); adding or removing a step saves and re-renders the list.
+ */
+function attachMacroStepListeners() {
+    const getMacroButton = (element) => {
+        const buttonItem = element.closest('.button-item');
+        const index = parseInt(buttonItem.dataset.index);
+        const button = currentProfile.customButtons[index];
+        if (!Array.isArray(button.steps)) {
+            button.steps = [];
+        }
+        return { button, index };
+    };
+
+    buttonCardsList.querySelectorAll('textarea.macro-step-input').forEach(stepInput => {
+        resizeVerticalTextarea(stepInput, true);
+        stepInput.addEventListener('input', () => {
+            resizeVerticalTextarea(stepInput);
+            const { button } = getMacroButton(stepInput);
+            const stepIndex = parseInt(stepInput.dataset.stepIndex);
+            button.steps[stepIndex] = { ...(button.steps[stepIndex] || {}), text: stepInput.value };
+            debouncedSaveCurrentProfile();
+        });
+    });
+
+    buttonCardsList.querySelectorAll('button.macro-step-remove').forEach(removeButton => {
+        removeButton.addEventListener('click', async () => {
+            const { button, index } = getMacroButton(removeButton);
+            const stepIndex = parseInt(removeButton.dataset.stepIndex);
+            button.steps.splice(stepIndex, 1);
+            await saveCurrentProfile();
+            updatebuttonCardsList();
+            logToGUIConsole(`Removed step ${stepIndex + 1} from macro at index ${index}`);
+        });
+    });
+
+    buttonCardsList.querySelectorAll('button.macro-step-add').forEach(addStepButton => {
+        addStepButton.addEventListener('click', async () => {
+            const { button, index } = getMacroButton(addStepButton);
+            button.steps.push({ text: '' });
+            await saveCurrentProfile();
+            await updatebuttonCardsList();
+            const newStepInput = buttonCardsList.querySelector(
+                `.button-item[data-index="${index}"] textarea.macro-step-input[data-step-index="${button.steps.length - 1}"]`
+            );
+            if (newStepInput) {
+                newStepInput.focus();
+            }
+            logToGUIConsole(`Added step ${button.steps.length} to macro at index ${index}`);
+        });
+    });
+
+    buttonCardsList.querySelectorAll('input.macro-autostart-toggle').forEach(toggle => {
+        toggle.addEventListener('change', () => {
+            const { button, index } = getMacroButton(toggle);
+            button.autoStartQueue = toggle.checked;
+            debouncedSaveCurrentProfile();
+            logToGUIConsole(`Updated queue auto-start for macro at index ${index} to ${toggle.checked}`);
+        });
+    });
+}
+
 /**
  * Automatically resizes textareas based on their content and attaches input listeners for saving.
  * Uses the resizeVerticalTextarea helper for resizing logic.
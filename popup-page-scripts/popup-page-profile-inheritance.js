@@ -0,0 +1,114 @@
+// popup-page-profile-inheritance.js
+// Version: 1.0
+// Handler script for the "Based on" row (inside Profile Management).
+// A profile based on another one gets the base profile's buttons and settings, flattened by the service worker
+// (modules/service-worker-profile-manager.js, Profile Inheritance). Inherited button cards are marked with ↳ by
+// popup-page-customButtons.js; editing one overrides it for this profile, deleting it hides it here.
+// renderProfileInheritance() is called by updateInterface() whenever the edited profile changes.
+
+'use strict';
+
+async function sendInheritanceMessage(message) {
+    const response = await chrome.runtime.sendMessage(message);
+    if (response && response.error) {
+        throw new Error(response.error);
+    }
+    return response || {};
+}
+
+async function renderProfileInheritance() {
+    const select = document.getElementById('profileParentSelect');
+    const restoreButton = document.getElementById('restoreHiddenProfileButtons');
+    const note = document.getElementById('profileInheritanceNote');
+    if (!select || !restoreButton || !note || !currentProfile) return;
+
+    const profileName = currentProfile.PROFILE_NAME;
+    try {
+        const [inheritance, profilesResponse] = await Promise.all([
+            sendInheritanceMessage({ type: 'getProfileInheritance', profileName }),
+            sendInheritanceMessage({ type: 'listProfiles' })
+        ]);
+        // A profile cannot be based on itself or on a profile that is based on it.
+        const excluded = new Set([profileName, ...(inheritance.descendants || [])]);
+        const candidates = (profilesResponse.profiles || []).filter(name => !excluded.has(name));
+
+        select.innerHTML = '';
+        const noneOption = document.createElement('option');
+        noneOption.value = '';
+        noneOption.textContent = 'Nothing (standalone)';
+        select.appendChild(noneOption);
+        candidates.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        select.value = inheritance.parentProfile || '';
+
+        const hiddenCount = inheritance.hiddenButtonCount || 0;
+        restoreButton.textContent = `Show ${hiddenCount} hidden base button${hiddenCount === 1 ? '' : 's'}`;
+        restoreButton.classList.toggle('is-hidden', hiddenCount === 0);
+
+        const childCount = (inheritance.descendants || []).length;
+        if (inheritance.parentProfile) {
+            note.textContent = `Buttons marked ↳ come from "${inheritance.parentProfile}" and follow its changes.`;
+        } else if (childCount > 0) {
+            note.textContent = `${childCount} profile${childCount === 1 ? ' is' : 's are'} based on this one and get its changes.`;
+        } else {
+            note.textContent = '';
+        }
+    } catch (error) {
+        logToGUIConsole(`Error loading the base profile of "${profileName}": ${error.message}`);
+    }
+}
+
+async function applyProfileInheritanceResult(response) {
+    if (response.config) {
+        currentProfile = response.config;
+        await updateInterface();
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const select = document.getElementById('profileParentSelect');
+    const restoreButton = document.getElementById('restoreHiddenProfileButtons');
+    if (!select || !restoreButton) return;
+
+    select.addEventListener('change', async () => {
+        const profileName = currentProfile.PROFILE_NAME;
+        const parentProfile = select.value || null;
+        if (!parentProfile && !confirm(`Stop basing "${profileName}" on another profile? It keeps its current buttons and settings as its own copy.`)) {
+            renderProfileInheritance();
+            return;
+        }
+        try {
+            const response = await sendInheritanceMessage({ type: 'setProfileParent', profileName, parentProfile });
+            await applyProfileInheritanceResult(response);
+            if (parentProfile) {
+                const adopted = response.adoptedCount || 0;
+                logToGUIConsole(`Profile "${profileName}" is now based on "${parentProfile}".`);
+                showToast(adopted > 0
+                    ? `Now based on "${parentProfile}". ${adopted} identical button${adopted === 1 ? '' : 's'} now come${adopted === 1 ? 's' : ''} from it.`
+                    : `Now based on "${parentProfile}".`, 'success');
+            } else {
+                logToGUIConsole(`Profile "${profileName}" is standalone again.`);
+                showToast('The profile is standalone again.', 'success');
+            }
+        } catch (error) {
+            logToGUIConsole(`Error changing the base profile: ${error.message}`);
+            showToast(error.message, 'error');
+            renderProfileInheritance();
+        }
+    });
+
+    restoreButton.addEventListener('click', async () => {
+        try {
+            const response = await sendInheritanceMessage({ type: 'restoreHiddenProfileButtons', profileName: currentProfile.PROFILE_NAME });
+            await applyProfileInheritanceResult(response);
+            logToGUIConsole(`Restored ${response.restored} hidden base buttons.`);
+        } catch (error) {
+            logToGUIConsole(`Error restoring hidden buttons: ${error.message}`);
+            showToast('Could not restore the hidden buttons.', 'error');
+        }
+    });
+});
@@ -0,0 +1,193 @@
+// popup-page-profile-rules.js
+// Version: 1.0
+// Handler script for the Site Rules subsection and the "Each chat tab keeps its own profile" toggle
+// (both inside Profile Management).
+// Each rule maps a hostname or URL pattern to a profile; chat tabs apply the most specific matching rule on
+// load, navigation and when they become visible (init.js, applyProfileRuleForPage). Rules are stored by the
+// service worker under 'profileRules' (modules/service-worker-profile-manager.js).
+
+'use strict';
+
+let profileRules = [];
+let profileRuleProfileNames = [];
+
+async function sendProfileMessage(message) {
+    const response = await chrome.runtime.sendMessage(message);
+    if (response && response.error) {
+        throw new Error(response.error);
+    }
+    return response || {};
+}
+
+// Fills a <select> with the known profiles; a rule pointing to a deleted profile keeps its name as an extra option.
+function fillProfileRuleSelect(select, selectedName) {
+    select.innerHTML = '';
+    const names = profileRuleProfileNames.slice();
+    if (selectedName && !names.includes(selectedName)) {
+        names.push(selectedName);
+    }
+    names.forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = profileRuleProfileNames.includes(name) ? name : `${name} (missing)`;
+        select.appendChild(option);
+    });
+    if (selectedName) {
+        select.value = selectedName;
+    }
+}
+
+async function saveProfileRulesFromPopup(rules) {
+    const response = await sendProfileMessage({ type: 'saveProfileRules', rules });
+    profileRules = Array.isArray(response.rules) ? response.rules : rules;
+    renderProfileRulesList();
+}
+
+function renderProfileRulesList() {
+    const listDiv = document.getElementById('profileRulesList');
+    const emptyMessage = listDiv?.querySelector('.empty-message');
+    if (!listDiv || !emptyMessage) return;
+
+    listDiv.querySelectorAll('.floating-site-item').forEach(item => item.remove());
+    emptyMessage.classList.toggle('is-hidden', profileRules.length > 0);
+
+    profileRules.forEach((rule, index) => {
+        const item = document.createElement('div');
+        item.className = 'floating-site-item profile-rule-item';
+        const isBroken = !profileRuleProfileNames.includes(rule.profileName);
+        item.classList.toggle('is-broken', isBroken);
+        item.title = isBroken
+            ? `The profile "${rule.profileName}" no longer exists; matching pages keep their current profile.`
+            : `Pages matching ${rule.pattern} use the profile "${rule.profileName}".`;
+
+        const pattern = document.createElement('code');
+        pattern.textContent = rule.pattern;
+
+        const select = document.createElement('select');
+        fillProfileRuleSelect(select, rule.profileName);
+        select.addEventListener('change', async () => {
+            const updated = profileRules.map((entry, i) => (i === index ? { ...entry, profileName: select.value } : entry));
+            try {
+                await saveProfileRulesFromPopup(updated);
+                logToGUIConsole(`Site rule ${rule.pattern} now uses profile "${select.value}".`);
+            } catch (error) {
+                logToGUIConsole(`Error saving site rule: ${error.message}`);
+                showToast('Could not save the site rule.', 'error');
+            }
+        });
+
+        const deleteButton = document.createElement('button');
+        deleteButton.className = 'danger small';
+        deleteButton.textContent = 'Delete';
+        deleteButton.addEventListener('click', async () => {
+            try {
+                await saveProfileRulesFromPopup(profileRules.filter((entry, i) => i !== index));
+                logToGUIConsole(`Deleted site rule ${rule.pattern}.`);
+            } catch (error) {
+                logToGUIConsole(`Error deleting site rule: ${error.message}`);
+                showToast('Could not delete the site rule.', 'error');
+            }
+        });
+
+        item.append(pattern, select, deleteButton);
+        listDiv.appendChild(item);
+    });
+
+    const addSelect = document.getElementById('profileRuleProfile');
+    if (addSelect) {
+        const previous = addSelect.value;
+        fillProfileRuleSelect(addSelect, profileRuleProfileNames.includes(previous) ? previous : '');
+    }
+}
+
+async function loadProfileRules() {
+    try {
+        const [rulesResponse, profilesResponse] = await Promise.all([
+            sendProfileMessage({ type: 'getProfileRules' }),
+            sendProfileMessage({ type: 'listProfiles' })
+        ]);
+        profileRules = Array.isArray(rulesResponse.rules) ? rulesResponse.rules : [];
+        profileRuleProfileNames = Array.isArray(profilesResponse.profiles) ? profilesResponse.profiles : [];
+    } catch (error) {
+        logToGUIConsole(`Error loading site rules: ${error.message}`);
+        profileRules = [];
+    }
+    renderProfileRulesList();
+}
+
+async function addProfileRuleFromInputs() {
+    const patternInput = document.getElementById('profileRulePattern');
+    const profileSelect = document.getElementById('profileRuleProfile');
+    // Pasted URLs are fine: the service worker drops the scheme and lowercases the pattern.
+    const pattern = patternInput.value.trim();
+    const profileName = profileSelect.value;
+    if (!pattern) {
+        showToast('Enter a hostname or URL for the rule.', 'error');
+        return;
+    }
+    if (!profileName) {
+        showToast('Choose the profile for this rule.', 'error');
+        return;
+    }
+    const normalizedInput = pattern.replace(/^[a-z]+:\/\//i, '').toLowerCase();
+    const others = profileRules.filter(rule => rule.pattern !== normalizedInput);
+    if (others.length !== profileRules.length && !confirm(`Replace the existing rule for ${normalizedInput}?`)) {
+        return;
+    }
+    try {
+        await saveProfileRulesFromPopup(others.concat({ pattern, profileName }));
+        patternInput.value = '';
+        logToGUIConsole(`Added site rule ${normalizedInput} → "${profileName}".`);
+        showToast('Site rule saved.', 'success');
+    } catch (error) {
+        logToGUIConsole(`Error adding site rule: ${error.message}`);
+        showToast('Could not save the site rule.', 'error');
+    }
+}
+
+// Per-tab profiles: the popup keeps editing the global profile, which new tabs start with.
+async function initProfilePerTabToggle() {
+    const toggle = document.getElementById('profilePerTabToggle');
+    if (!toggle) return;
+    try {
+        const response = await sendProfileMessage({ type: 'getProfileScope' });
+        toggle.checked = response.scope === 'tab';
+    } catch (error) {
+        logToGUIConsole(`Error loading the profile scope: ${error.message}`);
+    }
+    toggle.addEventListener('change', async () => {
+        try {
+            const response = await sendProfileMessage({ type: 'setProfileScope', scope: toggle.checked ? 'tab' : 'global' });
+            logToGUIConsole(`Profile scope set to ${response.scope === 'tab' ? 'per tab' : 'all tabs'}.`);
+            showToast(response.scope === 'tab'
+                ? 'Chat tabs now keep the profile picked in them.'
+                : 'All chat tabs use the profile selected here again.', 'success');
+        } catch (error) {
+            toggle.checked = !toggle.checked;
+            logToGUIConsole(`Error saving the profile scope: ${error.message}`);
+            showToast('Could not change the profile scope.', 'error');
+        }
+    });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    initProfilePerTabToggle();
+    const addButton = document.getElementById('addProfileRule');
+    const patternInput = document.getElementById('profileRulePattern');
+    if (!addButton || !patternInput) return;
+
+    addButton.addEventListener('click', addProfileRuleFromInputs);
+    patternInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            addProfileRuleFromInputs();
+        }
+    });
+
+    // Profiles are added, copied and deleted by popup-page-profiles.js, which rebuilds #profileSelect each time.
+    const profileSelect = document.getElementById('profileSelect');
+    if (profileSelect) {
+        new MutationObserver(() => loadProfileRules()).observe(profileSelect, { childList: true });
+    }
+    loadProfileRules();
+});
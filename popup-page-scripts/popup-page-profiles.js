@@ -15,7 +15,13 @@ const minimalDefaultConfig = {
     customButtons: [], // No buttons or separators
     queueRandomizeEnabled: false,
     queueRandomizePercent: 5,
-    queueHideActivationToggle: false
+    queueHideActivationToggle: false,
+    queuePacingMode: 'delay',
+    queueResponseSettleSeconds: 5,
+    queueRetryMaxAttempts: 0,
+    queueRetryBackoffSeconds: 10,
+    queueRetryBackoffMode: 'exponential',
+    queuePresets: []
 };
 
 // -------------------------
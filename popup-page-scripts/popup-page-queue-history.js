@@ -0,0 +1,131 @@
+// popup-page-queue-history.js
+// Version: 1.0
+// Handler script for the Queue Run History subsection (inside Floating Window Settings).
+// Entries are recorded by the floating panel queue engine and stored by the service worker;
+// formatting/export helpers live in modules/queue-history-export.js.
+
+'use strict';
+
+const QUEUE_HISTORY_POPUP_STATUS_ICONS = {
+    sent: '✅',
+    blocked_by_stop: '⛔',
+    not_found: '❓',
+    failed: '❌'
+};
+
+// Fetches the stored history from the service worker.
+async function fetchQueueHistoryEntries() {
+    const response = await chrome.runtime.sendMessage({ type: 'getQueueHistory' });
+    if (response && response.error) {
+        throw new Error(response.error);
+    }
+    return Array.isArray(response?.entries) ? response.entries : [];
+}
+
+// Renders all stored entries, newest first.
+async function populateQueueHistoryList() {
+    const listDiv = document.getElementById('queueHistoryList');
+    const emptyMessage = listDiv?.querySelector('.empty-message');
+    if (!listDiv || !emptyMessage) return;
+
+    listDiv.querySelectorAll('.queue-history-item').forEach(item => item.remove());
+
+    try {
+        const entries = await fetchQueueHistoryEntries();
+        if (entries.length === 0) {
+            emptyMessage.classList.remove('is-hidden');
+            return;
+        }
+        emptyMessage.classList.add('is-hidden');
+
+        entries.slice().reverse().forEach(entry => {
+            const row = document.createElement('div');
+            row.className = 'queue-history-item';
+            row.title = `${new Date(entry.startedAt).toLocaleString()} on ${entry.hostname}\n` +
+                `Status: ${entry.status}${entry.reason ? ` (${entry.reason})` : ''}` +
+                `${entry.profileName ? `\nProfile: ${entry.profileName}` : ''}\n\n${entry.text}`;
+
+            const status = document.createElement('span');
+            status.textContent = QUEUE_HISTORY_POPUP_STATUS_ICONS[entry.status] || '❔';
+
+            const time = document.createElement('span');
+            time.className = 'queue-history-time';
+            time.textContent = new Date(entry.startedAt).toLocaleString();
+
+            const host = document.createElement('span');
+            host.className = 'queue-history-time';
+            host.textContent = entry.hostname;
+
+            const text = document.createElement('span');
+            text.className = 'queue-history-text';
+            text.textContent = `${entry.icon ? entry.icon + ' ' : ''}${entry.text}`;
+
+            row.append(status, time, host, text);
+            listDiv.appendChild(row);
+        });
+    } catch (error) {
+        window.logToGUIConsole(`Error loading queue history: ${error.message}`);
+        window.showToast(`Error: ${error.message}`, 'error');
+    }
+}
+
+// Downloads the full history in the requested format ('json' | 'csv').
+async function exportQueueHistoryFromPopup(format) {
+    try {
+        const entries = await fetchQueueHistoryEntries();
+        if (entries.length === 0) {
+            window.showToast('Queue history is empty. Nothing to export.', 'info');
+            return;
+        }
+        window.OCPQueueHistoryExport.download(entries, format);
+        window.logToGUIConsole(`Exported ${entries.length} queue history entries as ${format.toUpperCase()}.`);
+    } catch (error) {
+        window.logToGUIConsole(`Error exporting queue history: ${error.message}`);
+        window.showToast(`Failed to export queue history: ${error.message}`, 'error');
+    }
+}
+
+async function clearQueueHistoryFromPopup() {
+    if (!confirm('Are you sure you want to delete the whole queue run history?')) {
+        return;
+    }
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'clearQueueHistory' });
+        if (response && response.success) {
+            window.logToGUIConsole('Queue run history cleared.');
+            window.showToast('Queue history cleared.', 'success');
+            await populateQueueHistoryList();
+        } else {
+            const errorMsg = response && response.error ? response.error : 'Unknown error';
+            window.showToast(`Failed to clear queue history: ${errorMsg}`, 'error');
+        }
+    } catch (error) {
+        window.logToGUIConsole(`Error clearing queue history: ${error.message}`);
+        window.showToast(`Failed to clear queue history: ${error.message}`, 'error');
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const floatingWindowSection = document.getElementById('floatingWindowSettingsSection');
+    const listDiv = document.getElementById('queueHistoryList');
+    if (!floatingWindowSection || !listDiv) {
+        console.error('Queue history elements not found.');
+        return;
+    }
+
+    // Load only when the section is expanded (same approach as the floating window sites list).
+    const observer = new MutationObserver(() => {
+        if (floatingWindowSection.classList.contains('expanded')) {
+            populateQueueHistoryList();
+        }
+    });
+    observer.observe(floatingWindowSection, {
+        attributes: true,
+        attributeFilter: ['class']
+    });
+
+    document.getElementById('queueHistoryRefresh')?.addEventListener('click', populateQueueHistoryList);
+    document.getElementById('queueHistoryExportJson')?.addEventListener('click', () => exportQueueHistoryFromPopup('json'));
+    document.getElementById('queueHistoryExportCsv')?.addEventListener('click', () => exportQueueHistoryFromPopup('csv'));
+    document.getElementById('queueHistoryClear')?.addEventListener('click', clearQueueHistoryFromPopup);
+});
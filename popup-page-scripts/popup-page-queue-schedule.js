@@ -0,0 +1,135 @@
+// popup-page-queue-schedule.js
+// Version: 1.0
+// Handler script for the Scheduled Queue Starts subsection (inside Floating Window Settings).
+// Schedules are armed in the floating panel (⏰ button) and saved with the tab's queue session;
+// the service worker lists them and forwards cancellations to the owning tab.
+
+'use strict';
+
+let queueScheduleCountdownTimer = null;
+
+// Formats the time left until a scheduled start, e.g. "in 1h 05m" / "in 4m 10s" / "now".
+function formatQueueScheduleCountdown(startAt) {
+    const remainingSec = Math.max(0, Math.round((startAt - Date.now()) / 1000));
+    if (remainingSec === 0) {
+        return 'now';
+    }
+    const hours = Math.floor(remainingSec / 3600);
+    const minutes = Math.floor((remainingSec % 3600) / 60);
+    const seconds = remainingSec % 60;
+    if (hours > 0) {
+        return `in ${hours}h ${String(minutes).padStart(2, '0')}m`;
+    }
+    return `in ${minutes}m ${String(seconds).padStart(2, '0')}s`;
+}
+
+// Refreshes only the countdown labels; the list itself is rebuilt by populateQueueScheduleList.
+function updateQueueScheduleCountdowns() {
+    document.querySelectorAll('#queueScheduleList .queue-schedule-countdown').forEach(label => {
+        label.textContent = formatQueueScheduleCountdown(Number(label.dataset.startAt));
+    });
+}
+
+async function populateQueueScheduleList() {
+    const listDiv = document.getElementById('queueScheduleList');
+    const emptyMessage = listDiv?.querySelector('.empty-message');
+    if (!listDiv || !emptyMessage) return;
+
+    listDiv.querySelectorAll('.floating-site-item').forEach(item => item.remove());
+
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'listScheduledQueueStarts' });
+        if (response && response.error) {
+            throw new Error(response.error);
+        }
+        const schedules = Array.isArray(response?.schedules) ? response.schedules : [];
+        if (schedules.length === 0) {
+            emptyMessage.classList.remove('is-hidden');
+            return;
+        }
+        emptyMessage.classList.add('is-hidden');
+
+        schedules.forEach(schedule => {
+            const item = document.createElement('div');
+            item.className = 'floating-site-item';
+            item.title = schedule.url || schedule.hostname;
+
+            const label = document.createElement('span');
+            const when = new Date(schedule.scheduledStartAt).toLocaleString();
+            label.textContent = `${schedule.hostname}: ${schedule.itemCount} prompt${schedule.itemCount === 1 ? '' : 's'} at ${when} `;
+
+            const countdown = document.createElement('small');
+            countdown.className = 'queue-schedule-countdown';
+            countdown.dataset.startAt = String(schedule.scheduledStartAt);
+            countdown.textContent = formatQueueScheduleCountdown(schedule.scheduledStartAt);
+            label.appendChild(countdown);
+
+            const cancelButton = document.createElement('button');
+            cancelButton.className = 'danger small';
+            cancelButton.textContent = 'Cancel';
+            cancelButton.dataset.tabId = String(schedule.tabId);
+            cancelButton.dataset.hostname = schedule.hostname;
+
+            item.append(label, cancelButton);
+            listDiv.appendChild(item);
+        });
+    } catch (error) {
+        window.logToGUIConsole(`Error loading scheduled queue starts: ${error.message}`);
+        window.showToast(`Error: ${error.message}`, 'error');
+    }
+}
+
+async function cancelScheduledQueueStartFromPopup(tabId, hostname) {
+    try {
+        const response = await chrome.runtime.sendMessage({ type: 'cancelScheduledQueueStart', tabId, hostname });
+        if (response && response.success) {
+            window.logToGUIConsole(`Cancelled scheduled queue start on ${hostname}.`);
+            window.showToast(response.tabNotified
+                ? `Scheduled start on ${hostname} cancelled.`
+                : `Scheduled start on ${hostname} removed (the tab could not be reached).`, 'success');
+        } else {
+            const errorMsg = response && response.error ? response.error : 'Unknown error';
+            window.showToast(`Failed to cancel scheduled start: ${errorMsg}`, 'error');
+        }
+    } catch (error) {
+        window.logToGUIConsole(`Error cancelling scheduled queue start: ${error.message}`);
+        window.showToast(`Failed to cancel scheduled start: ${error.message}`, 'error');
+    }
+    await populateQueueScheduleList();
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const floatingWindowSection = document.getElementById('floatingWindowSettingsSection');
+    const listDiv = document.getElementById('queueScheduleList');
+    if (!floatingWindowSection || !listDiv) {
+        console.error('Scheduled queue start elements not found.');
+        return;
+    }
+
+    // Load when the section expands; tick the countdowns only while it is open.
+    const observer = new MutationObserver(() => {
+        if (floatingWindowSection.classList.contains('expanded')) {
+            populateQueueScheduleList();
+            if (!queueScheduleCountdownTimer) {
+                queueScheduleCountdownTimer = setInterval(updateQueueScheduleCountdowns, 1000);
+            }
+        } else if (queueScheduleCountdownTimer) {
+            clearInterval(queueScheduleCountdownTimer);
+            queueScheduleCountdownTimer = null;
+        }
+    });
+    observer.observe(floatingWindowSection, {
+        attributes: true,
+        attributeFilter: ['class']
+    });
+
+    listDiv.addEventListener('click', (e) => {
+        if (e.target.matches('button.small.danger')) {
+            const tabId = Number(e.target.dataset.tabId);
+            const hostname = e.target.dataset.hostname;
+            if (Number.isInteger(tabId) && hostname) {
+                cancelScheduledQueueStartFromPopup(tabId, hostname);
+            }
+        }
+    });
+});
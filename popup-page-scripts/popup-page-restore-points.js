@@ -0,0 +1,148 @@
+// popup-page-restore-points.js
+// Version: 1.0
+// Handler script for the Restore points list in Backup & Restore.
+// Restore points are full backups the service worker keeps on its own (modules/service-worker-backup.js):
+// periodically, before destructive actions (deleting a profile, clearing storage, resetting selectors, restoring
+// a backup, overwriting or merging a profile by import) and when the user clicks "Create restore point".
+// The list reloads whenever 'snapshots.index' changes, so snapshots taken by other actions show up right away.
+
+'use strict';
+
+const RESTORE_POINT_TRIGGER_LABELS = {
+    periodic: 'Automatic',
+    manual: 'Created by you',
+    automatic: 'Safety copy'
+};
+
+async function sendRestorePointMessage(message) {
+    const response = await chrome.runtime.sendMessage(message);
+    if (!response || response.error) {
+        throw new Error(response?.error || 'No response from the extension.');
+    }
+    return response;
+}
+
+/**
+ * Asks the service worker for a restore point before the popup changes data on its own (import overwrite/merge).
+ * Failures are only logged; the action the user asked for still goes ahead.
+ * @param {string} reason
+ */
+async function takeRestorePoint(reason) {
+    try {
+        await sendRestorePointMessage({ type: 'createSnapshot', reason });
+    } catch (error) {
+        logToGUIConsole(`Could not create a restore point: ${error.message}`);
+    }
+}
+
+function renderRestorePointsList(snapshots) {
+    const listDiv = document.getElementById('restorePointsList');
+    const emptyMessage = listDiv?.querySelector('.empty-message');
+    if (!listDiv || !emptyMessage) return;
+
+    listDiv.querySelectorAll('.floating-site-item').forEach(item => item.remove());
+    emptyMessage.classList.toggle('is-hidden', snapshots.length > 0);
+
+    snapshots.forEach(snapshot => {
+        const createdAt = new Date(snapshot.createdAt);
+        const item = document.createElement('div');
+        item.className = 'floating-site-item restore-point-item';
+        item.title = `${RESTORE_POINT_TRIGGER_LABELS[snapshot.trigger] || 'Restore point'}: ${snapshot.reason}`;
+
+        const label = document.createElement('span');
+        label.className = 'restore-point-label';
+        const date = document.createElement('strong');
+        date.textContent = createdAt.toLocaleString();
+        const details = document.createElement('small');
+        details.textContent = `${snapshot.reason} · ${snapshot.profileCount} profile${snapshot.profileCount === 1 ? '' : 's'}`;
+        label.append(date, details);
+
+        const restoreButton = document.createElement('button');
+        restoreButton.className = 'small';
+        restoreButton.textContent = 'Restore';
+        restoreButton.addEventListener('click', () => restoreRestorePoint(snapshot, createdAt));
+
+        const downloadButton = document.createElement('button');
+        downloadButton.className = 'small';
+        downloadButton.textContent = '⤓';
+        downloadButton.title = 'Download as a full backup file (restore single parts with "Restore Full Backup")';
+        downloadButton.addEventListener('click', () => downloadRestorePoint(snapshot, createdAt));
+
+        const deleteButton = document.createElement('button');
+        deleteButton.className = 'danger small';
+        deleteButton.textContent = 'Delete';
+        deleteButton.addEventListener('click', async () => {
+            try {
+                await sendRestorePointMessage({ type: 'deleteSnapshot', id: snapshot.id });
+                logToGUIConsole(`Deleted the restore point from ${createdAt.toLocaleString()}.`);
+            } catch (error) {
+                logToGUIConsole(`Error deleting the restore point: ${error.message}`);
+                showToast('Could not delete the restore point.', 'error');
+            }
+        });
+
+        item.append(label, restoreButton, downloadButton, deleteButton);
+        listDiv.appendChild(item);
+    });
+}
+
+async function loadRestorePoints() {
+    try {
+        const response = await sendRestorePointMessage({ type: 'listSnapshots' });
+        renderRestorePointsList(Array.isArray(response.snapshots) ? response.snapshots : []);
+    } catch (error) {
+        logToGUIConsole(`Error loading restore points: ${error.message}`);
+        renderRestorePointsList([]);
+    }
+}
+
+async function restoreRestorePoint(snapshot, createdAt) {
+    const message = `Restore profiles and settings from ${createdAt.toLocaleString()}?\n\n` +
+        'Profiles in this restore point replace your current versions, profiles created since then are kept, ' +
+        'and all settings go back to that time. Your current state is saved as a new restore point first.';
+    if (!confirm(message)) {
+        return;
+    }
+    try {
+        const result = await sendRestorePointMessage({ type: 'restoreSnapshot', id: snapshot.id });
+        logToGUIConsole(`Restored the restore point from ${createdAt.toLocaleString()} (${result.profileCount || 0} profiles).`);
+        showToast('Restore point restored. Reloading the settings…', 'success');
+        setTimeout(() => window.location.reload(), 1500);
+    } catch (error) {
+        logToGUIConsole(`Error restoring the restore point: ${error.message}`);
+        showToast(`Restore failed: ${error.message}`, 'error');
+    }
+}
+
+async function downloadRestorePoint(snapshot, createdAt) {
+    try {
+        const response = await sendRestorePointMessage({ type: 'getSnapshot', id: snapshot.id });
+        const date = createdAt.toISOString().slice(0, 16).replace(/[:T]/g, '-');
+        downloadJsonFile(JSON.stringify(response.backup, null, 2), `OneClickPrompts_restore_point_${date}.json`);
+        logToGUIConsole(`Downloaded the restore point from ${createdAt.toLocaleString()}.`);
+    } catch (error) {
+        logToGUIConsole(`Error downloading the restore point: ${error.message}`);
+        showToast('Could not download the restore point.', 'error');
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (!document.getElementById('restorePointsList')) return;
+    loadRestorePoints();
+
+    document.getElementById('createRestorePoint').addEventListener('click', async () => {
+        try {
+            await sendRestorePointMessage({ type: 'createSnapshot', reason: 'Created by hand', trigger: 'manual' });
+            showToast('Restore point created.', 'success');
+        } catch (error) {
+            logToGUIConsole(`Error creating a restore point: ${error.message}`);
+            showToast('Could not create the restore point.', 'error');
+        }
+    });
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes['snapshots.index']) {
+            loadRestorePoints();
+        }
+    });
+});
@@ -45,6 +45,14 @@ const queueHideActivationToggleEl = document.getElementById('queueHideActivation
 const queueRandomizeEnabledEl = document.getElementById('queueRandomizeEnabled');
 const queueRandomizePercentInput = document.getElementById('queueRandomizePercent');
 const queueRandomizePercentRow = document.getElementById('queueRandomizePercentRow');
+const queueWaitForResponseEl = document.getElementById('queueWaitForResponse');
+const queueResponseSettleInput = document.getElementById('queueResponseSettleSeconds');
+const queueResponseSettleRow = document.getElementById('queueResponseSettleRow');
+const queueRetryMaxAttemptsInput = document.getElementById('queueRetryMaxAttempts');
+const queueRetryOptionsEl = document.getElementById('queueRetryOptions');
+const queueRetryBackoffInput = document.getElementById('queueRetryBackoffSeconds');
+const queueRetryBackoffModeSelect = document.getElementById('queueRetryBackoffMode');
+const queueRetryReasonInputs = document.querySelectorAll('#queueRetryReasonsRow input[data-retry-reason]');
 
 // -------------------------
 // Debounced Save Function
@@ -115,6 +123,35 @@ function updateQueueSettingsUIFromProfile() {
         queueRandomizePercentInput.value = randomizePercent;
     }
     toggleQueueRandomizePercentRow(randomizeEnabled);
+
+    const waitForResponse = currentProfile.queuePacingMode === 'response';
+    if (queueWaitForResponseEl) {
+        queueWaitForResponseEl.checked = waitForResponse;
+    }
+    if (queueResponseSettleInput) {
+        queueResponseSettleInput.value = sanitizeQueueResponseSettleSeconds(Number(currentProfile.queueResponseSettleSeconds));
+    }
+    if (queueResponseSettleRow) {
+        queueResponseSettleRow.classList.toggle('is-hidden', !waitForResponse);
+    }
+
+    const retryAttempts = sanitizeQueueRetryMaxAttempts(Number(currentProfile.queueRetryMaxAttempts));
+    if (queueRetryMaxAttemptsInput) {
+        queueRetryMaxAttemptsInput.value = retryAttempts;
+    }
+    if (queueRetryOptionsEl) {
+        queueRetryOptionsEl.classList.toggle('is-hidden', retryAttempts === 0);
+    }
+    if (queueRetryBackoffInput) {
+        queueRetryBackoffInput.value = sanitizeQueueRetryBackoffSeconds(Number(currentProfile.queueRetryBackoffSeconds));
+    }
+    if (queueRetryBackoffModeSelect) {
+        queueRetryBackoffModeSelect.value = currentProfile.queueRetryBackoffMode === 'fixed' ? 'fixed' : 'exponential';
+    }
+    const retryReasons = Array.isArray(currentProfile.queueRetryReasons) ? currentProfile.queueRetryReasons : [];
+    queueRetryReasonInputs.forEach(input => {
+        input.checked = retryReasons.includes(input.dataset.retryReason);
+    });
 }
 
 /**
@@ -209,6 +246,114 @@ function handleQueueRandomizePercentChange(event) {
     logToGUIConsole(`Random delay offset set to ${parsedValue}% of base delay.`);
 }
 
+/**
+ * Parses and clamps the response settle time between 1 and 600 seconds.
+ * @param {number} value
+ * @returns {number}
+ */
+function sanitizeQueueResponseSettleSeconds(value) {
+    if (!Number.isFinite(value)) {
+        return 5;
+    }
+    return Math.min(600, Math.max(1, Math.round(value)));
+}
+
+/**
+ * Handles the "wait for the AI to finish answering" pacing toggle.
+ */
+function handleQueueWaitForResponseChange(event) {
+    if (!currentProfile) return;
+    const enabled = event.target.checked;
+    currentProfile.queuePacingMode = enabled ? 'response' : 'delay';
+    if (enabled && !Number.isFinite(currentProfile.queueResponseSettleSeconds)) {
+        currentProfile.queueResponseSettleSeconds = 5;
+    }
+    if (queueResponseSettleRow) {
+        queueResponseSettleRow.classList.toggle('is-hidden', !enabled);
+    }
+    debouncedSaveCurrentProfile();
+    logToGUIConsole(`Queue pacing set to ${enabled ? 'wait for response' : 'fixed delay'}.`);
+    showToast(enabled ? 'Queue waits for the answer before the next prompt.' : 'Queue uses the fixed delay.', 'success');
+}
+
+/**
+ * Handles changes to the response settle time input.
+ */
+function handleQueueResponseSettleChange(event) {
+    if (!currentProfile) return;
+    const parsedValue = sanitizeQueueResponseSettleSeconds(parseInt(event.target.value, 10));
+    currentProfile.queueResponseSettleSeconds = parsedValue;
+    queueResponseSettleInput.value = parsedValue;
+    debouncedSaveCurrentProfile();
+    logToGUIConsole(`Queue settle time after answers set to ${parsedValue}s.`);
+}
+
+/**
+ * Parses and clamps the retry attempts between 0 (off) and 10.
+ * @param {number} value
+ * @returns {number}
+ */
+function sanitizeQueueRetryMaxAttempts(value) {
+    if (!Number.isFinite(value)) {
+        return 0;
+    }
+    return Math.min(10, Math.max(0, Math.round(value)));
+}
+
+/**
+ * Parses and clamps the retry wait between 1 and 3600 seconds.
+ * @param {number} value
+ * @returns {number}
+ */
+function sanitizeQueueRetryBackoffSeconds(value) {
+    if (!Number.isFinite(value)) {
+        return 10;
+    }
+    return Math.min(3600, Math.max(1, Math.round(value)));
+}
+
+/**
+ * Handles changes to the retry attempts input.
+ */
+function handleQueueRetryMaxAttemptsChange(event) {
+    if (!currentProfile) return;
+    const parsedValue = sanitizeQueueRetryMaxAttempts(parseInt(event.target.value, 10));
+    currentProfile.queueRetryMaxAttempts = parsedValue;
+    queueRetryMaxAttemptsInput.value = parsedValue;
+    if (queueRetryOptionsEl) {
+        queueRetryOptionsEl.classList.toggle('is-hidden', parsedValue === 0);
+    }
+    debouncedSaveCurrentProfile();
+    logToGUIConsole(parsedValue === 0
+        ? 'Queue retries disabled: failed sends pause the queue.'
+        : `Failed queue sends are retried up to ${parsedValue} times.`);
+}
+
+/**
+ * Handles changes to the retry wait input and the backoff mode select.
+ */
+function handleQueueRetryBackoffChange() {
+    if (!currentProfile) return;
+    const seconds = sanitizeQueueRetryBackoffSeconds(parseInt(queueRetryBackoffInput.value, 10));
+    currentProfile.queueRetryBackoffSeconds = seconds;
+    currentProfile.queueRetryBackoffMode = queueRetryBackoffModeSelect.value === 'fixed' ? 'fixed' : 'exponential';
+    queueRetryBackoffInput.value = seconds;
+    debouncedSaveCurrentProfile();
+    logToGUIConsole(`Queue retry wait set to ${seconds}s (${currentProfile.queueRetryBackoffMode}).`);
+}
+
+/**
+ * Stores the checked retry reasons.
+ */
+function handleQueueRetryReasonsChange() {
+    if (!currentProfile) return;
+    currentProfile.queueRetryReasons = Array.from(queueRetryReasonInputs)
+        .filter(input => input.checked)
+        .map(input => input.dataset.retryReason);
+    debouncedSaveCurrentProfile();
+    logToGUIConsole(`Queue retries apply to: ${currentProfile.queueRetryReasons.join(', ') || 'no reasons'}.`);
+}
+
 /**
  * Reverts the current profile to default settings.
  */
@@ -244,6 +389,16 @@ async function revertToDefault() {
  */
 async function saveCurrentProfile() {
     try {
+        // Profiles based on this one refer to its buttons by id; give new buttons theirs before the first save,
+        // so the id stays the same for as long as this page keeps editing them.
+        const seenButtonIds = new Set();
+        (currentProfile.customButtons || []).forEach(button => {
+            if (!button || typeof button !== 'object') return;
+            if (!button.id || seenButtonIds.has(button.id)) {
+                button.id = `btn-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+            }
+            seenButtonIds.add(button.id);
+        });
         await chrome.runtime.sendMessage({
             type: 'saveConfig',
             profileName: currentProfile.PROFILE_NAME,
@@ -306,6 +461,7 @@ async function updateInterface(anchorElement = null) {
     }
 
     updateQueueSettingsUIFromProfile();
+    renderProfileInheritance();
 
     // Restore anchor position relative to viewport AFTER update
     if (anchorElement) {
@@ -441,6 +597,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
 
     }
+    document.getElementById('addMacroButton').addEventListener('click', e => addMacroButton(e));
 
     // Settings
     document.getElementById('autoSendToggle').addEventListener('change', updateGlobalSettings);
@@ -455,6 +612,22 @@ document.addEventListener('DOMContentLoaded', () => {
     if (queueRandomizePercentInput) {
         queueRandomizePercentInput.addEventListener('change', handleQueueRandomizePercentChange);
     }
+    if (queueWaitForResponseEl) {
+        queueWaitForResponseEl.addEventListener('change', handleQueueWaitForResponseChange);
+    }
+    if (queueResponseSettleInput) {
+        queueResponseSettleInput.addEventListener('change', handleQueueResponseSettleChange);
+    }
+    if (queueRetryMaxAttemptsInput) {
+        queueRetryMaxAttemptsInput.addEventListener('change', handleQueueRetryMaxAttemptsChange);
+    }
+    if (queueRetryBackoffInput && queueRetryBackoffModeSelect) {
+        queueRetryBackoffInput.addEventListener('change', handleQueueRetryBackoffChange);
+        queueRetryBackoffModeSelect.addEventListener('change', handleQueueRetryBackoffChange);
+    }
+    queueRetryReasonInputs.forEach(input => {
+        input.addEventListener('change', handleQueueRetryReasonsChange);
+    });
 
     // Drag and drop events - implementation in popup-page-customButtons.js
     // We use a two-phase check to allow dragging the whole card while preventing
@@ -494,6 +667,8 @@ document.addEventListener('DOMContentLoaded', () => {
     textareaSaverAndResizerFunc();
     attachEmojiInputListeners();
     attachAutoSendToggleListeners();
+    attachInsertModeListeners();
+    attachMacroStepListeners();
     // Call the function for your specific textarea by ID
     textareaInputAreaResizerFun('buttonText');
 
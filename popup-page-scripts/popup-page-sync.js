@@ -0,0 +1,99 @@
+// popup-page-sync.js
+// Version: 1.0
+// Handler script for "Sync between computers" in Backup & Restore.
+// The sync itself runs in the service worker (modules/service-worker-sync.js); this page only switches it on/off,
+// chooses whether settings are included, triggers "Sync now" and shows the status. The status reloads whenever
+// 'sync.state' changes, so runs started by the service worker show up right away.
+
+'use strict';
+
+async function sendSyncMessage(message) {
+    const response = await chrome.runtime.sendMessage(message);
+    if (!response || response.error) {
+        throw new Error(response?.error || 'No response from the extension.');
+    }
+    return response.status;
+}
+
+function renderSyncStatus(status) {
+    const enabledToggle = document.getElementById('syncEnabledToggle');
+    const settingsToggle = document.getElementById('syncSettingsToggle');
+    const statusLine = document.getElementById('syncStatus');
+    const syncButton = document.getElementById('syncNow');
+
+    enabledToggle.checked = status.enabled;
+    settingsToggle.checked = status.includeSettings;
+    settingsToggle.disabled = !status.enabled;
+    syncButton.disabled = !status.enabled;
+    statusLine.classList.toggle('is-error', !!(status.enabled && status.lastError));
+
+    if (!status.enabled) {
+        statusLine.textContent = 'Sync is off.';
+    } else if (status.lastError) {
+        statusLine.textContent = `Last sync failed: ${status.lastError}`;
+    } else if (status.lastSyncAt) {
+        const usage = status.bytesInUse !== null ? ` · ${Math.ceil(status.bytesInUse / 1024)} KB of about 100 KB used` : '';
+        statusLine.textContent = `Last synced ${new Date(status.lastSyncAt).toLocaleString()} · ` +
+            `${status.syncedProfileCount} profile${status.syncedProfileCount === 1 ? '' : 's'}${usage}`;
+    } else {
+        statusLine.textContent = 'Waiting for the first sync…';
+    }
+}
+
+async function loadSyncStatus() {
+    try {
+        renderSyncStatus(await sendSyncMessage({ type: 'getSyncStatus' }));
+    } catch (error) {
+        logToGUIConsole(`Error loading the sync status: ${error.message}`);
+    }
+}
+
+async function updateSyncOptions(options) {
+    try {
+        const status = await sendSyncMessage({ type: 'setSyncOptions', ...options });
+        renderSyncStatus(status);
+        if (typeof options.enabled === 'boolean') {
+            logToGUIConsole(`Sync between computers turned ${options.enabled ? 'on' : 'off'}.`);
+        }
+        if (status.lastError) {
+            showToast(`Sync failed: ${status.lastError}`, 'error');
+        }
+    } catch (error) {
+        logToGUIConsole(`Error changing the sync options: ${error.message}`);
+        showToast('Could not change the sync options.', 'error');
+        loadSyncStatus();
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (!document.getElementById('syncSettings')) return;
+    loadSyncStatus();
+
+    document.getElementById('syncEnabledToggle').addEventListener('change', (event) => {
+        updateSyncOptions({ enabled: event.target.checked });
+    });
+    document.getElementById('syncSettingsToggle').addEventListener('change', (event) => {
+        updateSyncOptions({ includeSettings: event.target.checked });
+    });
+
+    document.getElementById('syncNow').addEventListener('click', async () => {
+        try {
+            const status = await sendSyncMessage({ type: 'syncNow' });
+            renderSyncStatus(status);
+            if (status.lastError) {
+                showToast(`Sync failed: ${status.lastError}`, 'error');
+            } else {
+                showToast('Sync finished.', 'success');
+            }
+        } catch (error) {
+            logToGUIConsole(`Error syncing: ${error.message}`);
+            showToast('Could not sync.', 'error');
+        }
+    });
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes['sync.state']) {
+            loadSyncStatus();
+        }
+    });
+});
@@ -1,5 +1,5 @@
 // utils.js
-// Version: 1.1
+// Version: 1.2
 // Both backend and popup are using this file
 
 'use strict';
@@ -178,6 +178,26 @@ window.MaxExtensionUtils = {
             this.moveCursorToEnd(element); // Ensure cursor is at the end after paste
             logConCgp('[utils] Cursor moved to end after paste simulation.');
         }, 50); // 50ms delay
+    },
+
+    /**
+     * Sends a message to the service worker and resolves with its response.
+     * Rejects when the worker cannot be reached or answers with { error }.
+     * @param {object} message
+     * @returns {Promise<object>}
+     */
+    sendRuntimeMessage: function (message) {
+        return new Promise((resolve, reject) => {
+            chrome.runtime.sendMessage(message, (response) => {
+                if (chrome.runtime.lastError) {
+                    reject(new Error(chrome.runtime.lastError.message));
+                } else if (response && response.error) {
+                    reject(new Error(response.error));
+                } else {
+                    resolve(response || {});
+                }
+            });
+        });
     }
 };
 
@@ -224,6 +244,8 @@ class InjectionTargetsOnWebsite {
         merged.sendButtons = normalizeList('sendButtons');
         merged.editors = normalizeList('editors');
         merged.stopButtons = normalizeList('stopButtons');
+        merged.userMessages = normalizeList('userMessages');
+        merged.assistantMessages = normalizeList('assistantMessages');
         merged.buttonsContainerId = normalizeString('buttonsContainerId');
         merged.threadRoot = normalizeString('threadRoot');
         return merged;
@@ -337,6 +359,8 @@ class InjectionTargetsOnWebsite {
                     'textarea',
                 ],
                 threadRoot: '#thread',
+                userMessages: ['[data-message-author-role="user"]'],
+                assistantMessages: ['[data-message-author-role="assistant"]'],
                 buttonsContainerId: 'chatgpt-custom-buttons-container',
                 stopButtons: [
                     'button[data-testid="stop-button"]',
@@ -358,6 +382,8 @@ class InjectionTargetsOnWebsite {
                 ],
                 editors: ['div.ProseMirror[contenteditable="true"]'],
                 threadRoot: 'div.flex-1.max-w-3xl.mx-auto:has([data-testid="user-message"])',
+                userMessages: ['[data-testid="user-message"]'],
+                assistantMessages: ['.font-claude-response', '.font-claude-message'],
                 buttonsContainerId: 'claude-custom-buttons-container',
                 stopButtons: [
                     'button[aria-label="Stop response"]',
@@ -387,6 +413,8 @@ class InjectionTargetsOnWebsite {
                     'button[type="submit"]',
                 ],
                 threadRoot: 'div.max-w-chat[data-content="conversation"]',
+                userMessages: ['[data-content="user-message"]'],
+                assistantMessages: ['[data-content="ai-message"]'],
                 buttonsContainerId: 'copilot-custom-buttons-container',
                 stopButtons: [
                     'button[title="Stop responding"]',
@@ -420,6 +448,9 @@ class InjectionTargetsOnWebsite {
                     ".bf38813a .ds-icon-button._7436101:not([aria-disabled=\"true\"])"
                 ],
                 "threadRoot": ".ds-scroll-area:has(.ds-message), .scrollable:has(textarea, [contenteditable=\"true\"])",
+                // Only answers render markdown, which tells them apart from the user's messages.
+                "userMessages": [".ds-message:not(:has(.ds-markdown))"],
+                "assistantMessages": [".ds-message:has(.ds-markdown)"],
                 "stopButtons": [
                     ".bf38813a .ds-icon-button:has(svg rect)",
                     ".bf38813a .ds-icon-button:has(svg path[d*=\"4.88\"])",
@@ -454,6 +485,8 @@ class InjectionTargetsOnWebsite {
                     'ms-autosize-textarea textarea.v3-font-body'
                 ],
                 buttonsContainerId: 'aistudio-custom-buttons-container',
+                userMessages: ['ms-chat-turn:has(.chat-turn-container.user)'],
+                assistantMessages: ['ms-chat-turn:has(.chat-turn-container.model)'],
                 stopButtons: [
                     'button[aria-label="Stop generating"]',
                     'button[aria-label="Cancel"]'
@@ -488,6 +521,8 @@ class InjectionTargetsOnWebsite {
                     'textarea' // last resort
                 ],
                 threadRoot: '.w-full.h-full.overflow-y-auto.overflow-x-hidden.scrollbar-gutter-stable.flex.flex-col.items-center.px-gutter',
+                userMessages: ['div.items-end .message-bubble'],
+                assistantMessages: ['div.items-start .message-bubble'],
                 buttonsContainerId: 'grok-custom-buttons-container',
                 stopButtons: [
                     'button[aria-label="Stop model response"]',
@@ -509,6 +544,8 @@ class InjectionTargetsOnWebsite {
                     'rich-textarea div.ql-editor'
                 ],
                 threadRoot: 'infinite-scroller[data-test-id="chat-history-container"]',
+                userMessages: ['user-query'],
+                assistantMessages: ['model-response'],
                 buttonsContainerId: 'gemini-custom-buttons-container',
                 stopButtons: [
                     'button[aria-label="Stop response"]',
@@ -534,6 +571,8 @@ class InjectionTargetsOnWebsite {
                     'div[contenteditable="true"]'
                 ],
                 threadRoot: 'div.relative.border-subtlest.ring-subtlest.divide-subtlest.bg-base',
+                userMessages: ['div[class*="group/query"]', 'h1[class*="group/query"]'],
+                assistantMessages: ['div[id^="markdown-content-"]'],
                 buttonsContainerId: 'perplexity-custom-buttons-container',
                 stopButtons: [
                     'button[aria-label="Stop"]',